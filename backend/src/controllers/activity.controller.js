@@ -0,0 +1,96 @@
+const { validationResult } = require('express-validator');
+const Setlist = require('../models/setlist.model');
+const Band = require('../models/band.model');
+const PermissionService = require('../services/permission.service');
+const ActivityService = require('../services/activity.service');
+const SetlistSearchService = require('../services/setlistSearch.service');
+
+/**
+ * Get the log of changes to a band's setlists, newest first, one page at a time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandActivity = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const band = await Band.findByPk(req.query.band_id);
+
+    if (!band) {
+      return res.status(404).json({ msg: 'Band not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, band.id, 'viewer')) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const cursor = getCursor(req);
+    if (cursor === false) {
+      return res.status(400).json({ msg: 'Invalid cursor' });
+    }
+
+    res.json(await ActivityService.getPage({ band_id: band.id }, req.query, cursor, getLimit(req)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the log of changes to a setlist, newest first, one page at a time
+ * Setlists in the trash keep their log. Band members and editors can see it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistActivity = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id, { paranoid: false });
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await ActivityService.canSeeLog(req.user.id, setlist)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const cursor = getCursor(req);
+    if (cursor === false) {
+      return res.status(400).json({ msg: 'Invalid cursor' });
+    }
+
+    res.json(await ActivityService.getPage({ setlist_id: setlist.id }, req.query, cursor, getLimit(req)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to decode the cursor of the requested page
+ * @param {Object} req - Express request object
+ * @returns {Object|null|false} - Decoded cursor, null for the first page, or false if the cursor is invalid
+ */
+function getCursor(req) {
+  if (!req.query.cursor) {
+    return null;
+  }
+  return SetlistSearchService.decodeCursor(req.query.cursor, 'created_at') || false;
+}
+
+/**
+ * Helper function to get the requested page size
+ * @param {Object} req - Express request object
+ * @returns {number} - Page size
+ */
+function getLimit(req) {
+  return req.query.limit ? parseInt(req.query.limit, 10) : SetlistSearchService.DEFAULT_LIMIT;
+}
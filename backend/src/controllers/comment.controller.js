@@ -0,0 +1,379 @@
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../db/config');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const SetlistComment = require('../models/setlistComment.model');
+const User = require('../models/user.model');
+const PermissionService = require('../services/permission.service');
+const CommentService = require('../services/comment.service');
+const RealtimeService = require('../services/realtime.service');
+const io = require('../socket');
+
+/**
+ * Get the comment threads of a setlist, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getComments = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { setlist_song_id, resolved } = req.query;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const where = { setlist_id: setlist.id, parent_id: null };
+    if (setlist_song_id) {
+      where.setlist_song_id = setlist_song_id === 'none' ? null : setlist_song_id;
+    }
+    if (resolved !== undefined) {
+      where.resolved_at = resolved === 'true' ? { [Op.ne]: null } : null;
+    }
+
+    const threads = await SetlistComment.findAll({
+      where,
+      include: commentIncludes(true),
+      order: [
+        ['created_at', 'ASC'],
+        [{ model: SetlistComment, as: 'replies' }, 'created_at', 'ASC']
+      ]
+    });
+
+    res.json(threads);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Count the comments of a setlist and of each of its slots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCommentCounts = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const comments = await SetlistComment.findAll({
+      where: { setlist_id: setlist.id },
+      attributes: ['setlist_song_id', 'parent_id', 'resolved_at'],
+      raw: true
+    });
+
+    res.json({ setlist_id: setlist.id, ...CommentService.countComments(comments) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Comment on a setlist or one of its slots, or reply to a thread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createComment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { body, parent_id } = req.body;
+  let { setlist_song_id = null } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'comment')) {
+      return res.status(403).json(PermissionService.forbidden('comment'));
+    }
+
+    // Replies join the thread, and are about whatever the thread is about
+    let threadId = null;
+    if (parent_id) {
+      const parent = await SetlistComment.findOne({ where: { id: parent_id, setlist_id: setlist.id } });
+      if (!parent) {
+        return res.status(404).json({ msg: 'Comment not found' });
+      }
+      threadId = parent.parent_id || parent.id;
+      setlist_song_id = parent.setlist_song_id;
+    } else if (setlist_song_id) {
+      const setlistSong = await SetlistSong.findOne({ where: { id: setlist_song_id, setlist_id: setlist.id } });
+      if (!setlistSong) {
+        return res.status(404).json({ msg: 'Song not found in setlist' });
+      }
+    }
+
+    const mentioned = await CommentService.resolveMentions(body, setlist);
+
+    const comment = await SetlistComment.create({
+      id: uuidv4(),
+      setlist_id: setlist.id,
+      setlist_song_id,
+      parent_id: threadId,
+      author_id: req.user.id,
+      body,
+      mentions: mentioned.map((user) => user.id)
+    });
+
+    const created = await SetlistComment.findByPk(comment.id, { include: commentIncludes(!threadId) });
+
+    await RealtimeService.emitSetlistEvent(req, setlist, 'comment:created', created);
+    notifyMentioned(setlist, created, mentioned, req.user.id);
+
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Edit the text of a comment; only its author can
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateComment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Authors who lost access to the setlist can't touch their comments either
+    if (!await PermissionService.can(req.user.id, setlist, 'comment')) {
+      return res.status(403).json(PermissionService.forbidden('comment'));
+    }
+
+    const comment = await SetlistComment.findOne({
+      where: { id: req.params.commentId, setlist_id: setlist.id }
+    });
+
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    if (comment.author_id !== req.user.id) {
+      return res.status(403).json({ msg: 'Only the author can edit a comment' });
+    }
+
+    const mentioned = await CommentService.resolveMentions(req.body.body, setlist);
+    const alreadyMentioned = new Set(comment.mentions);
+
+    comment.body = req.body.body;
+    comment.mentions = mentioned.map((user) => user.id);
+    comment.edited_at = new Date();
+    await comment.save();
+
+    const updated = await SetlistComment.findByPk(comment.id, { include: commentIncludes(!comment.parent_id) });
+
+    await RealtimeService.emitSetlistEvent(req, setlist, 'comment:updated', updated);
+    notifyMentioned(
+      setlist,
+      updated,
+      mentioned.filter((user) => !alreadyMentioned.has(user.id)),
+      req.user.id
+    );
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Mark a thread as resolved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resolveComment = (req, res) => setResolved(req, res, true);
+
+/**
+ * Open a resolved thread again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unresolveComment = (req, res) => setResolved(req, res, false);
+
+/**
+ * Delete a comment, and its replies if it starts a thread
+ * Its author and admins of the setlist can.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'comment')) {
+      return res.status(403).json(PermissionService.forbidden('comment'));
+    }
+
+    const comment = await SetlistComment.findOne({
+      where: { id: req.params.commentId, setlist_id: setlist.id }
+    });
+
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    if (comment.author_id !== req.user.id && !await PermissionService.can(req.user.id, setlist, 'manage')) {
+      return res.status(403).json(PermissionService.forbidden('manage'));
+    }
+
+    await sequelize.transaction(async (t) => {
+      await SetlistComment.destroy({ where: { parent_id: comment.id }, transaction: t });
+      await comment.destroy({ transaction: t });
+    });
+
+    await RealtimeService.emitSetlistEvent(req, setlist, 'comment:deleted', {
+      id: comment.id,
+      setlist_id: setlist.id,
+      setlist_song_id: comment.setlist_song_id,
+      parent_id: comment.parent_id
+    });
+
+    res.json({ msg: 'Comment deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to build the includes of a comment
+ * @param {boolean} withReplies - Whether to include the replies of a thread
+ * @returns {Array} - Sequelize includes for the author, resolver and replies
+ */
+function commentIncludes(withReplies) {
+  const author = {
+    model: User,
+    as: 'author',
+    attributes: ['id', 'username']
+  };
+
+  const includes = [
+    author,
+    {
+      model: User,
+      as: 'resolver',
+      attributes: ['id', 'username']
+    }
+  ];
+
+  if (withReplies) {
+    includes.push({
+      model: SetlistComment,
+      as: 'replies',
+      include: [author]
+    });
+  }
+
+  return includes;
+}
+
+/**
+ * Helper function to tell mentioned users about a comment, in their own socket room
+ * @param {Object} setlist - Setlist the comment is on
+ * @param {Object} comment - Comment they were mentioned in
+ * @param {Array} users - Mentioned users
+ * @param {string} authorId - ID of the author, who isn't told about their own mention
+ */
+function notifyMentioned(setlist, comment, users, authorId) {
+  for (const user of users) {
+    if (user.id !== authorId) {
+      io.to(`user:${user.id}`).emit('comment:mentioned', {
+        setlist_id: setlist.id,
+        setlist_name: setlist.name,
+        comment
+      });
+    }
+  }
+}
+
+/**
+ * Helper function to resolve a thread or open it again
+ * The thread's author and anyone who can edit the setlist can.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} resolved - Whether the thread is resolved
+ */
+async function setResolved(req, res, resolved) {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'comment')) {
+      return res.status(403).json(PermissionService.forbidden('comment'));
+    }
+
+    const comment = await SetlistComment.findOne({
+      where: { id: req.params.commentId, setlist_id: setlist.id }
+    });
+
+    if (!comment) {
+      return res.status(404).json({ msg: 'Comment not found' });
+    }
+
+    if (comment.parent_id) {
+      return res.status(400).json({ msg: 'Only whole threads can be resolved' });
+    }
+
+    if (comment.author_id !== req.user.id && !await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    comment.resolved_at = resolved ? new Date() : null;
+    comment.resolved_by = resolved ? req.user.id : null;
+    await comment.save();
+
+    const updated = await SetlistComment.findByPk(comment.id, { include: commentIncludes(true) });
+
+    await RealtimeService.emitSetlistEvent(req, setlist, 'comment:updated', updated);
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+}
@@ -0,0 +1,304 @@
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../db/config');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const User = require('../models/user.model');
+const Band = require('../models/band.model');
+const Block = require('../models/block.model');
+const TimingService = require('../services/timing.service');
+const RevisionService = require('../services/revision.service');
+const ActivityService = require('../services/activity.service');
+const PermissionService = require('../services/permission.service');
+const SetlistSearchService = require('../services/setlistSearch.service');
+const RealtimeService = require('../services/realtime.service');
+const GalleryService = require('../services/gallery.service');
+
+/**
+ * Browse public setlists, one page at a time
+ * Supports searching by name, artist and song; see the route for the query string.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGallery = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { q, artist, song } = req.query;
+  const sort = req.query.sort || 'updated_at';
+  const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : SetlistSearchService.DEFAULT_LIMIT;
+
+  try {
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = SetlistSearchService.decodeCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({ msg: 'Invalid cursor' });
+      }
+    }
+
+    // Only the text searches apply here; the other list filters are about the user's own setlists
+    const conditions = [
+      { is_public: true },
+      await SetlistSearchService.buildFilters({ q, artist, song })
+    ];
+    if (cursor) {
+      conditions.push(SetlistSearchService.buildCursorWhere(cursor, sort, order));
+    }
+
+    const rows = await Setlist.findAll({
+      where: { [Op.and]: conditions },
+      include: [
+        ...galleryIncludes(),
+        {
+          model: Block,
+          as: 'blocks',
+          attributes: ['id', 'position']
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs',
+          attributes: ['id', 'position', 'block_id'],
+          include: [
+            {
+              model: Song,
+              as: 'song',
+              attributes: ['id', 'duration']
+            }
+          ]
+        }
+      ],
+      order: SetlistSearchService.buildOrder(sort, order),
+      // One extra row tells whether there is a next page
+      limit: limit + 1
+    });
+
+    const { setlists, next_cursor } = SetlistSearchService.paginate(rows, limit, sort);
+
+    res.json({
+      setlists: setlists.map(setlist => GalleryService.buildEntry(
+        setlist,
+        TimingService.calculateSetlistTiming(setlist, setlist.blocks, setlist.setlist_songs)
+      )),
+      next_cursor
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the read-only preview of a public setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGallerySetlist = async (req, res) => {
+  try {
+    const setlist = await Setlist.findOne({
+      where: { id: req.params.id, is_public: true },
+      include: galleryIncludes()
+    });
+
+    // Private setlists are reported as missing so the gallery doesn't reveal them
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: setlist.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    res.json(GalleryService.buildPreview(setlist, blocks, setlistSongs));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Fork a public setlist into a band's (or the user's own) setlists
+ * Songs are matched against the target library and the missing ones are created.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.forkSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, band_id } = req.body;
+
+  try {
+    const source = await Setlist.findOne({
+      where: { id: req.params.id, is_public: true },
+      include: [
+        {
+          model: Block,
+          as: 'blocks'
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs',
+          include: [
+            {
+              model: Song,
+              as: 'song'
+            }
+          ]
+        }
+      ]
+    });
+
+    if (!source) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // If band_id is provided, verify user may create setlists for the band
+    if (band_id) {
+      const band = await Band.findByPk(band_id);
+
+      if (!band) {
+        return res.status(404).json({ msg: 'Band not found' });
+      }
+
+      if (!await PermissionService.canCreateInBand(req.user.id, band.id)) {
+        return res.status(403).json(PermissionService.forbidden('create'));
+      }
+    }
+
+    // Band setlists use the band's songs, personal ones the user's
+    const library = await Song.findAll({
+      where: band_id ? { band_id } : { created_by: req.user.id }
+    });
+    const sourceSongs = [...new Map(
+      source.setlist_songs.map(setlistSong => [setlistSong.song.id, setlistSong.song])
+    ).values()];
+    const matches = GalleryService.matchSongs(sourceSongs, library);
+
+    const createdSongs = [];
+    const fork = await sequelize.transaction(async (t) => {
+      const copy = await Setlist.create({
+        id: uuidv4(),
+        name: name || source.name,
+        description: source.description,
+        band_id: band_id || null,
+        created_by: req.user.id,
+        is_public: false,
+        song_gap: source.song_gap,
+        block_break: source.block_break,
+        target_duration: source.target_duration,
+        forked_from_id: source.id
+      }, { transaction: t });
+
+      for (const song of sourceSongs) {
+        if (matches.get(song.id)) continue;
+
+        const created = await Song.create({
+          ...GalleryService.pickSongFields(song),
+          id: uuidv4(),
+          band_id: band_id || null,
+          created_by: req.user.id
+        }, { transaction: t });
+        createdSongs.push(created);
+        matches.set(song.id, created);
+      }
+
+      // Map old block IDs to their copies so songs keep their block membership
+      const blockIdMap = {};
+      for (const block of source.blocks) {
+        const newBlock = await Block.create({
+          id: uuidv4(),
+          setlist_id: copy.id,
+          name: block.name,
+          position: block.position,
+          target_duration: block.target_duration
+        }, { transaction: t });
+        blockIdMap[block.id] = newBlock.id;
+      }
+
+      await SetlistSong.bulkCreate(
+        source.setlist_songs.map(setlistSong => {
+          const librarySong = matches.get(setlistSong.song.id);
+          return {
+            id: uuidv4(),
+            setlist_id: copy.id,
+            song_id: librarySong.id,
+            position: setlistSong.position,
+            block_id: setlistSong.block_id ? blockIdMap[setlistSong.block_id] : null,
+            notes: setlistSong.notes,
+            ...GalleryService.forkOverrides(setlistSong, librarySong)
+          };
+        }),
+        { transaction: t }
+      );
+
+      // Counting a fork is not an edit of the original, so its timestamp and
+      // version stay put and nobody editing it gets a version conflict
+      await Setlist.update(
+        { fork_count: sequelize.literal('fork_count + 1') },
+        { where: { id: source.id }, silent: true, transaction: t }
+      );
+
+      const summary = `Forked from "${source.name}"`;
+      await RevisionService.recordRevision(copy.id, req.user.id, 'setlist:created', summary, t);
+      await ActivityService.record(req.user.id, copy, 'setlist:created', {
+        summary,
+        after: ActivityService.changedFields({}, copy, RevisionService.SETLIST_FIELDS).after
+      }, t);
+
+      return copy;
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, fork, 'setlist:created', fork);
+
+    res.status(201).json({
+      setlist: fork,
+      created_songs: createdSongs,
+      matched_count: sourceSongs.length - createdSongs.length
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to build the includes of a gallery entry
+ * Only public details of the band and creator are included.
+ * @returns {Array} - Sequelize includes for the band, creator and original setlist
+ */
+function galleryIncludes() {
+  return [
+    {
+      model: Band,
+      as: 'band',
+      attributes: ['id', 'name']
+    },
+    {
+      model: User,
+      as: 'creator',
+      attributes: ['id', 'username']
+    },
+    {
+      model: Setlist,
+      as: 'forkedFrom',
+      attributes: ['id', 'name', 'is_public']
+    }
+  ];
+}
@@ -0,0 +1,425 @@
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../db/config');
+const Gig = require('../models/gig.model');
+const GigSetlist = require('../models/gigSetlist.model');
+const Setlist = require('../models/setlist.model');
+const User = require('../models/user.model');
+const Band = require('../models/band.model');
+const ShareLink = require('../models/shareLink.model');
+const PermissionService = require('../services/permission.service');
+const ShareService = require('../services/share.service');
+const CalendarService = require('../services/calendar.service');
+const io = require('../socket');
+
+// Minimum band role to add, change and delete gigs
+const MANAGE_ROLE = 'editor';
+
+// Fields of a gig that can be set through the API
+const GIG_FIELDS = [
+  'title',
+  'date',
+  'venue',
+  'address',
+  'load_in_at',
+  'soundcheck_at',
+  'set_time_at',
+  'ends_at',
+  'timezone',
+  'status',
+  'contact_name',
+  'contact_phone',
+  'contact_email',
+  'notes'
+];
+
+// How far back the calendar feed goes, in days
+const CALENDAR_HISTORY_DAYS = 90;
+
+/**
+ * Get the gigs of the authenticated user's bands
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGigs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id, from, to, upcoming, limit } = req.query;
+
+  try {
+    let bandIds;
+    if (band_id) {
+      if (!await PermissionService.hasBandRole(req.user.id, band_id, 'viewer')) {
+        return res.status(403).json({ msg: 'Access denied' });
+      }
+      bandIds = [band_id];
+    } else {
+      bandIds = await PermissionService.getBandIds(req.user.id);
+    }
+
+    const where = { band_id: { [Op.in]: bandIds } };
+    const date = {};
+    if (upcoming === 'true') date[Op.gte] = new Date().toISOString().slice(0, 10);
+    if (from) date[Op.gte] = from;
+    if (to) date[Op.lte] = to;
+    if (Object.getOwnPropertySymbols(date).length > 0) where.date = date;
+
+    const gigs = await Gig.findAll({
+      where,
+      include: gigIncludes(),
+      order: [['date', upcoming === 'true' ? 'ASC' : 'DESC'], ['set_time_at', 'ASC']],
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
+
+    res.json(gigs);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get a gig by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getGigById = async (req, res) => {
+  try {
+    const gig = await Gig.findByPk(req.params.id, { include: gigIncludes() });
+
+    if (!gig) {
+      return res.status(404).json({ msg: 'Gig not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, gig.band_id, 'viewer')) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    res.json(gig);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Create a gig
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createGig = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id, setlists } = req.body;
+
+  try {
+    const band = await Band.findByPk(band_id);
+
+    if (!band) {
+      return res.status(404).json({ msg: 'Band not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, band.id, MANAGE_ROLE)) {
+      return res.status(403).json(PermissionService.forbidden('gigs'));
+    }
+
+    if (setlists && !await setlistsBelongToBand(setlists, band.id)) {
+      return res.status(400).json({ msg: 'Setlists must belong to the band playing the gig' });
+    }
+
+    const gigId = uuidv4();
+    await sequelize.transaction(async (t) => {
+      await Gig.create({
+        ...pickGigFields(req.body),
+        id: gigId,
+        band_id: band.id,
+        created_by: req.user.id
+      }, { transaction: t });
+
+      if (setlists) {
+        await setGigSetlists(gigId, setlists, t);
+      }
+    });
+
+    const gig = await Gig.findByPk(gigId, { include: gigIncludes() });
+
+    // Emit socket event for real-time updates
+    io.to(`band:${band.id}`).emit('gig:created', gig);
+
+    res.status(201).json(gig);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Update a gig
+ * Passing `setlists` replaces the setlists linked to the gig.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateGig = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { setlists } = req.body;
+
+  try {
+    const gig = await Gig.findByPk(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({ msg: 'Gig not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, gig.band_id, MANAGE_ROLE)) {
+      return res.status(403).json(PermissionService.forbidden('gigs'));
+    }
+
+    if (setlists && !await setlistsBelongToBand(setlists, gig.band_id)) {
+      return res.status(400).json({ msg: 'Setlists must belong to the band playing the gig' });
+    }
+
+    await sequelize.transaction(async (t) => {
+      await gig.update(pickGigFields(req.body), { transaction: t });
+
+      if (setlists) {
+        await setGigSetlists(gig.id, setlists, t);
+      }
+    });
+
+    const updated = await Gig.findByPk(gig.id, { include: gigIncludes() });
+
+    // Emit socket event for real-time updates
+    io.to(`band:${gig.band_id}`).emit('gig:updated', updated);
+
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Delete a gig
+ * The linked setlists are kept.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteGig = async (req, res) => {
+  try {
+    const gig = await Gig.findByPk(req.params.id);
+
+    if (!gig) {
+      return res.status(404).json({ msg: 'Gig not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, gig.band_id, MANAGE_ROLE)) {
+      return res.status(403).json(PermissionService.forbidden('gigs'));
+    }
+
+    await sequelize.transaction(async (t) => {
+      await GigSetlist.destroy({ where: { gig_id: gig.id }, transaction: t });
+      await gig.destroy({ transaction: t });
+    });
+
+    // Emit socket event for real-time updates
+    io.to(`band:${gig.band_id}`).emit('gig:deleted', { id: gig.id, band_id: gig.band_id });
+
+    res.json({ msg: 'Gig removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the calendar feed URL of a band's gigs
+ * The same URL is returned until it is reset, so members can share it; resetting
+ * stops the old URL from working, e.g. after someone leaves the band.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCalendarFeed = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id, reset } = req.body;
+
+  try {
+    const band = await Band.findByPk(band_id);
+
+    if (!band) {
+      return res.status(404).json({ msg: 'Band not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, band.id, 'viewer')) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    if (reset && !await PermissionService.hasBandRole(req.user.id, band.id, MANAGE_ROLE)) {
+      return res.status(403).json(PermissionService.forbidden('gigs'));
+    }
+
+    let link = await ShareLink.findOne({
+      where: { resource_type: 'band_calendar', resource_id: band.id, revoked_at: null }
+    });
+
+    if (link && reset) {
+      await ShareService.revokeShareLink(link);
+      link = null;
+    }
+
+    if (!link) {
+      link = await ShareService.generateShareLink('band_calendar', band.id, null, true, req.user.id);
+    }
+
+    res.json({ band_id: band.id, url: CalendarService.getFeedUrl(link.token) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Serve a band's gigs as an iCalendar feed (no authentication; the token is the key)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCalendar = async (req, res) => {
+  try {
+    const link = await ShareService.findByToken(req.params.token);
+
+    if (!link || link.resource_type !== 'band_calendar') {
+      return res.status(404).json({ msg: 'Calendar not found' });
+    }
+
+    const band = await Band.findByPk(link.resource_id);
+
+    if (!band) {
+      return res.status(404).json({ msg: 'Calendar not found' });
+    }
+
+    const since = new Date(Date.now() - CALENDAR_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const gigs = await Gig.findAll({
+      where: {
+        band_id: band.id,
+        date: { [Op.gte]: since.toISOString().slice(0, 10) }
+      },
+      include: [
+        {
+          model: Setlist,
+          as: 'setlists',
+          attributes: ['id', 'name'],
+          through: { attributes: [] }
+        }
+      ],
+      order: [['date', 'ASC']]
+    });
+
+    await ShareService.recordAccess(link);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename=gigs-${band.id}.ics`);
+    res.send(CalendarService.buildCalendar(band, gigs));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to build the includes of a gig
+ * @returns {Array} - Sequelize includes for the band, creator and setlists
+ */
+function gigIncludes() {
+  return [
+    {
+      model: Band,
+      as: 'band',
+      attributes: ['id', 'name']
+    },
+    {
+      model: User,
+      as: 'creator',
+      attributes: ['id', 'username']
+    },
+    {
+      model: Setlist,
+      as: 'setlists',
+      attributes: ['id', 'name', 'target_duration'],
+      through: { attributes: ['position', 'set_time_at'] }
+    }
+  ];
+}
+
+/**
+ * Helper function to pick the gig fields out of a request body
+ * Empty strings clear optional fields.
+ * @param {Object} body - Request body
+ * @returns {Object} - Gig fields that were given
+ */
+function pickGigFields(body) {
+  const fields = {};
+  for (const field of GIG_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Helper function to check that setlists can be linked to a band's gig
+ * @param {Array} setlists - Setlists as { setlist_id, set_time_at }
+ * @param {string} bandId - Band ID
+ * @returns {Promise<boolean>} - True if every setlist exists and belongs to the band
+ */
+async function setlistsBelongToBand(setlists, bandId) {
+  const ids = [...new Set(setlists.map(entry => entry.setlist_id))];
+  if (ids.length === 0) return true;
+
+  const count = await Setlist.count({ where: { id: { [Op.in]: ids }, band_id: bandId } });
+  return count === ids.length;
+}
+
+/**
+ * Helper function to replace the setlists linked to a gig
+ * @param {string} gigId - Gig ID
+ * @param {Array} setlists - Setlists as { setlist_id, set_time_at }, in running order
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function setGigSetlists(gigId, setlists, transaction) {
+  await GigSetlist.destroy({ where: { gig_id: gigId }, transaction });
+
+  const seen = new Set();
+  const rows = [];
+  for (const entry of setlists) {
+    if (seen.has(entry.setlist_id)) continue;
+    seen.add(entry.setlist_id);
+
+    rows.push({
+      id: uuidv4(),
+      gig_id: gigId,
+      setlist_id: entry.setlist_id,
+      position: rows.length,
+      set_time_at: entry.set_time_at || null
+    });
+  }
+
+  if (rows.length > 0) {
+    await GigSetlist.bulkCreate(rows, { transaction });
+  }
+}
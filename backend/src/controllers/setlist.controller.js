@@ -1,55 +1,130 @@
 const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const sequelize = require('../db/config');
 const Setlist = require('../models/setlist.model');
 const SetlistSong = require('../models/setlistSong.model');
 const Song = require('../models/song.model');
 const User = require('../models/user.model');
 const Band = require('../models/band.model');
 const Block = require('../models/block.model');
+const SetlistRevision = require('../models/setlistRevision.model');
+const LiveSession = require('../models/liveSession.model');
+const ShareLink = require('../models/shareLink.model');
+const SetlistCollaborator = require('../models/setlistCollaborator.model');
+const Gig = require('../models/gig.model');
+const SetlistTemplate = require('../models/setlistTemplate.model');
 const SpotifyService = require('../services/spotify.service');
 const PDFService = require('../services/pdf.service');
 const ShareService = require('../services/share.service');
+const TimingService = require('../services/timing.service');
+const RevisionService = require('../services/revision.service');
+const ActivityService = require('../services/activity.service');
+const LiveService = require('../services/live.service');
+const ArrangementService = require('../services/arrangement.service');
+const ExportService = require('../services/export.service');
+const ImportService = require('../services/import.service');
+const TrashService = require('../services/trash.service');
+const PerformanceService = require('../services/performance.service');
+const PermissionService = require('../services/permission.service');
+const SetlistSearchService = require('../services/setlistSearch.service');
+const SetlistBatchService = require('../services/setlistBatch.service');
+const RealtimeService = require('../services/realtime.service');
+const TemplateService = require('../services/template.service');
 const io = require('../socket');
 
 /**
- * Get all setlists for the authenticated user
+ * Get the setlists the authenticated user can see, one page at a time
+ * Supports text search, filters and sorting; see the route for the query string.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.getAllSetlists = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const sort = req.query.sort || 'updated_at';
+  const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : SetlistSearchService.DEFAULT_LIMIT;
+
   try {
-    // Find setlists created by the user or where user is a member of the band
-    const setlists = await Setlist.findAll({
-      where: {
-        [Op.or]: [
-          { created_by: req.user.id },
-          // Include setlists where user is a band member
-          { '$band.members.user_id$': req.user.id }
-        ]
-      },
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = SetlistSearchService.decodeCursor(req.query.cursor, sort);
+      if (!cursor) {
+        return res.status(400).json({ msg: 'Invalid cursor' });
+      }
+    }
+
+    // Setlists created by the user, of the user's bands or shared with the user
+    // as a collaborator, narrowed down by the filters
+    const conditions = [
+      await PermissionService.getAccessibleSetlistsWhere(req.user.id),
+      await SetlistSearchService.buildFilters(req.query)
+    ];
+    if (cursor) {
+      conditions.push(SetlistSearchService.buildCursorWhere(cursor, sort, order));
+    }
+
+    const rows = await Setlist.findAll({
+      where: { [Op.and]: conditions },
       include: [
         {
           model: Band,
           as: 'band',
-          include: [
-            {
-              model: User,
-              as: 'members',
-              attributes: ['id', 'username', 'email'],
-              through: { attributes: ['role'] }
-            }
-          ]
+          attributes: ['id', 'name']
         },
         {
           model: User,
           as: 'creator',
           attributes: ['id', 'username', 'email']
+        },
+        {
+          model: Block,
+          as: 'blocks',
+          attributes: ['id', 'position']
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs',
+          attributes: ['id', 'position', 'block_id'],
+          include: [
+            {
+              model: Song,
+              as: 'song',
+              attributes: ['id', 'duration']
+            }
+          ]
         }
       ],
-      order: [['updated_at', 'DESC']]
+      order: SetlistSearchService.buildOrder(sort, order),
+      // One extra row tells whether there is a next page
+      limit: limit + 1
     });
 
-    res.json(setlists);
+    const { setlists, next_cursor } = SetlistSearchService.paginate(rows, limit, sort);
+
+    const roles = await PermissionService.getSetlistRoles(req.user.id, setlists);
+
+    // Only the total running time is needed for the list, not the songs themselves
+    res.json({
+      setlists: setlists.map(setlist => {
+        const { blocks, setlist_songs, ...data } = setlist.toJSON();
+        const timing = TimingService.calculateSetlistTiming(data, blocks, setlist_songs);
+        const role = roles.get(setlist.id) || null;
+        return {
+          ...data,
+          role,
+          permissions: PermissionService.getPermissions(role, setlist),
+          song_count: timing.song_count,
+          total_duration: timing.total_duration,
+          timing_status: timing.status
+        };
+      }),
+      next_cursor
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -97,6 +172,12 @@ exports.getSetlistById = async (req, res) => {
               ]
             }
           ]
+        },
+        {
+          model: Gig,
+          as: 'gigs',
+          attributes: ['id', 'title', 'date', 'venue', 'set_time_at', 'status'],
+          through: { attributes: ['set_time_at'] }
         }
       ]
     });
@@ -106,15 +187,31 @@ exports.getSetlistById = async (req, res) => {
     }
 
     // Check if user has access to this setlist
-    const hasAccess = setlist.created_by === req.user.id || 
-                      setlist.is_public || 
-                      setlist.band.members.some(member => member.id === req.user.id);
+    const role = await PermissionService.getSetlistRole(req.user.id, setlist);
+    const permissions = PermissionService.getPermissions(role, setlist);
 
-    if (!hasAccess) {
-      return res.status(403).json({ msg: 'Access denied' });
+    if (!permissions.view) {
+      return res.status(403).json(PermissionService.forbidden('view'));
     }
 
-    res.json(setlist);
+    // Blocks only include their own songs, so load all songs for the timing
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: setlist.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ]
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json({
+      ...setlist.toJSON(),
+      role,
+      permissions,
+      timing: TimingService.calculateSetlistTiming(setlist, setlist.blocks, setlistSongs)
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -122,7 +219,8 @@ exports.getSetlistById = async (req, res) => {
 };
 
 /**
- * Create a new setlist
+ * Create a new setlist, optionally from a template
+ * A template gives the setlist its blocks, fixed songs and any timing settings not passed.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -132,48 +230,84 @@ exports.createSetlist = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description, band_id, is_public } = req.body;
+  const { name, description, band_id, is_public, template_id } = req.body;
+  let { song_gap, block_break, target_duration } = req.body;
 
   try {
-    // If band_id is provided, verify user is a member of the band
+    // If band_id is provided, verify user may create setlists for the band
     if (band_id) {
-      const band = await Band.findByPk(band_id, {
-        include: [
-          {
-            model: User,
-            as: 'members',
-            attributes: ['id'],
-            through: { attributes: [] }
-          }
-        ]
-      });
+      const band = await Band.findByPk(band_id);
 
       if (!band) {
         return res.status(404).json({ msg: 'Band not found' });
       }
 
-      const isMember = band.members.some(member => member.id === req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ msg: 'You must be a member of the band to create a setlist' });
+      if (!await PermissionService.canCreateInBand(req.user.id, band.id)) {
+        return res.status(403).json(PermissionService.forbidden('create'));
+      }
+    }
+
+    let template = null;
+    if (template_id) {
+      template = await SetlistTemplate.findByPk(template_id);
+
+      if (!template) {
+        return res.status(404).json({ msg: 'Template not found' });
+      }
+
+      if (!await TemplateService.canUse(req.user.id, template)) {
+        return res.status(403).json({ msg: 'Access denied' });
+      }
+
+      // Fixed songs come from the template's library, so it only fits setlists of the same band
+      if ((template.band_id || null) !== (band_id || null)) {
+        return res.status(400).json({
+          msg: template.band_id
+            ? 'This template belongs to another band'
+            : 'Personal templates can only be used for personal setlists'
+        });
       }
+
+      if (song_gap === undefined) song_gap = template.song_gap;
+      if (block_break === undefined) block_break = template.block_break;
+      if (target_duration === undefined) target_duration = template.target_duration;
     }
 
-    const newSetlist = await Setlist.create({
-      id: uuidv4(),
-      name,
-      description,
-      band_id: band_id || null,
-      created_by: req.user.id,
-      is_public: is_public || false
+    let skippedSlots = [];
+    const newSetlist = await sequelize.transaction(async (t) => {
+      const setlist = await Setlist.create({
+        id: uuidv4(),
+        name,
+        description,
+        band_id: band_id || null,
+        created_by: req.user.id,
+        is_public: is_public || false,
+        song_gap: song_gap || 0,
+        block_break: block_break || 0,
+        target_duration: target_duration || null
+      }, { transaction: t });
+
+      if (template) {
+        ({ skipped_slots: skippedSlots } = await TemplateService.applyTemplate(template, setlist.id, t));
+      }
+
+      const summary = template
+        ? `Created "${setlist.name}" from template "${template.name}"`
+        : `Created "${setlist.name}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:created', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:created', {
+        summary,
+        after: ActivityService.changedFields({}, setlist, RevisionService.SETLIST_FIELDS).after
+      }, t);
+
+      return setlist;
     });
 
     // Emit socket event for real-time updates
-    if (band_id) {
-      io.to(`band:${band_id}`).emit('setlist:created', newSetlist);
-    }
-    io.to(`user:${req.user.id}`).emit('setlist:created', newSetlist);
+    await RealtimeService.emitSetlistEvent(req, newSetlist, 'setlist:created', newSetlist);
 
-    res.status(201).json(newSetlist);
+    // Fixed songs deleted from the library since the template was saved are left out
+    res.status(201).json(template ? { ...newSetlist.toJSON(), skipped_slots: skippedSlots } : newSetlist);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -186,7 +320,12 @@ exports.createSetlist = async (req, res) => {
  * @param {Object} res - Express response object
  */
 exports.updateSetlist = async (req, res) => {
-  const { name, description, is_public } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, is_public, song_gap, block_break, target_duration } = req.body;
 
   try {
     const setlist = await Setlist.findByPk(req.params.id);
@@ -196,41 +335,45 @@ exports.updateSetlist = async (req, res) => {
     }
 
     // Check if user has permission to update
-    if (setlist.created_by !== req.user.id) {
-      // Check if user is a band admin
-      if (setlist.band_id) {
-        const bandMember = await BandMember.findOne({
-          where: {
-            band_id: setlist.band_id,
-            user_id: req.user.id,
-            role: 'admin'
-          }
-        });
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
 
-        if (!bandMember) {
-          return res.status(403).json({ msg: 'You do not have permission to update this setlist' });
-        }
-      } else {
-        return res.status(403).json({ msg: 'You do not have permission to update this setlist' });
-      }
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
     }
 
+    const previous = setlist.get({ plain: true });
+
     // Update fields
     if (name) setlist.name = name;
     if (description !== undefined) setlist.description = description;
     if (is_public !== undefined) setlist.is_public = is_public;
+    if (song_gap !== undefined) setlist.song_gap = song_gap;
+    if (block_break !== undefined) setlist.block_break = block_break;
+    if (target_duration !== undefined) setlist.target_duration = target_duration;
+
+    await sequelize.transaction(async (t) => {
+      await setlist.save({ transaction: t });
 
-    await setlist.save();
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:updated', 'Updated setlist details', t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:updated', {
+        summary: 'Updated setlist details',
+        ...ActivityService.changedFields(previous, setlist, RevisionService.SETLIST_FIELDS)
+      }, t);
+    });
 
     // Emit socket event for real-time updates
-    if (setlist.band_id) {
-      io.to(`band:${setlist.band_id}`).emit('setlist:updated', setlist);
-    }
-    io.to(`user:${req.user.id}`).emit('setlist:updated', setlist);
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:updated', setlist);
 
+    res.set('X-Setlist-Version', setlist.version);
     res.json(setlist);
   } catch (err) {
     console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
     res.status(500).send('Server Error');
   }
 };
@@ -241,6 +384,11 @@ exports.updateSetlist = async (req, res) => {
  * @param {Object} res - Express response object
  */
 exports.deleteSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const setlist = await Setlist.findByPk(req.params.id);
 
@@ -249,88 +397,111 @@ exports.deleteSetlist = async (req, res) => {
     }
 
     // Check if user has permission to delete
-    if (setlist.created_by !== req.user.id) {
-      // Check if user is a band admin
-      if (setlist.band_id) {
-        const bandMember = await BandMember.findOne({
-          where: {
-            band_id: setlist.band_id,
-            user_id: req.user.id,
-            role: 'admin'
-          }
-        });
+    if (!await PermissionService.can(req.user.id, setlist, 'delete')) {
+      return res.status(403).json(PermissionService.forbidden('delete'));
+    }
 
-        if (!bandMember) {
-          return res.status(403).json({ msg: 'You do not have permission to delete this setlist' });
-        }
-      } else {
-        return res.status(403).json({ msg: 'You do not have permission to delete this setlist' });
-      }
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
     }
 
     const setlistId = setlist.id;
-    const bandId = setlist.band_id;
 
-    // Delete all songs from the setlist first
-    await SetlistSong.destroy({ where: { setlist_id: setlistId } });
+    // Move the setlist to the trash; its blocks, songs, history and share
+    // links are kept so it can be restored until the retention window ends
+    await sequelize.transaction(async (t) => {
+      const summary = `Moved "${setlist.name}" to the trash`;
+      await RevisionService.recordRevision(setlistId, req.user.id, 'setlist:deleted', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:deleted', { summary }, t);
+
+      // End any live show of the setlist
+      await LiveSession.destroy({ where: { setlist_id: setlistId }, transaction: t });
 
-    // Delete all blocks from the setlist
-    await Block.destroy({ where: { setlist_id: setlistId } });
+      setlist.deleted_by = req.user.id;
+      await setlist.destroy({ transaction: t });
+    });
 
-    // Delete the setlist
-    await setlist.destroy();
+    const payload = {
+      id: setlistId,
+      deleted_by: req.user.id,
+      purge_at: TrashService.getPurgeDate(setlist)
+    };
 
     // Emit socket event for real-time updates
-    if (bandId) {
-      io.to(`band:${bandId}`).emit('setlist:deleted', { id: setlistId });
-    }
-    io.to(`user:${req.user.id}`).emit('setlist:deleted', { id: setlistId });
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:deleted', payload);
 
-    res.json({ msg: 'Setlist deleted' });
+    res.json({ msg: 'Setlist moved to trash', purge_at: payload.purge_at });
   } catch (err) {
     console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
     res.status(500).send('Server Error');
   }
 };
 
 /**
- * Get all songs in a setlist
+ * Get the deleted setlists the user can still restore
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.getSetlistSongs = async (req, res) => {
+exports.getTrash = async (req, res) => {
   try {
-    const setlist = await Setlist.findByPk(req.params.id);
-
-    if (!setlist) {
-      return res.status(404).json({ msg: 'Setlist not found' });
-    }
-
-    // Check if user has access to this setlist
-    const hasAccess = setlist.created_by === req.user.id || 
-                      setlist.is_public || 
-                      await isUserBandMember(req.user.id, setlist.band_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({ msg: 'Access denied' });
-    }
-
-    const setlistSongs = await SetlistSong.findAll({
-      where: { setlist_id: req.params.id },
+    const setlists = await Setlist.findAll({
+      paranoid: false,
+      where: {
+        deleted_at: { [Op.ne]: null },
+        [Op.or]: [
+          { created_by: req.user.id },
+          // Include setlists where user is a band member
+          { '$band.members.user_id$': req.user.id }
+        ]
+      },
       include: [
         {
-          model: Song,
-          as: 'song'
+          model: Band,
+          as: 'band',
+          include: [
+            {
+              model: User,
+              as: 'members',
+              attributes: ['id', 'username', 'email'],
+              through: { attributes: ['role'] }
+            }
+          ]
         },
         {
-          model: Block,
-          as: 'block'
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'username', 'email']
+        },
+        {
+          model: User,
+          as: 'deleter',
+          attributes: ['id', 'username', 'email']
         }
       ],
-      order: [['position', 'ASC']]
+      order: [['deleted_at', 'DESC']]
     });
 
-    res.json(setlistSongs);
+    const roles = await PermissionService.getSetlistRoles(req.user.id, setlists);
+
+    // Setlists past the retention window are waiting for the sweep and can't be restored
+    const trash = setlists
+      .filter(setlist => !TrashService.isExpired(setlist))
+      .map(setlist => {
+        const role = roles.get(setlist.id) || null;
+        return {
+          ...setlist.toJSON(),
+          role,
+          permissions: PermissionService.getPermissions(role),
+          purge_at: TrashService.getPurgeDate(setlist)
+        };
+      })
+      .filter(setlist => setlist.permissions.delete);
+
+    res.json(trash);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -338,85 +509,40 @@ exports.getSetlistSongs = async (req, res) => {
 };
 
 /**
- * Add a song to a setlist
+ * Restore a deleted setlist from the trash
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.addSongToSetlist = async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { song_id, position, block_id, notes } = req.body;
-
+exports.restoreSetlist = async (req, res) => {
   try {
-    const setlist = await Setlist.findByPk(req.params.id);
-
-    if (!setlist) {
-      return res.status(404).json({ msg: 'Setlist not found' });
-    }
+    const setlist = await Setlist.findByPk(req.params.id, { paranoid: false });
 
-    // Check if user has permission to update
-    if (setlist.created_by !== req.user.id && !await isUserBandMember(req.user.id, setlist.band_id)) {
-      return res.status(403).json({ msg: 'You do not have permission to update this setlist' });
+    if (!setlist || !setlist.deleted_at) {
+      return res.status(404).json({ msg: 'Setlist not found in trash' });
     }
 
-    // Check if song exists
-    const song = await Song.findByPk(song_id);
-    if (!song) {
-      return res.status(404).json({ msg: 'Song not found' });
+    // Anyone who may delete the setlist can undo a delete, not just whoever deleted it
+    if (!await PermissionService.can(req.user.id, setlist, 'delete')) {
+      return res.status(403).json(PermissionService.forbidden('delete'));
     }
 
-    // If block_id is provided, check if it belongs to this setlist
-    if (block_id) {
-      const block = await Block.findByPk(block_id);
-      if (!block || block.setlist_id !== req.params.id) {
-        return res.status(400).json({ msg: 'Invalid block ID' });
-      }
+    if (TrashService.isExpired(setlist)) {
+      return res.status(410).json({ msg: 'Setlist has been in the trash too long to be restored' });
     }
 
-    // Create the setlist song entry
-    const setlistSong = await SetlistSong.create({
-      id: uuidv4(),
-      setlist_id: req.params.id,
-      song_id,
-      position,
-      block_id: block_id || null,
-      notes: notes || null
-    });
-
-    // Update the setlist's updated_at timestamp
-    setlist.changed('updated_at', true);
-    await setlist.save();
+    await sequelize.transaction(async (t) => {
+      setlist.deleted_by = null;
+      await setlist.restore({ transaction: t });
 
-    // Get the created setlist song with song details
-    const createdSetlistSong = await SetlistSong.findByPk(setlistSong.id, {
-      include: [
-        {
-          model: Song,
-          as: 'song'
-        },
-        {
-          model: Block,
-          as: 'block'
-        }
-      ]
+      const summary = `Restored "${setlist.name}" from the trash`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:restored', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:restored', { summary }, t);
     });
 
     // Emit socket event for real-time updates
-    if (setlist.band_id) {
-      io.to(`band:${setlist.band_id}`).emit('setlist:song:added', {
-        setlist_id: req.params.id,
-        song: createdSetlistSong
-      });
-    }
-    io.to(`user:${req.user.id}`).emit('setlist:song:added', {
-      setlist_id: req.params.id,
-      song: createdSetlistSong
-    });
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:restored', setlist);
 
-    res.status(201).json(createdSetlistSong);
+    res.json(setlist);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -424,57 +550,28 @@ exports.addSongToSetlist = async (req, res) => {
 };
 
 /**
- * Remove a song from a setlist
+ * Permanently delete a setlist from the trash
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.removeSongFromSetlist = async (req, res) => {
+exports.purgeSetlist = async (req, res) => {
   try {
-    const setlist = await Setlist.findByPk(req.params.id);
+    const setlist = await Setlist.findByPk(req.params.id, { paranoid: false });
 
-    if (!setlist) {
-      return res.status(404).json({ msg: 'Setlist not found' });
-    }
-
-    // Check if user has permission to update
-    if (setlist.created_by !== req.user.id && !await isUserBandMember(req.user.id, setlist.band_id)) {
-      return res.status(403).json({ msg: 'You do not have permission to update this setlist' });
+    if (!setlist || !setlist.deleted_at) {
+      return res.status(404).json({ msg: 'Setlist not found in trash' });
     }
 
-    // Find the setlist song
-    const setlistSong = await SetlistSong.findOne({
-      where: {
-        setlist_id: req.params.id,
-        song_id: req.params.songId
-      }
-    });
-
-    if (!setlistSong) {
-      return res.status(404).json({ msg: 'Song not found in setlist' });
+    if (!await PermissionService.can(req.user.id, setlist, 'purge')) {
+      return res.status(403).json(PermissionService.forbidden('purge'));
     }
 
-    const setlistSongId = setlistSong.id;
-
-    // Delete the setlist song
-    await setlistSong.destroy();
-
-    // Update the setlist's updated_at timestamp
-    setlist.changed('updated_at', true);
-    await setlist.save();
+    await TrashService.purgeSetlist(setlist, req.user.id);
 
     // Emit socket event for real-time updates
-    if (setlist.band_id) {
-      io.to(`band:${setlist.band_id}`).emit('setlist:song:removed', {
-        setlist_id: req.params.id,
-        song_id: req.params.songId
-      });
-    }
-    io.to(`user:${req.user.id}`).emit('setlist:song:removed', {
-      setlist_id: req.params.id,
-      song_id: req.params.songId
-    });
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:purged', { id: setlist.id });
 
-    res.json({ msg: 'Song removed from setlist' });
+    res.json({ msg: 'Setlist permanently deleted' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -482,78 +579,1900 @@ exports.removeSongFromSetlist = async (req, res) => {
 };
 
 /**
- * Reorder songs in a setlist
+ * Duplicate a setlist, including its blocks and songs
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.reorderSetlistSongs = async (req, res) => {
-  const { songs } = req.body;
-
-  if (!songs || !Array.isArray(songs) || songs.length === 0) {
-    return res.status(400).json({ msg: 'Songs array is required' });
+exports.duplicateSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
 
+  const { name, description, band_id, is_public } = req.body;
+
   try {
-    const setlist = await Setlist.findByPk(req.params.id);
+    const source = await Setlist.findByPk(req.params.id, {
+      include: [
+        {
+          model: Block,
+          as: 'blocks'
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs'
+        }
+      ]
+    });
 
-    if (!setlist) {
+    if (!source) {
       return res.status(404).json({ msg: 'Setlist not found' });
     }
 
-    // Check if user has permission to update
-    if (setlist.created_by !== req.user.id && !await isUserBandMember(req.user.id, setlist.band_id)) {
-      return res.status(403).json({ msg: 'You do not have permission to update this setlist' });
+    // Check if user has access to the source setlist
+    if (!await PermissionService.can(req.user.id, source, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    // The copy stays with the source band unless retargeted (null makes it personal)
+    const targetBandId = band_id !== undefined ? band_id : source.band_id;
+
+    if (targetBandId) {
+      const band = await Band.findByPk(targetBandId);
+
+      if (!band) {
+        return res.status(404).json({ msg: 'Band not found' });
+      }
+
+      if (!await PermissionService.canCreateInBand(req.user.id, band.id)) {
+        return res.status(403).json(PermissionService.forbidden('create'));
+      }
+    }
+
+    const newSetlist = await sequelize.transaction(async (t) => {
+      const copy = await Setlist.create({
+        id: uuidv4(),
+        name: name || `${source.name} (Copy)`,
+        description: description !== undefined ? description : source.description,
+        band_id: targetBandId || null,
+        created_by: req.user.id,
+        is_public: is_public || false,
+        song_gap: source.song_gap,
+        block_break: source.block_break,
+        target_duration: source.target_duration
+      }, { transaction: t });
+
+      // Map old block IDs to their copies so songs keep their block membership
+      const blockIdMap = {};
+      for (const block of source.blocks) {
+        const newBlock = await Block.create({
+          id: uuidv4(),
+          setlist_id: copy.id,
+          name: block.name,
+          position: block.position,
+          target_duration: block.target_duration
+        }, { transaction: t });
+        blockIdMap[block.id] = newBlock.id;
+      }
+
+      await SetlistSong.bulkCreate(
+        source.setlist_songs.map(setlistSong => ({
+          id: uuidv4(),
+          setlist_id: copy.id,
+          song_id: setlistSong.song_id,
+          position: setlistSong.position,
+          block_id: setlistSong.block_id ? blockIdMap[setlistSong.block_id] : null,
+          notes: setlistSong.notes,
+          ...PerformanceService.OVERRIDE_FIELDS.reduce((overrides, field) => {
+            overrides[field] = setlistSong[field];
+            return overrides;
+          }, {})
+        })),
+        { transaction: t }
+      );
+
+      const summary = `Duplicated from "${source.name}"`;
+      await RevisionService.recordRevision(copy.id, req.user.id, 'setlist:created', summary, t);
+      await ActivityService.record(req.user.id, copy, 'setlist:created', {
+        summary,
+        after: ActivityService.changedFields({}, copy, RevisionService.SETLIST_FIELDS).after
+      }, t);
+
+      return copy;
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, newSetlist, 'setlist:created', newSetlist);
+
+    res.status(201).json(newSetlist);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Import a setlist from pasted text or CSV
+ * Without `confirm` this only previews how each line matches the song library.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    content,
+    format,
+    name,
+    description,
+    band_id,
+    is_public,
+    confirm,
+    create_missing,
+    matches
+  } = req.body;
+
+  try {
+    // If band_id is provided, verify user may create setlists for the band
+    if (band_id) {
+      const band = await Band.findByPk(band_id);
+
+      if (!band) {
+        return res.status(404).json({ msg: 'Band not found' });
+      }
+
+      if (!await PermissionService.canCreateInBand(req.user.id, band.id)) {
+        return res.status(403).json(PermissionService.forbidden('create'));
+      }
+    }
+
+    // Band setlists match against the band's songs, personal ones against the user's
+    const library = await Song.findAll({
+      where: band_id ? { band_id } : { created_by: req.user.id }
+    });
+
+    const parsed = format === 'csv'
+      ? ImportService.parseCSV(content)
+      : ImportService.parseText(content);
+    const lines = ImportService.matchLines(parsed.lines, library);
+
+    // Apply the user's corrections from the preview, keyed by line number
+    for (const line of lines) {
+      const override = matches ? matches[line.line] : undefined;
+      if (override === undefined) continue;
+
+      if (override === null) {
+        line.match = null;
+        continue;
+      }
+
+      const song = library.find(librarySong => librarySong.id === override);
+      if (!song) {
+        return res.status(400).json({ msg: `Song for line ${line.line} is not in the song library` });
+      }
+      line.match = {
+        song_id: song.id,
+        title: song.title,
+        artist: song.artist || null,
+        key: song.key || null,
+        confidence: 1
+      };
+    }
+
+    const unmatched = lines.filter(line => !line.match);
+
+    if (!confirm) {
+      return res.json({
+        blocks: parsed.blocks,
+        lines,
+        matched_count: lines.length - unmatched.length,
+        unmatched
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({ msg: 'Name is required' });
+    }
+
+    const createdSongs = [];
+    const newSetlist = await sequelize.transaction(async (t) => {
+      const setlist = await Setlist.create({
+        id: uuidv4(),
+        name,
+        description,
+        band_id: band_id || null,
+        created_by: req.user.id,
+        is_public: is_public || false
+      }, { transaction: t });
+
+      const blockIds = {};
+      for (const [position, blockName] of parsed.blocks.entries()) {
+        const block = await Block.create({
+          id: uuidv4(),
+          setlist_id: setlist.id,
+          name: blockName,
+          position
+        }, { transaction: t });
+        blockIds[blockName] = block.id;
+      }
+
+      const setlistSongs = [];
+      for (const line of lines) {
+        let songId = line.match ? line.match.song_id : null;
+
+        if (!songId && create_missing) {
+          const song = await Song.create({
+            id: uuidv4(),
+            title: line.title,
+            artist: line.artist,
+            key: line.key,
+            band_id: band_id || null,
+            created_by: req.user.id
+          }, { transaction: t });
+          createdSongs.push(song);
+          songId = song.id;
+        }
+
+        if (songId) {
+          // A key on the line that differs from the library song is the key it was played in
+          const librarySong = library.find(song => song.id === songId);
+          const performedKey = line.key && librarySong && ArrangementService.parseKey(line.key)
+            ? PerformanceService.pickOverrides({ performed_key: line.key }, librarySong).performed_key
+            : null;
+
+          setlistSongs.push({
+            id: uuidv4(),
+            setlist_id: setlist.id,
+            song_id: songId,
+            position: setlistSongs.length,
+            block_id: line.block ? blockIds[line.block] : null,
+            notes: line.notes || null,
+            performed_key: performedKey
+          });
+        }
+      }
+
+      await SetlistSong.bulkCreate(setlistSongs, { transaction: t });
+
+      const summary = `Imported "${setlist.name}" with ${setlistSongs.length} songs`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:created', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:created', {
+        summary,
+        after: ActivityService.changedFields({}, setlist, RevisionService.SETLIST_FIELDS).after
+      }, t);
+
+      return setlist;
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, newSetlist, 'setlist:created', newSetlist);
+
+    res.status(201).json({
+      setlist: newSetlist,
+      created_songs: createdSongs,
+      skipped: create_missing ? [] : unmatched
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get all songs in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistSongs = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    const blocks = await Block.findAll({ where: { setlist_id: req.params.id } });
+    const offsets = TimingService.calculateSongOffsets(setlist, blocks, setlistSongs);
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(setlistSongs.map(setlistSong => ({
+      ...setlistSong.toJSON(),
+      ...offsets[setlistSong.id],
+      performance: PerformanceService.resolvePerformance(setlistSong)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Add a song to a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addSongToSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { song_id, position, block_id, notes } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    // Check if song exists
+    const song = await Song.findByPk(song_id);
+    if (!song) {
+      return res.status(404).json({ msg: 'Song not found' });
+    }
+
+    // If block_id is provided, check if it belongs to this setlist
+    if (block_id) {
+      const block = await Block.findByPk(block_id);
+      if (!block || block.setlist_id !== req.params.id) {
+        return res.status(400).json({ msg: 'Invalid block ID' });
+      }
+    }
+
+    const setlistSong = await sequelize.transaction(async (t) => {
+      // Create the setlist song entry
+      const created = await SetlistSong.create({
+        id: uuidv4(),
+        setlist_id: req.params.id,
+        song_id,
+        position,
+        block_id: block_id || null,
+        notes: notes || null,
+        ...PerformanceService.pickOverrides(req.body, song)
+      }, { transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = `Added "${song.title}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:song:added', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:song:added', {
+        summary,
+        target_type: 'song',
+        target_id: created.id,
+        after: ActivityService.describeSong(created, song)
+      }, t);
+
+      return created;
+    });
+
+    // Get the created setlist song with song details
+    const createdSetlistSong = await SetlistSong.findByPk(setlistSong.id, {
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ]
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:song:added', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      song: createdSetlistSong
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.status(201).json(createdSetlistSong);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Update the notes and performance overrides of a song in a setlist
+ * The library song is left untouched.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateSetlistSong = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const setlistSong = await SetlistSong.findOne({
+      where: {
+        setlist_id: req.params.id,
+        song_id: req.params.songId
+      },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ]
+    });
+
+    if (!setlistSong) {
+      return res.status(404).json({ msg: 'Song not found in setlist' });
+    }
+
+    const changes = PerformanceService.pickOverrides(req.body, setlistSong.song);
+    if (req.body.notes !== undefined) {
+      changes.notes = req.body.notes || null;
+    }
+
+    const previous = setlistSong.get({ plain: true });
+
+    await sequelize.transaction(async (t) => {
+      await setlistSong.update(changes, { transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = `Updated "${setlistSong.song.title}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:song:updated', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:song:updated', {
+        summary,
+        target_type: 'song',
+        target_id: setlistSong.id,
+        ...ActivityService.changedFields(previous, setlistSong, RevisionService.SONG_FIELDS)
+      }, t);
+    });
+
+    const updatedSetlistSong = {
+      ...setlistSong.toJSON(),
+      performance: PerformanceService.resolvePerformance(setlistSong)
+    };
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:song:updated', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      song: updatedSetlistSong
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(updatedSetlistSong);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Remove a song from a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeSongFromSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    // Find the setlist song
+    const setlistSong = await SetlistSong.findOne({
+      where: {
+        setlist_id: req.params.id,
+        song_id: req.params.songId
+      }
+    });
+
+    if (!setlistSong) {
+      return res.status(404).json({ msg: 'Song not found in setlist' });
+    }
+
+    const setlistSongId = setlistSong.id;
+    const removedSong = await Song.findByPk(setlistSong.song_id, { attributes: ['title'] });
+
+    await sequelize.transaction(async (t) => {
+      // Delete the setlist song
+      await setlistSong.destroy({ transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = removedSong ? `Removed "${removedSong.title}"` : 'Removed a song';
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:song:removed', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:song:removed', {
+        summary,
+        target_type: 'song',
+        target_id: setlistSongId,
+        before: ActivityService.describeSong(setlistSong, removedSong)
+      }, t);
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:song:removed', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      song_id: req.params.songId
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json({ msg: 'Song removed from setlist' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Reorder songs in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reorderSetlistSongs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { songs } = req.body;
+
+  if (!songs || !Array.isArray(songs) || songs.length === 0) {
+    return res.status(400).json({ msg: 'Songs array is required' });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
     }
 
     // Update each song position in a transaction
     await sequelize.transaction(async (t) => {
-      for (const song of songs) {
-        await SetlistSong.update(
-          { 
-            position: song.position,
-            block_id: song.block_id || null
+      const before = await ActivityService.describeOrder(setlist.id, t);
+
+      for (const song of songs) {
+        await SetlistSong.update(
+          { 
+            position: song.position,
+            block_id: song.block_id || null
+          },
+          { 
+            where: {
+              id: song.id,
+              setlist_id: req.params.id
+            },
+            transaction: t
+          }
+        );
+      }
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:songs:reordered', 'Reordered songs', t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:songs:reordered', {
+        summary: 'Reordered songs',
+        before,
+        after: await ActivityService.describeOrder(setlist.id, t)
+      }, t);
+    });
+
+    // Get updated setlist songs
+    const updatedSetlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:songs:reordered', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      songs: updatedSetlistSongs
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(updatedSetlistSongs);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Apply a batch of song operations to a setlist in one go
+ * All operations are applied in one transaction, positions are renumbered
+ * and one event is sent; if any operation is invalid nothing is changed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.batchEditSetlistSongs = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { operations } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: setlist.id },
+      order: [['position', 'ASC']]
+    });
+    const blocks = await Block.findAll({ where: { setlist_id: setlist.id }, attributes: ['id'] });
+
+    const songIds = [...new Set(operations.filter(operation => operation.op === 'add').map(operation => operation.song_id))];
+    const songs = songIds.length > 0
+      ? await Song.findAll({ where: { id: { [Op.in]: songIds } }, attributes: ['id', 'title'] })
+      : [];
+
+    const plan = SetlistBatchService.plan(
+      setlistSongs,
+      new Set(blocks.map(block => block.id)),
+      new Map(songs.map(song => [song.id, song])),
+      operations
+    );
+    if (plan.error) {
+      return res.status(400).json({ msg: plan.error });
+    }
+
+    const summary = SetlistBatchService.describe(plan.counts);
+    await sequelize.transaction(async (t) => {
+      const before = await ActivityService.describeOrder(setlist.id, t);
+
+      if (plan.removed.length > 0) {
+        await SetlistSong.destroy({
+          where: { id: plan.removed, setlist_id: setlist.id },
+          transaction: t
+        });
+      }
+
+      for (const entry of plan.changed) {
+        await SetlistSong.update(
+          {
+            position: entry.position,
+            block_id: entry.block_id,
+            notes: entry.notes
+          },
+          {
+            where: { id: entry.id },
+            transaction: t
+          }
+        );
+      }
+
+      await SetlistSong.bulkCreate(plan.added.map(entry => ({
+        id: entry.id,
+        setlist_id: setlist.id,
+        song_id: entry.song_id,
+        position: entry.position,
+        block_id: entry.block_id,
+        notes: entry.notes
+      })), { transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:songs:edited', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:songs:edited', {
+        summary,
+        before,
+        after: await ActivityService.describeOrder(setlist.id, t)
+      }, t);
+    });
+
+    const updatedSetlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    // Emit one socket event for the whole batch
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:songs:edited', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      summary,
+      songs: updatedSetlistSongs
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(updatedSetlistSongs);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Propose an ordering of a setlist's songs that flows by key, tempo and energy
+ * Nothing is saved; the proposed songs can be applied with the reorder endpoint.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.arrangeSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { block_id, pinned = [], weights } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const blocks = await Block.findAll({
+      where: { setlist_id: req.params.id },
+      order: [['position', 'ASC']]
+    });
+
+    if (block_id && !blocks.some(block => block.id === block_id)) {
+      return res.status(400).json({ msg: 'Invalid block ID' });
+    }
+
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    const pins = pinned.reduce((result, pin) => {
+      result[pin.setlist_song_id] = pin.position;
+      return result;
+    }, {});
+
+    // Songs are only rearranged within their own block
+    const blockIds = new Set(blocks.map(block => block.id));
+    const groups = [
+      ...blocks.map(block => ({ block_id: block.id, name: block.name })),
+      { block_id: null, name: 'Unassigned' }
+    ].filter(group => !block_id || group.block_id === block_id);
+
+    const proposed = {};
+    const results = [];
+    for (const group of groups) {
+      const groupSongs = setlistSongs.filter(setlistSong => (
+        group.block_id
+          ? setlistSong.block_id === group.block_id
+          : !setlistSong.block_id || !blockIds.has(setlistSong.block_id)
+      ));
+
+      if (groupSongs.length === 0) continue;
+
+      const result = ArrangementService.arrange(
+        groupSongs.map(setlistSong => ({
+          id: setlistSong.id,
+          title: setlistSong.song.title,
+          // Arrange by how the songs are played in this setlist
+          key: setlistSong.performed_key || setlistSong.song.key,
+          tempo: setlistSong.performed_tempo || setlistSong.song.tempo
+        })),
+        { pinned: pins, weights }
+      );
+
+      // The group keeps the positions it already occupies, just in a new order
+      const positions = groupSongs.map(setlistSong => setlistSong.position);
+      result.order.forEach((song, index) => {
+        proposed[song.id] = positions[index];
+      });
+
+      results.push({
+        block_id: group.block_id,
+        name: group.name,
+        song_count: groupSongs.length,
+        score: result.score,
+        current_score: result.current_score,
+        transitions: result.transitions,
+        explanation: result.transitions
+          .map(transition => transition.explanation)
+          .filter(explanation => explanation)
+      });
+    }
+
+    const weightedScore = key => {
+      const count = results.reduce((sum, result) => sum + result.song_count, 0);
+      return count > 0
+        ? Math.round(results.reduce((sum, result) => sum + result[key] * result.song_count, 0) / count)
+        : 100;
+    };
+    const score = weightedScore('score');
+    const currentScore = weightedScore('current_score');
+
+    res.json({
+      setlist_id: req.params.id,
+      version: setlist.version,
+      score,
+      current_score: currentScore,
+      summary: score > currentScore
+        ? `Flow score improves from ${currentScore} to ${score}`
+        : 'The current order already flows as well as any proposed order',
+      songs: setlistSongs
+        .map(setlistSong => ({
+          id: setlistSong.id,
+          position: setlistSong.id in proposed ? proposed[setlistSong.id] : setlistSong.position,
+          block_id: setlistSong.block_id
+        }))
+        .sort((a, b) => a.position - b.position),
+      blocks: results
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the running time of a setlist and each of its blocks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistTiming = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const blocks = await Block.findAll({ where: { setlist_id: req.params.id } });
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ]
+    });
+
+    res.json(TimingService.calculateSetlistTiming(setlist, blocks, setlistSongs));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get all blocks in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistBlocks = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const blocks = await Block.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: SetlistSong,
+          as: 'songs',
+          include: [
+            {
+              model: Song,
+              as: 'song'
+            }
+          ]
+        }
+      ],
+      order: [
+        ['position', 'ASC'],
+        [{ model: SetlistSong, as: 'songs' }, 'position', 'ASC']
+      ]
+    });
+
+    res.json(blocks);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Create a block in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createBlock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, position, target_duration } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    // Append to the end unless a position is given
+    let blockPosition = position;
+    if (blockPosition === undefined) {
+      const lastPosition = await Block.max('position', { where: { setlist_id: req.params.id } });
+      blockPosition = lastPosition === null || lastPosition === undefined ? 0 : lastPosition + 1;
+    }
+
+    const block = await sequelize.transaction(async (t) => {
+      const created = await Block.create({
+        id: uuidv4(),
+        setlist_id: req.params.id,
+        name,
+        position: blockPosition,
+        target_duration: target_duration || null
+      }, { transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = `Added block "${created.name}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:block:created', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:block:created', {
+        summary,
+        target_type: 'block',
+        target_id: created.id,
+        after: ActivityService.changedFields({}, created, RevisionService.BLOCK_FIELDS).after
+      }, t);
+
+      return created;
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:block:created', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      block
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.status(201).json(block);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Rename or reposition a block in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateBlock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, position, target_duration } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const block = await Block.findOne({
+      where: {
+        id: req.params.blockId,
+        setlist_id: req.params.id
+      }
+    });
+
+    if (!block) {
+      return res.status(404).json({ msg: 'Block not found' });
+    }
+
+    const previous = block.get({ plain: true });
+
+    // Update fields
+    if (name) block.name = name;
+    if (position !== undefined) block.position = position;
+    if (target_duration !== undefined) block.target_duration = target_duration;
+
+    await sequelize.transaction(async (t) => {
+      await block.save({ transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = `Updated block "${block.name}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:block:updated', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:block:updated', {
+        summary,
+        target_type: 'block',
+        target_id: block.id,
+        ...ActivityService.changedFields(previous, block, RevisionService.BLOCK_FIELDS)
+      }, t);
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:block:updated', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      block
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(block);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Reorder blocks in a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.reorderBlocks = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { blocks } = req.body;
+
+  if (!blocks || !Array.isArray(blocks) || blocks.length === 0) {
+    return res.status(400).json({ msg: 'Blocks array is required' });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    // Update each block position in a transaction
+    await sequelize.transaction(async (t) => {
+      const before = await ActivityService.describeBlockOrder(setlist.id, t);
+
+      for (const block of blocks) {
+        await Block.update(
+          { position: block.position },
+          {
+            where: {
+              id: block.id,
+              setlist_id: req.params.id
+            },
+            transaction: t
+          }
+        );
+      }
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:blocks:reordered', 'Reordered blocks', t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:blocks:reordered', {
+        summary: 'Reordered blocks',
+        before,
+        after: await ActivityService.describeBlockOrder(setlist.id, t)
+      }, t);
+    });
+
+    const updatedBlocks = await Block.findAll({
+      where: { setlist_id: req.params.id },
+      order: [['position', 'ASC']]
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:blocks:reordered', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      blocks: updatedBlocks
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(updatedBlocks);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Delete a block from a setlist, moving its songs to another block or removing them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteBlock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { songs = 'move', target_block_id } = req.query;
+
+  if (!['move', 'remove'].includes(songs)) {
+    return res.status(400).json({ msg: 'Songs must be either "move" or "remove"' });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const block = await Block.findOne({
+      where: {
+        id: req.params.blockId,
+        setlist_id: req.params.id
+      }
+    });
+
+    if (!block) {
+      return res.status(404).json({ msg: 'Block not found' });
+    }
+
+    // Songs are moved out of any block unless a target block is given
+    if (songs === 'move' && target_block_id) {
+      const targetBlock = await Block.findByPk(target_block_id);
+      if (!targetBlock || targetBlock.setlist_id !== req.params.id || targetBlock.id === block.id) {
+        return res.status(400).json({ msg: 'Invalid target block ID' });
+      }
+    }
+
+    await sequelize.transaction(async (t) => {
+      if (songs === 'remove') {
+        await SetlistSong.destroy({
+          where: { block_id: block.id },
+          transaction: t
+        });
+      } else {
+        await SetlistSong.update(
+          { block_id: target_block_id || null },
+          {
+            where: { block_id: block.id },
+            transaction: t
+          }
+        );
+      }
+
+      await block.destroy({ transaction: t });
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = songs === 'remove'
+        ? `Deleted block "${block.name}" and its songs`
+        : `Deleted block "${block.name}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:block:deleted', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:block:deleted', {
+        summary,
+        target_type: 'block',
+        target_id: block.id,
+        before: ActivityService.changedFields({}, block, RevisionService.BLOCK_FIELDS).after
+      }, t);
+    });
+
+    const updatedSetlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    const payload = {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      block_id: req.params.blockId,
+      songs: updatedSetlistSongs
+    };
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:block:deleted', payload);
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(payload);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Move songs in a setlist into a block
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.moveSongsToBlock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { setlist_song_ids } = req.body;
+
+  if (!setlist_song_ids || !Array.isArray(setlist_song_ids) || setlist_song_ids.length === 0) {
+    return res.status(400).json({ msg: 'Setlist song IDs array is required' });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const block = await Block.findOne({
+      where: {
+        id: req.params.blockId,
+        setlist_id: req.params.id
+      }
+    });
+
+    if (!block) {
+      return res.status(404).json({ msg: 'Block not found' });
+    }
+
+    await sequelize.transaction(async (t) => {
+      const before = await ActivityService.describeOrder(setlist.id, t);
+
+      await SetlistSong.update(
+        { block_id: block.id },
+        {
+          where: {
+            id: setlist_song_ids,
+            setlist_id: req.params.id
           },
-          { 
-            where: { id: song.id },
-            transaction: t
-          }
-        );
+          transaction: t
+        }
+      );
+
+      // Update the setlist's updated_at timestamp
+      setlist.changed('updated_at', true);
+      await setlist.save({ transaction: t });
+
+      const summary = `Moved ${setlist_song_ids.length} song(s) to "${block.name}"`;
+      await RevisionService.recordRevision(setlist.id, req.user.id, 'setlist:songs:reordered', summary, t);
+      await ActivityService.record(req.user.id, setlist, 'setlist:songs:reordered', {
+        summary,
+        before,
+        after: await ActivityService.describeOrder(setlist.id, t)
+      }, t);
+    });
+
+    const updatedSetlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:songs:reordered', {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      songs: updatedSetlistSongs
+    });
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(updatedSetlistSongs);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the revision history of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistRevisions = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const revisions = await SetlistRevision.findAll({
+      where: { setlist_id: req.params.id },
+      attributes: { exclude: ['snapshot'] },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'email']
+        }
+      ],
+      order: [['revision', 'DESC']]
+    });
+
+    res.json(revisions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get a single revision of a setlist, including its snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSetlistRevision = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const revision = await SetlistRevision.findOne({
+      where: {
+        setlist_id: req.params.id,
+        revision: req.params.rev
+      },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'username', 'email']
+        }
+      ]
+    });
+
+    if (!revision) {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Compare two revisions of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.diffSetlistRevisions = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    // Compare against the latest revision unless told otherwise
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to !== undefined
+      ? parseInt(req.query.to, 10)
+      : await SetlistRevision.max('revision', { where: { setlist_id: req.params.id } });
+
+    const revisions = await SetlistRevision.findAll({
+      where: {
+        setlist_id: req.params.id,
+        revision: [from, to]
+      }
+    });
+
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      changes: RevisionService.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Restore a setlist to an earlier revision
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.restoreSetlistRevision = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has permission to update
+    if (!await PermissionService.can(req.user.id, setlist, 'edit')) {
+      return res.status(403).json(PermissionService.forbidden('edit'));
+    }
+
+    // Reject writes based on an outdated version of the setlist
+    if (isStaleWrite(req, setlist)) {
+      return res.status(409).json(await getVersionConflict(setlist.id));
+    }
+
+    const revision = await SetlistRevision.findOne({
+      where: {
+        setlist_id: req.params.id,
+        revision: req.params.rev
       }
+    });
+
+    if (!revision) {
+      return res.status(404).json({ msg: 'Revision not found' });
+    }
+
+    // Restoring is itself recorded as a new revision, so history is never rewritten
+    const { skippedSongs, newRevision } = await sequelize.transaction(async (t) => {
+      const skipped = await RevisionService.restoreSnapshot(setlist, revision.snapshot, t);
+      const recorded = await RevisionService.recordRevision(
+        setlist.id,
+        req.user.id,
+        'setlist:revision:restored',
+        `Restored revision ${revision.revision}`,
+        t
+      );
+      await ActivityService.record(req.user.id, setlist, 'setlist:revision:restored', {
+        summary: `Restored revision ${revision.revision}`,
+        after: { revision: revision.revision, skipped_songs: skipped.length }
+      }, t);
+
+      return { skippedSongs: skipped, newRevision: recorded };
+    });
+
+    const restoredSetlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: req.params.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        },
+        {
+          model: Block,
+          as: 'block'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    const restoredBlocks = await Block.findAll({
+      where: { setlist_id: req.params.id },
+      order: [['position', 'ASC']]
+    });
+
+    const payload = {
+      setlist_id: req.params.id,
+      version: setlist.version,
+      restored_revision: revision.revision,
+      revision: newRevision.revision,
+      setlist,
+      blocks: restoredBlocks,
+      songs: restoredSetlistSongs,
+      skipped_songs: skippedSongs
+    };
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:revision:restored', payload);
+
+    res.set('X-Setlist-Version', setlist.version);
+    res.json(payload);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'SequelizeOptimisticLockError') {
+      return res.status(409).json(await getVersionConflict(req.params.id));
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the live show state of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getLiveSession = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Check if user has access to this setlist
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    const session = await LiveSession.findOne({ where: { setlist_id: req.params.id } });
+
+    if (!session) {
+      return res.status(404).json({ msg: 'Setlist is not live' });
+    }
 
-      // Update the setlist's updated_at timestamp
-      setlist.changed('updated_at', true);
-      await setlist.save({ transaction: t });
-    });
+    res.json(await LiveService.getState(setlist, session));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
 
-    // Get updated setlist songs
-    const updatedSetlistSongs = await SetlistSong.findAll({
-      where: { setlist_id: req.params.id },
-      include: [
-        {
-          model: Song,
-          as: 'song'
-        },
-        {
-          model: Block,
-          as: 'block'
-        }
-      ],
-      order: [['position', 'ASC']]
-    });
+/**
+ * Start playing a setlist live, or take over leading a show that is already live
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.startLiveSession = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    const { status, state, ...error } = await LiveService.start(req.user.id, setlist, req.body);
+
+    if (status) {
+      return res.status(status).json(state ? { ...error, state } : error);
+    }
 
     // Emit socket event for real-time updates
-    if (setlist.band_id) {
-      io.to(`band:${setlist.band_id}`).emit('setlist:songs:reordered', {
-        setlist_id: req.params.id,
-        songs: updatedSetlistSongs
-      });
+    await RealtimeService.emitSetlistEvent(req, setlist, 'live:updated', state);
+
+    res.json(state);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Move a live show to the next, previous or a specific song, or skip the current one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.moveLiveSession = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
     }
-    io.to(`user:${req.user.id}`).emit('setlist:songs:reordered', {
-      setlist_id: req.params.id,
-      songs: updatedSetlistSongs
-    });
 
-    res.json(updatedSetlistSongs);
+    const { status, state, ...error } = await LiveService.advance(
+      req.user.id,
+      setlist,
+      req.params.action,
+      req.body.setlist_song_id
+    );
+
+    if (status) {
+      return res.status(status).json(error);
+    }
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'live:updated', state);
+
+    res.json(state);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * End the live show of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.endLiveSession = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    const session = await LiveSession.findOne({ where: { setlist_id: req.params.id } });
+
+    if (!session) {
+      return res.status(404).json({ msg: 'Setlist is not live' });
+    }
+
+    // The leader or anyone who administers the setlist can end the show
+    if (session.led_by !== req.user.id && !await PermissionService.can(req.user.id, setlist, 'manage')) {
+      return res.status(403).json({ msg: 'Only the member leading the show can end it', action: 'perform' });
+    }
+
+    await session.destroy();
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'live:ended', { setlist_id: req.params.id });
+
+    res.json({ msg: 'Live show ended' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -561,11 +2480,16 @@ exports.reorderSetlistSongs = async (req, res) => {
 };
 
 /**
- * Export setlist to PDF
+ * Export setlist as PDF, plain text, CSV, JSON, Markdown or ChordPro
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.exportSetlistToPDF = async (req, res) => {
+exports.exportSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const setlist = await Setlist.findByPk(req.params.id, {
       include: [
@@ -586,12 +2510,8 @@ exports.exportSetlistToPDF = async (req, res) => {
     }
 
     // Check if user has access to this setlist
-    const hasAccess = setlist.created_by === req.user.id || 
-                      setlist.is_public || 
-                      await isUserBandMember(req.user.id, setlist.band_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({ msg: 'Access denied' });
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
     }
 
     // Get setlist songs
@@ -610,15 +2530,30 @@ exports.exportSetlistToPDF = async (req, res) => {
       order: [['position', 'ASC']]
     });
 
-    // Generate PDF
-    const pdfBuffer = await PDFService.generateSetlistPDF(setlist, setlistSongs);
+    const format = req.query.format || 'pdf';
+    const { contentType, extension } = ExportService.FORMATS[format];
+
+    let body;
+    if (format === 'pdf') {
+      body = await PDFService.generateSetlistPDF(setlist, setlistSongs);
+    } else {
+      const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+      const data = ExportService.buildExport(setlist, blocks, setlistSongs);
+      const renderers = {
+        txt: ExportService.toText,
+        csv: ExportService.toCSV,
+        json: ExportService.toJSON,
+        md: ExportService.toMarkdown,
+        chordpro: ExportService.toChordPro
+      };
+      body = renderers[format](data);
+    }
 
     // Set response headers
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=setlist-${setlist.id}.pdf`);
-    
-    // Send the PDF as the response
-    res.send(pdfBuffer);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=setlist-${setlist.id}.${extension}`);
+
+    res.send(body);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -646,12 +2581,8 @@ exports.exportSetlistToSpotify = async (req, res) => {
     }
 
     // Check if user has access to this setlist
-    const hasAccess = setlist.created_by === req.user.id || 
-                      setlist.is_public || 
-                      await isUserBandMember(req.user.id, setlist.band_id);
-
-    if (!hasAccess) {
-      return res.status(403).json({ msg: 'Access denied' });
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
     }
 
     // Get setlist songs
@@ -702,6 +2633,11 @@ exports.exportSetlistToSpotify = async (req, res) => {
  * @param {Object} res - Express response object
  */
 exports.generateShareLink = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   const { expiry = 30, read_only = true } = req.body;
 
   try {
@@ -712,8 +2648,8 @@ exports.generateShareLink = async (req, res) => {
     }
 
     // Check if user has permission to share
-    if (setlist.created_by !== req.user.id && !await isUserBandMember(req.user.id, setlist.band_id)) {
-      return res.status(403).json({ msg: 'You do not have permission to share this setlist' });
+    if (!await PermissionService.can(req.user.id, setlist, 'share')) {
+      return res.status(403).json(PermissionService.forbidden('share'));
     }
 
     // Generate share link
@@ -733,22 +2669,273 @@ exports.generateShareLink = async (req, res) => {
 };
 
 /**
- * Helper function to check if a user is a member of a band
- * @param {string} userId - User ID
- * @param {string} bandId - Band ID
- * @returns {Promise<boolean>} - True if user is a member, false otherwise
+ * Get the active share links of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-async function isUserBandMember(userId, bandId) {
-  if (!bandId) return false;
-  
-  const bandMember = await BandMember.findOne({
-    where: {
-      band_id: bandId,
-      user_id: userId
+exports.getShareLinks = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    // Only people who can share the setlist can see its links
+    if (!await PermissionService.can(req.user.id, setlist, 'share')) {
+      return res.status(403).json(PermissionService.forbidden('share'));
+    }
+
+    const links = await ShareService.listActiveLinks('setlist', setlist.id);
+
+    res.json(links);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Revoke a share link of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'share')) {
+      return res.status(403).json(PermissionService.forbidden('share'));
+    }
+
+    const link = await ShareLink.findOne({
+      where: {
+        id: req.params.linkId,
+        resource_type: 'setlist',
+        resource_id: setlist.id,
+        revoked_at: null
+      }
+    });
+
+    if (!link) {
+      return res.status(404).json({ msg: 'Share link not found' });
+    }
+
+    await ShareService.revokeShareLink(link);
+
+    res.json({ msg: 'Share link revoked', id: link.id });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get the collaborators of a setlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCollaborators = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    // Email addresses are for those who manage access
+    const canManage = await PermissionService.can(req.user.id, setlist, 'manage');
+
+    const collaborators = await SetlistCollaborator.findAll({
+      where: { setlist_id: setlist.id },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: canManage ? ['id', 'username', 'email'] : ['id', 'username']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json(collaborators);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Give someone access to a setlist, or change their access if they have it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addCollaborator = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { email, role = 'viewer' } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'manage')) {
+      return res.status(403).json(PermissionService.forbidden('manage'));
+    }
+
+    const user = await User.findOne({
+      where: { email },
+      attributes: ['id', 'username', 'email']
+    });
+
+    if (!user) {
+      return res.status(404).json({ msg: 'No user found with that email' });
+    }
+
+    if (user.id === setlist.created_by) {
+      return res.status(400).json({ msg: 'The creator of a setlist already has access to it' });
+    }
+
+    let collaborator = await SetlistCollaborator.findOne({
+      where: { setlist_id: setlist.id, user_id: user.id }
+    });
+    const created = !collaborator;
+
+    if (collaborator) {
+      collaborator.role = role;
+      collaborator.granted_by = req.user.id;
+      await collaborator.save();
+    } else {
+      collaborator = await SetlistCollaborator.create({
+        id: uuidv4(),
+        setlist_id: setlist.id,
+        user_id: user.id,
+        role,
+        granted_by: req.user.id
+      });
+    }
+
+    const payload = { ...collaborator.toJSON(), user };
+
+    // Emit socket event for real-time updates; only managers see email addresses
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:collaborator:updated', {
+      ...payload,
+      user: { id: user.id, username: user.username }
+    });
+
+    res.status(created ? 201 : 200).json(payload);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Take away someone's access to a setlist
+ * Collaborators can also remove themselves.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    const setlist = await Setlist.findByPk(req.params.id);
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    const leaving = req.params.userId === req.user.id;
+    if (!leaving && !await PermissionService.can(req.user.id, setlist, 'manage')) {
+      return res.status(403).json(PermissionService.forbidden('manage'));
+    }
+
+    const collaborator = await SetlistCollaborator.findOne({
+      where: { setlist_id: setlist.id, user_id: req.params.userId }
+    });
+
+    if (!collaborator) {
+      return res.status(404).json({ msg: 'Collaborator not found' });
     }
+
+    await collaborator.destroy();
+
+    const payload = { setlist_id: setlist.id, user_id: collaborator.user_id };
+
+    // Emit socket event for real-time updates
+    await RealtimeService.emitSetlistEvent(req, setlist, 'setlist:collaborator:removed', payload);
+    // The removed collaborator is no longer in the setlist's rooms
+    io.to(`user:${collaborator.user_id}`).emit('setlist:collaborator:removed', payload);
+
+    res.json({ msg: 'Collaborator removed', ...payload });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to check if a write was based on an outdated version of a setlist
+ * Clients send the version they last saw as `version` in the body or query string;
+ * the route requires it.
+ * @param {Object} req - Express request object
+ * @param {Object} setlist - Setlist being written
+ * @returns {boolean} - True if the client's version is stale, false otherwise
+ */
+function isStaleWrite(req, setlist) {
+  const version = req.body && req.body.version !== undefined ? req.body.version : req.query.version;
+
+  return parseInt(version, 10) !== setlist.version;
+}
+
+/**
+ * Helper function to build the response for a write based on an outdated version
+ * @param {string} setlistId - Setlist ID
+ * @returns {Promise<Object>} - Error message with the current setlist and its songs
+ */
+async function getVersionConflict(setlistId) {
+  const setlist = await Setlist.findByPk(setlistId, {
+    include: [
+      {
+        model: Block,
+        as: 'blocks'
+      }
+    ]
+  });
+
+  const setlistSongs = await SetlistSong.findAll({
+    where: { setlist_id: setlistId },
+    include: [
+      {
+        model: Song,
+        as: 'song'
+      },
+      {
+        model: Block,
+        as: 'block'
+      }
+    ],
+    order: [['position', 'ASC']]
   });
 
-  return !!bandMember;
+  return {
+    msg: 'This setlist has been changed by someone else',
+    setlist,
+    songs: setlistSongs
+  };
 }
 
 /**
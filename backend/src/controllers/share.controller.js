@@ -0,0 +1,60 @@
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const Block = require('../models/block.model');
+const ShareService = require('../services/share.service');
+
+/**
+ * Resolve a share token to the shared resource (no authentication)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resolveShareLink = async (req, res) => {
+  try {
+    const link = await ShareService.findByToken(req.params.token);
+
+    if (!link || link.resource_type !== 'setlist') {
+      return res.status(404).json({ msg: 'Share link not found' });
+    }
+
+    if (ShareService.isExpired(link)) {
+      return res.status(410).json({ msg: 'Share link has expired' });
+    }
+
+    const setlist = await Setlist.findByPk(link.resource_id, {
+      include: [
+        {
+          model: Band,
+          as: 'band',
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+    const setlistSongs = await SetlistSong.findAll({
+      where: { setlist_id: setlist.id },
+      include: [
+        {
+          model: Song,
+          as: 'song'
+        }
+      ],
+      order: [['position', 'ASC']]
+    });
+
+    await ShareService.recordAccess(link);
+
+    // Revoking a link must take effect immediately, so nothing may cache the view
+    res.set('Cache-Control', 'no-store');
+    res.json(ShareService.buildSharedSetlist(link, setlist, blocks, setlistSongs));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
@@ -0,0 +1,75 @@
+const { validationResult } = require('express-validator');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const Block = require('../models/block.model');
+const Gig = require('../models/gig.model');
+const PermissionService = require('../services/permission.service');
+const SongStatsService = require('../services/songStats.service');
+
+/**
+ * Get the usage statistics of a band's songs across its setlists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSongStats = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id, recent, overuse_share } = req.query;
+
+  try {
+    const band = await Band.findByPk(band_id);
+
+    if (!band) {
+      return res.status(404).json({ msg: 'Band not found' });
+    }
+
+    if (!await PermissionService.hasBandRole(req.user.id, band.id, 'viewer')) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const songs = await Song.findAll({
+      where: { band_id: band.id },
+      attributes: ['id', 'title', 'artist']
+    });
+
+    // Setlists in the trash don't count
+    const setlists = await Setlist.findAll({
+      where: { band_id: band.id },
+      attributes: ['id', 'created_at'],
+      include: [
+        {
+          model: Block,
+          as: 'blocks',
+          attributes: ['id', 'position']
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs',
+          attributes: ['id', 'song_id', 'block_id', 'position']
+        },
+        {
+          model: Gig,
+          as: 'gigs',
+          attributes: ['id', 'date'],
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    res.json({
+      band_id: band.id,
+      ...SongStatsService.buildSongStats(songs, setlists, {
+        recent: recent ? parseInt(recent, 10) : undefined,
+        overuseShare: overuse_share ? parseFloat(overuse_share) : undefined
+      })
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
@@ -0,0 +1,359 @@
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const SetlistTemplate = require('../models/setlistTemplate.model');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Block = require('../models/block.model');
+const Song = require('../models/song.model');
+const User = require('../models/user.model');
+const Band = require('../models/band.model');
+const PermissionService = require('../services/permission.service');
+const TemplateService = require('../services/template.service');
+const io = require('../socket');
+
+// Fixed songs come from the band's songs, or the creator's own for a personal template
+const OUTSIDE_LIBRARY_MSG = 'Fixed songs must be songs of the template band, or your own songs for a personal template';
+
+/**
+ * Get the templates the authenticated user can use: their own and their bands'
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTemplates = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id } = req.query;
+
+  try {
+    const bandIds = await PermissionService.getBandIds(req.user.id);
+
+    const conditions = [
+      {
+        [Op.or]: [
+          { band_id: null, created_by: req.user.id },
+          { band_id: { [Op.in]: bandIds } }
+        ]
+      }
+    ];
+    if (band_id) {
+      conditions.push({ band_id: band_id === 'none' ? null : band_id });
+    }
+
+    const templates = await SetlistTemplate.findAll({
+      where: { [Op.and]: conditions },
+      include: templateIncludes(),
+      order: [['name', 'ASC']]
+    });
+
+    res.json(await withSlotSongs(templates));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Get a template by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTemplateById = async (req, res) => {
+  try {
+    const template = await SetlistTemplate.findByPk(req.params.id, { include: templateIncludes() });
+
+    if (!template) {
+      return res.status(404).json({ msg: 'Template not found' });
+    }
+
+    if (!await TemplateService.canUse(req.user.id, template)) {
+      return res.status(403).json({ msg: 'Access denied' });
+    }
+
+    const [result] = await withSlotSongs([template]);
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Create a template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { band_id, blocks = [], fixed_slots = [] } = req.body;
+
+  try {
+    if (band_id) {
+      const band = await Band.findByPk(band_id);
+
+      if (!band) {
+        return res.status(404).json({ msg: 'Band not found' });
+      }
+
+      if (!await PermissionService.canCreateInBand(req.user.id, band.id)) {
+        return res.status(403).json(PermissionService.forbidden('templates'));
+      }
+    }
+
+    const problem = TemplateService.checkStructure(blocks, fixed_slots);
+    if (problem) {
+      return res.status(400).json({ msg: problem });
+    }
+
+    const owner = { band_id: band_id || null, created_by: req.user.id };
+    if ((await TemplateService.findSongsOutsideLibrary(owner, fixed_slots)).length > 0) {
+      return res.status(400).json({ msg: OUTSIDE_LIBRARY_MSG });
+    }
+
+    const template = await SetlistTemplate.create({
+      ...pickTemplateFields(req.body),
+      id: uuidv4(),
+      band_id: band_id || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(await sendTemplateEvent(template, 'template:created'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Save an existing setlist as a template: its blocks, timing settings and
+ * optionally its opening and closing songs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createTemplateFromSetlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, fix_opener_and_closer } = req.body;
+
+  try {
+    const setlist = await Setlist.findByPk(req.params.id, {
+      include: [
+        {
+          model: Block,
+          as: 'blocks'
+        },
+        {
+          model: SetlistSong,
+          as: 'setlist_songs'
+        }
+      ]
+    });
+
+    if (!setlist) {
+      return res.status(404).json({ msg: 'Setlist not found' });
+    }
+
+    if (!await PermissionService.can(req.user.id, setlist, 'view')) {
+      return res.status(403).json(PermissionService.forbidden('view'));
+    }
+
+    // The template stays with the setlist's band unless retargeted (null makes it personal)
+    const bandId = req.body.band_id !== undefined ? req.body.band_id : setlist.band_id;
+
+    if (bandId && !await PermissionService.canCreateInBand(req.user.id, bandId)) {
+      return res.status(403).json(PermissionService.forbidden('templates'));
+    }
+
+    const structure = TemplateService.fromSetlist(setlist, setlist.blocks, setlist.setlist_songs, Boolean(fix_opener_and_closer));
+    const owner = { band_id: bandId || null, created_by: req.user.id };
+    if ((await TemplateService.findSongsOutsideLibrary(owner, structure.fixed_slots)).length > 0) {
+      return res.status(400).json({ msg: OUTSIDE_LIBRARY_MSG });
+    }
+
+    const template = await SetlistTemplate.create({
+      ...structure,
+      id: uuidv4(),
+      name: name || setlist.name,
+      description: description !== undefined ? description : setlist.description,
+      band_id: bandId || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(await sendTemplateEvent(template, 'template:created'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Update a template
+ * Passing `blocks` or `fixed_slots` replaces them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateTemplate = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await SetlistTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ msg: 'Template not found' });
+    }
+
+    if (!await TemplateService.canManage(req.user.id, template)) {
+      return res.status(403).json(PermissionService.forbidden('templates'));
+    }
+
+    const problem = TemplateService.checkStructure(
+      req.body.blocks || template.blocks,
+      req.body.fixed_slots || template.fixed_slots
+    );
+    if (problem) {
+      return res.status(400).json({ msg: problem });
+    }
+
+    if (req.body.fixed_slots && (await TemplateService.findSongsOutsideLibrary(template, req.body.fixed_slots)).length > 0) {
+      return res.status(400).json({ msg: OUTSIDE_LIBRARY_MSG });
+    }
+
+    await template.update(pickTemplateFields(req.body));
+
+    res.json(await sendTemplateEvent(template, 'template:updated'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Delete a template
+ * Setlists made from it are kept.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await SetlistTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ msg: 'Template not found' });
+    }
+
+    if (!await TemplateService.canManage(req.user.id, template)) {
+      return res.status(403).json(PermissionService.forbidden('templates'));
+    }
+
+    await template.destroy();
+
+    // Emit socket event for real-time updates
+    if (template.band_id) {
+      io.to(`band:${template.band_id}`).emit('template:deleted', { id: template.id, band_id: template.band_id });
+    }
+
+    res.json({ msg: 'Template removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+/**
+ * Helper function to build the includes of a template
+ * @returns {Array} - Sequelize includes for the band and creator
+ */
+function templateIncludes() {
+  return [
+    {
+      model: Band,
+      as: 'band',
+      attributes: ['id', 'name']
+    },
+    {
+      model: User,
+      as: 'creator',
+      attributes: ['id', 'username']
+    }
+  ];
+}
+
+/**
+ * Helper function to pick the template fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Template fields that were given
+ */
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of TemplateService.TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  if (fields.fixed_slots) {
+    fields.fixed_slots = fields.fixed_slots.map(slot => ({
+      song_id: slot.song_id,
+      block: slot.block === undefined ? null : slot.block,
+      position: slot.position
+    }));
+  }
+  return fields;
+}
+
+/**
+ * Helper function to add the title and artist of each fixed slot's song
+ * Songs deleted from the library since, or not in the template's library, come back as null.
+ * @param {Array} templates - Templates
+ * @returns {Promise<Array>} - Plain templates with a song on each fixed slot
+ */
+async function withSlotSongs(templates) {
+  const songIds = [...new Set(templates.flatMap(template => template.fixed_slots.map(slot => slot.song_id)))];
+  const songs = songIds.length > 0
+    ? await Song.findAll({ where: { id: { [Op.in]: songIds } }, attributes: ['id', 'title', 'artist', 'band_id', 'created_by'] })
+    : [];
+  const songsById = new Map(songs.map(song => [song.id, song]));
+
+  const slotSong = (template, songId) => {
+    const song = songsById.get(songId);
+    if (!song || !TemplateService.inLibrary(song, template)) {
+      return null;
+    }
+    return { id: song.id, title: song.title, artist: song.artist };
+  };
+
+  return templates.map(template => ({
+    ...template.toJSON(),
+    fixed_slots: template.fixed_slots.map(slot => ({ ...slot, song: slotSong(template, slot.song_id) }))
+  }));
+}
+
+/**
+ * Helper function to tell a template's band about a new or changed template
+ * @param {Object} template - Template
+ * @param {string} event - Socket event
+ * @returns {Promise<Object>} - The template as sent, with its band, creator and slot songs
+ */
+async function sendTemplateEvent(template, event) {
+  const reloaded = await SetlistTemplate.findByPk(template.id, { include: templateIncludes() });
+  const [result] = await withSlotSongs([reloaded]);
+
+  // Emit socket event for real-time updates
+  if (template.band_id) {
+    io.to(`band:${template.band_id}`).emit(event, result);
+  }
+
+  return result;
+}
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const Block = sequelize.define('block', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Target running time of the block in seconds
+  target_duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'blocks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Define associations
+Block.associate = (models) => {
+  Block.belongsTo(models.Setlist, { 
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+  
+  Block.hasMany(models.SetlistSong, { 
+    foreignKey: 'block_id',
+    as: 'songs'
+  });
+};
+
+module.exports = Block;
@@ -0,0 +1,138 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const Gig = sequelize.define('gig', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  band_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bands',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Day of the show; times below are full timestamps since a show can run past midnight
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  venue: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  load_in_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  soundcheck_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  set_time_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ends_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // IANA time zone of the venue, for showing times in local time
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'confirmed',
+    validate: {
+      isIn: [['tentative', 'confirmed', 'cancelled']]
+    }
+  },
+  // Promoter or venue contact
+  contact_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  contact_phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  contact_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'gigs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['band_id', 'date']
+    }
+  ]
+});
+
+// Define associations
+Gig.associate = (models) => {
+  Gig.belongsTo(models.Band, {
+    foreignKey: 'band_id',
+    as: 'band'
+  });
+
+  Gig.belongsTo(models.User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+  });
+
+  Gig.belongsToMany(models.Setlist, {
+    through: models.GigSetlist,
+    foreignKey: 'gig_id',
+    otherKey: 'setlist_id',
+    as: 'setlists'
+  });
+};
+
+module.exports = Gig;
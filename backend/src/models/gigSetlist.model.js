@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+// A setlist played at a gig; a gig can have several, e.g. an early and a late set
+const GigSetlist = sequelize.define('gig_setlist', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  gig_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'gigs',
+      key: 'id'
+    }
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // When this set starts, if different from the gig's set time
+  set_time_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'gig_setlists',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['gig_id', 'setlist_id']
+    },
+    {
+      fields: ['setlist_id']
+    }
+  ]
+});
+
+module.exports = GigSetlist;
@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const LiveSession = sequelize.define('live_session', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  // A setlist can only be played live once at a time
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  // The member controlling the show; everyone else follows along
+  led_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Not a foreign key: setlist songs are recreated when a revision is restored.
+  // Null once the show has gone past the last song.
+  current_setlist_song_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  song_started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Setlist song IDs that have been played or skipped so far
+  played: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  skipped: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'live_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Define associations
+LiveSession.associate = (models) => {
+  LiveSession.belongsTo(models.Setlist, { 
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+  
+  LiveSession.belongsTo(models.User, { 
+    foreignKey: 'led_by',
+    as: 'leader'
+  });
+};
+
+module.exports = LiveSession;
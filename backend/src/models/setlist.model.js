@@ -39,6 +39,44 @@ const Setlist = sequelize.define('setlist', {
     allowNull: false,
     defaultValue: false
   },
+  // Changeover gap between songs in seconds
+  song_gap: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  // Break between blocks in seconds
+  block_break: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  // Target running time of the whole setlist in seconds
+  target_duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  // Public setlist this one was forked from; not a foreign key, so purging
+  // the original keeps the record of where the fork came from
+  forked_from_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Times this setlist has been forked from the gallery
+  fork_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -48,12 +86,32 @@ const Setlist = sequelize.define('setlist', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  // Set while the setlist is in the trash
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'setlists',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  // Deleting moves the setlist to the trash; queries skip trashed setlists
+  // unless `paranoid: false` is passed, and `force: true` deletes for good
+  paranoid: true,
+  deletedAt: 'deleted_at',
+  // Adds a `version` column that is incremented on every save; saving a stale
+  // instance throws an OptimisticLockError
+  version: true
 });
 
 // Define associations
@@ -68,6 +126,17 @@ Setlist.associate = (models) => {
     as: 'creator'
   });
   
+  Setlist.belongsTo(models.User, { 
+    foreignKey: 'deleted_by',
+    as: 'deleter'
+  });
+  
+  Setlist.belongsTo(models.Setlist, { 
+    foreignKey: 'forked_from_id',
+    as: 'forkedFrom',
+    constraints: false
+  });
+  
   Setlist.hasMany(models.Block, { 
     foreignKey: 'setlist_id',
     as: 'blocks'
@@ -77,6 +146,35 @@ Setlist.associate = (models) => {
     foreignKey: 'setlist_id',
     as: 'setlist_songs'
   });
+  
+  Setlist.hasMany(models.SetlistRevision, { 
+    foreignKey: 'setlist_id',
+    as: 'revisions'
+  });
+  
+  Setlist.hasMany(models.SetlistCollaborator, { 
+    foreignKey: 'setlist_id',
+    as: 'collaborators'
+  });
+  
+  Setlist.hasMany(models.SetlistComment, { 
+    foreignKey: 'setlist_id',
+    as: 'comments'
+  });
+
+  // The log is kept after the setlist is purged
+  Setlist.hasMany(models.SetlistActivity, {
+    foreignKey: 'setlist_id',
+    as: 'activities',
+    constraints: false
+  });
+
+  Setlist.belongsToMany(models.Gig, { 
+    through: models.GigSetlist,
+    foreignKey: 'setlist_id',
+    otherKey: 'gig_id',
+    as: 'gigs'
+  });
 };
 
 module.exports = Setlist;
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistActivity = sequelize.define('setlist_activity', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  // Band the setlist belonged to at the time; null for personal setlists
+  band_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'bands',
+      key: 'id'
+    }
+  },
+  // Not a foreign key, so the log outlives a purged setlist
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  setlist_name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Null when the change wasn't made by anyone, e.g. the trash being emptied
+  actor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Same names as revision actions, e.g. 'setlist:song:added'
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // What was changed: the setlist itself, one of its blocks or one of its songs
+  target_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'setlist',
+    validate: {
+      isIn: [['setlist', 'block', 'song']]
+    }
+  },
+  target_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // The changed fields before and after the change
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_activities',
+  // Log entries are immutable, so there is no updated_at
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['band_id', 'created_at']
+    },
+    {
+      fields: ['setlist_id', 'created_at']
+    }
+  ]
+});
+
+// Define associations
+SetlistActivity.associate = (models) => {
+  SetlistActivity.belongsTo(models.Band, {
+    foreignKey: 'band_id',
+    as: 'band'
+  });
+
+  SetlistActivity.belongsTo(models.User, {
+    foreignKey: 'actor_id',
+    as: 'actor'
+  });
+};
+
+module.exports = SetlistActivity;
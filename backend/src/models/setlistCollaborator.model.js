@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistCollaborator = sequelize.define('setlist_collaborator', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  // Usually someone outside the band, e.g. a dep player or sound engineer
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'viewer',
+    validate: {
+      isIn: [['editor', 'viewer']]
+    }
+  },
+  granted_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_collaborators',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['setlist_id', 'user_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Define associations
+SetlistCollaborator.associate = (models) => {
+  SetlistCollaborator.belongsTo(models.Setlist, {
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+
+  SetlistCollaborator.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+
+  SetlistCollaborator.belongsTo(models.User, {
+    foreignKey: 'granted_by',
+    as: 'granter'
+  });
+};
+
+module.exports = SetlistCollaborator;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistComment = sequelize.define('setlist_comment', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  // Slot the comment is about; null for comments on the whole setlist.
+  // Not a foreign key, so the discussion outlives the slot.
+  setlist_song_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // First comment of the thread this one replies to
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'setlist_comments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  author_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Users @mentioned in the body
+  mentions: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    allowNull: false,
+    defaultValue: []
+  },
+  // Only threads (comments without a parent) are resolved
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  edited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_comments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['setlist_id', 'setlist_song_id']
+    },
+    {
+      fields: ['parent_id']
+    }
+  ]
+});
+
+// Define associations
+SetlistComment.associate = (models) => {
+  SetlistComment.belongsTo(models.Setlist, {
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+
+  SetlistComment.belongsTo(models.User, {
+    foreignKey: 'author_id',
+    as: 'author'
+  });
+
+  SetlistComment.belongsTo(models.User, {
+    foreignKey: 'resolved_by',
+    as: 'resolver'
+  });
+
+  SetlistComment.belongsTo(models.SetlistComment, {
+    foreignKey: 'parent_id',
+    as: 'parent'
+  });
+
+  SetlistComment.hasMany(models.SetlistComment, {
+    foreignKey: 'parent_id',
+    as: 'replies'
+  });
+};
+
+module.exports = SetlistComment;
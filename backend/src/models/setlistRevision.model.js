@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistRevision = sequelize.define('setlist_revision', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  // Sequential revision number within the setlist, starting at 1
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Full state of the setlist, its blocks and songs after the change
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_revisions',
+  // Revisions are immutable, so there is no updated_at
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['setlist_id', 'revision']
+    }
+  ]
+});
+
+// Define associations
+SetlistRevision.associate = (models) => {
+  SetlistRevision.belongsTo(models.Setlist, { 
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+  
+  SetlistRevision.belongsTo(models.User, { 
+    foreignKey: 'created_by',
+    as: 'author'
+  });
+};
+
+module.exports = SetlistRevision;
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistSong = sequelize.define('setlist_song', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  setlist_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'setlists',
+      key: 'id'
+    }
+  },
+  song_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'songs',
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  block_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'blocks',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Performance overrides for this slot only; null means "as in the song library"
+  performed_key: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Semitones from the song's key when the performed key was asked for as a
+  // transposition, so +7 is not shown as -5
+  transpose: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: -11,
+      max: 11
+    }
+  },
+  performed_tempo: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  capo: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 12
+    }
+  },
+  tuning: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lead_singer: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // e.g. "Guitar to 12-string, keys to organ"
+  instrument_changes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // How this song runs into the next one
+  segue_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_songs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Define associations
+SetlistSong.associate = (models) => {
+  SetlistSong.belongsTo(models.Setlist, {
+    foreignKey: 'setlist_id',
+    as: 'setlist'
+  });
+
+  SetlistSong.belongsTo(models.Song, {
+    foreignKey: 'song_id',
+    as: 'song'
+  });
+
+  SetlistSong.belongsTo(models.Block, {
+    foreignKey: 'block_id',
+    as: 'block'
+  });
+};
+
+module.exports = SetlistSong;
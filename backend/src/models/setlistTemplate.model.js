@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const SetlistTemplate = sequelize.define('setlist_template', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Band whose members can use the template; null for a personal template
+  band_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'bands',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Timing settings given to setlists made from the template, in seconds
+  song_gap: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  block_break: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  target_duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Blocks in running order, as { name, target_duration }
+  blocks: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Songs that always open or close the show or a block, as
+  // { song_id, block, position } where block is an index into blocks (null
+  // for the whole show) and position is 'first' or 'last'
+  fixed_slots: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'setlist_templates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Define associations
+SetlistTemplate.associate = (models) => {
+  SetlistTemplate.belongsTo(models.Band, {
+    foreignKey: 'band_id',
+    as: 'band'
+  });
+
+  SetlistTemplate.belongsTo(models.User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+  });
+};
+
+module.exports = SetlistTemplate;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/config');
+
+const ShareLink = sequelize.define('share_link', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false
+  },
+  // Random token in the share URL; whoever has it can view the resource
+  token: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // Kind of resource shared, e.g. 'setlist'
+  resource_type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  resource_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  read_only: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Null for links that never expire
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_accessed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  access_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'share_links',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['resource_type', 'resource_id']
+    }
+  ]
+});
+
+// Define associations
+ShareLink.associate = (models) => {
+  ShareLink.belongsTo(models.User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+  });
+};
+
+module.exports = ShareLink;
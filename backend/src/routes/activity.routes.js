@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../middleware/auth');
+const activityController = require('../controllers/activity.controller');
+const ActivityService = require('../services/activity.service');
+const SetlistSearchService = require('../services/setlistSearch.service');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetlistActivity:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         band_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         setlist_id:
+ *           type: string
+ *           format: uuid
+ *         setlist_name:
+ *           type: string
+ *           description: Name of the setlist at the time of the change
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Who made the change; null when the trash was emptied automatically
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *         action:
+ *           type: string
+ *           example: setlist:song:added
+ *         target_type:
+ *           type: string
+ *           enum: [setlist, block, song]
+ *         target_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the setlist, block or setlist song that was changed
+ *         summary:
+ *           type: string
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields before the change
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields after the change
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Activity
+ *   description: Audit log of changes to setlists, their blocks and songs
+ */
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Get the log of changes to a band's setlists, newest first
+ *     description: >
+ *       Results come a page at a time; pass `next_cursor` from a page as `cursor` to get
+ *       the next one.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: band_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only changes made by this member
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only this kind of change, e.g. setlist:song:removed
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [setlist, block, song]
+ *         description: Only changes to setlists, blocks or songs
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor of the page to get, from `next_cursor`
+ *     responses:
+ *       200:
+ *         description: A page of the log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 activity:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SetlistActivity'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, or null on the last page
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').isUUID(),
+  check('actor_id', 'Actor ID must be a valid UUID').optional().isUUID(),
+  check('action', `Action must be one of: ${ActivityService.ACTIONS.join(', ')}`).optional().isIn(ActivityService.ACTIONS),
+  check('target_type', 'Target type must be setlist, block or song').optional().isIn(['setlist', 'block', 'song']),
+  check('limit', `Limit must be between 1 and ${SetlistSearchService.MAX_LIMIT}`).optional().isInt({ min: 1, max: SetlistSearchService.MAX_LIMIT })
+], activityController.getBandActivity);
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../middleware/auth');
+const galleryController = require('../controllers/gallery.controller');
+const SetlistSearchService = require('../services/setlistSearch.service');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GallerySetlist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         band:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *         creator:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *         song_count:
+ *           type: integer
+ *         total_duration:
+ *           type: integer
+ *           description: Running time in seconds
+ *         fork_count:
+ *           type: integer
+ *           description: Times the setlist has been forked
+ *         forked_from:
+ *           type: object
+ *           nullable: true
+ *           description: Setlist this one was forked from
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             name:
+ *               type: string
+ *               nullable: true
+ *               description: Null once the original is no longer public
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Gallery
+ *   description: Public setlists other bands can browse and fork
+ */
+
+/**
+ * @swagger
+ * /api/gallery:
+ *   get:
+ *     summary: Browse public setlists
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text to find in the name or description
+ *       - in: query
+ *         name: artist
+ *         schema:
+ *           type: string
+ *         description: Only setlists with a song by a matching artist
+ *       - in: query
+ *         name: song
+ *         schema:
+ *           type: string
+ *         description: Only setlists with a song of a matching title
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [updated_at, created_at, name, fork_count]
+ *           default: updated_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to asc for name and desc otherwise
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: next_cursor from the previous page
+ *     responses:
+ *       200:
+ *         description: A page of public setlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 setlists:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GallerySetlist'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, or null on the last page
+ *       400:
+ *         description: Invalid search or cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  auth,
+  check('q', 'Search text must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('artist', 'Artist must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('song', 'Song must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('sort', `Sort must be one of ${SetlistSearchService.GALLERY_SORT_FIELDS.join(', ')}`).optional().isIn(SetlistSearchService.GALLERY_SORT_FIELDS),
+  check('order', 'Order must be asc or desc').optional().isIn(['asc', 'desc']),
+  check('limit', `Limit must be between 1 and ${SetlistSearchService.MAX_LIMIT}`).optional().isInt({ min: 1, max: SetlistSearchService.MAX_LIMIT }),
+  check('cursor', 'Cursor must be a string').optional().isString()
+], galleryController.getGallery);
+
+/**
+ * @swagger
+ * /api/gallery/{id}:
+ *   get:
+ *     summary: Preview a public setlist
+ *     description: Read-only; library song notes and streaming links are left out.
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Setlist with its songs grouped into sections in play order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/GallerySetlist'
+ *                 - type: object
+ *                   properties:
+ *                     target_duration:
+ *                       type: integer
+ *                       nullable: true
+ *                     sections:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found or not public
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, galleryController.getGallerySetlist);
+
+/**
+ * @swagger
+ * /api/gallery/{id}/fork:
+ *   post:
+ *     summary: Fork a public setlist
+ *     description: >
+ *       Copies the setlist, its blocks and per-song performance details into a band
+ *       (or the user's personal setlists). Songs are matched against the target song
+ *       library and the missing ones are created. The fork is private and records the
+ *       setlist it was forked from.
+ *     tags: [Gallery]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist to fork
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Band to fork into; omit for a personal setlist
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the original's name
+ *     responses:
+ *       201:
+ *         description: Setlist forked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 setlist:
+ *                   $ref: '#/components/schemas/Setlist'
+ *                 created_songs:
+ *                   type: array
+ *                   description: Songs added to the library
+ *                   items:
+ *                     type: object
+ *                 matched_count:
+ *                   type: integer
+ *                   description: Songs already in the library
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to create setlists for the band
+ *       404:
+ *         description: Setlist or band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/fork', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  check('name', 'Name must be between 1 and 255 characters').optional().trim().isLength({ min: 1, max: 255 })
+], galleryController.forkSetlist);
+
+module.exports = router;
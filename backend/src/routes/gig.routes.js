@@ -0,0 +1,461 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../middleware/auth');
+const gigController = require('../controllers/gig.controller');
+
+/**
+ * Check that a value is an IANA time zone such as "Europe/London"
+ * @param {string} value - Time zone
+ * @returns {boolean} - True if the time zone is known
+ */
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Validation of the optional gig fields, used when creating and updating gigs
+const gigChecks = [
+  check('title', 'Title must be at most 255 characters').optional({ nullable: true }).isLength({ max: 255 }),
+  check('address', 'Address must be text').optional({ nullable: true }).isString(),
+  check('load_in_at', 'Load-in must be a date and time').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('soundcheck_at', 'Soundcheck must be a date and time').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('set_time_at', 'Set time must be a date and time').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('ends_at', 'End must be a date and time').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  check('timezone', 'Time zone must be an IANA time zone such as "Europe/London"').optional().custom(isTimeZone),
+  check('status', 'Status must be tentative, confirmed or cancelled').optional().isIn(['tentative', 'confirmed', 'cancelled']),
+  check('contact_name', 'Contact name must be at most 255 characters').optional({ nullable: true }).isLength({ max: 255 }),
+  check('contact_phone', 'Contact phone must be at most 50 characters').optional({ nullable: true }).isLength({ max: 50 }),
+  check('contact_email', 'Contact email must be a valid email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  check('notes', 'Notes must be text').optional({ nullable: true }).isString(),
+  check('setlists', 'Setlists must be an array').optional().isArray(),
+  check('setlists.*.setlist_id', 'Setlist ID must be a valid UUID').isUUID(),
+  check('setlists.*.set_time_at', 'Set time must be a date and time').optional({ nullable: true }).isISO8601()
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Gig:
+ *       type: object
+ *       required:
+ *         - band_id
+ *         - date
+ *         - venue
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The auto-generated UUID of the gig
+ *         band_id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *           nullable: true
+ *           description: Defaults to "<band> at <venue>" in calendars
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Day of the show
+ *         venue:
+ *           type: string
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         load_in_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         soundcheck_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         set_time_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         timezone:
+ *           type: string
+ *           default: UTC
+ *           description: IANA time zone of the venue
+ *         status:
+ *           type: string
+ *           enum: [tentative, confirmed, cancelled]
+ *           default: confirmed
+ *         contact_name:
+ *           type: string
+ *           nullable: true
+ *         contact_phone:
+ *           type: string
+ *           nullable: true
+ *         contact_email:
+ *           type: string
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         setlists:
+ *           type: array
+ *           description: Setlists played at the gig, in running order
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *               gig_setlist:
+ *                 type: object
+ *                 properties:
+ *                   position:
+ *                     type: integer
+ *                   set_time_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *     GigSetlists:
+ *       type: array
+ *       description: Setlists played at the gig, in running order; replaces the current ones
+ *       items:
+ *         type: object
+ *         required:
+ *           - setlist_id
+ *         properties:
+ *           setlist_id:
+ *             type: string
+ *             format: uuid
+ *           set_time_at:
+ *             type: string
+ *             format: date-time
+ *             nullable: true
+ *             description: When this set starts, if different from the gig's set time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Gigs
+ *   description: Gigs of a band and the setlists played at them
+ */
+
+/**
+ * @swagger
+ * /api/gigs/calendar/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of a band's gigs
+ *     description: Does not require authentication; calendar apps subscribe to the URL from POST /api/gigs/calendar-feed.
+ *     tags: [Gigs]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Feed token
+ *     responses:
+ *       200:
+ *         description: Gigs from the last 90 days onwards
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar not found or its URL was reset
+ *       500:
+ *         description: Server error
+ */
+router.get('/calendar/:token.ics', gigController.getCalendar);
+
+/**
+ * @swagger
+ * /api/gigs/calendar-feed:
+ *   post:
+ *     summary: Get the calendar feed URL of a band's gigs
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - band_id
+ *             properties:
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *               reset:
+ *                 type: boolean
+ *                 description: Replace the URL; the old one stops working
+ *     responses:
+ *       200:
+ *         description: Feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 band_id:
+ *                   type: string
+ *                   format: uuid
+ *                 url:
+ *                   type: string
+ *                   format: uri
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band, or not allowed to reset the URL
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/calendar-feed', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').isUUID(),
+  check('reset', 'Reset must be a boolean').optional().isBoolean()
+], gigController.getCalendarFeed);
+
+/**
+ * @swagger
+ * /api/gigs:
+ *   get:
+ *     summary: Get the gigs of the authenticated user's bands
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: band_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only gigs of this band
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only gigs from today on, soonest first
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Gigs, latest first (soonest first for upcoming gigs)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Gig'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').optional().isUUID(),
+  check('upcoming', 'Upcoming must be a boolean').optional().isBoolean(),
+  check('from', 'From must be a date').optional().isISO8601(),
+  check('to', 'To must be a date').optional().isISO8601(),
+  check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+], gigController.getGigs);
+
+/**
+ * @swagger
+ * /api/gigs:
+ *   post:
+ *     summary: Create a gig
+ *     description: Needs the editor role in the band. Linked setlists must belong to the band.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Gig'
+ *               - type: object
+ *                 properties:
+ *                   setlists:
+ *                     $ref: '#/components/schemas/GigSetlists'
+ *     responses:
+ *       201:
+ *         description: Gig created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Gig'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage gigs for the band
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').isUUID(),
+  check('date', 'Date is required').isISO8601(),
+  check('venue', 'Venue is required').trim().notEmpty(),
+  ...gigChecks
+], gigController.createGig);
+
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   get:
+ *     summary: Get a gig by ID
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the gig
+ *     responses:
+ *       200:
+ *         description: Gig
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Gig'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band
+ *       404:
+ *         description: Gig not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, gigController.getGigById);
+
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   put:
+ *     summary: Update a gig
+ *     description: Needs the editor role in the band. Passing `setlists` replaces the linked setlists.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the gig
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Gig'
+ *               - type: object
+ *                 properties:
+ *                   setlists:
+ *                     $ref: '#/components/schemas/GigSetlists'
+ *     responses:
+ *       200:
+ *         description: Gig updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Gig'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage gigs for the band
+ *       404:
+ *         description: Gig not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', [
+  auth,
+  check('date', 'Date must be a date').optional().isISO8601(),
+  check('venue', 'Venue cannot be empty').optional().trim().notEmpty(),
+  ...gigChecks
+], gigController.updateGig);
+
+/**
+ * @swagger
+ * /api/gigs/{id}:
+ *   delete:
+ *     summary: Delete a gig
+ *     description: Needs the editor role in the band. The linked setlists are kept.
+ *     tags: [Gigs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the gig
+ *     responses:
+ *       200:
+ *         description: Gig deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage gigs for the band
+ *       404:
+ *         description: Gig not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, gigController.deleteGig);
+
+module.exports = router;
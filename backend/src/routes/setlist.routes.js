@@ -1,8 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { check, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const setlistController = require('../controllers/setlist.controller');
+const commentController = require('../controllers/comment.controller');
+const activityController = require('../controllers/activity.controller');
+const templateController = require('../controllers/template.controller');
+const ArrangementService = require('../services/arrangement.service');
+const SetlistSearchService = require('../services/setlistSearch.service');
+const SetlistBatchService = require('../services/setlistBatch.service');
+const ActivityService = require('../services/activity.service');
+
+// Version of the setlist a change is based on, required so stale writes are rejected
+const versionCheck = check('version', 'Version of the setlist the change is based on is required').isInt({ min: 0 });
+
+// Validation of per-slot performance overrides, used when adding and updating setlist songs
+const performanceChecks = [
+  check('performed_key', 'Performed key must be a key such as "G" or "F#m"').optional({ nullable: true })
+    .custom(value => value === '' || Boolean(ArrangementService.parseKey(value))),
+  check('transpose', 'Transpose must be between -11 and 11 semitones').optional({ nullable: true }).isInt({ min: -11, max: 11 }),
+  check('performed_tempo', 'Performed tempo must be a positive number').optional({ nullable: true }).isInt({ min: 1 }),
+  check('capo', 'Capo must be between 0 and 12').optional({ nullable: true }).isInt({ min: 0, max: 12 }),
+  check('tuning', 'Tuning must be at most 100 characters').optional({ nullable: true }).isLength({ max: 100 }),
+  check('lead_singer', 'Lead singer must be at most 100 characters').optional({ nullable: true }).isLength({ max: 100 }),
+];
 
 /**
  * @swagger
@@ -34,6 +55,27 @@ const setlistController = require('../controllers/setlist.controller');
  *         is_public:
  *           type: boolean
  *           description: Whether the setlist is publicly viewable
+ *         song_gap:
+ *           type: integer
+ *           description: Changeover gap between songs in seconds
+ *         block_break:
+ *           type: integer
+ *           description: Break between blocks in seconds
+ *         target_duration:
+ *           type: integer
+ *           nullable: true
+ *           description: Target running time of the setlist in seconds
+ *         forked_from_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Public setlist this one was forked from
+ *         fork_count:
+ *           type: integer
+ *           description: Times the setlist has been forked from the gallery
+ *         version:
+ *           type: integer
+ *           description: Incremented on every change to the setlist, its blocks or songs. Every change must send it back as `version` (body or query string); a missing version is rejected with a 400 and a stale one with a 409.
  *         created_at:
  *           type: string
  *           format: date-time
@@ -42,31 +84,482 @@ const setlistController = require('../controllers/setlist.controller');
  *           type: string
  *           format: date-time
  *           description: The date and time the setlist was last updated
+ *         role:
+ *           type: string
+ *           nullable: true
+ *           enum: [owner, admin, editor, viewer]
+ *           description: The authenticated user's role on the setlist, from their band role or a collaborator grant; owner of their own personal setlists
+ *         permissions:
+ *           $ref: '#/components/schemas/SetlistPermissions'
+ *         gigs:
+ *           type: array
+ *           description: Gigs the setlist is played at; only included when getting a single setlist
+ *           items:
+ *             $ref: '#/components/schemas/Gig'
+ *     SetlistPermissions:
+ *       type: object
+ *       description: What the authenticated user may do with the setlist
+ *       properties:
+ *         view:
+ *           type: boolean
+ *         comment:
+ *           type: boolean
+ *           description: Comment and be mentioned (band members and collaborators, not the public)
+ *         edit:
+ *           type: boolean
+ *           description: Change details, songs, blocks and arrangement (editor)
+ *         perform:
+ *           type: boolean
+ *           description: Start and run a live show (editor)
+ *         share:
+ *           type: boolean
+ *           description: Create, list and revoke share links (editor)
+ *         delete:
+ *           type: boolean
+ *           description: Move to the trash and restore (admin)
+ *         purge:
+ *           type: boolean
+ *           description: Delete from the trash for good (admin)
+ *         manage:
+ *           type: boolean
+ *           description: Grant and revoke collaborator access (admin)
+ *     Forbidden:
+ *       type: object
+ *       properties:
+ *         msg:
+ *           type: string
+ *         action:
+ *           type: string
+ *           description: The action that was refused
+ *     SetlistCollaborator:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         setlist_id:
+ *           type: string
+ *           format: uuid
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         role:
+ *           type: string
+ *           enum: [editor, viewer]
+ *         granted_by:
+ *           type: string
+ *           format: uuid
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *             email:
+ *               type: string
+ *     SetlistComment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         setlist_id:
+ *           type: string
+ *           format: uuid
+ *         setlist_song_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Slot the comment is about; null for the whole setlist
+ *         parent_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: First comment of the thread this one replies to
+ *         author_id:
+ *           type: string
+ *           format: uuid
+ *         body:
+ *           type: string
+ *         mentions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *           description: Users @mentioned in the body who can see the setlist
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolved_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         edited_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         author:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *         replies:
+ *           type: array
+ *           description: Only on the first comment of a thread, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/SetlistComment'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CommentCount:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Comments, replies included
+ *         open_threads:
+ *           type: integer
+ *           description: Threads not resolved yet
+ *     Block:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The auto-generated UUID of the block
+ *         setlist_id:
+ *           type: string
+ *           format: uuid
+ *           description: The UUID of the setlist this block belongs to
+ *         name:
+ *           type: string
+ *           description: The name of the block (e.g. "Set 1", "Encore")
+ *         position:
+ *           type: integer
+ *           description: The position of the block within the setlist
+ *         target_duration:
+ *           type: integer
+ *           nullable: true
+ *           description: Target running time of the block in seconds
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: The date and time the block was created
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: The date and time the block was last updated
+ *     PerformanceOverrides:
+ *       type: object
+ *       description: How a song is performed in one setlist slot; the library song is not changed
+ *       properties:
+ *         performed_key:
+ *           type: string
+ *           nullable: true
+ *           description: Key played in this slot, e.g. "A" or "F#m"
+ *         transpose:
+ *           type: integer
+ *           nullable: true
+ *           description: Alternative to performed_key, in semitones from the song's original key; kept so the performance reports the offset asked for
+ *         performed_tempo:
+ *           type: integer
+ *           nullable: true
+ *           description: Tempo played in this slot in BPM
+ *         capo:
+ *           type: integer
+ *           nullable: true
+ *         tuning:
+ *           type: string
+ *           nullable: true
+ *         lead_singer:
+ *           type: string
+ *           nullable: true
+ *         instrument_changes:
+ *           type: string
+ *           nullable: true
+ *         segue_notes:
+ *           type: string
+ *           nullable: true
+ *           description: How the song runs into the next one
+ *     ShareLink:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The auto-generated UUID of the share link
+ *         token:
+ *           type: string
+ *           description: Random token identifying the link
+ *         share_url:
+ *           type: string
+ *           format: uri
+ *           description: URL of the public page for the link
+ *         read_only:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the link stops working, or null if it never expires
+ *         access_count:
+ *           type: integer
+ *           description: Number of times the link has been opened
+ *         last_accessed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             username:
+ *               type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
  */
 
 /**
  * @swagger
  * /api/setlists:
  *   get:
- *     summary: Get all setlists for the authenticated user
+ *     summary: Get the setlists the authenticated user can see
+ *     description: >
+ *       Setlists the user created, of the user's bands, or shared with the user as a
+ *       collaborator. Results come a page at a time; pass `next_cursor` from a page as
+ *       `cursor` (with the same filters and sort) to get the next one.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text to find in the name or description
+ *       - in: query
+ *         name: band_id
+ *         schema:
+ *           type: string
+ *         description: UUID of a band, or `none` for personal setlists
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [public, private]
+ *       - in: query
+ *         name: created_by
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: UUID of the creator
+ *       - in: query
+ *         name: created_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: song_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only setlists containing this song
+ *       - in: query
+ *         name: artist
+ *         schema:
+ *           type: string
+ *         description: Only setlists with a song by a matching artist
+ *       - in: query
+ *         name: song
+ *         schema:
+ *           type: string
+ *         description: Only setlists with a song of a matching title
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [updated_at, created_at, name]
+ *           default: updated_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to ascending for name, descending for dates
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor of the page to get, from `next_cursor`
+ *     responses:
+ *       200:
+ *         description: A page of setlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 setlists:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Setlist'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, or null on the last page
+ *       400:
+ *         description: Invalid filters or cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  auth,
+  check('q', 'Search text must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('band_id', 'Band must be a band ID or "none"').optional().if(value => value !== 'none').isUUID(),
+  check('visibility', 'Visibility must be public or private').optional().isIn(['public', 'private']),
+  check('created_by', 'Creator must be a user ID').optional().isUUID(),
+  check('created_after', 'Created after must be a date').optional().isISO8601(),
+  check('created_before', 'Created before must be a date').optional().isISO8601(),
+  check('song_id', 'Song must be a song ID').optional().isUUID(),
+  check('artist', 'Artist must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('song', 'Song must be at most 200 characters').optional().isString().isLength({ max: 200 }),
+  check('sort', `Sort must be one of ${SetlistSearchService.SORT_FIELDS.join(', ')}`).optional().isIn(SetlistSearchService.SORT_FIELDS),
+  check('order', 'Order must be asc or desc').optional().isIn(['asc', 'desc']),
+  check('limit', `Limit must be between 1 and ${SetlistSearchService.MAX_LIMIT}`).optional().isInt({ min: 1, max: SetlistSearchService.MAX_LIMIT }),
+  check('cursor', 'Cursor must be a string').optional().isString()
+], setlistController.getAllSetlists);
+
+/**
+ * @swagger
+ * /api/setlists/trash:
+ *   get:
+ *     summary: Get deleted setlists that can still be restored
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: A list of setlists
+ *         description: Deleted setlists of the user and their bands, most recently deleted first
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Setlist'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Setlist'
+ *                   - type: object
+ *                     properties:
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ *                       deleted_by:
+ *                         type: string
+ *                         format: uuid
+ *                       purge_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the setlist will be permanently deleted
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/trash', auth, setlistController.getTrash);
+
+/**
+ * @swagger
+ * /api/setlists/trash/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted setlist from the trash
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Setlist restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setlist'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to restore this setlist
+ *       404:
+ *         description: Setlist not found in trash
+ *       410:
+ *         description: Setlist is past the retention window
+ *       500:
+ *         description: Server error
+ */
+router.post('/trash/:id/restore', auth, setlistController.restoreSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a setlist from the trash
+ *     description: Band setlists can only be purged by band admins; personal setlists by their creator.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Setlist permanently deleted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not a band admin
+ *       404:
+ *         description: Setlist not found in trash
  *       500:
  *         description: Server error
  */
-router.get('/', auth, setlistController.getAllSetlists);
+router.delete('/trash/:id', auth, setlistController.purgeSetlist);
 
 /**
  * @swagger
@@ -98,16 +591,1841 @@ router.get('/', auth, setlistController.getAllSetlists);
  *       500:
  *         description: Server error
  */
-router.get('/:id', auth, setlistController.getSetlistById);
+router.get('/:id', auth, setlistController.getSetlistById);
+
+/**
+ * @swagger
+ * /api/setlists:
+ *   post:
+ *     summary: Create a new setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *               is_public:
+ *                 type: boolean
+ *               song_gap:
+ *                 type: integer
+ *                 description: Changeover gap between songs in seconds
+ *               block_break:
+ *                 type: integer
+ *                 description: Break between blocks in seconds
+ *               target_duration:
+ *                 type: integer
+ *                 description: Target running time in seconds
+ *               template_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Template to take the blocks, fixed songs and any timing settings not passed from
+ *     responses:
+ *       201:
+ *         description: Setlist created successfully. Made from a template, it also lists the fixed slots left out because their song was deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Setlist'
+ *                 - type: object
+ *                   properties:
+ *                     skipped_slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to create setlists for the band, or to use the template
+ *       404:
+ *         description: Band or template not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', [
+  auth,
+  check('name', 'Name is required').notEmpty(),
+  check('song_gap', 'Song gap must be a non-negative number').optional().isInt({ min: 0 }),
+  check('block_break', 'Block break must be a non-negative number').optional().isInt({ min: 0 }),
+  check('target_duration', 'Target duration must be a non-negative number').optional({ nullable: true }).isInt({ min: 0 }),
+  check('template_id', 'Template ID must be a valid UUID').optional().isUUID(),
+], setlistController.createSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/import:
+ *   post:
+ *     summary: Import a setlist from pasted text or CSV
+ *     description: >
+ *       Each line is fuzzy-matched against the band's song library (or the user's songs for a personal setlist).
+ *       Without `confirm` the response is a preview of the matches; with `confirm` the setlist, its blocks and
+ *       songs are created in one transaction. Text input takes one song per line ("Title - Artist (Key)") with
+ *       headings such as "Set 1:" or "# Encore"; CSV takes title, artist, key, block and notes columns.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Pasted text or CSV
+ *               format:
+ *                 type: string
+ *                 enum: [text, csv]
+ *                 default: text
+ *               name:
+ *                 type: string
+ *                 description: Required when confirming
+ *               description:
+ *                 type: string
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *               is_public:
+ *                 type: boolean
+ *               confirm:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create the setlist instead of previewing it
+ *               create_missing:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create songs for unmatched lines instead of skipping them
+ *               matches:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   format: uuid
+ *                   nullable: true
+ *                 description: Corrections from the preview, mapping line numbers to a song ID (or null for no match)
+ *     responses:
+ *       200:
+ *         description: Preview with the matched song, confidence and candidates for each line, and the unmatched lines
+ *       201:
+ *         description: Setlist imported, with any songs created and the lines skipped
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/import', [
+  auth,
+  check('content', 'Content is required').notEmpty(),
+  check('format', 'Format must be text or csv').optional().isIn(['text', 'csv']),
+  check('band_id', 'Band ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  check('confirm', 'Confirm must be a boolean').optional().isBoolean(),
+  check('create_missing', 'Create missing must be a boolean').optional().isBoolean(),
+  check('matches', 'Matches must be an object').optional().isObject()
+], setlistController.importSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}:
+ *   put:
+ *     summary: Update a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               is_public:
+ *                 type: boolean
+ *               song_gap:
+ *                 type: integer
+ *                 description: Changeover gap between songs in seconds
+ *               block_break:
+ *                 type: integer
+ *                 description: Break between blocks in seconds
+ *               target_duration:
+ *                 type: integer
+ *                 description: Target running time in seconds
+ *     responses:
+ *       200:
+ *         description: Setlist updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setlist'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', [
+  auth,
+  versionCheck,
+  check('song_gap', 'Song gap must be a non-negative number').optional().isInt({ min: 0 }),
+  check('block_break', 'Block break must be a non-negative number').optional().isInt({ min: 0 }),
+  check('target_duration', 'Target duration must be a non-negative number').optional({ nullable: true }).isInt({ min: 0 }),
+], setlistController.updateSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}:
+ *   delete:
+ *     summary: Move a setlist to the trash
+ *     description: The setlist can be restored from the trash until the retention window (TRASH_RETENTION_DAYS, default 30 days) ends, after which it is purged.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Setlist moved to the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                 purge_at:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', [auth, versionCheck], setlistController.deleteSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate a setlist with its blocks and songs
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist to duplicate
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the copy (defaults to "<name> (Copy)")
+ *               description:
+ *                 type: string
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Band to copy the setlist into (defaults to the source band, null for a personal copy)
+ *               is_public:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Setlist duplicated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Setlist'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Setlist or band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/duplicate', [
+  auth,
+  check('name', 'Name cannot be empty').optional().notEmpty(),
+  check('band_id', 'Band ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+], setlistController.duplicateSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/template:
+ *   post:
+ *     summary: Save a setlist as a template
+ *     description: Takes the blocks, their target durations and the timing settings of the setlist, and optionally its opening and closing songs as fixed slots. Band templates need the editor role in the band.
+ *     tags: [Setlists, Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the template (defaults to the setlist name)
+ *               description:
+ *                 type: string
+ *               band_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Band of the template (defaults to the setlist band, null for a personal template)
+ *               fix_opener_and_closer:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Make the first and last songs of the setlist fixed slots
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistTemplate'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to view the setlist or to manage templates for the band
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/template', [
+  auth,
+  check('name', 'Name must be at most 255 characters').optional().isLength({ max: 255 }),
+  check('description', 'Description must be text').optional({ nullable: true }).isString(),
+  check('band_id', 'Band ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  check('fix_opener_and_closer', 'Fix opener and closer must be a boolean').optional().isBoolean()
+], templateController.createTemplateFromSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/songs:
+ *   get:
+ *     summary: Get all songs in a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: >
+ *           List of songs in the setlist, each with its start_offset and end_offset in seconds from the start
+ *           of the show, and a `performance` object with the key and tempo actually played (overrides applied),
+ *           the transposition from the original key and the other overrides
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/songs', auth, setlistController.getSetlistSongs);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/songs:
+ *   post:
+ *     summary: Add a song to a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required:
+ *                   - song_id
+ *                   - position
+ *                 properties:
+ *                   song_id:
+ *                     type: string
+ *                     format: uuid
+ *                   position:
+ *                     type: integer
+ *                   block_id:
+ *                     type: string
+ *                     format: uuid
+ *                   notes:
+ *                     type: string
+ *               - $ref: '#/components/schemas/PerformanceOverrides'
+ *     responses:
+ *       201:
+ *         description: Song added to setlist successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or song not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/songs', [
+  auth,
+  versionCheck,
+  check('song_id', 'Song ID is required').isUUID(),
+  check('position', 'Position is required and must be a number').isInt(),
+  ...performanceChecks,
+], setlistController.addSongToSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/songs/{songId}:
+ *   put:
+ *     summary: Update the notes and performance overrides of a song in a setlist
+ *     description: Only the given fields are changed; send null to clear an override. The library song is not changed.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: songId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the song
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   notes:
+ *                     type: string
+ *                     nullable: true
+ *                   version:
+ *                     type: integer
+ *               - $ref: '#/components/schemas/PerformanceOverrides'
+ *     responses:
+ *       200:
+ *         description: Setlist song updated, with its resolved performance
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to update this setlist
+ *       404:
+ *         description: Setlist or song not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/songs/:songId', [
+  auth,
+  versionCheck,
+  ...performanceChecks,
+], setlistController.updateSetlistSong);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/songs/{songId}:
+ *   delete:
+ *     summary: Remove a song from a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: songId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the song to remove
+ *     responses:
+ *       200:
+ *         description: Song removed from setlist successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or song not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/songs/:songId', [auth, versionCheck], setlistController.removeSongFromSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/reorder:
+ *   put:
+ *     summary: Reorder songs in a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - songs
+ *             properties:
+ *               songs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - position
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     position:
+ *                       type: integer
+ *                     block_id:
+ *                       type: string
+ *                       format: uuid
+ *     responses:
+ *       200:
+ *         description: Songs reordered successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/reorder', [auth, versionCheck], setlistController.reorderSetlistSongs);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/songs/batch:
+ *   post:
+ *     summary: Add, remove, move and annotate several songs in one change
+ *     description: >
+ *       Operations are applied in order, each to the running order left by the ones before it. They are saved in
+ *       one transaction with positions renumbered from 0, so if any operation is invalid nothing is changed.
+ *       Bandmates get one setlist:songs:edited event with the resulting songs.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [add, remove, move, update_notes]
+ *                     song_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Library song to add (add)
+ *                     setlist_song_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Setlist song to remove, move or annotate (remove, move, update_notes)
+ *                     position:
+ *                       type: integer
+ *                       description: Index in the running order to add or move the song to; the end by default (add, move)
+ *                     block_id:
+ *                       type: string
+ *                       format: uuid
+ *                       nullable: true
+ *                       description: Block to put the song in; null takes a moved song out of its block (add, move)
+ *                     notes:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Notes of the song (add, update_notes)
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: All operations applied; the songs of the setlist in running order
+ *       400:
+ *         description: Invalid input, or an operation on a song or block that is not in the setlist
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to update this setlist
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/songs/batch', [
+  auth,
+  versionCheck,
+  check('operations', `Operations must be a list of 1 to ${SetlistBatchService.MAX_OPERATIONS} operations`)
+    .isArray({ min: 1, max: SetlistBatchService.MAX_OPERATIONS }),
+  check('operations.*.op', `Operation must be one of ${SetlistBatchService.OPERATIONS.join(', ')}`)
+    .isIn(SetlistBatchService.OPERATIONS),
+  check('operations.*.song_id', 'Song ID must be a valid UUID').optional().isUUID(),
+  check('operations.*.setlist_song_id', 'Setlist song ID must be a valid UUID').optional().isUUID(),
+  check('operations.*.position', 'Position must be a non-negative number').optional({ nullable: true }).isInt({ min: 0 }),
+  check('operations.*.block_id', 'Block ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  check('operations.*.notes', 'Notes must be text').optional({ nullable: true }).isString(),
+], setlistController.batchEditSetlistSongs);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/arrange:
+ *   post:
+ *     summary: Propose an ordering of a setlist's songs by key, tempo and energy
+ *     description: >
+ *       Scores transitions by distance on the circle of fifths and tempo jumps, and
+ *       the set as a whole against an energy arc (tempo standing in for energy).
+ *       Nothing is saved; apply the returned songs with PUT /api/setlists/{id}/reorder.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               block_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Only arrange this block (defaults to every block)
+ *               pinned:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - setlist_song_id
+ *                     - position
+ *                   properties:
+ *                     setlist_song_id:
+ *                       type: string
+ *                       format: uuid
+ *                     position:
+ *                       type: string
+ *                       enum: [first, last]
+ *                       description: Keep the song as the opener or closer of its block
+ *               weights:
+ *                 type: object
+ *                 properties:
+ *                   key:
+ *                     type: number
+ *                     default: 1
+ *                   tempo:
+ *                     type: number
+ *                     default: 1
+ *                   energy:
+ *                     type: number
+ *                     default: 0.5
+ *     responses:
+ *       200:
+ *         description: Proposed song positions with the flow score, per-block scores and an explanation of remaining awkward transitions
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/arrange', [
+  auth,
+  check('block_id', 'Block ID must be a valid UUID').optional().isUUID(),
+  check('pinned', 'Pinned must be an array').optional().isArray(),
+  check('pinned.*.setlist_song_id', 'Pinned song ID must be a valid UUID').isUUID(),
+  check('pinned.*.position', 'Pinned position must be first or last').isIn(['first', 'last']),
+  check('weights.*', 'Weights must be non-negative numbers').optional().isFloat({ min: 0 }).toFloat(),
+], setlistController.arrangeSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/timing:
+ *   get:
+ *     summary: Get the running time of a setlist and each of its blocks
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Timing summary with song, gap and break durations, target difference and over/under status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/timing', auth, setlistController.getSetlistTiming);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks:
+ *   get:
+ *     summary: Get all blocks in a setlist with their songs
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: List of blocks in the setlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Block'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/blocks', auth, setlistController.getSetlistBlocks);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks:
+ *   post:
+ *     summary: Create a block in a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 description: Position of the block (defaults to the end of the setlist)
+ *               target_duration:
+ *                 type: integer
+ *                 description: Target running time of the block in seconds
+ *     responses:
+ *       201:
+ *         description: Block created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Block'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/blocks', [
+  auth,
+  versionCheck,
+  check('name', 'Name is required').notEmpty(),
+  check('position', 'Position must be a number').optional().isInt(),
+  check('target_duration', 'Target duration must be a non-negative number').optional({ nullable: true }).isInt({ min: 0 }),
+], setlistController.createBlock);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks/reorder:
+ *   put:
+ *     summary: Reorder blocks in a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blocks
+ *             properties:
+ *               blocks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - position
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     position:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Blocks reordered successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/blocks/reorder', [auth, versionCheck], setlistController.reorderBlocks);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks/{blockId}:
+ *   put:
+ *     summary: Rename or reposition a block
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: blockId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the block
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *               target_duration:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Target running time of the block in seconds
+ *     responses:
+ *       200:
+ *         description: Block updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Block'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or block not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/blocks/:blockId', [
+  auth,
+  versionCheck,
+  check('name', 'Name cannot be empty').optional().notEmpty(),
+  check('position', 'Position must be a number').optional().isInt(),
+  check('target_duration', 'Target duration must be a non-negative number').optional({ nullable: true }).isInt({ min: 0 }),
+], setlistController.updateBlock);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks/{blockId}:
+ *   delete:
+ *     summary: Delete a block from a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: blockId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the block
+ *       - in: query
+ *         name: songs
+ *         schema:
+ *           type: string
+ *           enum: [move, remove]
+ *           default: move
+ *         description: Whether to move the block's songs elsewhere or remove them from the setlist
+ *       - in: query
+ *         name: target_block_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Block to move the songs into (songs are left outside any block if omitted)
+ *     responses:
+ *       200:
+ *         description: Block deleted successfully, with the resulting setlist songs
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or block not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/blocks/:blockId', [auth, versionCheck], setlistController.deleteBlock);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/blocks/{blockId}/songs:
+ *   put:
+ *     summary: Move songs in the setlist into a block
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: blockId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the block
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - setlist_song_ids
+ *             properties:
+ *               setlist_song_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Songs moved successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or block not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/blocks/:blockId/songs', [auth, versionCheck], setlistController.moveSongsToBlock);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/activity:
+ *   get:
+ *     summary: Get the log of changes to a setlist, newest first
+ *     description: >
+ *       Setlists in the trash keep their log. Results come a page at a time; pass
+ *       `next_cursor` from a page as `cursor` to get the next one.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only changes made by this user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only this kind of change, e.g. setlist:song:removed
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [setlist, block, song]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor of the page to get, from `next_cursor`
+ *     responses:
+ *       200:
+ *         description: A page of the log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 activity:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SetlistActivity'
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to view the setlist
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/activity', [
+  auth,
+  check('actor_id', 'Actor ID must be a valid UUID').optional().isUUID(),
+  check('action', `Action must be one of: ${ActivityService.ACTIONS.join(', ')}`).optional().isIn(ActivityService.ACTIONS),
+  check('target_type', 'Target type must be setlist, block or song').optional().isIn(['setlist', 'block', 'song']),
+  check('limit', `Limit must be between 1 and ${SetlistSearchService.MAX_LIMIT}`).optional().isInt({ min: 1, max: SetlistSearchService.MAX_LIMIT })
+], activityController.getSetlistActivity);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: List of revisions, newest first, without snapshots
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions', auth, setlistController.getSetlistRevisions);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number (defaults to the latest revision)
+ *     responses:
+ *       200:
+ *         description: Changed setlist fields, and added, removed and changed blocks and songs
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or revision not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions/diff', [
+  auth,
+  check('from', 'From revision is required and must be a number').isInt({ min: 1 }),
+  check('to', 'To revision must be a number').optional().isInt({ min: 1 }),
+], setlistController.diffSetlistRevisions);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/revisions/{rev}:
+ *   get:
+ *     summary: Get a revision of a setlist with its snapshot
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: rev
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision found
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or revision not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/revisions/:rev', [
+  auth,
+  param('rev', 'Revision must be a number').isInt({ min: 1 }),
+], setlistController.getSetlistRevision);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/revisions/{rev}/restore:
+ *   post:
+ *     summary: Restore a setlist to an earlier revision
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: rev
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Setlist restored, with the resulting songs and any songs that no longer exist in the library
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist or revision not found
+ *       409:
+ *         description: Setlist was changed since the given version; the body contains the current setlist and songs
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/revisions/:rev/restore', [
+  auth,
+  versionCheck,
+  param('rev', 'Revision must be a number').isInt({ min: 1 }),
+], setlistController.restoreSetlistRevision);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/live:
+ *   get:
+ *     summary: Get the live show state of a setlist
+ *     description: Used by band members joining a show that is already running to catch up.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Current and next song, played and skipped songs, and elapsed vs planned time
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found or not live
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/live', auth, setlistController.getLiveSession);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/live:
+ *   post:
+ *     summary: Start playing a setlist live
+ *     description: The user starting the show leads it. Emits `live:updated` to the band. The socket event `live:start` with the same body and a `setlist_id` does the same.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               setlist_song_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Song to start from (defaults to the first song)
+ *               take_over:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Take over leading a show that is already live
+ *     responses:
+ *       200:
+ *         description: Live show state
+ *       400:
+ *         description: Setlist has no songs
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: Setlist is already live
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/live', auth, setlistController.startLiveSession);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/live/{action}:
+ *   post:
+ *     summary: Move a live show along
+ *     description: Only the member leading the show can move it. Emits `live:updated` to the band. The socket events `live:next`, `live:previous`, `live:skip` and `live:goto` with a `setlist_id` do the same.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [next, previous, skip, goto]
+ *         required: true
+ *         description: Advance to the next song, go back, skip the current song, or go to a specific song
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               setlist_song_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Song to go to (required for goto)
+ *     responses:
+ *       200:
+ *         description: Live show state
+ *       400:
+ *         description: The move is not possible
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User is not leading the show
+ *       404:
+ *         description: Setlist not found or not live
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/live/:action(next|previous|skip|goto)', auth, setlistController.moveLiveSession);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/live:
+ *   delete:
+ *     summary: End the live show of a setlist
+ *     description: Emits `live:ended` to the band.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Live show ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User is not leading the show
+ *       404:
+ *         description: Setlist not found or not live
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/live', auth, setlistController.endLiveSession);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/export:
+ *   get:
+ *     summary: Export setlist as PDF, plain text, CSV, JSON, Markdown or ChordPro
+ *     description: Every format includes the blocks, keys, tempos, durations and per-song notes. ChordPro exports are a single file with one song per {new_song} section.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, txt, csv, json, md, chordpro]
+ *           default: pdf
+ *         description: Export format
+ *     responses:
+ *       200:
+ *         description: Exported setlist, downloaded as an attachment
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/export', [
+  auth,
+  check('format', 'Format must be one of pdf, txt, csv, json, md, chordpro').optional().isIn(['pdf', 'txt', 'csv', 'json', 'md', 'chordpro'])
+], setlistController.exportSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/spotify:
+ *   post:
+ *     summary: Export setlist to Spotify playlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - playlist_name
+ *             properties:
+ *               playlist_name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               public:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Successfully exported to Spotify
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 spotify_playlist_id:
+ *                   type: string
+ *                 spotify_playlist_url:
+ *                   type: string
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/spotify', [
+  auth,
+  check('playlist_name', 'Playlist name is required').notEmpty(),
+], setlistController.exportSetlistToSpotify);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share:
+ *   post:
+ *     summary: Generate a shareable link for a setlist
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiry:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Expiry time in days (default 30, null for a link that never expires)
+ *               read_only:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Shareable link generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/share', [
+  auth,
+  check('expiry', 'Expiry must be a positive number of days').optional({ nullable: true }).isInt({ min: 1 }),
+  check('read_only', 'Read only must be a boolean').optional().isBoolean()
+], setlistController.generateShareLink);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share:
+ *   get:
+ *     summary: Get the active share links of a setlist
+ *     description: Revoked and expired links are not included.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Active share links, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to share this setlist
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/share', auth, setlistController.getShareLinks);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *       - in: path
+ *         name: linkId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the share link
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to share this setlist
+ *       404:
+ *         description: Setlist or share link not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/share/:linkId', auth, setlistController.revokeShareLink);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/collaborators:
+ *   get:
+ *     summary: Get the collaborators of a setlist
+ *     description: People given access to this setlist only, usually from outside the band.
+ *     tags: [Setlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
+ *     responses:
+ *       200:
+ *         description: Collaborators, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SetlistCollaborator'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
+ *       404:
+ *         description: Setlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/collaborators', auth, setlistController.getCollaborators);
 
 /**
  * @swagger
- * /api/setlists:
+ * /api/setlists/{id}/collaborators:
  *   post:
- *     summary: Create a new setlist
+ *     summary: Give someone access to a setlist
+ *     description: Changes the role of someone who already has access. Needs the admin role on the setlist.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the setlist
  *     requestBody:
  *       required: true
  *       content:
@@ -115,41 +2433,56 @@ router.get('/:id', auth, setlistController.getSetlistById);
  *           schema:
  *             type: object
  *             required:
- *               - name
+ *               - email
  *             properties:
- *               name:
- *                 type: string
- *               description:
+ *               email:
  *                 type: string
- *               band_id:
+ *                 format: email
+ *                 description: Email of the user to give access to
+ *               role:
  *                 type: string
- *                 format: uuid
- *               is_public:
- *                 type: boolean
+ *                 enum: [editor, viewer]
+ *                 default: viewer
  *     responses:
+ *       200:
+ *         description: Collaborator's role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistCollaborator'
  *       201:
- *         description: Setlist created successfully
+ *         description: Collaborator added
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Setlist'
+ *               $ref: '#/components/schemas/SetlistCollaborator'
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage collaborators
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
+ *       404:
+ *         description: Setlist or user not found
  *       500:
  *         description: Server error
  */
-router.post('/', [
+router.post('/:id/collaborators', [
   auth,
-  check('name', 'Name is required').notEmpty(),
-], setlistController.createSetlist);
+  check('email', 'Please include a valid email').trim().isEmail(),
+  check('role', 'Role must be editor or viewer').optional().isIn(['editor', 'viewer'])
+], setlistController.addCollaborator);
 
 /**
  * @swagger
- * /api/setlists/{id}:
- *   put:
- *     summary: Update a setlist
+ * /api/setlists/{id}/collaborators/{userId}:
+ *   delete:
+ *     summary: Take away someone's access to a setlist
+ *     description: Needs the admin role on the setlist, except to remove yourself.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -161,42 +2494,36 @@ router.post('/', [
  *           format: uuid
  *         required: true
  *         description: UUID of the setlist
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               is_public:
- *                 type: boolean
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the collaborator's user
  *     responses:
  *       200:
- *         description: Setlist updated successfully
+ *         description: Collaborator removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage collaborators
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Setlist'
- *       400:
- *         description: Invalid input
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
- *         description: Setlist not found
+ *         description: Setlist or collaborator not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', auth, setlistController.updateSetlist);
+router.delete('/:id/collaborators/:userId', auth, setlistController.removeCollaborator);
 
 /**
  * @swagger
- * /api/setlists/{id}:
- *   delete:
- *     summary: Delete a setlist
+ * /api/setlists/{id}/comments:
+ *   get:
+ *     summary: Get the comment threads of a setlist
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -208,23 +2535,52 @@ router.put('/:id', auth, setlistController.updateSetlist);
  *           format: uuid
  *         required: true
  *         description: UUID of the setlist
+ *       - in: query
+ *         name: setlist_song_id
+ *         schema:
+ *           type: string
+ *         description: Only threads about this slot, or "none" for threads about the whole setlist
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *         description: Only resolved or only open threads
  *     responses:
  *       200:
- *         description: Setlist deleted successfully
+ *         description: Threads with their replies, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SetlistComment'
+ *       400:
+ *         description: Invalid query
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
  *         description: Setlist not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', auth, setlistController.deleteSetlist);
+router.get('/:id/comments', [
+  auth,
+  check('setlist_song_id', 'Setlist song must be a setlist song ID or "none"').optional().if(value => value !== 'none').isUUID(),
+  check('resolved', 'Resolved must be true or false').optional().isBoolean()
+], commentController.getComments);
 
 /**
  * @swagger
- * /api/setlists/{id}/songs:
+ * /api/setlists/{id}/comments/counts:
  *   get:
- *     summary: Get all songs in a setlist
+ *     summary: Count the comments of a setlist and of each slot
+ *     description: For the comment badges in the editor.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -238,21 +2594,44 @@ router.delete('/:id', auth, setlistController.deleteSetlist);
  *         description: UUID of the setlist
  *     responses:
  *       200:
- *         description: List of songs in the setlist
+ *         description: Comments and open threads, for the whole setlist and by setlist song ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 setlist_id:
+ *                   type: string
+ *                   format: uuid
+ *                 setlist:
+ *                   $ref: '#/components/schemas/CommentCount'
+ *                 songs:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/CommentCount'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
  *         description: Setlist not found
  *       500:
  *         description: Server error
  */
-router.get('/:id/songs', auth, setlistController.getSetlistSongs);
+router.get('/:id/comments/counts', auth, commentController.getCommentCounts);
 
 /**
  * @swagger
- * /api/setlists/{id}/songs:
+ * /api/setlists/{id}/comments:
  *   post:
- *     summary: Add a song to a setlist
+ *     summary: Comment on a setlist or one of its slots, or reply to a thread
+ *     description: >
+ *       Anyone who can see the setlist can comment. "@username" mentions
+ *       notify the users mentioned, if they can see the setlist too.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -271,42 +2650,55 @@ router.get('/:id/songs', auth, setlistController.getSetlistSongs);
  *           schema:
  *             type: object
  *             required:
- *               - song_id
- *               - position
+ *               - body
  *             properties:
- *               song_id:
+ *               body:
  *                 type: string
- *                 format: uuid
- *               position:
- *                 type: integer
- *               block_id:
+ *               setlist_song_id:
  *                 type: string
  *                 format: uuid
- *               notes:
+ *                 nullable: true
+ *                 description: Slot to comment on; ignored for replies, which are about what the thread is about
+ *               parent_id:
  *                 type: string
+ *                 format: uuid
+ *                 description: Comment to reply to
  *     responses:
  *       201:
- *         description: Song added to setlist successfully
+ *         description: Comment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistComment'
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
- *         description: Setlist or song not found
+ *         description: Setlist, slot or comment replied to not found
  *       500:
  *         description: Server error
  */
-router.post('/:id/songs', [
+router.post('/:id/comments', [
   auth,
-  check('song_id', 'Song ID is required').isUUID(),
-  check('position', 'Position is required and must be a number').isInt(),
-], setlistController.addSongToSetlist);
+  check('body', 'Comment is required').trim().not().isEmpty(),
+  check('body', 'Comment must be at most 5000 characters').isLength({ max: 5000 }),
+  check('setlist_song_id', 'Setlist song ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  check('parent_id', 'Parent comment ID must be a valid UUID').optional({ nullable: true }).isUUID()
+], commentController.createComment);
 
 /**
  * @swagger
- * /api/setlists/{id}/songs/{songId}:
- *   delete:
- *     summary: Remove a song from a setlist
+ * /api/setlists/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Only the author can edit a comment.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -319,40 +2711,12 @@ router.post('/:id/songs', [
  *         required: true
  *         description: UUID of the setlist
  *       - in: path
- *         name: songId
- *         schema:
- *           type: string
- *           format: uuid
- *         required: true
- *         description: UUID of the song to remove
- *     responses:
- *       200:
- *         description: Song removed from setlist successfully
- *       401:
- *         description: Unauthorized
- *       404:
- *         description: Setlist or song not found
- *       500:
- *         description: Server error
- */
-router.delete('/:id/songs/:songId', auth, setlistController.removeSongFromSetlist);
-
-/**
- * @swagger
- * /api/setlists/{id}/reorder:
- *   put:
- *     summary: Reorder songs in a setlist
- *     tags: [Setlists]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
+ *         name: commentId
  *         schema:
  *           type: string
  *           format: uuid
  *         required: true
- *         description: UUID of the setlist
+ *         description: UUID of the comment
  *     requestBody:
  *       required: true
  *       content:
@@ -360,43 +2724,40 @@ router.delete('/:id/songs/:songId', auth, setlistController.removeSongFromSetlis
  *           schema:
  *             type: object
  *             required:
- *               - songs
+ *               - body
  *             properties:
- *               songs:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - id
- *                     - position
- *                   properties:
- *                     id:
- *                       type: string
- *                       format: uuid
- *                     position:
- *                       type: integer
- *                     block_id:
- *                       type: string
- *                       format: uuid
+ *               body:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Songs reordered successfully
+ *         description: Comment updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistComment'
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not the author of the comment
  *       404:
- *         description: Setlist not found
+ *         description: Setlist or comment not found
  *       500:
  *         description: Server error
  */
-router.put('/:id/reorder', auth, setlistController.reorderSetlistSongs);
+router.put('/:id/comments/:commentId', [
+  auth,
+  check('body', 'Comment is required').trim().not().isEmpty(),
+  check('body', 'Comment must be at most 5000 characters').isLength({ max: 5000 })
+], commentController.updateComment);
 
 /**
  * @swagger
- * /api/setlists/{id}/export:
- *   get:
- *     summary: Export setlist to PDF
+ * /api/setlists/{id}/comments/{commentId}/resolve:
+ *   post:
+ *     summary: Mark a thread as resolved
+ *     description: The author of the thread and anyone who can edit the setlist can.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -408,28 +2769,43 @@ router.put('/:id/reorder', auth, setlistController.reorderSetlistSongs);
  *           format: uuid
  *         required: true
  *         description: UUID of the setlist
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the comment
  *     responses:
  *       200:
- *         description: PDF document
+ *         description: Thread resolved
  *         content:
- *           application/pdf:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
+ *               $ref: '#/components/schemas/SetlistComment'
+ *       400:
+ *         description: The comment is a reply, not a thread
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to resolve the thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
- *         description: Setlist not found
+ *         description: Setlist or comment not found
  *       500:
  *         description: Server error
  */
-router.get('/:id/export', auth, setlistController.exportSetlistToPDF);
+router.post('/:id/comments/:commentId/resolve', auth, commentController.resolveComment);
 
 /**
  * @swagger
- * /api/setlists/{id}/spotify:
+ * /api/setlists/{id}/comments/{commentId}/unresolve:
  *   post:
- *     summary: Export setlist to Spotify playlist
+ *     summary: Open a resolved thread again
+ *     description: The author of the thread and anyone who can edit the setlist can.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -441,53 +2817,43 @@ router.get('/:id/export', auth, setlistController.exportSetlistToPDF);
  *           format: uuid
  *         required: true
  *         description: UUID of the setlist
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - playlist_name
- *             properties:
- *               playlist_name:
- *                 type: string
- *               description:
- *                 type: string
- *               public:
- *                 type: boolean
- *                 default: false
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the comment
  *     responses:
  *       200:
- *         description: Successfully exported to Spotify
+ *         description: Thread opened again
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 spotify_playlist_id:
- *                   type: string
- *                 spotify_playlist_url:
- *                   type: string
+ *               $ref: '#/components/schemas/SetlistComment'
  *       400:
- *         description: Invalid input
+ *         description: The comment is a reply, not a thread
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to open the thread again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
- *         description: Setlist not found
+ *         description: Setlist or comment not found
  *       500:
  *         description: Server error
  */
-router.post('/:id/spotify', [
-  auth,
-  check('playlist_name', 'Playlist name is required').notEmpty(),
-], setlistController.exportSetlistToSpotify);
+router.post('/:id/comments/:commentId/unresolve', auth, commentController.unresolveComment);
 
 /**
  * @swagger
- * /api/setlists/{id}/share:
- *   post:
- *     summary: Generate a shareable link for a setlist
+ * /api/setlists/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Deleting the first comment of a thread deletes its replies too. The author and admins of the setlist can.
  *     tags: [Setlists]
  *     security:
  *       - bearerAuth: []
@@ -499,40 +2865,29 @@ router.post('/:id/spotify', [
  *           format: uuid
  *         required: true
  *         description: UUID of the setlist
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               expiry:
- *                 type: integer
- *                 description: Expiry time in days (default 30)
- *               read_only:
- *                 type: boolean
- *                 default: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the comment
  *     responses:
  *       200:
- *         description: Shareable link generated
+ *         description: Comment deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to delete the comment
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 share_url:
- *                   type: string
- *                   format: uri
- *                 expires_at:
- *                   type: string
- *                   format: date-time
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Forbidden'
  *       404:
- *         description: Setlist not found
+ *         description: Setlist or comment not found
  *       500:
  *         description: Server error
  */
-router.post('/:id/share', auth, setlistController.generateShareLink);
+router.delete('/:id/comments/:commentId', auth, commentController.deleteComment);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/share.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SharedSetlist:
+ *       type: object
+ *       description: Read-only view of a setlist for people with a share link
+ *       properties:
+ *         setlist_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Only set for links that allow editing
+ *         read_only:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         band:
+ *           type: string
+ *           nullable: true
+ *           description: Name of the band
+ *         total_duration:
+ *           type: integer
+ *           description: Running time in seconds
+ *         target_duration:
+ *           type: integer
+ *           nullable: true
+ *         song_count:
+ *           type: integer
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         sections:
+ *           type: array
+ *           description: Songs grouped by block in play order; songs outside any block have a null name
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               duration:
+ *                 type: integer
+ *               target_duration:
+ *                 type: integer
+ *                 nullable: true
+ *               songs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     number:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     artist:
+ *                       type: string
+ *                     key:
+ *                       type: string
+ *                     tempo:
+ *                       type: integer
+ *                     duration:
+ *                       type: integer
+ *                     start_offset:
+ *                       type: integer
+ *                     notes:
+ *                       type: string
+ */
+
+/**
+ * @swagger
+ * /api/share/{token}:
+ *   get:
+ *     summary: View a shared setlist
+ *     description: Does not require authentication. Revoked links return 404 and expired links 410.
+ *     tags: [Share]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Share token from the share URL
+ *     responses:
+ *       200:
+ *         description: Shared setlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SharedSetlist'
+ *       404:
+ *         description: Share link not found or revoked
+ *       410:
+ *         description: Share link has expired
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', shareController.resolveShareLink);
+
+module.exports = router;
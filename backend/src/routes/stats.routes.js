@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../middleware/auth');
+const statsController = require('../controllers/stats.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SongUsage:
+ *       type: object
+ *       properties:
+ *         song_id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *         artist:
+ *           type: string
+ *           nullable: true
+ *         setlist_count:
+ *           type: integer
+ *           description: Setlists the song is in
+ *         recent_count:
+ *           type: integer
+ *           description: Recent setlists the song is in
+ *         last_scheduled_on:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Latest gig of a setlist with the song, or the day the setlist was created if it has no gig
+ *         average_position:
+ *           type: number
+ *           nullable: true
+ *           description: Average place in the running order, from 0 (opener) to 1 (closer)
+ *         opener_count:
+ *           type: integer
+ *         closer_count:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stats
+ *   description: Usage statistics of a band's repertoire
+ */
+
+/**
+ * @swagger
+ * /api/stats/songs:
+ *   get:
+ *     summary: Get how a band's songs are used across its setlists
+ *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: band_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: query
+ *         name: recent
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           maximum: 50
+ *           default: 5
+ *         description: How many of the latest setlists count as recent
+ *       - in: query
+ *         name: overuse_share
+ *         schema:
+ *           type: number
+ *           minimum: 0.1
+ *           maximum: 1
+ *           default: 0.8
+ *         description: Share of the recent setlists a song must be in to count as over-used
+ *     responses:
+ *       200:
+ *         description: Song usage, most used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 band_id:
+ *                   type: string
+ *                   format: uuid
+ *                 setlist_count:
+ *                   type: integer
+ *                 recent_setlist_count:
+ *                   type: integer
+ *                 songs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SongUsage'
+ *                 never_used:
+ *                   type: array
+ *                   description: Songs in the library that are in no setlist
+ *                   items:
+ *                     $ref: '#/components/schemas/SongUsage'
+ *                 overused:
+ *                   type: array
+ *                   description: Songs in most of the recent setlists; empty until the band has enough setlists
+ *                   items:
+ *                     $ref: '#/components/schemas/SongUsage'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of the band
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/songs', [
+  auth,
+  check('band_id', 'Band ID must be a valid UUID').isUUID(),
+  check('recent', 'Recent must be between 2 and 50').optional().isInt({ min: 2, max: 50 }),
+  check('overuse_share', 'Overuse share must be between 0.1 and 1').optional().isFloat({ min: 0.1, max: 1 })
+], statsController.getSongStats);
+
+module.exports = router;
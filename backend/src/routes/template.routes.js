@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../middleware/auth');
+const templateController = require('../controllers/template.controller');
+
+// Validation of the optional template fields, used when creating and updating templates
+const templateChecks = [
+  check('name', 'Name must be at most 255 characters').optional().isLength({ max: 255 }),
+  check('description', 'Description must be text').optional({ nullable: true }).isString(),
+  check('song_gap', 'Song gap must be a whole number of seconds').optional().isInt({ min: 0 }),
+  check('block_break', 'Block break must be a whole number of seconds').optional().isInt({ min: 0 }),
+  check('target_duration', 'Target duration must be a whole number of seconds').optional({ nullable: true }).isInt({ min: 0 }),
+  check('blocks', 'Blocks must be an array').optional().isArray(),
+  check('blocks.*.name', 'Block name is required').trim().notEmpty(),
+  check('blocks.*.target_duration', 'Block target duration must be a whole number of seconds').optional({ nullable: true }).isInt({ min: 0 }),
+  check('fixed_slots', 'Fixed slots must be an array').optional().isArray(),
+  check('fixed_slots.*.song_id', 'Song ID must be a valid UUID').isUUID(),
+  check('fixed_slots.*.block', 'Block must be the index of one of the template\'s blocks').optional({ nullable: true }).isInt({ min: 0 }),
+  check('fixed_slots.*.position', 'Position must be first or last').isIn(['first', 'last'])
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetlistTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The auto-generated UUID of the template
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         band_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Band whose members can use the template; null for a personal template
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         song_gap:
+ *           type: integer
+ *           description: Seconds between songs, given to setlists made from the template
+ *         block_break:
+ *           type: integer
+ *           description: Seconds between blocks, given to setlists made from the template
+ *         target_duration:
+ *           type: integer
+ *           nullable: true
+ *           description: Target length of the show in seconds
+ *         blocks:
+ *           type: array
+ *           description: Blocks in running order
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               target_duration:
+ *                 type: integer
+ *                 nullable: true
+ *         fixed_slots:
+ *           type: array
+ *           description: Songs that always open or close the show or one of its blocks
+ *           items:
+ *             type: object
+ *             required:
+ *               - song_id
+ *               - position
+ *             properties:
+ *               song_id:
+ *                 type: string
+ *                 format: uuid
+ *               block:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Index into blocks; null opens or closes the whole show
+ *               position:
+ *                 type: string
+ *                 enum: [first, last]
+ *               song:
+ *                 type: object
+ *                 nullable: true
+ *                 readOnly: true
+ *                 description: Title and artist of the song; null if it was deleted from the library
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Reusable show structures to start setlists from
+ */
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: Get the templates the authenticated user can use
+ *     description: Their personal templates and those of their bands.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: band_id
+ *         schema:
+ *           type: string
+ *         description: Only templates of this band, or "none" for personal templates only
+ *     responses:
+ *       200:
+ *         description: Templates by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SetlistTemplate'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  auth,
+  check('band_id', 'Band must be a band ID or "none"').optional().if(value => value !== 'none').isUUID()
+], templateController.getTemplates);
+
+/**
+ * @swagger
+ * /api/templates:
+ *   post:
+ *     summary: Create a template
+ *     description: Band templates need the editor role in the band.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetlistTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistTemplate'
+ *       400:
+ *         description: Invalid input, or a fixed slot in a block the template does not have
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage templates for the band
+ *       404:
+ *         description: Band not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', [
+  auth,
+  check('name', 'Name is required').trim().notEmpty(),
+  check('band_id', 'Band ID must be a valid UUID').optional({ nullable: true }).isUUID(),
+  ...templateChecks
+], templateController.createTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   get:
+ *     summary: Get a template by ID
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the template
+ *     responses:
+ *       200:
+ *         description: Template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistTemplate'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Someone else's personal template, or not a member of the band
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', auth, templateController.getTemplateById);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   put:
+ *     summary: Update a template
+ *     description: Band templates need the editor role in the band. Passing `blocks` or `fixed_slots` replaces them.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the template
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetlistTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SetlistTemplate'
+ *       400:
+ *         description: Invalid input, or a fixed slot in a block the template does not have
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage the template
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', [
+  auth,
+  check('name', 'Name cannot be empty').optional().trim().notEmpty(),
+  ...templateChecks
+], templateController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     description: Band templates need the editor role in the band. Setlists made from it are kept.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *         description: UUID of the template
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to manage the template
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', auth, templateController.deleteTemplate);
+
+module.exports = router;
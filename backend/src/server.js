@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const http = require('http');
 const socketIo = require('socket.io');
+const jwt = require('jsonwebtoken');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
@@ -15,6 +16,12 @@ const bandRoutes = require('./routes/band.routes');
 const songRoutes = require('./routes/song.routes');
 const setlistRoutes = require('./routes/setlist.routes');
 const integrationRoutes = require('./routes/integration.routes');
+const shareRoutes = require('./routes/share.routes');
+const gigRoutes = require('./routes/gig.routes');
+const galleryRoutes = require('./routes/gallery.routes');
+const statsRoutes = require('./routes/stats.routes');
+const activityRoutes = require('./routes/activity.routes');
+const templateRoutes = require('./routes/template.routes');
 
 // Import socket handlers
 const socketHandler = require('./socket');
@@ -22,6 +29,11 @@ const socketHandler = require('./socket');
 // Import database connection
 const db = require('./db/config');
 
+// Import background jobs
+const TrashService = require('./services/trash.service');
+const PresenceService = require('./services/presence.service');
+const LiveService = require('./services/live.service');
+
 // Create Express app
 const app = express();
 const server = http.createServer(app);
@@ -58,6 +70,7 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['X-Setlist-Version'],
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -73,6 +86,12 @@ app.use('/api/bands', bandRoutes);
 app.use('/api/songs', songRoutes);
 app.use('/api/setlists', setlistRoutes);
 app.use('/api/integrations', integrationRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/gigs', gigRoutes);
+app.use('/api/gallery', galleryRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -80,7 +99,25 @@ app.get('/', (req, res) => {
 });
 
 // Socket.io
+// The user of a socket comes from the token it connects with, never from its messages
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    socket.user = decoded.user;
+    next();
+  } catch (err) {
+    next(new Error('Token is not valid'));
+  }
+});
 io.on('connection', socketHandler);
+io.on('connection', (socket) => PresenceService.handleConnection(io, socket));
+io.on('connection', LiveService.handleConnection);
+PresenceService.startLockSweep(io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -101,6 +138,16 @@ server.listen(PORT, async () => {
   try {
     await db.authenticate();
     console.log('Database connection established successfully.');
+
+    // Purge setlists that have been in the trash past the retention window
+    TrashService.startSweep((setlists) => {
+      for (const setlist of setlists) {
+        if (setlist.band_id) {
+          io.to(`band:${setlist.band_id}`).emit('setlist:purged', { id: setlist.id });
+        }
+        io.to(`user:${setlist.created_by}`).emit('setlist:purged', { id: setlist.id });
+      }
+    });
   } catch (error) {
     console.error('Unable to connect to the database:', error);
   }
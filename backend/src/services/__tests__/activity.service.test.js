@@ -0,0 +1,128 @@
+jest.mock('../../models/setlistActivity.model', () => ({ create: jest.fn(), findAll: jest.fn() }));
+jest.mock('../../models/setlistSong.model', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/block.model', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/setlistCollaborator.model', () => ({ findAll: jest.fn() }));
+// Part of the song library, which is not in this repository
+jest.mock('../../models/song.model', () => ({}), { virtual: true });
+// Part of the user accounts, which are not in this repository
+jest.mock('../../models/user.model', () => ({}), { virtual: true });
+// Part of the bands, which are not in this repository
+jest.mock('../../models/bandMember.model', () => ({ findOne: jest.fn(), findAll: jest.fn() }), { virtual: true });
+
+const { Op } = require('sequelize');
+const SetlistActivity = require('../../models/setlistActivity.model');
+const SetlistCollaborator = require('../../models/setlistCollaborator.model');
+const BandMember = require('../../models/bandMember.model');
+const SetlistSearchService = require('../setlistSearch.service');
+const ActivityService = require('../activity.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  BandMember.findOne.mockResolvedValue(null);
+  BandMember.findAll.mockResolvedValue([]);
+  SetlistCollaborator.findAll.mockResolvedValue([]);
+});
+
+const memberOf = (bandId, role) => {
+  const member = { band_id: bandId, user_id: 'user', role };
+  BandMember.findOne.mockImplementation(async ({ where }) => (where.band_id === bandId ? member : null));
+  BandMember.findAll.mockImplementation(async ({ where }) => (where.band_id.includes(bandId) ? [member] : []));
+};
+
+const collaborator = (setlistId, role) => {
+  SetlistCollaborator.findAll.mockResolvedValue([{ setlist_id: setlistId, user_id: 'user', role }]);
+};
+
+describe('ActivityService.canSeeLog', () => {
+  const bandSetlist = { id: 'setlist', band_id: 'band', created_by: 'creator', is_public: true };
+  const personalSetlist = { id: 'setlist', band_id: null, created_by: 'creator', is_public: true };
+
+  it.each(['viewer', 'editor', 'admin', 'owner', 'member'])('lets a band %s see the log', async (role) => {
+    memberOf('band', role);
+
+    expect(await ActivityService.canSeeLog('user', bandSetlist)).toBe(true);
+  });
+
+  it('lets an editor from outside the band see the log', async () => {
+    collaborator('setlist', 'editor');
+
+    expect(await ActivityService.canSeeLog('user', bandSetlist)).toBe(true);
+  });
+
+  it('does not let a viewer from outside the band see the log', async () => {
+    collaborator('setlist', 'viewer');
+
+    expect(await ActivityService.canSeeLog('user', bandSetlist)).toBe(false);
+  });
+
+  it('does not let anyone see the log of a public setlist', async () => {
+    expect(await ActivityService.canSeeLog('user', bandSetlist)).toBe(false);
+    expect(await ActivityService.canSeeLog('user', personalSetlist)).toBe(false);
+  });
+
+  it('does not let a member of another band see the log', async () => {
+    memberOf('other-band', 'owner');
+
+    expect(await ActivityService.canSeeLog('user', { ...bandSetlist, is_public: false })).toBe(false);
+  });
+
+  it('lets the creator of a personal setlist see the log', async () => {
+    expect(await ActivityService.canSeeLog('creator', personalSetlist)).toBe(true);
+  });
+
+  it('lets an editor of a personal setlist see the log', async () => {
+    collaborator('setlist', 'editor');
+
+    expect(await ActivityService.canSeeLog('user', personalSetlist)).toBe(true);
+  });
+});
+
+describe('ActivityService.getPage', () => {
+  const entries = ['third', 'second', 'first'].map((id, index) => ({
+    id,
+    created_at: new Date(Date.UTC(2026, 5, 3 - index))
+  }));
+
+  it('gets the newest entries of a band with the filters asked for', async () => {
+    SetlistActivity.findAll.mockResolvedValue([]);
+
+    await ActivityService.getPage({ band_id: 'band' }, { actor_id: 'user', action: 'setlist:updated', target_type: 'song' }, null, 20);
+
+    expect(SetlistActivity.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        [Op.and]: [{ band_id: 'band' }, { actor_id: 'user' }, { action: 'setlist:updated' }, { target_type: 'song' }]
+      },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: 21
+    }));
+  });
+
+  it('starts after the cursor', async () => {
+    SetlistActivity.findAll.mockResolvedValue([]);
+    const cursor = { value: entries[1].created_at, id: 'second' };
+
+    await ActivityService.getPage({ setlist_id: 'setlist' }, {}, cursor, 20);
+
+    expect(SetlistActivity.findAll.mock.calls[0][0].where[Op.and]).toEqual([
+      { setlist_id: 'setlist' },
+      SetlistSearchService.buildCursorWhere(cursor, 'created_at', 'desc')
+    ]);
+  });
+
+  it('gives a cursor after the last entry when there are more', async () => {
+    SetlistActivity.findAll.mockResolvedValue(entries);
+
+    const page = await ActivityService.getPage({ setlist_id: 'setlist' }, {}, null, 2);
+
+    expect(page.activity).toEqual(entries.slice(0, 2));
+    expect(SetlistSearchService.decodeCursor(page.next_cursor, 'created_at')).toEqual({ value: entries[1].created_at, id: 'second' });
+  });
+
+  it('gives no cursor on the last page', async () => {
+    SetlistActivity.findAll.mockResolvedValue(entries);
+
+    const page = await ActivityService.getPage({ setlist_id: 'setlist' }, {}, null, 3);
+
+    expect(page).toEqual({ activity: entries, next_cursor: null });
+  });
+});
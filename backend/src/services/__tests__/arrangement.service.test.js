@@ -0,0 +1,94 @@
+const ArrangementService = require('../arrangement.service');
+
+describe('ArrangementService.parseKey', () => {
+  it.each([
+    ['C', { pitch: 0, minor: false }],
+    ['F#m', { pitch: 6, minor: true }],
+    ['Bb minor', { pitch: 10, minor: true }],
+    ['Eb major', { pitch: 3, minor: false }],
+    ['cb', { pitch: 11, minor: false }]
+  ])('parses %s', (key, parsed) => {
+    expect(ArrangementService.parseKey(key)).toEqual(parsed);
+  });
+
+  it.each([null, '', 'H', 'C dorian'])('does not recognise %p', (key) => {
+    expect(ArrangementService.parseKey(key)).toBeNull();
+  });
+});
+
+describe('ArrangementService.keyDistance', () => {
+  it('counts steps around the circle of fifths', () => {
+    expect(ArrangementService.keyDistance('C', 'G')).toBe(1);
+    expect(ArrangementService.keyDistance('C', 'D')).toBe(2);
+    expect(ArrangementService.keyDistance('C', 'F#')).toBe(6);
+  });
+
+  it('treats relative majors and minors as the same position', () => {
+    expect(ArrangementService.keyDistance('C', 'Am')).toBe(0);
+    expect(ArrangementService.keyDistance('G', 'Em')).toBe(0);
+  });
+
+  it('is null when a key is not recognised', () => {
+    expect(ArrangementService.keyDistance('C', 'unknown')).toBeNull();
+  });
+});
+
+describe('ArrangementService.arrange', () => {
+  const song = (id, key, tempo) => ({ id, title: id, key, tempo });
+
+  it('orders songs into smoother transitions', () => {
+    const songs = [
+      song('a', 'C', 100),
+      song('b', 'F#', 160),
+      song('c', 'G', 104),
+      song('d', 'C#', 156)
+    ];
+
+    const result = ArrangementService.arrange(songs);
+
+    expect(result.order).toHaveLength(4);
+    expect(new Set(result.order.map(s => s.id))).toEqual(new Set(['a', 'b', 'c', 'd']));
+    expect(result.score).toBeGreaterThan(result.current_score);
+    expect(result.transitions).toHaveLength(3);
+  });
+
+  it('keeps pinned songs at the ends', () => {
+    const songs = [
+      song('a', 'C', 100),
+      song('b', 'G', 120),
+      song('c', 'D', 140),
+      song('d', 'A', 90)
+    ];
+
+    const { order } = ArrangementService.arrange(songs, { pinned: { c: 'first', a: 'last' } });
+
+    expect(order[0].id).toBe('c');
+    expect(order[order.length - 1].id).toBe('a');
+  });
+
+  it('explains notable key changes and tempo jumps', () => {
+    const { transitions } = ArrangementService.arrange(
+      [song('a', 'C', 80), song('b', 'F#', 160)],
+      { pinned: { a: 'first' } }
+    );
+
+    expect(transitions[0]).toMatchObject({ from: 'a', to: 'b', key_distance: 6, tempo_jump: 80 });
+    expect(transitions[0].explanation).toBe(
+      'a → b: key change C → F# (6 steps on the circle of fifths), tempo jump 80 → 160 BPM'
+    );
+  });
+
+  it('scores a single song as seamless', () => {
+    expect(ArrangementService.arrange([song('a', 'C', 100)]).score).toBe(100);
+  });
+
+  it('still returns every song for long setlists', () => {
+    const keys = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'Db', 'Ab', 'Eb', 'Bb', 'F'];
+    const songs = Array.from({ length: 200 }, (_, i) => song(`s${i}`, keys[(i * 5) % 12], 80 + ((i * 37) % 90)));
+
+    const { order } = ArrangementService.arrange(songs);
+
+    expect(order).toHaveLength(200);
+    expect(new Set(order.map(s => s.id)).size).toBe(200);
+  });
+});
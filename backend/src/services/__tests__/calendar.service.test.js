@@ -0,0 +1,108 @@
+const CalendarService = require('../calendar.service');
+
+const band = { name: 'The Band' };
+
+// Undo line folding, as a calendar app reading the feed would
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+const eventLines = (calendar) => unfold(calendar).split('\r\n');
+
+const gig = (fields) => ({
+  id: 'gig-id',
+  venue: 'The Venue',
+  date: '2026-07-04',
+  status: 'confirmed',
+  updated_at: '2026-06-01T09:00:00Z',
+  ...fields
+});
+
+describe('CalendarService.buildCalendar', () => {
+  it('builds a full event for a gig', () => {
+    const calendar = CalendarService.buildCalendar(band, [gig({
+      title: 'Summer Festival',
+      address: '1 High Street, Town',
+      timezone: 'Europe/London',
+      load_in_at: '2026-07-04T15:00:00Z',
+      soundcheck_at: '2026-07-04T16:30:00Z',
+      set_time_at: '2026-07-04T19:00:00Z',
+      ends_at: '2026-07-04T20:30:00Z',
+      status: 'tentative',
+      contact_name: 'Alex',
+      contact_phone: '+44 1234 567890',
+      notes: 'Bring the spare snare; parking round the back',
+      setlists: [{ name: 'Festival set' }, { name: 'Acoustic' }]
+    })]);
+
+    expect(calendar).toMatchSnapshot();
+  });
+
+  it('ends every line with CRLF', () => {
+    const calendar = CalendarService.buildCalendar(band, [gig()]);
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('escapes backslashes, commas, semicolons and newlines in text', () => {
+    const lines = eventLines(CalendarService.buildCalendar(band, [gig({
+      title: 'Smith, Jones; and C:\\ Band',
+      notes: 'Line one\nLine two\r\nLine three'
+    })]));
+
+    expect(lines).toContain('SUMMARY:Smith\\, Jones\\; and C:\\\\ Band');
+    expect(lines.find(line => line.startsWith('DESCRIPTION:'))).toBe('DESCRIPTION:\\nLine one\\nLine two\\nLine three');
+  });
+
+  it('folds long lines at 75 octets without losing anything', () => {
+    const notes = 'Soundcheck is at the main stage, load in through the side gate. '.repeat(4);
+    const calendar = CalendarService.buildCalendar(band, [gig({ notes })]);
+
+    for (const line of calendar.split('\r\n')) {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    }
+    expect(calendar).toMatch(/\r\n [^ ]/);
+    expect(eventLines(calendar)).toContain(`DESCRIPTION:\\n${notes.replace(/,/g, '\\,')}`);
+  });
+
+  it('does not split a multi-byte character when folding', () => {
+    const title = 'Café Zürich – Ünterhaltungsabend '.repeat(4).trim();
+    const calendar = CalendarService.buildCalendar(band, [gig({ title })]);
+
+    for (const line of calendar.split('\r\n')) {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('\uFFFD');
+    }
+    expect(eventLines(calendar)).toContain(`SUMMARY:${title}`);
+  });
+
+  it('makes a gig without times an all-day event', () => {
+    const lines = eventLines(CalendarService.buildCalendar(band, [gig({ date: '2026-01-31' })]));
+
+    expect(lines).toContain('DTSTART;VALUE=DATE:20260131');
+    expect(lines).toContain('DTEND;VALUE=DATE:20260201');
+  });
+
+  it('runs a timed gig from the earliest time to the end of the set', () => {
+    const lines = eventLines(CalendarService.buildCalendar(band, [gig({
+      soundcheck_at: '2026-07-04T17:00:00Z',
+      set_time_at: '2026-07-04T20:00:00Z'
+    })]));
+
+    expect(lines).toContain('DTSTART:20260704T170000Z');
+    expect(lines).toContain('DTEND:20260704T213000Z');
+  });
+
+  it('names an untitled gig after the band and venue', () => {
+    const lines = eventLines(CalendarService.buildCalendar(band, [gig({ status: 'cancelled' })]));
+
+    expect(lines).toContain('SUMMARY:The Band at The Venue');
+    expect(lines).toContain('STATUS:CANCELLED');
+  });
+
+  it('builds an empty calendar for a band without gigs', () => {
+    const lines = eventLines(CalendarService.buildCalendar(band, []));
+
+    expect(lines).toContain('X-WR-CALNAME:The Band gigs');
+    expect(lines).not.toContain('BEGIN:VEVENT');
+  });
+});
@@ -0,0 +1,76 @@
+// Part of the user accounts, which are not in this repository
+jest.mock('../../models/user.model', () => ({ findAll: jest.fn() }), { virtual: true });
+jest.mock('../permission.service', () => ({ can: jest.fn() }));
+
+const { Op } = require('sequelize');
+const User = require('../../models/user.model');
+const PermissionService = require('../permission.service');
+const CommentService = require('../comment.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('CommentService.extractMentionNames', () => {
+  it.each([
+    ['@sam can you check the key?', ['sam']],
+    ['Thanks @sam and @alex_k!', ['sam', 'alex_k']],
+    ['Ask @jo.smith.', ['jo.smith']],
+    ['@sam @sam @sam', ['sam']],
+    ['(@sam) or @alex-b-', ['sam', 'alex-b']]
+  ])('finds the mentions in %p', (body, names) => {
+    expect(CommentService.extractMentionNames(body)).toEqual(names);
+  });
+
+  it.each([
+    'Mail sam@example.com',
+    'No mentions here',
+    'Just an @ sign'
+  ])('finds no mentions in %p', (body) => {
+    expect(CommentService.extractMentionNames(body)).toEqual([]);
+  });
+});
+
+describe('CommentService.resolveMentions', () => {
+  const setlist = { id: 'setlist' };
+
+  it('keeps the mentioned users who can comment on the setlist', async () => {
+    User.findAll.mockResolvedValue([{ id: 'sam-id', username: 'sam' }, { id: 'fan-id', username: 'fan' }]);
+    PermissionService.can.mockImplementation(async (userId) => userId === 'sam-id');
+
+    const users = await CommentService.resolveMentions('@sam @fan', setlist);
+
+    expect(users).toEqual([{ id: 'sam-id', username: 'sam' }]);
+    expect(PermissionService.can).toHaveBeenCalledWith('fan-id', setlist, 'comment');
+  });
+
+  it('takes LIKE wildcards in usernames literally', async () => {
+    User.findAll.mockResolvedValue([]);
+
+    await CommentService.resolveMentions('@a_b', setlist);
+
+    const [{ where }] = User.findAll.mock.calls[0];
+    expect(where[Op.or]).toEqual([{ username: { [Op.iLike]: 'a\\_b' } }]);
+  });
+
+  it('does not look anyone up without mentions', async () => {
+    expect(await CommentService.resolveMentions('Nice set', setlist)).toEqual([]);
+    expect(User.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('CommentService.countComments', () => {
+  it('counts comments and open threads per setlist and slot', () => {
+    const counts = CommentService.countComments([
+      { setlist_song_id: null, parent_id: null, resolved_at: null },
+      { setlist_song_id: null, parent_id: 'thread', resolved_at: null },
+      { setlist_song_id: 'slot', parent_id: null, resolved_at: '2026-01-01T00:00:00Z' },
+      { setlist_song_id: 'slot', parent_id: null, resolved_at: null }
+    ]);
+
+    expect(counts).toEqual({
+      setlist: { total: 2, open_threads: 1 },
+      songs: { slot: { total: 2, open_threads: 1 } }
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const ExportService = require('../export.service');
+
+const setlist = {
+  name: 'Summer Gig',
+  description: 'Outdoor | main stage',
+  song_gap: 30,
+  block_break: 600,
+  target_duration: 3600,
+  band: { name: 'The Band' }
+};
+const blocks = [{ id: 'set-1', name: 'Set 1', position: 0 }];
+const setlistSongs = [
+  {
+    id: 'first',
+    block_id: 'set-1',
+    position: 0,
+    performed_key: 'A',
+    transpose: 2,
+    capo: 2,
+    lead_singer: 'Sam',
+    notes: 'Count in slowly\nthen build',
+    song: { title: 'Hello, "World"', artist: 'A|B', key: 'G', tempo: 120, duration: 185 }
+  },
+  {
+    id: 'second',
+    block_id: 'set-1',
+    position: 1,
+    segue_notes: 'Straight into the encore',
+    song: { title: 'Plain Song', artist: 'Band', key: 'E', tempo: 90, duration: 200 }
+  },
+  {
+    id: 'third',
+    block_id: null,
+    position: 0,
+    song: { title: 'Encore {live}', artist: null, key: null, tempo: null, duration: null }
+  }
+];
+
+const data = ExportService.buildExport(setlist, blocks, setlistSongs);
+
+describe('ExportService.buildExport', () => {
+  it('groups songs into sections in play order with their timing', () => {
+    expect(data).toMatchObject({
+      name: 'Summer Gig',
+      band: 'The Band',
+      song_count: 3,
+      total_duration: 185 + 30 + 200 + 600,
+      target_duration: 3600
+    });
+    expect(data.sections.map(section => [section.name, section.songs.map(song => song.number)])).toEqual([
+      ['Set 1', [1, 2]],
+      [null, [3]]
+    ]);
+    expect(data.sections[1].songs[0].start_offset).toBe(185 + 30 + 200 + 600);
+  });
+
+  it('uses the performed key and keeps the transposition', () => {
+    expect(data.sections[0].songs[0]).toMatchObject({ key: 'A', original_key: 'G', transpose: 2, capo: 2 });
+  });
+});
+
+describe('ExportService.toText', () => {
+  it('lists the songs with their details under each block', () => {
+    expect(ExportService.toText(data)).toBe([
+      'SUMMER GIG',
+      'The Band',
+      '3 songs, 16:55',
+      '',
+      'SET 1 (6:55)',
+      ' 1. Hello, "World" - A|B [Key: A (+2 from G) | 120 BPM | 3:05]',
+      '    Capo 2 | Lead: Sam',
+      '    Count in slowly\nthen build',
+      ' 2. Plain Song - Band [Key: E | 90 BPM | 3:20]',
+      '    -> Straight into the encore',
+      '',
+      ' 3. Encore {live}',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('ExportService.toCSV', () => {
+  const rows = ExportService.toCSV(data).split('\r\n');
+
+  it('writes a header and a row per song with CRLF line endings', () => {
+    expect(rows[0]).toBe('Number,Block,Title,Artist,Key,Original Key,Transpose,Tempo,Duration,Duration (s),Start,Capo,Tuning,Lead Singer,Instrument Changes,Segue,Notes');
+    expect(rows[rows.length - 1]).toBe('');
+  });
+
+  it('quotes cells with commas, quotes and newlines', () => {
+    expect(rows[1]).toBe('1,Set 1,"Hello, ""World""",A|B,A,G,2,120,3:05,185,0:00,2,,Sam,,,"Count in slowly\nthen build"');
+  });
+
+  it('leaves plain and empty cells unquoted', () => {
+    expect(rows.slice(3)).toEqual([
+      '3,,Encore {live},,,,,,,,16:55,,,,,,',
+      ''
+    ]);
+  });
+});
+
+describe('ExportService.toJSON', () => {
+  it('writes the export structure as indented JSON', () => {
+    const json = ExportService.toJSON(data);
+
+    expect(JSON.parse(json)).toEqual(data);
+    expect(json).toMatch(/^{\n {2}"name": "Summer Gig",/);
+  });
+});
+
+describe('ExportService.toMarkdown', () => {
+  const markdown = ExportService.toMarkdown(data);
+
+  it('writes a heading and a table per block', () => {
+    expect(markdown.split('\n').slice(0, 11)).toEqual([
+      '# Summer Gig',
+      '',
+      '**The Band**',
+      '',
+      'Outdoor | main stage',
+      '',
+      '3 songs, 16:55 (target 1:00:00)',
+      '',
+      '## Set 1 (6:55)',
+      '',
+      '| # | Title | Artist | Key | Tempo | Duration | Performance | Notes |'
+    ]);
+  });
+
+  it('escapes pipes and flattens newlines in cells', () => {
+    expect(markdown).toContain('| 1 | Hello, "World" | A\\|B | A (+2 from G) | 120 | 3:05 | Capo 2, Lead: Sam | Count in slowly then build |');
+    expect(markdown).toContain('| 2 | Plain Song | Band | E | 90 | 3:20 |  | → Straight into the encore |');
+  });
+
+  it('writes songs outside any block in a table without a heading', () => {
+    expect(markdown.endsWith([
+      '| # | Title | Artist | Key | Tempo | Duration | Performance | Notes |',
+      '|---|---|---|---|---|---|---|---|',
+      '| 3 | Encore {live} |  |  |  |  |  |  |',
+      ''
+    ].join('\n'))).toBe(true);
+  });
+});
+
+describe('ExportService.toChordPro', () => {
+  const songs = ExportService.toChordPro(data).split('\n{new_song}\n');
+
+  it('writes one section per song', () => {
+    expect(songs).toHaveLength(3);
+  });
+
+  it('writes the song details and performance as directives', () => {
+    expect(songs[0].split('\n')).toEqual([
+      '{title: Hello, "World"}',
+      '{artist: A|B}',
+      '{key: A}',
+      '{capo: 2}',
+      '{tempo: 120}',
+      '{duration: 3:05}',
+      '{meta: setlist Summer Gig}',
+      '{meta: position 1}',
+      '{meta: block Set 1}',
+      '{meta: original_key G}',
+      '{meta: lead_singer Sam}',
+      '{comment: Count in slowly then build}'
+    ]);
+  });
+
+  it('strips braces so values cannot end a directive', () => {
+    expect(songs[2]).toBe([
+      '{title: Encore live}',
+      '{meta: setlist Summer Gig}',
+      '{meta: position 3}',
+      ''
+    ].join('\n'));
+  });
+});
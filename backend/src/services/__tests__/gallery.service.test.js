@@ -0,0 +1,76 @@
+const GalleryService = require('../gallery.service');
+
+const library = [
+  { id: 'wonderwall', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' },
+  { id: 'hallelujah', title: 'Hallelujah', artist: 'Leonard Cohen', key: 'C' },
+  { id: 'let-it-be', title: 'Let It Be', artist: 'The Beatles', key: 'C' }
+];
+
+const match = (songs) => GalleryService.matchSongs(songs, library);
+
+describe('GalleryService.matchSongs', () => {
+  it('uses the library song with the same title and artist', () => {
+    const matches = match([{ id: 'forked', title: 'Wonderwall', artist: 'Oasis' }]);
+
+    expect(matches.get('forked')).toBe(library[0]);
+  });
+
+  it('leaves a song missing from the library to be created', () => {
+    const matches = match([{ id: 'forked', title: 'Champagne Supernova', artist: 'Oasis' }]);
+
+    expect(matches.has('forked')).toBe(true);
+    expect(matches.get('forked')).toBeNull();
+  });
+
+  it.each([
+    ['different case', 'WONDERWALL', 'oasis'],
+    ['extra whitespace', '  Wonderwall ', ' Oasis  '],
+    ['punctuation and a remaster note', 'Wonderwall! (Remastered)', 'Oasis.']
+  ])('matches a title with %s', (_, title, artist) => {
+    expect(match([{ id: 'forked', title, artist }]).get('forked')).toBe(library[0]);
+  });
+
+  it('matches an artist with or without a leading "The"', () => {
+    expect(match([{ id: 'forked', title: 'let it be', artist: 'Beatles' }]).get('forked')).toBe(library[2]);
+  });
+
+  it('matches on the title alone when the forked song has no artist', () => {
+    expect(match([{ id: 'forked', title: 'Hallelujah', artist: null }]).get('forked')).toBe(library[1]);
+  });
+
+  it('creates a cover by another artist rather than using the library version', () => {
+    expect(match([{ id: 'forked', title: 'Hallelujah', artist: 'Jeff Buckley' }]).get('forked')).toBeNull();
+  });
+
+  it('creates a song that only looks like one in the library', () => {
+    expect(match([{ id: 'forked', title: 'Wonderland', artist: 'Oasis' }]).get('forked')).toBeNull();
+  });
+
+  it('matches every song of the setlist', () => {
+    const matches = match([
+      { id: 'first', title: 'Let It Be', artist: 'The Beatles' },
+      { id: 'second', title: 'Yesterday', artist: 'The Beatles' },
+      { id: 'third', title: 'wonderwall', artist: 'Oasis' }
+    ]);
+
+    expect([...matches.entries()]).toEqual([
+      ['first', library[2]],
+      ['second', null],
+      ['third', library[0]]
+    ]);
+  });
+
+  it('creates every song when the library is empty', () => {
+    const matches = GalleryService.matchSongs([{ id: 'forked', title: 'Wonderwall', artist: 'Oasis' }], []);
+
+    expect(matches.get('forked')).toBeNull();
+  });
+});
+
+describe('GalleryService.pickSongFields', () => {
+  it('copies the song details but not its notes or links', () => {
+    const song = { id: 'song', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', tempo: 87, notes: 'Private', spotify_id: 'spotify' };
+
+    expect(GalleryService.pickSongFields(song)).toEqual({ title: 'Wonderwall', artist: 'Oasis', key: 'F#m', tempo: 87, duration: null });
+  });
+});
@@ -0,0 +1,108 @@
+const ImportService = require('../import.service');
+
+describe('ImportService.parseText', () => {
+  it('groups song lines under block headings', () => {
+    const { blocks, lines } = ImportService.parseText([
+      'Set 1:',
+      '1. Wonderwall - Oasis (F#m)',
+      '2. Dancing Queen by ABBA',
+      '',
+      '# Encore',
+      '- Hey Jude'
+    ].join('\n'));
+
+    expect(blocks).toEqual(['Set 1', 'Encore']);
+    expect(lines).toEqual([
+      { line: 2, raw: '1. Wonderwall - Oasis (F#m)', title: 'Wonderwall', artist: 'Oasis', key: 'F#m', block: 'Set 1' },
+      { line: 3, raw: '2. Dancing Queen by ABBA', title: 'Dancing Queen', artist: 'ABBA', key: null, block: 'Set 1' },
+      { line: 6, raw: '- Hey Jude', title: 'Hey Jude', artist: null, key: null, block: 'Encore' }
+    ]);
+  });
+
+  it.each([
+    ['Set 2', 'Set 2'],
+    ['SET 3 -', 'SET 3'],
+    ['Set1', 'Set1'],
+    ['Encore', 'Encore'],
+    ['encore:', 'encore'],
+    ['[Acoustic]', 'Acoustic'],
+    ['## Second half', 'Second half']
+  ])('reads "%s" as a heading', (text, block) => {
+    expect(ImportService.parseText(text).blocks).toEqual([block]);
+  });
+
+  it.each([
+    ['Set Fire to the Rain', 'Set Fire to the Rain', null],
+    ['Set You Free - N-Trance', 'Set You Free', 'N-Trance'],
+    ['Encore Une Fois', 'Encore Une Fois', null]
+  ])('reads "%s" as a song', (text, title, artist) => {
+    const { blocks, lines } = ImportService.parseText(text);
+
+    expect(blocks).toEqual([]);
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ title, artist, block: null });
+  });
+
+  it('skips blank lines and separators', () => {
+    const { lines } = ImportService.parseText('Wonderwall\n\n----\n  \nHey Jude');
+
+    expect(lines.map(line => line.line)).toEqual([1, 5]);
+  });
+});
+
+describe('ImportService.parseCSV', () => {
+  it('finds the columns from a header row', () => {
+    const { blocks, lines } = ImportService.parseCSV([
+      'Artist,Song,Set,Key',
+      'Oasis,Wonderwall,Set 1,F#m',
+      'ABBA,Dancing Queen,,A',
+      'The Beatles,"Hey Jude, Part 1",Encore,'
+    ].join('\n'));
+
+    expect(blocks).toEqual(['Set 1', 'Encore']);
+    expect(lines).toEqual([
+      expect.objectContaining({ line: 2, title: 'Wonderwall', artist: 'Oasis', key: 'F#m', block: 'Set 1' }),
+      expect.objectContaining({ line: 3, title: 'Dancing Queen', artist: 'ABBA', key: 'A', block: 'Set 1' }),
+      expect.objectContaining({ line: 4, title: 'Hey Jude, Part 1', artist: 'The Beatles', key: null, block: 'Encore' })
+    ]);
+  });
+
+  it('uses title, artist, key, block and notes order without a header', () => {
+    const { lines } = ImportService.parseCSV('Wonderwall,Oasis,F#m,Set 1,Capo 2');
+
+    expect(lines[0]).toMatchObject({
+      line: 1,
+      title: 'Wonderwall',
+      artist: 'Oasis',
+      key: 'F#m',
+      block: 'Set 1',
+      notes: 'Capo 2'
+    });
+  });
+
+  it('skips rows without a title', () => {
+    const { lines } = ImportService.parseCSV('title,artist\n,Oasis\nHey Jude,The Beatles');
+
+    expect(lines.map(line => line.title)).toEqual(['Hey Jude']);
+  });
+});
+
+describe('ImportService.matchLines', () => {
+  const library = [
+    { id: 'wonderwall', title: 'Wonderwall', artist: 'Oasis', key: 'F#m' },
+    { id: 'hey-jude', title: 'Hey Jude', artist: 'The Beatles', key: 'F' }
+  ];
+
+  it('matches lines to library songs despite small differences', () => {
+    const [line] = ImportService.matchLines([{ line: 1, title: 'wonderwall', artist: 'oasis' }], library);
+
+    expect(line.match).toMatchObject({ song_id: 'wonderwall' });
+    expect(line.match.confidence).toBeGreaterThanOrEqual(0.6);
+  });
+
+  it('leaves lines unmatched when nothing is alike', () => {
+    const [line] = ImportService.matchLines([{ line: 1, title: 'Bohemian Rhapsody', artist: 'Queen' }], library);
+
+    expect(line.match).toBeNull();
+  });
+});
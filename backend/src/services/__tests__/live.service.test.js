@@ -0,0 +1,210 @@
+jest.mock('../../models/setlist.model', () => ({ findByPk: jest.fn() }));
+jest.mock('../../models/setlistSong.model', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/block.model', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/liveSession.model', () => ({ findOne: jest.fn(), create: jest.fn() }));
+// Part of the song library, which is not in this repository
+jest.mock('../../models/song.model', () => ({}), { virtual: true });
+jest.mock('../permission.service', () => ({ can: jest.fn(), forbidden: jest.fn() }));
+jest.mock('../realtime.service', () => ({}));
+
+const SetlistSong = require('../../models/setlistSong.model');
+const Block = require('../../models/block.model');
+const LiveSession = require('../../models/liveSession.model');
+const PermissionService = require('../permission.service');
+const LiveService = require('../live.service');
+
+const setlist = { id: 'setlist', song_gap: 0, block_break: 0 };
+const order = ['first', 'second', 'third'].map((id, position) => ({
+  id,
+  block_id: null,
+  position,
+  song: { title: id, key: 'G', duration: 180 }
+}));
+
+const session = (fields = {}) => ({
+  setlist_id: 'setlist',
+  led_by: 'leader',
+  current_setlist_song_id: 'first',
+  started_at: '2026-06-01T20:00:00Z',
+  song_started_at: '2026-06-01T20:00:00Z',
+  played: [],
+  skipped: [],
+  save: jest.fn(),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Block.findAll.mockResolvedValue([]);
+  SetlistSong.findAll.mockResolvedValue(order);
+});
+
+describe('LiveService.move', () => {
+  it('marks the current song played and moves to the next one', () => {
+    expect(LiveService.move(session({ skipped: ['first'] }), order, 'next')).toEqual({
+      current_setlist_song_id: 'second',
+      played: ['first'],
+      skipped: []
+    });
+  });
+
+  it('marks the current song skipped and moves to the next one', () => {
+    expect(LiveService.move(session({ current_setlist_song_id: 'second', played: ['first', 'second'] }), order, 'skip')).toEqual({
+      current_setlist_song_id: 'third',
+      played: ['first'],
+      skipped: ['second']
+    });
+  });
+
+  it.each(['next', 'skip'])('finishes the show after the last song on %s', (action) => {
+    const move = LiveService.move(session({ current_setlist_song_id: 'third' }), order, action);
+
+    expect(move.current_setlist_song_id).toBeNull();
+    expect([...move.played, ...move.skipped]).toEqual(['third']);
+  });
+
+  it.each(['next', 'skip'])('cannot %s once the show is finished', (action) => {
+    expect(LiveService.move(session({ current_setlist_song_id: null }), order, action)).toBeNull();
+  });
+
+  it('goes back to the previous song, which is no longer played', () => {
+    expect(LiveService.move(session({ current_setlist_song_id: 'second', played: ['first'] }), order, 'previous')).toEqual({
+      current_setlist_song_id: 'first',
+      played: [],
+      skipped: []
+    });
+  });
+
+  it('cannot go back from the first song', () => {
+    expect(LiveService.move(session(), order, 'previous')).toBeNull();
+  });
+
+  it('goes back from the end of the show to the last song', () => {
+    const finished = session({ current_setlist_song_id: null, played: ['first', 'second', 'third'] });
+
+    expect(LiveService.move(finished, order, 'previous')).toEqual({
+      current_setlist_song_id: 'third',
+      played: ['first', 'second'],
+      skipped: []
+    });
+  });
+
+  it('goes to any song, which is no longer played or skipped', () => {
+    const live = session({ current_setlist_song_id: 'third', played: ['first'], skipped: ['second'] });
+
+    expect(LiveService.move(live, order, 'goto', 'second')).toEqual({
+      current_setlist_song_id: 'second',
+      played: ['first'],
+      skipped: []
+    });
+  });
+
+  it('cannot go to a song that is not in the setlist', () => {
+    expect(LiveService.move(session(), order, 'goto', 'missing')).toBeNull();
+  });
+
+  it('ignores unknown actions', () => {
+    expect(LiveService.move(session(), order, 'rewind')).toBeNull();
+  });
+});
+
+describe('LiveService.advance', () => {
+  it('requires a song to go to', async () => {
+    expect(await LiveService.advance('leader', setlist, 'goto')).toEqual({ status: 400, msg: 'Setlist song ID is required' });
+  });
+
+  it('cannot move a show that is not live', async () => {
+    LiveSession.findOne.mockResolvedValue(null);
+
+    expect(await LiveService.advance('leader', setlist, 'next')).toMatchObject({ status: 404 });
+  });
+
+  it('only lets the leader move the show', async () => {
+    const live = session();
+    LiveSession.findOne.mockResolvedValue(live);
+
+    expect(await LiveService.advance('follower', setlist, 'next')).toMatchObject({ status: 403, action: 'perform' });
+    expect(live.save).not.toHaveBeenCalled();
+  });
+
+  it('moves to the next song and restarts the song clock', async () => {
+    const live = session();
+    LiveSession.findOne.mockResolvedValue(live);
+
+    const { state } = await LiveService.advance('leader', setlist, 'next');
+
+    expect(live.save).toHaveBeenCalled();
+    expect(live.song_started_at).toEqual(expect.any(Date));
+    expect(state).toMatchObject({ current_index: 1, played: ['first'], finished: false });
+    expect(state.current.id).toBe('second');
+    expect(state.next.id).toBe('third');
+  });
+
+  it('finishes the show after the last song', async () => {
+    const live = session({ current_setlist_song_id: 'third', played: ['first', 'second'] });
+    LiveSession.findOne.mockResolvedValue(live);
+
+    const { state } = await LiveService.advance('leader', setlist, 'next');
+
+    expect(live.song_started_at).toBeNull();
+    expect(state).toMatchObject({ finished: true, current: null, next: null, played: ['first', 'second', 'third'] });
+  });
+
+  it.each([
+    ['previous', 'first', undefined, 'Cannot go to the previous song'],
+    ['next', null, undefined, 'Cannot go to the next song'],
+    ['goto', 'first', 'missing', 'Cannot go to that song']
+  ])('refuses %s from %s', async (action, current, targetId, msg) => {
+    const live = session({ current_setlist_song_id: current });
+    LiveSession.findOne.mockResolvedValue(live);
+
+    expect(await LiveService.advance('leader', setlist, action, targetId)).toEqual({ status: 400, msg });
+    expect(live.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('LiveService.start', () => {
+  beforeEach(() => {
+    PermissionService.can.mockResolvedValue(true);
+  });
+
+  it('starts the show from the first song', async () => {
+    LiveSession.findOne.mockResolvedValue(null);
+    LiveSession.create.mockImplementation(async (fields) => ({ ...fields }));
+
+    const { state } = await LiveService.start('leader', setlist, {});
+
+    expect(state).toMatchObject({ led_by: 'leader', current_index: 0, played: [], skipped: [] });
+  });
+
+  it('does not take over a show that is already live unless asked to', async () => {
+    const live = session({ led_by: 'other' });
+    LiveSession.findOne.mockResolvedValue(live);
+
+    expect(await LiveService.start('leader', setlist, {})).toMatchObject({ status: 409, state: { led_by: 'other' } });
+
+    const { state } = await LiveService.start('leader', setlist, { take_over: true });
+    expect(state.led_by).toBe('leader');
+    expect(live.save).toHaveBeenCalled();
+  });
+
+  it('joins the show someone else started at the same time', async () => {
+    const error = new Error('Validation error');
+    error.name = 'SequelizeUniqueConstraintError';
+    LiveSession.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(session({ led_by: 'other', current_setlist_song_id: 'second' }));
+    LiveSession.create.mockRejectedValue(error);
+
+    const result = await LiveService.start('leader', setlist, {});
+
+    expect(result).toMatchObject({ status: 409, msg: 'Setlist is already live', state: { led_by: 'other', current_index: 1 } });
+  });
+
+  it('does not hide other errors when creating the session', async () => {
+    LiveSession.findOne.mockResolvedValue(null);
+    LiveSession.create.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(LiveService.start('leader', setlist, {})).rejects.toThrow('Connection lost');
+  });
+});
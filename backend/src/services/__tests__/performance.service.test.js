@@ -0,0 +1,101 @@
+const PerformanceService = require('../performance.service');
+
+describe('PerformanceService.transposeKey', () => {
+  it.each([
+    ['G', 2, 'A'],
+    ['C', 7, 'G'],
+    ['C', -2, 'Bb'],
+    ['F#m', 1, 'Gm'],
+    ['Am', 3, 'Cm'],
+    ['E', -5, 'B']
+  ])('moves %s by %i to %s', (key, semitones, transposed) => {
+    expect(PerformanceService.transposeKey(key, semitones)).toBe(transposed);
+  });
+
+  it('is null when the key is not recognised', () => {
+    expect(PerformanceService.transposeKey('H', 2)).toBeNull();
+  });
+});
+
+describe('PerformanceService.semitonesBetween', () => {
+  it('takes the shorter way round', () => {
+    expect(PerformanceService.semitonesBetween('C', 'D')).toBe(2);
+    expect(PerformanceService.semitonesBetween('C', 'G')).toBe(-5);
+    expect(PerformanceService.semitonesBetween('C', 'F#')).toBe(6);
+  });
+
+  it('is null when a key is not recognised', () => {
+    expect(PerformanceService.semitonesBetween('C', null)).toBeNull();
+  });
+});
+
+describe('PerformanceService.pickOverrides', () => {
+  const song = { key: 'C', tempo: 120 };
+
+  it('turns a transposition into a performed key and keeps the offset', () => {
+    expect(PerformanceService.pickOverrides({ transpose: 7 }, song)).toEqual({ performed_key: 'G', transpose: 7 });
+    expect(PerformanceService.pickOverrides({ transpose: '-5' }, song)).toEqual({ performed_key: 'G', transpose: -5 });
+  });
+
+  it('clears the key when transposing by nothing', () => {
+    expect(PerformanceService.pickOverrides({ transpose: 0 }, song)).toEqual({ performed_key: null, transpose: null });
+  });
+
+  it('clears the key and the transposition when transpose is cleared', () => {
+    expect(PerformanceService.pickOverrides({ transpose: null }, song)).toEqual({ performed_key: null, transpose: null });
+    expect(PerformanceService.pickOverrides({ transpose: '' }, { key: null })).toEqual({ performed_key: null, transpose: null });
+  });
+
+  it('prefers an explicit performed key', () => {
+    expect(PerformanceService.pickOverrides({ performed_key: 'D', transpose: 7 }, song)).toEqual({ performed_key: 'D', transpose: null });
+    expect(PerformanceService.pickOverrides({ performed_key: 'G', transpose: 7 }, song)).toEqual({ performed_key: 'G', transpose: 7 });
+  });
+
+  it('drops a performed key that is the original key', () => {
+    expect(PerformanceService.pickOverrides({ performed_key: 'C', capo: 2 }, song)).toEqual({ performed_key: null, transpose: null, capo: 2 });
+  });
+
+  it('turns empty strings into null', () => {
+    expect(PerformanceService.pickOverrides({ tuning: '', lead_singer: 'Sam' }, song)).toEqual({ tuning: null, lead_singer: 'Sam' });
+  });
+
+  it('ignores a transposition when the song has no key', () => {
+    expect(PerformanceService.pickOverrides({ transpose: 2 }, { key: null })).toEqual({});
+  });
+});
+
+describe('PerformanceService.resolvePerformance', () => {
+  const song = { key: 'C', tempo: 120 };
+
+  it('plays the library song when nothing is overridden', () => {
+    expect(PerformanceService.resolvePerformance({ song })).toMatchObject({
+      key: 'C',
+      original_key: 'C',
+      transpose: null,
+      tempo: 120,
+      capo: null
+    });
+  });
+
+  it('reports the transposition that was asked for', () => {
+    const performance = PerformanceService.resolvePerformance({ song, performed_key: 'G', transpose: 7 });
+
+    expect(performance).toMatchObject({ key: 'G', original_key: 'C', transpose: 7 });
+  });
+
+  it('works out the transposition for a key given directly', () => {
+    expect(PerformanceService.resolvePerformance({ song, performed_key: 'G', transpose: null }).transpose).toBe(-5);
+  });
+
+  it('ignores a stored transposition once the song key has changed', () => {
+    const performance = PerformanceService.resolvePerformance({ song: { key: 'D' }, performed_key: 'G', transpose: 7 });
+
+    expect(performance.transpose).toBe(5);
+  });
+
+  it('applies the tempo and other overrides', () => {
+    const performance = PerformanceService.resolvePerformance({ song, performed_tempo: 96, capo: 0, tuning: 'Drop D' });
+
+    expect(performance).toMatchObject({ tempo: 96, original_tempo: 120, capo: 0, tuning: 'Drop D' });
+  });
+});
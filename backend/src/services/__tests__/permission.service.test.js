@@ -0,0 +1,189 @@
+// Part of the bands, which are not in this repository
+jest.mock('../../models/bandMember.model', () => ({ findOne: jest.fn(), findAll: jest.fn() }), { virtual: true });
+jest.mock('../../models/setlistCollaborator.model', () => ({ findAll: jest.fn() }));
+
+const { Op } = require('sequelize');
+const BandMember = require('../../models/bandMember.model');
+const SetlistCollaborator = require('../../models/setlistCollaborator.model');
+const PermissionService = require('../permission.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  BandMember.findAll.mockResolvedValue([]);
+  SetlistCollaborator.findAll.mockResolvedValue([]);
+});
+
+describe('PermissionService.normalizeBandRole', () => {
+  it.each(['viewer', 'editor', 'admin', 'owner'])('keeps %s', (role) => {
+    expect(PermissionService.normalizeBandRole(role)).toBe(role);
+  });
+
+  it('maps the legacy member role to editor', () => {
+    expect(PermissionService.normalizeBandRole('member')).toBe('editor');
+  });
+
+  it.each(['guest', '', null])('does not recognise %p', (role) => {
+    expect(PermissionService.normalizeBandRole(role)).toBeNull();
+  });
+});
+
+describe('PermissionService.roleAllows', () => {
+  const allowed = {
+    viewer: ['view', 'comment'],
+    editor: ['view', 'comment', 'edit', 'perform', 'share'],
+    admin: PermissionService.ACTIONS,
+    owner: PermissionService.ACTIONS
+  };
+
+  it.each(Object.keys(allowed))('lets %s do what the role allows', (role) => {
+    const actions = PermissionService.ACTIONS.filter(action => PermissionService.roleAllows(role, action));
+
+    expect(actions).toEqual(allowed[role]);
+  });
+
+  it('allows nothing without a role', () => {
+    expect(PermissionService.ACTIONS.some(action => PermissionService.roleAllows(null, action))).toBe(false);
+  });
+
+  it('allows no unknown action', () => {
+    expect(PermissionService.roleAllows('owner', 'transfer')).toBe(false);
+  });
+});
+
+describe('PermissionService.getPermissions', () => {
+  it('lists every action for a role', () => {
+    expect(PermissionService.getPermissions('editor', { is_public: false })).toEqual({
+      view: true,
+      comment: true,
+      edit: true,
+      perform: true,
+      share: true,
+      delete: false,
+      purge: false,
+      manage: false
+    });
+  });
+
+  it('lets anyone view a public setlist and nothing more', () => {
+    const permissions = PermissionService.getPermissions(null, { is_public: true });
+
+    expect(Object.keys(permissions).filter(action => permissions[action])).toEqual(['view']);
+  });
+
+  it('allows nothing on a private setlist without a role', () => {
+    const permissions = PermissionService.getPermissions(null, { is_public: false });
+
+    expect(Object.values(permissions).some(Boolean)).toBe(false);
+  });
+});
+
+describe('PermissionService.getSetlistRoles', () => {
+  const personal = { id: 'personal', band_id: null, created_by: 'user' };
+  const bandSetlist = { id: 'band-setlist', band_id: 'band', created_by: 'user' };
+
+  it('makes the creator the owner of a personal setlist', async () => {
+    const roles = await PermissionService.getSetlistRoles('user', [personal]);
+
+    expect(roles.get('personal')).toBe('owner');
+  });
+
+  it('gives no access to a personal setlist of someone else', async () => {
+    const roles = await PermissionService.getSetlistRoles('other', [personal]);
+
+    expect(roles.has('personal')).toBe(false);
+  });
+
+  it('uses the band role for a band setlist, also for its creator', async () => {
+    BandMember.findAll.mockResolvedValue([{ band_id: 'band', role: 'viewer' }]);
+
+    const roles = await PermissionService.getSetlistRoles('user', [bandSetlist]);
+
+    expect(roles.get('band-setlist')).toBe('viewer');
+  });
+
+  it('gives a creator who left the band no access to its setlists', async () => {
+    const roles = await PermissionService.getSetlistRoles('user', [bandSetlist]);
+
+    expect(roles.has('band-setlist')).toBe(false);
+  });
+
+  it('maps legacy band roles', async () => {
+    BandMember.findAll.mockResolvedValue([{ band_id: 'band', role: 'member' }]);
+
+    const roles = await PermissionService.getSetlistRoles('user', [bandSetlist]);
+
+    expect(roles.get('band-setlist')).toBe('editor');
+  });
+
+  it('takes the higher of the band role and a collaborator grant', async () => {
+    BandMember.findAll.mockResolvedValue([{ band_id: 'band', role: 'viewer' }]);
+    SetlistCollaborator.findAll.mockResolvedValue([{ setlist_id: 'band-setlist', role: 'editor' }]);
+
+    const roles = await PermissionService.getSetlistRoles('user', [bandSetlist]);
+
+    expect(roles.get('band-setlist')).toBe('editor');
+  });
+
+  it('keeps a band role above a collaborator grant', async () => {
+    BandMember.findAll.mockResolvedValue([{ band_id: 'band', role: 'admin' }]);
+    SetlistCollaborator.findAll.mockResolvedValue([{ setlist_id: 'band-setlist', role: 'viewer' }]);
+
+    const roles = await PermissionService.getSetlistRoles('user', [bandSetlist]);
+
+    expect(roles.get('band-setlist')).toBe('admin');
+  });
+
+  it('gives a collaborator the granted role without a band membership', async () => {
+    SetlistCollaborator.findAll.mockResolvedValue([{ setlist_id: 'personal', role: 'editor' }]);
+
+    const roles = await PermissionService.getSetlistRoles('other', [personal]);
+
+    expect(roles.get('personal')).toBe('editor');
+  });
+});
+
+describe('PermissionService.can', () => {
+  it('refuses a creator who left the band', async () => {
+    const setlist = { id: 'band-setlist', band_id: 'band', created_by: 'user', is_public: false };
+
+    expect(await PermissionService.can('user', setlist, 'delete')).toBe(false);
+    expect(await PermissionService.can('user', setlist, 'view')).toBe(false);
+  });
+
+  it('lets anyone view a public setlist but not comment on it', async () => {
+    const setlist = { id: 'public', band_id: 'band', created_by: 'someone', is_public: true };
+
+    expect(await PermissionService.can('stranger', setlist, 'view')).toBe(true);
+    expect(await PermissionService.can('stranger', setlist, 'comment')).toBe(false);
+  });
+});
+
+describe('PermissionService.getAccessibleSetlistsWhere', () => {
+  it('matches personal setlists of the user, their bands and their grants', async () => {
+    BandMember.findAll.mockResolvedValue([{ band_id: 'band' }]);
+    SetlistCollaborator.findAll.mockResolvedValue([{ setlist_id: 'shared' }]);
+
+    const where = await PermissionService.getAccessibleSetlistsWhere('user');
+
+    expect(where[Op.or]).toEqual([
+      { created_by: 'user', band_id: null },
+      { band_id: { [Op.in]: ['band'] } },
+      { id: { [Op.in]: ['shared'] } }
+    ]);
+  });
+});
+
+describe('PermissionService.hasBandRole', () => {
+  it('compares the band role to the least role needed', async () => {
+    BandMember.findOne.mockResolvedValue({ role: 'member' });
+
+    expect(await PermissionService.hasBandRole('user', 'band', 'editor')).toBe(true);
+    expect(await PermissionService.hasBandRole('user', 'band', 'admin')).toBe(false);
+  });
+
+  it('is false for someone outside the band', async () => {
+    BandMember.findOne.mockResolvedValue(null);
+
+    expect(await PermissionService.hasBandRole('user', 'band', 'viewer')).toBe(false);
+  });
+});
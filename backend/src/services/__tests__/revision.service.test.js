@@ -0,0 +1,170 @@
+jest.mock('../../models/setlist.model', () => ({ findByPk: jest.fn() }));
+jest.mock('../../models/setlistRevision.model', () => ({ max: jest.fn(), create: jest.fn() }));
+jest.mock('../../models/setlistSong.model', () => ({ findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() }));
+jest.mock('../../models/block.model', () => ({ findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() }));
+// Part of the song library, which is not in this repository
+jest.mock('../../models/song.model', () => ({ findAll: jest.fn() }), { virtual: true });
+
+const Setlist = require('../../models/setlist.model');
+const SetlistRevision = require('../../models/setlistRevision.model');
+const SetlistSong = require('../../models/setlistSong.model');
+const Block = require('../../models/block.model');
+const Song = require('../../models/song.model');
+const RevisionService = require('../revision.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const slot = (id, songId, position, fields = {}) => ({
+  id,
+  song_id: songId,
+  position,
+  block_id: 'set-1',
+  notes: null,
+  title: songId,
+  artist: null,
+  ...fields
+});
+
+const snapshot = (fields = {}) => ({
+  setlist: { name: 'Summer Gig', description: null, is_public: false, song_gap: 30, block_break: 600, target_duration: null },
+  blocks: [{ id: 'set-1', name: 'Set 1', position: 0, target_duration: null }],
+  songs: [slot('one', 'song-1', 0), slot('two', 'song-2', 1), slot('three', 'song-3', 2)],
+  ...fields
+});
+
+describe('RevisionService.diffSnapshots', () => {
+  it('finds nothing between identical snapshots', () => {
+    expect(RevisionService.diffSnapshots(snapshot(), snapshot())).toEqual({
+      setlist: {},
+      blocks: { added: [], removed: [], changed: [] },
+      songs: { added: [], removed: [], changed: [] }
+    });
+  });
+
+  it('finds songs that were added and removed', () => {
+    const before = snapshot();
+    const after = snapshot({ songs: [slot('one', 'song-1', 0), slot('two', 'song-2', 1), slot('four', 'song-4', 2)] });
+
+    const { songs } = RevisionService.diffSnapshots(before, after);
+
+    expect(songs.added.map(song => song.id)).toEqual(['four']);
+    expect(songs.removed.map(song => song.id)).toEqual(['three']);
+    expect(songs.changed).toEqual([]);
+  });
+
+  it('finds songs that were moved', () => {
+    const before = snapshot();
+    const after = snapshot({
+      songs: [slot('three', 'song-3', 0), slot('one', 'song-1', 1), slot('two', 'song-2', 2, { block_id: null })]
+    });
+
+    const { songs } = RevisionService.diffSnapshots(before, after);
+
+    expect(songs.changed.map(({ id, changes }) => ({ id, changes }))).toEqual([
+      { id: 'three', changes: { position: { from: 2, to: 0 } } },
+      { id: 'one', changes: { position: { from: 0, to: 1 } } },
+      { id: 'two', changes: { position: { from: 1, to: 2 }, block_id: { from: 'set-1', to: null } } }
+    ]);
+  });
+
+  it('finds changed notes and performance overrides', () => {
+    const before = snapshot();
+    const after = snapshot({
+      songs: [slot('one', 'song-1', 0, { notes: 'Slow intro', performed_key: 'A' }), slot('two', 'song-2', 1), slot('three', 'song-3', 2)]
+    });
+
+    const { songs } = RevisionService.diffSnapshots(before, after);
+
+    expect(songs.changed[0].changes).toEqual({
+      notes: { from: null, to: 'Slow intro' },
+      performed_key: { from: null, to: 'A' }
+    });
+  });
+
+  it('finds changed setlist details', () => {
+    const after = snapshot();
+    after.setlist = { ...after.setlist, name: 'Winter Gig', is_public: true };
+
+    expect(RevisionService.diffSnapshots(snapshot(), after).setlist).toEqual({
+      name: { from: 'Summer Gig', to: 'Winter Gig' },
+      is_public: { from: false, to: true }
+    });
+  });
+
+  it('finds blocks that were added, removed and renamed', () => {
+    const before = snapshot({
+      blocks: [{ id: 'set-1', name: 'Set 1', position: 0 }, { id: 'set-2', name: 'Set 2', position: 1 }]
+    });
+    const after = snapshot({
+      blocks: [{ id: 'set-1', name: 'Opening set', position: 0 }, { id: 'encore', name: 'Encore', position: 1 }]
+    });
+
+    const { blocks } = RevisionService.diffSnapshots(before, after);
+
+    expect(blocks.added.map(block => block.id)).toEqual(['encore']);
+    expect(blocks.removed.map(block => block.id)).toEqual(['set-2']);
+    expect(blocks.changed.map(({ id, changes }) => ({ id, changes }))).toEqual([
+      { id: 'set-1', changes: { name: { from: 'Set 1', to: 'Opening set' } } }
+    ]);
+  });
+
+  it('treats fields missing from older snapshots as empty', () => {
+    const before = snapshot({ songs: [{ id: 'one', song_id: 'song-1', position: 0, block_id: 'set-1', notes: null }] });
+    const after = snapshot({ songs: [slot('one', 'song-1', 0, { capo: null, tuning: null })] });
+
+    expect(RevisionService.diffSnapshots(before, after).songs.changed).toEqual([]);
+  });
+});
+
+describe('RevisionService.recordRevision', () => {
+  beforeEach(() => {
+    Setlist.findByPk.mockResolvedValue({ name: 'Summer Gig', song_gap: 30 });
+    Block.findAll.mockResolvedValue([{ id: 'set-1', name: 'Set 1', position: 0 }]);
+    SetlistSong.findAll.mockResolvedValue([
+      { id: 'one', song_id: 'song-1', position: 0, block_id: 'set-1', song: { title: 'Wonderwall', artist: 'Oasis' } }
+    ]);
+    SetlistRevision.create.mockImplementation(async (revision) => revision);
+  });
+
+  it('numbers revisions after the latest one and stores a snapshot', async () => {
+    SetlistRevision.max.mockResolvedValue(4);
+
+    const revision = await RevisionService.recordRevision('setlist', 'user', 'setlist:updated', 'Renamed', 'transaction');
+
+    expect(revision).toMatchObject({ setlist_id: 'setlist', revision: 5, created_by: 'user', action: 'setlist:updated', summary: 'Renamed' });
+    expect(revision.snapshot.setlist).toMatchObject({ name: 'Summer Gig', song_gap: 30, description: null });
+    expect(revision.snapshot.songs).toEqual([
+      expect.objectContaining({ id: 'one', song_id: 'song-1', title: 'Wonderwall', artist: 'Oasis', performed_key: null })
+    ]);
+    expect(SetlistRevision.create).toHaveBeenCalledWith(expect.any(Object), { transaction: 'transaction' });
+  });
+
+  it('starts at revision 1', async () => {
+    SetlistRevision.max.mockResolvedValue(null);
+
+    const revision = await RevisionService.recordRevision('setlist', 'user', 'setlist:created', 'Created');
+
+    expect(revision.revision).toBe(1);
+  });
+});
+
+describe('RevisionService.restoreSnapshot', () => {
+  it('replaces the blocks, songs and details and skips songs gone from the library', async () => {
+    Song.findAll.mockResolvedValue([{ id: 'song-1' }, { id: 'song-3' }]);
+    const setlist = { id: 'setlist', name: 'Changed', changed: jest.fn(), save: jest.fn() };
+
+    const skipped = await RevisionService.restoreSnapshot(setlist, snapshot(), 'transaction');
+
+    expect(SetlistSong.destroy).toHaveBeenCalledWith({ where: { setlist_id: 'setlist' }, transaction: 'transaction' });
+    expect(Block.destroy).toHaveBeenCalledWith({ where: { setlist_id: 'setlist' }, transaction: 'transaction' });
+    expect(Block.bulkCreate.mock.calls[0][0]).toEqual([
+      { id: 'set-1', setlist_id: 'setlist', name: 'Set 1', position: 0, target_duration: null }
+    ]);
+    expect(SetlistSong.bulkCreate.mock.calls[0][0].map(song => song.id)).toEqual(['one', 'three']);
+    expect(skipped.map(song => song.id)).toEqual(['two']);
+    expect(setlist.name).toBe('Summer Gig');
+    expect(setlist.save).toHaveBeenCalledWith({ transaction: 'transaction' });
+  });
+});
@@ -0,0 +1,91 @@
+const SetlistBatchService = require('../setlistBatch.service');
+
+describe('SetlistBatchService.plan', () => {
+  const setlistSongs = [
+    { id: 'one', song_id: 'song-1', position: 0, block_id: 'main', notes: null },
+    { id: 'two', song_id: 'song-2', position: 1, block_id: 'main', notes: 'Capo 2' },
+    { id: 'three', song_id: 'song-3', position: 2, block_id: null, notes: null }
+  ];
+  const blockIds = new Set(['main', 'encore']);
+  const songsById = new Map([['song-4', { id: 'song-4' }]]);
+
+  const plan = (operations) => SetlistBatchService.plan(setlistSongs, blockIds, songsById, operations);
+
+  it('applies operations in order to the running order', () => {
+    const result = plan([
+      { op: 'add', song_id: 'song-4', position: 0, block_id: 'encore' },
+      { op: 'remove', setlist_song_id: 'two' },
+      { op: 'move', setlist_song_id: 'three', position: 0 }
+    ]);
+
+    expect(result.order.map(entry => entry.song_id)).toEqual(['song-3', 'song-4', 'song-1']);
+    expect(result.order.map(entry => entry.position)).toEqual([0, 1, 2]);
+    expect(result.counts).toEqual({ add: 1, remove: 1, move: 1, update_notes: 0 });
+  });
+
+  it('splits the result into songs to create, update and delete', () => {
+    const result = plan([
+      { op: 'add', song_id: 'song-4' },
+      { op: 'remove', setlist_song_id: 'one' },
+      { op: 'update_notes', setlist_song_id: 'three', notes: 'Slow intro' }
+    ]);
+
+    expect(result.added).toEqual([expect.objectContaining({ song_id: 'song-4', position: 2, block_id: null })]);
+    expect(result.removed).toEqual(['one']);
+    expect(result.changed.map(entry => entry.id)).toEqual(['two', 'three']);
+    expect(result.changed[1].notes).toBe('Slow intro');
+  });
+
+  it('clamps positions to the running order', () => {
+    const result = plan([
+      { op: 'add', song_id: 'song-4', position: -3 },
+      { op: 'move', setlist_song_id: 'one', position: 10 }
+    ]);
+
+    expect(result.order.map(entry => entry.song_id)).toEqual(['song-4', 'song-2', 'song-3', 'song-1']);
+  });
+
+  it('moves a song into another block', () => {
+    const result = plan([{ op: 'move', setlist_song_id: 'one', block_id: 'encore' }]);
+
+    expect(result.order[2]).toMatchObject({ id: 'one', block_id: 'encore' });
+  });
+
+  it('leaves a batch that changes nothing without changes', () => {
+    const result = plan([]);
+
+    expect(result.added).toEqual([]);
+    expect(result.removed).toEqual([]);
+    expect(result.changed).toEqual([]);
+  });
+
+  it.each([
+    [{ op: 'add' }, 'Operation 1 (add): song_id is required'],
+    [{ op: 'add', song_id: 'song-9' }, 'Operation 1 (add): song not found'],
+    [{ op: 'remove' }, 'Operation 1 (remove): setlist_song_id is required'],
+    [{ op: 'move', setlist_song_id: 'nine' }, 'Operation 1 (move): song is not in this setlist'],
+    [{ op: 'add', song_id: 'song-4', block_id: 'other' }, 'Operation 1 (add): block is not in this setlist']
+  ])('rejects %p', (operation, error) => {
+    expect(plan([operation])).toEqual({ error });
+  });
+
+  it('rejects an operation on a song removed earlier in the batch', () => {
+    const result = plan([
+      { op: 'remove', setlist_song_id: 'one' },
+      { op: 'update_notes', setlist_song_id: 'one', notes: 'Gone' }
+    ]);
+
+    expect(result).toEqual({ error: 'Operation 2 (update_notes): song is not in this setlist' });
+  });
+});
+
+describe('SetlistBatchService.describe', () => {
+  it('summarises each kind of operation', () => {
+    expect(SetlistBatchService.describe({ add: 3, remove: 1, move: 0, update_notes: 2 }))
+      .toBe('Added 3 songs, removed 1 song, updated notes on 2 songs');
+  });
+
+  it('says when nothing changed', () => {
+    expect(SetlistBatchService.describe({ add: 0, remove: 0, move: 0, update_notes: 0 })).toBe('Changed nothing');
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../models/setlistSong.model', () => ({ findAll: jest.fn() }));
+// Part of the song library, which is not in this repository
+jest.mock('../../models/song.model', () => ({}), { virtual: true });
+
+const { Op } = require('sequelize');
+const SetlistSearchService = require('../setlistSearch.service');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('SetlistSearchService.decodeCursor', () => {
+  const updatedAt = new Date('2026-06-01T12:00:00.123Z');
+
+  it.each([
+    ['updated_at', { id: 'setlist', updated_at: updatedAt }, updatedAt],
+    ['created_at', { id: 'setlist', created_at: updatedAt }, updatedAt],
+    ['name', { id: 'setlist', name: 'Summer Gig' }, 'Summer Gig'],
+    ['fork_count', { id: 'setlist', fork_count: 0 }, 0]
+  ])('reads back a cursor on %s', (sort, setlist, value) => {
+    const cursor = SetlistSearchService.encodeCursor(setlist, sort);
+
+    expect(SetlistSearchService.decodeCursor(cursor, sort)).toEqual({ value, id: 'setlist' });
+  });
+
+  it.each([
+    ['is not base64', '!!!'],
+    ['is not JSON', Buffer.from('not json').toString('base64url')],
+    ['is JSON but not an object', encode(null)],
+    ['has no ID', encode({ value: '2026-06-01T12:00:00Z' })],
+    ['has a numeric ID', encode({ value: '2026-06-01T12:00:00Z', id: 42 })],
+    ['has no value', encode({ id: 'setlist' })],
+    ['has a value that is not a date', encode({ value: 'yesterday', id: 'setlist' })]
+  ])('rejects a cursor that %s', (_, cursor) => {
+    expect(SetlistSearchService.decodeCursor(cursor, 'updated_at')).toBeNull();
+  });
+
+  it.each([
+    ['name', 5],
+    ['name', { $gt: '' }],
+    ['fork_count', '5'],
+    ['fork_count', 1.5],
+    ['updated_at', { $gt: '' }]
+  ])('rejects a %s cursor with a tampered value %p', (sort, value) => {
+    expect(SetlistSearchService.decodeCursor(encode({ value, id: 'setlist' }), sort)).toBeNull();
+  });
+
+  it('rejects a cursor made for a different sort', () => {
+    const cursor = SetlistSearchService.encodeCursor({ id: 'setlist', name: 'Summer Gig' }, 'name');
+
+    expect(SetlistSearchService.decodeCursor(cursor, 'updated_at')).toBeNull();
+    expect(SetlistSearchService.decodeCursor(cursor, 'fork_count')).toBeNull();
+  });
+});
+
+describe('SetlistSearchService.buildCursorWhere', () => {
+  const cursor = { value: 'Summer Gig', id: 'setlist' };
+
+  it('starts a descending page after the cursor, breaking ties on the ID', () => {
+    expect(SetlistSearchService.buildCursorWhere(cursor, 'name', 'desc')).toEqual({
+      [Op.or]: [
+        { name: { [Op.lt]: 'Summer Gig' } },
+        { name: 'Summer Gig', id: { [Op.lt]: 'setlist' } }
+      ]
+    });
+  });
+
+  it('starts an ascending page after the cursor, breaking ties on the ID', () => {
+    expect(SetlistSearchService.buildCursorWhere(cursor, 'name', 'asc')).toEqual({
+      [Op.or]: [
+        { name: { [Op.gt]: 'Summer Gig' } },
+        { name: 'Summer Gig', id: { [Op.gt]: 'setlist' } }
+      ]
+    });
+  });
+});
+
+describe('SetlistSearchService.buildOrder', () => {
+  it('sorts on the ID too, in the same direction', () => {
+    expect(SetlistSearchService.buildOrder('fork_count', 'asc')).toEqual([['fork_count', 'ASC'], ['id', 'ASC']]);
+    expect(SetlistSearchService.buildOrder('updated_at', 'desc')).toEqual([['updated_at', 'DESC'], ['id', 'DESC']]);
+  });
+});
+
+describe('SetlistSearchService.paginate', () => {
+  const setlists = ['one', 'two', 'three'].map((id, index) => ({
+    id,
+    updated_at: new Date(Date.UTC(2026, 5, 3 - index))
+  }));
+
+  it('cuts the page and gives a cursor after its last setlist when there are more', () => {
+    const { setlists: page, next_cursor } = SetlistSearchService.paginate(setlists, 2, 'updated_at');
+
+    expect(page).toEqual(setlists.slice(0, 2));
+    expect(SetlistSearchService.decodeCursor(next_cursor, 'updated_at')).toEqual({ value: setlists[1].updated_at, id: 'two' });
+  });
+
+  it('gives no cursor on the last page', () => {
+    expect(SetlistSearchService.paginate(setlists, 3, 'updated_at')).toEqual({ setlists, next_cursor: null });
+    expect(SetlistSearchService.paginate([], 20, 'updated_at')).toEqual({ setlists: [], next_cursor: null });
+  });
+
+  it('pages through setlists with the same sort value without skipping or repeating any', () => {
+    const sameName = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, name: 'Gig' }));
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const decoded = cursor && SetlistSearchService.decodeCursor(cursor, 'name');
+      const remaining = sameName.filter(setlist => !decoded || setlist.id > decoded.id);
+      const page = SetlistSearchService.paginate(remaining.slice(0, 3), 2, 'name');
+      seen.push(...page.setlists.map(setlist => setlist.id));
+      cursor = page.next_cursor;
+    } while (cursor);
+
+    expect(seen).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+});
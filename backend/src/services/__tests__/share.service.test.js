@@ -0,0 +1,163 @@
+jest.mock('../../models/shareLink.model', () => ({ create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() }));
+// Part of the user accounts, which are not in this repository
+jest.mock('../../models/user.model', () => ({}), { virtual: true });
+
+const { Op } = require('sequelize');
+const ShareLink = require('../../models/shareLink.model');
+const ShareService = require('../share.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ShareService.isExpired', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  it('never expires a link without an expiry', () => {
+    expect(ShareService.isExpired({ expires_at: null }, now)).toBe(false);
+  });
+
+  it('expires a link at its expiry time', () => {
+    expect(ShareService.isExpired({ expires_at: '2026-06-01T11:59:59Z' }, now)).toBe(true);
+    expect(ShareService.isExpired({ expires_at: '2026-06-01T12:00:00Z' }, now)).toBe(true);
+    expect(ShareService.isExpired({ expires_at: '2026-06-01T12:00:01Z' }, now)).toBe(false);
+  });
+});
+
+describe('ShareService.findByToken', () => {
+  it('ignores revoked links', async () => {
+    ShareLink.findOne.mockResolvedValue(null);
+
+    expect(await ShareService.findByToken('token')).toBeNull();
+    expect(ShareLink.findOne).toHaveBeenCalledWith({ where: { token: 'token', revoked_at: null } });
+  });
+});
+
+describe('ShareService.listActiveLinks', () => {
+  it('leaves out revoked and expired links', async () => {
+    ShareLink.findAll.mockResolvedValue([]);
+
+    await ShareService.listActiveLinks('setlist', 'setlist-id');
+
+    const [{ where }] = ShareLink.findAll.mock.calls[0];
+    expect(where).toMatchObject({ resource_type: 'setlist', resource_id: 'setlist-id', revoked_at: null });
+    expect(where[Op.or]).toEqual([
+      { expires_at: null },
+      { expires_at: { [Op.gt]: expect.any(Date) } }
+    ]);
+  });
+});
+
+describe('ShareService.generateShareLink', () => {
+  beforeEach(() => {
+    ShareLink.create.mockImplementation(async (link) => link);
+  });
+
+  it('creates a link with a random token that expires after the given days', async () => {
+    const before = Date.now();
+
+    const link = await ShareService.generateShareLink('setlist', 'setlist-id', 7, true, 'user');
+
+    expect(link.token).toMatch(/^[\w-]{32}$/);
+    expect(link.share_url).toMatch(new RegExp(`/share/${link.token}$`));
+    expect(link.read_only).toBe(true);
+    expect(link.expires_at.getTime() - before).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('creates a link that never expires', async () => {
+    const link = await ShareService.generateShareLink('setlist', 'setlist-id', null, false, 'user');
+
+    expect(link.expires_at).toBeNull();
+  });
+
+  it('never reuses a token', async () => {
+    const first = await ShareService.generateShareLink('setlist', 'setlist-id', null, true, 'user');
+    const second = await ShareService.generateShareLink('setlist', 'setlist-id', null, true, 'user');
+
+    expect(first.token).not.toBe(second.token);
+  });
+});
+
+describe('ShareService.serializeShareLink', () => {
+  it('names the creator without their email', () => {
+    const link = ShareService.serializeShareLink({
+      id: 'link',
+      token: 'token',
+      creator: { id: 'user', username: 'sam', email: 'sam@example.com' }
+    });
+
+    expect(link.created_by).toEqual({ id: 'user', username: 'sam' });
+  });
+});
+
+describe('ShareService.revokeShareLink', () => {
+  it('keeps the link with the time it was revoked', async () => {
+    const link = { update: jest.fn() };
+
+    await ShareService.revokeShareLink(link);
+
+    expect(link.update).toHaveBeenCalledWith({ revoked_at: expect.any(Date) });
+  });
+});
+
+describe('ShareService.buildSharedSetlist', () => {
+  const setlist = {
+    id: 'setlist-id',
+    name: 'Summer Gig',
+    description: 'Outdoor stage',
+    song_gap: 30,
+    updated_at: '2026-05-01T10:00:00Z',
+    created_by: 'user',
+    creator: { id: 'user', username: 'sam', email: 'sam@example.com' },
+    band: { id: 'band-id', name: 'The Band' }
+  };
+  const blocks = [{ id: 'block-id', name: 'Set 1', position: 0 }];
+  const setlistSongs = [{
+    id: 'slot-id',
+    block_id: 'block-id',
+    position: 0,
+    notes: 'Start slow',
+    song: {
+      id: 'song-id',
+      title: 'Wonderwall',
+      artist: 'Oasis',
+      key: 'F#m',
+      duration: 240,
+      notes: 'Private library note',
+      spotify_id: 'spotify',
+      youtube_url: 'https://youtube.example/watch',
+      created_by: 'user'
+    }
+  }];
+
+  it('hides the setlist ID behind a read-only link', () => {
+    const shared = ShareService.buildSharedSetlist({ read_only: true, expires_at: null }, setlist, blocks, setlistSongs);
+
+    expect(shared).toMatchObject({ setlist_id: null, read_only: true });
+  });
+
+  it('gives the setlist ID to an editable link', () => {
+    const shared = ShareService.buildSharedSetlist({ read_only: false, expires_at: null }, setlist, blocks, setlistSongs);
+
+    expect(shared).toMatchObject({ setlist_id: 'setlist-id', read_only: false });
+  });
+
+  it('shares the songs with their slot notes in play order', () => {
+    const shared = ShareService.buildSharedSetlist({ read_only: true, expires_at: null }, setlist, blocks, setlistSongs);
+
+    expect(shared).toMatchObject({ name: 'Summer Gig', band: 'The Band', song_count: 1 });
+    expect(shared.sections).toEqual([
+      expect.objectContaining({ name: 'Set 1', songs: [expect.objectContaining({ title: 'Wonderwall', key: 'F#m', notes: 'Start slow' })] })
+    ]);
+  });
+
+  it('leaves out user details, library notes, streaming links and IDs', () => {
+    const shared = ShareService.buildSharedSetlist({ read_only: true, expires_at: null }, setlist, blocks, setlistSongs);
+    const text = JSON.stringify(shared);
+
+    expect(text).not.toMatch(/sam@example\.com|"sam"|"user"/);
+    expect(text).not.toMatch(/Private library note|spotify|youtube/);
+    expect(text).not.toMatch(/(block|slot|song|band)-id/);
+    expect(shared.sections[0]).not.toHaveProperty('block_id');
+  });
+});
@@ -0,0 +1,65 @@
+const SongStatsService = require('../songStats.service');
+
+describe('SongStatsService.buildSongStats', () => {
+  const songs = [
+    { id: 'a', title: 'Alpha', artist: 'The As' },
+    { id: 'b', title: 'Bravo' },
+    { id: 'c', title: 'Charlie' },
+    { id: 'd', title: 'Delta' }
+  ];
+  const setlist = (id, songIds, dates) => ({
+    id,
+    blocks: [],
+    setlist_songs: songIds.map((songId, position) => ({ id: `${id}-${position}`, song_id: songId, position, block_id: null })),
+    ...dates
+  });
+  const setlists = [
+    setlist('oldest', ['b', 'a'], { created_at: '2026-01-10T20:00:00Z', gigs: [] }),
+    setlist('latest', ['a', 'b', 'c'], { created_at: '2025-12-01T20:00:00Z', gigs: [{ date: '2026-02-20' }, { date: '2026-03-01' }] }),
+    setlist('middle', ['a'], { created_at: '2026-02-01T20:00:00Z' })
+  ];
+
+  it('counts how often and where each song is played', () => {
+    const { songs: stats } = SongStatsService.buildSongStats(songs, setlists, { recent: 2 });
+
+    expect(stats.map(entry => entry.song_id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(stats[0]).toEqual({
+      song_id: 'a',
+      title: 'Alpha',
+      artist: 'The As',
+      setlist_count: 3,
+      recent_count: 2,
+      last_scheduled_on: '2026-03-01',
+      opener_count: 2,
+      closer_count: 1,
+      average_position: 0.33
+    });
+    expect(stats[1]).toMatchObject({ setlist_count: 2, recent_count: 1, opener_count: 1, closer_count: 0, average_position: 0.25 });
+    expect(stats[2]).toMatchObject({ setlist_count: 1, closer_count: 1, average_position: 1 });
+  });
+
+  it('lists songs that are never scheduled', () => {
+    const { never_used: neverUsed } = SongStatsService.buildSongStats(songs, setlists);
+
+    expect(neverUsed).toEqual([expect.objectContaining({ song_id: 'd', setlist_count: 0, average_position: null })]);
+  });
+
+  it('flags songs in most of the recent setlists as over-used', () => {
+    const result = SongStatsService.buildSongStats(songs, setlists, { recent: 2, overuseShare: 1 });
+
+    expect(result.recent_setlist_count).toBe(2);
+    expect(result.overused.map(entry => entry.song_id)).toEqual(['a']);
+  });
+
+  it('flags nothing until there are enough setlists', () => {
+    expect(SongStatsService.buildSongStats(songs, setlists).overused).toEqual([]);
+  });
+
+  it('counts a song played twice in a setlist once', () => {
+    const { songs: stats } = SongStatsService.buildSongStats(songs, [
+      setlist('reprise', ['a', 'b', 'a'], { created_at: '2026-01-01T20:00:00Z' })
+    ]);
+
+    expect(stats[0]).toMatchObject({ song_id: 'a', setlist_count: 1, opener_count: 1, closer_count: 1 });
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../../models/block.model', () => ({ create: jest.fn() }));
+jest.mock('../../models/setlistSong.model', () => ({ bulkCreate: jest.fn() }));
+// Part of the song library, which is not in this repository
+jest.mock('../../models/song.model', () => ({ findAll: jest.fn() }), { virtual: true });
+jest.mock('../permission.service', () => ({}));
+
+const Block = require('../../models/block.model');
+const SetlistSong = require('../../models/setlistSong.model');
+const Song = require('../../models/song.model');
+const TemplateService = require('../template.service');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('TemplateService.checkStructure', () => {
+  const blocks = [{ name: 'Set 1' }, { name: 'Set 2' }];
+
+  it('accepts slots that fit the blocks', () => {
+    expect(TemplateService.checkStructure(blocks, [
+      { song_id: 'a', block: 1, position: 'last' },
+      { song_id: 'b', block: null, position: 'first' }
+    ])).toBeNull();
+  });
+
+  it('rejects a slot in a block that does not exist', () => {
+    expect(TemplateService.checkStructure(blocks, [{ song_id: 'a', block: 2, position: 'first' }]))
+      .toBe('Fixed slot block 2 does not exist; the template has 2 block(s)');
+  });
+
+  it('rejects a song in two slots', () => {
+    expect(TemplateService.checkStructure(blocks, [
+      { song_id: 'a', block: 0, position: 'first' },
+      { song_id: 'a', block: 1, position: 'last' }
+    ])).toBe('A song can only be in one fixed slot');
+  });
+});
+
+describe('TemplateService.inLibrary', () => {
+  it('uses the band library for band templates', () => {
+    const template = { band_id: 'band', created_by: 'user' };
+
+    expect(TemplateService.inLibrary({ band_id: 'band', created_by: 'other' }, template)).toBe(true);
+    expect(TemplateService.inLibrary({ band_id: 'other', created_by: 'user' }, template)).toBe(false);
+  });
+
+  it('uses the creator library for personal templates', () => {
+    const template = { band_id: null, created_by: 'user' };
+
+    expect(TemplateService.inLibrary({ band_id: null, created_by: 'user' }, template)).toBe(true);
+    expect(TemplateService.inLibrary({ band_id: null, created_by: 'other' }, template)).toBe(false);
+  });
+});
+
+describe('TemplateService.findSongsOutsideLibrary', () => {
+  it('finds songs that are missing or from another library', async () => {
+    Song.findAll.mockResolvedValue([
+      { id: 'ours', band_id: 'band', created_by: 'user' },
+      { id: 'theirs', band_id: 'other', created_by: 'user' }
+    ]);
+
+    const outside = await TemplateService.findSongsOutsideLibrary({ band_id: 'band' }, [
+      { song_id: 'ours' },
+      { song_id: 'theirs' },
+      { song_id: 'gone' }
+    ]);
+
+    expect(outside).toEqual(['theirs', 'gone']);
+  });
+
+  it('does not look anything up without slots', async () => {
+    expect(await TemplateService.findSongsOutsideLibrary({ band_id: 'band' }, [])).toEqual([]);
+    expect(Song.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('TemplateService.fromSetlist', () => {
+  const blocks = [{ id: 'encore', name: 'Encore', position: 1, target_duration: null }, { id: 'main', name: 'Main', position: 0, target_duration: 2400 }];
+  const setlistSongs = [
+    { song_id: 'closer', block_id: 'encore', position: 0 },
+    { song_id: 'opener', block_id: 'main', position: 0 },
+    { song_id: 'middle', block_id: 'main', position: 1 }
+  ];
+
+  it('copies the timing settings and blocks', () => {
+    const template = TemplateService.fromSetlist({ song_gap: 30, block_break: 900 }, blocks, setlistSongs, false);
+
+    expect(template).toEqual({
+      song_gap: 30,
+      block_break: 900,
+      target_duration: null,
+      blocks: [{ name: 'Main', target_duration: 2400 }, { name: 'Encore', target_duration: null }],
+      fixed_slots: []
+    });
+  });
+
+  it('fixes the songs played first and last', () => {
+    const template = TemplateService.fromSetlist({}, blocks, setlistSongs, true);
+
+    expect(template.fixed_slots).toEqual([
+      { song_id: 'opener', block: null, position: 'first' },
+      { song_id: 'closer', block: null, position: 'last' }
+    ]);
+  });
+});
+
+describe('TemplateService.applyTemplate', () => {
+  const template = {
+    blocks: [{ name: 'Set 1', target_duration: 2700 }, { name: 'Encore' }],
+    fixed_slots: [
+      { song_id: 'closer', block: null, position: 'last' },
+      { song_id: 'second-opener', block: 1, position: 'first' },
+      { song_id: 'opener', block: null, position: 'first' },
+      { song_id: 'gone', block: 0, position: 'last' }
+    ]
+  };
+
+  beforeEach(() => {
+    Block.create.mockImplementation(async (block) => block);
+    Song.findAll.mockResolvedValue([{ id: 'closer' }, { id: 'second-opener' }, { id: 'opener' }]);
+  });
+
+  it('creates the blocks of the template in order', async () => {
+    const { blocks } = await TemplateService.applyTemplate(template, 'setlist', 'transaction');
+
+    expect(blocks).toEqual([
+      expect.objectContaining({ setlist_id: 'setlist', name: 'Set 1', position: 0, target_duration: 2700 }),
+      expect.objectContaining({ setlist_id: 'setlist', name: 'Encore', position: 1, target_duration: null })
+    ]);
+    expect(Block.create).toHaveBeenCalledWith(expect.any(Object), { transaction: 'transaction' });
+  });
+
+  it('places fixed songs at the start and end of their blocks', async () => {
+    const { blocks } = await TemplateService.applyTemplate(template, 'setlist');
+
+    const [setlistSongs] = SetlistSong.bulkCreate.mock.calls[0];
+    expect(setlistSongs.map(({ song_id, block_id, position }) => ({ song_id, block_id, position }))).toEqual([
+      { song_id: 'opener', block_id: blocks[0].id, position: 0 },
+      { song_id: 'second-opener', block_id: blocks[1].id, position: 1 },
+      { song_id: 'closer', block_id: blocks[1].id, position: 2 }
+    ]);
+  });
+
+  it('skips slots whose song is gone from the library', async () => {
+    const { skipped_slots: skipped } = await TemplateService.applyTemplate(template, 'setlist');
+
+    expect(skipped).toEqual([{ song_id: 'gone', block: 0, position: 'last' }]);
+  });
+
+  it('puts fixed songs of a template without blocks outside any block', async () => {
+    Song.findAll.mockResolvedValue([{ id: 'closer' }, { id: 'opener' }]);
+
+    await TemplateService.applyTemplate({
+      blocks: [],
+      fixed_slots: [{ song_id: 'closer', block: null, position: 'last' }, { song_id: 'opener', block: null, position: 'first' }]
+    }, 'setlist');
+
+    const [setlistSongs] = SetlistSong.bulkCreate.mock.calls[0];
+    expect(setlistSongs.map(({ song_id, block_id }) => ({ song_id, block_id }))).toEqual([
+      { song_id: 'opener', block_id: null },
+      { song_id: 'closer', block_id: null }
+    ]);
+  });
+});
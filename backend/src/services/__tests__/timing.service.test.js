@@ -0,0 +1,77 @@
+const TimingService = require('../timing.service');
+
+const setlist = { song_gap: 30, block_break: 600, target_duration: 3000 };
+const blocks = [
+  { id: 'encore', name: 'Encore', position: 1, target_duration: 300 },
+  { id: 'main', name: 'Main set', position: 0, target_duration: 530 }
+];
+const setlistSongs = [
+  { id: 'loose', block_id: null, position: 5, song: { duration: null } },
+  { id: 'third', block_id: 'encore', position: 0, song: { duration: 240 } },
+  { id: 'second', block_id: 'main', position: 1, song: { duration: 300 } },
+  { id: 'first', block_id: 'main', position: 0, song: { duration: 200 } }
+];
+
+describe('TimingService.calculateSetlistTiming', () => {
+  const timing = TimingService.calculateSetlistTiming(setlist, blocks, setlistSongs);
+
+  it('adds gaps between songs and breaks between blocks', () => {
+    expect(timing).toMatchObject({
+      song_count: 4,
+      song_duration: 740,
+      gap_duration: 30,
+      break_duration: 1200,
+      total_duration: 1970,
+      missing_durations: 1
+    });
+  });
+
+  it('compares the setlist to its target', () => {
+    expect(timing).toMatchObject({ target_duration: 3000, difference: -1030, status: 'under' });
+  });
+
+  it('times each block in block order', () => {
+    expect(timing.blocks.map(block => block.block_id)).toEqual(['main', 'encore']);
+    expect(timing.blocks[0]).toMatchObject({ song_count: 2, total_duration: 530, difference: 0, status: 'on_target' });
+  });
+
+  it('counts a block a minute under its target as on target', () => {
+    expect(timing.blocks[1]).toMatchObject({ total_duration: 240, difference: -60, status: 'on_target' });
+  });
+
+  it('puts songs outside any block in the unassigned group', () => {
+    expect(timing.unassigned).toMatchObject({ song_count: 1, total_duration: 0, missing_durations: 1 });
+  });
+
+  it('reports a setlist over its target', () => {
+    const over = TimingService.calculateSetlistTiming({ ...setlist, target_duration: 1800 }, blocks, setlistSongs);
+
+    expect(over).toMatchObject({ difference: 170, status: 'over' });
+  });
+
+  it('has no status without a target', () => {
+    const untimed = TimingService.calculateSetlistTiming({}, [], []);
+
+    expect(untimed).toMatchObject({ total_duration: 0, difference: null, status: null });
+  });
+});
+
+describe('TimingService.getPlayOrder', () => {
+  it('plays blocks in order, then songs outside any block', () => {
+    const order = TimingService.getPlayOrder(blocks, setlistSongs);
+
+    expect(order.map(({ setlistSong }) => setlistSong.id)).toEqual(['first', 'second', 'third', 'loose']);
+    expect(order.map(({ group }) => group)).toEqual([0, 0, 1, 2]);
+  });
+});
+
+describe('TimingService.calculateSongOffsets', () => {
+  it('starts each song after the gaps and breaks before it', () => {
+    expect(TimingService.calculateSongOffsets(setlist, blocks, setlistSongs)).toEqual({
+      first: { start_offset: 0, end_offset: 200 },
+      second: { start_offset: 230, end_offset: 530 },
+      third: { start_offset: 1130, end_offset: 1370 },
+      loose: { start_offset: 1970, end_offset: 1970 }
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../db/config', () => ({ transaction: jest.fn(callback => callback('transaction')) }));
+jest.mock('../../models/setlist.model', () => ({ findAll: jest.fn() }));
+jest.mock('../../models/setlistSong.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/block.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/setlistRevision.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/liveSession.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/shareLink.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/setlistCollaborator.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/setlistComment.model', () => ({ destroy: jest.fn() }));
+jest.mock('../../models/gigSetlist.model', () => ({ destroy: jest.fn() }));
+jest.mock('../activity.service', () => ({ record: jest.fn() }));
+
+const { Op } = require('sequelize');
+const Setlist = require('../../models/setlist.model');
+const SetlistSong = require('../../models/setlistSong.model');
+const ShareLink = require('../../models/shareLink.model');
+const ActivityService = require('../activity.service');
+const TrashService = require('../trash.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const trashed = (id, deletedAt) => ({ id, name: id, deleted_at: deletedAt, destroy: jest.fn() });
+
+describe('TrashService.getPurgeDate', () => {
+  it('purges a setlist once the retention window has passed', () => {
+    expect(TrashService.RETENTION_DAYS).toBe(30);
+    expect(TrashService.getPurgeDate({ deleted_at: '2026-05-01T12:00:00Z' })).toEqual(new Date('2026-05-31T12:00:00Z'));
+  });
+});
+
+describe('TrashService.isExpired', () => {
+  const setlist = { deleted_at: '2026-05-01T12:00:00Z' };
+
+  it.each([
+    ['keeps it a day before the purge date', '2026-05-30T12:00:00Z', false],
+    ['keeps it a second before the purge date', '2026-05-31T11:59:59Z', false],
+    ['expires it on the purge date', '2026-05-31T12:00:00Z', true],
+    ['expires it after the purge date', '2026-06-15T00:00:00Z', true]
+  ])('%s', (_, now, expected) => {
+    expect(TrashService.isExpired(setlist, new Date(now))).toBe(expected);
+  });
+});
+
+describe('TrashService.purgeSetlist', () => {
+  it('deletes the setlist with everything that belongs to it', async () => {
+    const setlist = trashed('setlist', '2026-05-01T12:00:00Z');
+
+    await TrashService.purgeSetlist(setlist, 'user');
+
+    expect(ActivityService.record).toHaveBeenCalledWith('user', setlist, 'setlist:purged', {
+      summary: 'Permanently deleted "setlist"'
+    }, 'transaction');
+    expect(SetlistSong.destroy).toHaveBeenCalledWith({ where: { setlist_id: 'setlist' }, transaction: 'transaction' });
+    expect(ShareLink.destroy).toHaveBeenCalledWith({
+      where: { resource_type: 'setlist', resource_id: 'setlist' },
+      transaction: 'transaction'
+    });
+    expect(setlist.destroy).toHaveBeenCalledWith({ force: true, transaction: 'transaction' });
+  });
+
+  it('records that the sweep purged it', async () => {
+    await TrashService.purgeSetlist(trashed('setlist', '2026-05-01T12:00:00Z'));
+
+    expect(ActivityService.record.mock.calls[0][0]).toBeNull();
+    expect(ActivityService.record.mock.calls[0][3].summary).toBe('Permanently deleted "setlist" after 30 days in the trash');
+  });
+});
+
+describe('TrashService.sweepExpired', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+
+  it('looks for setlists deleted before the retention window, including trashed ones', async () => {
+    Setlist.findAll.mockResolvedValue([]);
+
+    await TrashService.sweepExpired(now);
+
+    expect(Setlist.findAll).toHaveBeenCalledWith({
+      where: { deleted_at: { [Op.lte]: new Date(now.getTime() - 30 * DAY) } },
+      paranoid: false
+    });
+  });
+
+  it('purges every setlist found and returns them', async () => {
+    const setlists = [trashed('old', '2026-05-01T12:00:00Z'), trashed('older', '2026-04-01T12:00:00Z')];
+    Setlist.findAll.mockResolvedValue(setlists);
+
+    const purged = await TrashService.sweepExpired(now);
+
+    expect(purged).toEqual(setlists);
+    expect(setlists[0].destroy).toHaveBeenCalled();
+    expect(setlists[1].destroy).toHaveBeenCalled();
+  });
+
+  it('keeps going when one setlist fails to purge and leaves it out', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = trashed('failing', '2026-05-01T12:00:00Z');
+    failing.destroy.mockRejectedValue(new Error('Deadlock'));
+    const next = trashed('next', '2026-05-01T12:00:00Z');
+    Setlist.findAll.mockResolvedValue([failing, next]);
+
+    const purged = await TrashService.sweepExpired(now);
+
+    expect(purged).toEqual([next]);
+    expect(console.error).toHaveBeenCalledWith('Failed to purge setlist failing:', 'Deadlock');
+    console.error.mockRestore();
+  });
+});
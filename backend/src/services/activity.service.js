@@ -0,0 +1,199 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const SetlistActivity = require('../models/setlistActivity.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const Block = require('../models/block.model');
+const User = require('../models/user.model');
+const SetlistSearchService = require('./setlistSearch.service');
+const PermissionService = require('./permission.service');
+
+/**
+ * Audit log of setlist changes
+ *
+ * Every change to a setlist, its blocks or its songs is logged with who made
+ * it and the fields it changed. Unlike revisions, entries are kept after the
+ * setlist is purged, and keep its band and name so they still read then.
+ */
+
+// Actions that are logged, named like revision actions
+exports.ACTIONS = [
+  'setlist:created',
+  'setlist:updated',
+  'setlist:deleted',
+  'setlist:restored',
+  'setlist:purged',
+  'setlist:revision:restored',
+  'setlist:song:added',
+  'setlist:song:updated',
+  'setlist:song:removed',
+  'setlist:songs:reordered',
+  'setlist:songs:edited',
+  'setlist:block:created',
+  'setlist:block:updated',
+  'setlist:block:deleted',
+  'setlist:blocks:reordered'
+];
+
+/**
+ * Log a change to a setlist
+ * @param {string|null} userId - ID of the user who made the change
+ * @param {Object} setlist - Setlist that was changed
+ * @param {string} action - One of ACTIONS
+ * @param {Object} details - What was changed
+ * @param {string} details.summary - Human readable description of the change
+ * @param {string} [details.target_type] - 'setlist', 'block' or 'song'
+ * @param {string} [details.target_id] - ID of the block or setlist song; the setlist's by default
+ * @param {Object} [details.before] - Changed fields before the change
+ * @param {Object} [details.after] - Changed fields after the change
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - The log entry
+ */
+exports.record = (userId, setlist, action, details, transaction) => SetlistActivity.create({
+  id: uuidv4(),
+  band_id: setlist.band_id || null,
+  setlist_id: setlist.id,
+  setlist_name: setlist.name,
+  actor_id: userId,
+  action,
+  target_type: details.target_type || 'setlist',
+  target_id: details.target_id || setlist.id,
+  summary: details.summary,
+  before: details.before || null,
+  after: details.after || null
+}, { transaction });
+
+/**
+ * Pick the fields that differ between two versions of a record
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {{ before: Object, after: Object }} - Old and new values of the changed fields
+ */
+exports.changedFields = (before, after, fields) => fields.reduce((changes, field) => {
+  const from = before[field] === undefined ? null : before[field];
+  const to = after[field] === undefined ? null : after[field];
+  if (from !== to) {
+    changes.before[field] = from;
+    changes.after[field] = to;
+  }
+  return changes;
+}, { before: {}, after: {} });
+
+/**
+ * Describe a setlist song for the log
+ * @param {Object} setlistSong - Setlist song
+ * @param {Object} [song] - Its library song, for the title
+ * @returns {Object} - Title, position and block
+ */
+exports.describeSong = (setlistSong, song) => ({
+  title: song ? song.title : null,
+  position: setlistSong.position,
+  block_id: setlistSong.block_id || null
+});
+
+/**
+ * Describe the running order of a setlist for the log
+ * @param {string} setlistId - Setlist ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - Song titles in order, with the block each is in
+ */
+exports.describeOrder = async (setlistId, transaction) => {
+  const setlistSongs = await SetlistSong.findAll({
+    where: { setlist_id: setlistId },
+    attributes: ['id', 'position'],
+    include: [
+      {
+        model: Song,
+        as: 'song',
+        attributes: ['title']
+      },
+      {
+        model: Block,
+        as: 'block',
+        attributes: ['name']
+      }
+    ],
+    order: [['position', 'ASC']],
+    transaction
+  });
+
+  return {
+    songs: setlistSongs.map(setlistSong => ({
+      title: setlistSong.song ? setlistSong.song.title : null,
+      block: setlistSong.block ? setlistSong.block.name : null
+    }))
+  };
+};
+
+/**
+ * Describe the order of a setlist's blocks for the log
+ * @param {string} setlistId - Setlist ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - Block names in order
+ */
+exports.describeBlockOrder = async (setlistId, transaction) => {
+  const blocks = await Block.findAll({
+    where: { setlist_id: setlistId },
+    attributes: ['name'],
+    order: [['position', 'ASC']],
+    transaction
+  });
+
+  return { blocks: blocks.map(block => block.name) };
+};
+
+/**
+ * Check whether a user can see the log of a setlist
+ * The log shows who changed what, so it is for the band and those who can
+ * edit, not everyone who can view.
+ * @param {string} userId - User ID
+ * @param {Object} setlist - Setlist, trashed or not
+ * @returns {Promise<boolean>} - True if the user can see the log
+ */
+exports.canSeeLog = async (userId, setlist) => (
+  await PermissionService.can(userId, setlist, 'edit')
+  || PermissionService.hasBandRole(userId, setlist.band_id, 'viewer')
+);
+
+/**
+ * Get a page of log entries, newest first
+ * Pages are cut with a cursor on the time and ID, like setlist lists.
+ * @param {Object} where - Band or setlist to get the log of
+ * @param {Object} filters - Filters from the query string
+ * @param {string} [filters.actor_id] - Only changes made by this user
+ * @param {string} [filters.action] - Only this kind of change
+ * @param {string} [filters.target_type] - Only changes to a setlist, block or song
+ * @param {Object|null} cursor - Decoded cursor of the page, or null for the first page
+ * @param {number} limit - Page size
+ * @returns {Promise<{ activity: Array, next_cursor: string|null }>} - Page and the cursor of the next page
+ */
+exports.getPage = async (where, filters, cursor, limit) => {
+  const conditions = [where];
+  if (filters.actor_id) conditions.push({ actor_id: filters.actor_id });
+  if (filters.action) conditions.push({ action: filters.action });
+  if (filters.target_type) conditions.push({ target_type: filters.target_type });
+  if (cursor) {
+    conditions.push(SetlistSearchService.buildCursorWhere(cursor, 'created_at', 'desc'));
+  }
+
+  const rows = await SetlistActivity.findAll({
+    where: { [Op.and]: conditions },
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'username']
+      }
+    ],
+    order: SetlistSearchService.buildOrder('created_at', 'desc'),
+    // One extra row tells whether there is a next page
+    limit: limit + 1
+  });
+
+  const page = rows.slice(0, limit);
+  return {
+    activity: page,
+    next_cursor: rows.length > limit ? SetlistSearchService.encodeCursor(page[page.length - 1], 'created_at') : null
+  };
+};
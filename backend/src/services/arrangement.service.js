@@ -0,0 +1,294 @@
+/**
+ * Automatic ordering of setlist songs by key, tempo and energy
+ *
+ * An order is scored by the cost of each transition between consecutive songs
+ * (distance between keys on the circle of fifths and the size of the tempo
+ * jump) plus how far each song's energy is from a classic show arc: start
+ * strong, dip in the middle, build to the closer. Songs carry no energy
+ * rating, so tempo stands in for it.
+ */
+
+const NOTE_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Tempo difference (BPM) that counts as a full-cost jump
+const MAX_TEMPO_JUMP = 40;
+
+// Transitions costing more than this get an explanation
+const NOTABLE_KEY_DISTANCE = 3;
+const NOTABLE_TEMPO_JUMP = 25;
+
+const DEFAULT_WEIGHTS = { key: 1, tempo: 1, energy: 0.5 };
+
+// Each pass of swapping tries every pair of songs and costs each result, so
+// it grows with the cube of the song count; these keep a request bounded
+const MAX_SWAP_PASSES = 10;
+const MAX_SWAP_SONGS = 60;
+
+/**
+ * Parse a key such as "C", "F#m", "Bb minor" or "Eb major"
+ * @param {string} key - Key as entered on the song
+ * @returns {{ pitch: number, minor: boolean }|null} - Pitch class (0-11) and mode, or null if not recognised
+ */
+exports.parseKey = (key) => {
+  if (!key) return null;
+
+  const match = /^\s*([A-Ga-g])\s*([#♯b♭]?)\s*(m(?!aj)|min(?:or)?|-)?\s*(maj(?:or)?)?\s*$/i.exec(key);
+  if (!match) return null;
+
+  let pitch = NOTE_PITCHES[match[1].toUpperCase()];
+  if (match[2] === '#' || match[2] === '♯') pitch += 1;
+  if (match[2] === 'b' || match[2] === '♭') pitch -= 1;
+
+  return {
+    pitch: (pitch + 12) % 12,
+    minor: Boolean(match[3])
+  };
+};
+
+/**
+ * Distance between two keys in steps around the circle of fifths
+ * Relative majors and minors (e.g. C and Am) are the same position.
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number|null} - 0 to 6, or null if either key is not recognised
+ */
+exports.keyDistance = (a, b) => {
+  const keyA = exports.parseKey(a);
+  const keyB = exports.parseKey(b);
+  if (!keyA || !keyB) return null;
+
+  const fifths = ({ pitch, minor }) => (((minor ? pitch + 3 : pitch) % 12) * 7) % 12;
+  const steps = Math.abs(fifths(keyA) - fifths(keyB));
+
+  return Math.min(steps, 12 - steps);
+};
+
+/**
+ * Target energy (0-1) at a point in the show
+ * @param {number} progress - 0 for the opener to 1 for the closer
+ * @returns {number} - Target energy
+ */
+const targetEnergy = (progress) => {
+  if (progress <= 0.6) {
+    return 0.8 - (progress / 0.6) * 0.4;
+  }
+  return 0.4 + ((progress - 0.6) / 0.4) * 0.6;
+};
+
+/**
+ * Cost of playing one song straight after another
+ * @param {Object} from - Song played first
+ * @param {Object} to - Song played next
+ * @param {Object} weights - Weights for key and tempo
+ * @returns {{ cost: number, keyDistance: number|null, tempoJump: number|null }} - Weighted cost and its parts
+ */
+const transitionCost = (from, to, weights) => {
+  const keyDistance = exports.keyDistance(from.key, to.key);
+  const tempoJump = from.tempo && to.tempo ? Math.abs(from.tempo - to.tempo) : null;
+
+  // Unknown keys or tempos cost half, so they are neither favoured nor avoided
+  const keyCost = keyDistance === null ? 0.5 : keyDistance / 6;
+  const tempoCost = tempoJump === null ? 0.5 : Math.min(tempoJump / MAX_TEMPO_JUMP, 1);
+
+  return {
+    cost: weights.key * keyCost + weights.tempo * tempoCost,
+    keyDistance,
+    tempoJump
+  };
+};
+
+/**
+ * Total cost of an order of songs
+ * @param {Array} songs - Songs in order
+ * @param {Object} weights - Weights for key, tempo and energy
+ * @param {Object} tempoRange - Lowest and highest tempo in the set
+ * @returns {number} - Total cost
+ */
+const orderCost = (songs, weights, tempoRange) => {
+  let cost = 0;
+
+  for (let i = 1; i < songs.length; i++) {
+    cost += transitionCost(songs[i - 1], songs[i], weights).cost;
+  }
+
+  if (weights.energy && songs.length > 1 && tempoRange.max > tempoRange.min) {
+    songs.forEach((song, i) => {
+      if (!song.tempo) return;
+      const energy = (song.tempo - tempoRange.min) / (tempoRange.max - tempoRange.min);
+      cost += weights.energy * Math.abs(energy - targetEnergy(i / (songs.length - 1)));
+    });
+  }
+
+  return cost;
+};
+
+/**
+ * Convert a cost to a 0-100 score, where 100 means every transition is seamless
+ * @param {number} cost - Total cost of an order
+ * @param {number} count - Number of songs
+ * @param {Object} weights - Weights for key, tempo and energy
+ * @returns {number} - Score
+ */
+const toScore = (cost, count, weights) => {
+  if (count < 2) return 100;
+  const worst = (count - 1) * (weights.key + weights.tempo) + count * weights.energy;
+  return worst > 0 ? Math.round(100 * (1 - cost / worst)) : 100;
+};
+
+/**
+ * Improve an order by swapping songs until no swap lowers the cost
+ * Lists longer than MAX_SWAP_SONGS keep their starting order, and the search stops after MAX_SWAP_PASSES.
+ * @param {Array} songs - Songs in their starting order
+ * @param {Set<number>} fixed - Indexes that must not move
+ * @param {Function} cost - Cost of an order
+ * @returns {Array} - Improved order
+ */
+const improveBySwapping = (songs, fixed, cost) => {
+  let order = [...songs];
+  if (order.length > MAX_SWAP_SONGS) return order;
+
+  let best = cost(order);
+  let improved = true;
+
+  for (let pass = 0; improved && pass < MAX_SWAP_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < order.length; i++) {
+      if (fixed.has(i)) continue;
+      for (let j = i + 1; j < order.length; j++) {
+        if (fixed.has(j)) continue;
+
+        const candidate = [...order];
+        [candidate[i], candidate[j]] = [candidate[j], candidate[i]];
+        const candidateCost = cost(candidate);
+        if (candidateCost < best - 1e-9) {
+          order = candidate;
+          best = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Build a starting order by always playing the smoothest next song
+ * @param {Array} songs - Songs to order
+ * @param {Array} slots - Song pinned at each index, or undefined if free
+ * @param {Object} weights - Weights for key and tempo
+ * @returns {Array} - Greedy order
+ */
+const greedyOrder = (songs, slots, weights) => {
+  const remaining = songs.filter(song => !slots.includes(song));
+  const order = [];
+
+  for (let i = 0; i < songs.length; i++) {
+    if (slots[i]) {
+      order.push(slots[i]);
+      continue;
+    }
+
+    const previous = order[order.length - 1];
+    let pick = 0;
+    if (previous) {
+      let lowest = Infinity;
+      remaining.forEach((song, index) => {
+        const { cost } = transitionCost(previous, song, weights);
+        if (cost < lowest) {
+          lowest = cost;
+          pick = index;
+        }
+      });
+    }
+    order.push(remaining.splice(pick, 1)[0]);
+  }
+
+  return order;
+};
+
+/**
+ * Explain the notable transitions in an order
+ * @param {Array} songs - Songs in order
+ * @param {Object} weights - Weights for key and tempo
+ * @returns {Array} - Transition details with a human readable explanation
+ */
+const describeTransitions = (songs, weights) => {
+  const transitions = [];
+
+  for (let i = 1; i < songs.length; i++) {
+    const from = songs[i - 1];
+    const to = songs[i];
+    const { cost, keyDistance, tempoJump } = transitionCost(from, to, weights);
+    const notes = [];
+
+    if (keyDistance !== null && keyDistance >= NOTABLE_KEY_DISTANCE) {
+      notes.push(`key change ${from.key} → ${to.key} (${keyDistance} steps on the circle of fifths)`);
+    }
+    if (tempoJump !== null && tempoJump >= NOTABLE_TEMPO_JUMP) {
+      notes.push(`tempo jump ${from.tempo} → ${to.tempo} BPM`);
+    }
+
+    transitions.push({
+      from: from.id,
+      to: to.id,
+      key_distance: keyDistance,
+      tempo_jump: tempoJump,
+      cost: Math.round(cost * 100) / 100,
+      explanation: notes.length > 0
+        ? `${from.title} → ${to.title}: ${notes.join(', ')}`
+        : null
+    });
+  }
+
+  return transitions;
+};
+
+/**
+ * Propose an order for a group of songs
+ * @param {Array} songs - Songs to order, each { id, title, key, tempo }, in their current order
+ * @param {Object} [options] - Arrangement options
+ * @param {Object} [options.pinned] - Map of song ID to 'first' or 'last'
+ * @param {Object} [options.weights] - Weights for key, tempo and energy
+ * @returns {Object} - Proposed order with its score, the current score and transition details
+ */
+exports.arrange = (songs, options = {}) => {
+  const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+  const pinned = options.pinned || {};
+  const tempos = songs.map(song => song.tempo).filter(tempo => tempo);
+  const tempoRange = { min: Math.min(...tempos), max: Math.max(...tempos) };
+  const cost = order => orderCost(order, weights, tempoRange);
+
+  // Pinned songs go to the ends; everything else is free to move
+  const slots = [];
+  const fixed = new Set();
+  songs.forEach(song => {
+    if (pinned[song.id] === 'first' && slots[0] === undefined) {
+      slots[0] = song;
+      fixed.add(0);
+    } else if (pinned[song.id] === 'last' && slots[songs.length - 1] === undefined) {
+      slots[songs.length - 1] = song;
+      fixed.add(songs.length - 1);
+    }
+  });
+
+  const free = songs.filter(song => !slots.includes(song));
+  const current = [];
+  for (let i = 0; i < songs.length; i++) {
+    current.push(slots[i] || free.shift());
+  }
+
+  // Local search from both the current and a greedy order, keeping the better result
+  const candidates = [
+    improveBySwapping(current, fixed, cost),
+    improveBySwapping(greedyOrder(songs, slots, weights), fixed, cost)
+  ];
+  const order = candidates.reduce((best, candidate) => (cost(candidate) < cost(best) ? candidate : best));
+
+  return {
+    order,
+    score: toScore(cost(order), order.length, weights),
+    current_score: toScore(cost(songs), songs.length, weights),
+    transitions: describeTransitions(order, weights)
+  };
+};
@@ -0,0 +1,209 @@
+/**
+ * iCalendar (RFC 5545) feeds of gigs
+ *
+ * Calendar apps poll the feed URL, so gigs added or changed in the app show up
+ * in members' calendars without anyone sending invites.
+ */
+
+// Length assumed for a gig with a set time but no end time, in minutes
+const DEFAULT_SET_LENGTH = 90;
+
+// Lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+const ICS_STATUS = {
+  tentative: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Escape text for an iCalendar TEXT value
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * @param {string} line - Content line
+ * @returns {string} - Folded line, continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ * @param {Date|string} date - Timestamp
+ * @returns {string} - e.g. "20240601T193000Z"
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format a day as an iCalendar date
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {string} - e.g. "20240601"
+ */
+const formatDate = (day) => day.replace(/-/g, '');
+
+/**
+ * Get the day after a day
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {string} - Next day as YYYY-MM-DD
+ */
+const nextDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Format a time of a gig for the event description, in the venue's time zone
+ * @param {Date|string} date - Timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Time such as "19:30"
+ */
+const formatTime = (date, timeZone) => {
+  try {
+    return new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', timeZone })
+      .format(new Date(date));
+  } catch (err) {
+    // Unknown time zone
+    return `${new Date(date).toISOString().slice(11, 16)} UTC`;
+  }
+};
+
+/**
+ * Work out when a gig's calendar event starts and ends
+ * Timed events run from the earliest known time (usually load-in) to the end
+ * of the show; gigs without any times are all-day events.
+ * @param {Object} gig - Gig
+ * @returns {string[]} - DTSTART and DTEND lines
+ */
+const eventTimes = (gig) => {
+  const times = [gig.load_in_at, gig.soundcheck_at, gig.set_time_at]
+    .filter(Boolean)
+    .map(time => new Date(time));
+
+  if (times.length === 0) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDate(gig.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(gig.date))}`
+    ];
+  }
+
+  const start = new Date(Math.min(...times));
+  const end = gig.ends_at
+    ? new Date(gig.ends_at)
+    : new Date(Math.max(...times) + DEFAULT_SET_LENGTH * 60 * 1000);
+
+  return [`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`];
+};
+
+/**
+ * Build the description of a gig's calendar event
+ * @param {Object} gig - Gig with its setlists included
+ * @returns {string} - Plain text description
+ */
+const describeGig = (gig) => {
+  const lines = [];
+
+  const timeZone = gig.timezone || 'UTC';
+  if (gig.load_in_at) lines.push(`Load-in: ${formatTime(gig.load_in_at, timeZone)}`);
+  if (gig.soundcheck_at) lines.push(`Soundcheck: ${formatTime(gig.soundcheck_at, timeZone)}`);
+  if (gig.set_time_at) lines.push(`Set: ${formatTime(gig.set_time_at, timeZone)}`);
+
+  const setlists = gig.setlists || [];
+  if (setlists.length > 0) {
+    lines.push(`Setlists: ${setlists.map(setlist => setlist.name).join(', ')}`);
+  }
+
+  const contact = [gig.contact_name, gig.contact_phone, gig.contact_email].filter(Boolean);
+  if (contact.length > 0) {
+    lines.push(`Contact: ${contact.join(', ')}`);
+  }
+
+  if (gig.notes) {
+    lines.push('', gig.notes);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build the event of a gig
+ * @param {Object} gig - Gig with its setlists included
+ * @param {string} bandName - Name of the band
+ * @returns {string[]} - Content lines of the VEVENT
+ */
+const buildEvent = (gig, bandName) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:gig-${gig.id}@setlist-builder`,
+    `DTSTAMP:${formatDateTime(gig.updated_at || new Date())}`,
+    `LAST-MODIFIED:${formatDateTime(gig.updated_at || new Date())}`,
+    ...eventTimes(gig),
+    `SUMMARY:${escapeText(gig.title || `${bandName} at ${gig.venue}`)}`,
+    `LOCATION:${escapeText([gig.venue, gig.address].filter(Boolean).join(', '))}`,
+    `STATUS:${ICS_STATUS[gig.status] || 'CONFIRMED'}`
+  ];
+
+  const description = describeGig(gig);
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build the calendar of a band's gigs
+ * @param {Object} band - Band
+ * @param {Array} gigs - Gigs with their setlists included
+ * @returns {string} - iCalendar document
+ */
+exports.buildCalendar = (band, gigs) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Setlist Builder + Sync//Gigs//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${band.name} gigs`)}`,
+    ...gigs.flatMap(gig => buildEvent(gig, band.name)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the URL calendar apps subscribe to
+ * @param {string} token - Feed token
+ * @returns {string} - Feed URL
+ */
+exports.getFeedUrl = (token) => `${process.env.API_URL || 'http://localhost:5000'}/api/gigs/calendar/${token}.ics`;
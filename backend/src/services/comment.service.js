@@ -0,0 +1,82 @@
+const { Op } = require('sequelize');
+const User = require('../models/user.model');
+const PermissionService = require('./permission.service');
+
+/**
+ * Comments on setlists
+ *
+ * A comment is about a whole setlist or about one of its slots. It either
+ * starts a thread or replies to one; replies to replies join the same thread,
+ * so threads are one level deep and are resolved as a whole. Comments can
+ * @mention anyone who can see the setlist.
+ */
+
+// "@username", but not the middle of an email address
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]+)/g;
+
+/**
+ * Find the usernames mentioned in a comment
+ * @param {string} body - Comment text
+ * @returns {string[]} - Usernames, without the @ and without duplicates
+ */
+exports.extractMentionNames = (body) => {
+  const names = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    // A mention at the end of a sentence doesn't include the full stop
+    const name = match[2].replace(/[.-]+$/, '');
+    if (name) {
+      names.add(name);
+    }
+  }
+  return Array.from(names);
+};
+
+/**
+ * Find the users mentioned in a comment who can take part in its discussion:
+ * band members and collaborators, not everyone who can see a public setlist
+ * @param {string} body - Comment text
+ * @param {Object} setlist - Setlist the comment is on
+ * @returns {Promise<Array>} - Mentioned users (id and username)
+ */
+exports.resolveMentions = async (body, setlist) => {
+  const names = exports.extractMentionNames(body);
+  if (names.length === 0) {
+    return [];
+  }
+
+  // Usernames are matched case-insensitively, with LIKE wildcards taken literally
+  const users = await User.findAll({
+    where: {
+      [Op.or]: names.map((name) => ({ username: { [Op.iLike]: name.replace(/[\\%_]/g, '\\$&') } }))
+    },
+    attributes: ['id', 'username']
+  });
+
+  const allowed = await Promise.all(users.map((user) => PermissionService.can(user.id, setlist, 'comment')));
+  return users.filter((user, index) => allowed[index]);
+};
+
+/**
+ * Count the comments of a setlist, for the whole setlist and for each slot
+ * @param {Array} comments - Comments with setlist_song_id, parent_id and resolved_at
+ * @returns {Object} - Comment and open thread counts, for the setlist and by setlist song ID
+ */
+exports.countComments = (comments) => {
+  const empty = () => ({ total: 0, open_threads: 0 });
+  const counts = { setlist: empty(), songs: {} };
+
+  for (const comment of comments) {
+    let target = counts.setlist;
+    if (comment.setlist_song_id) {
+      counts.songs[comment.setlist_song_id] = counts.songs[comment.setlist_song_id] || empty();
+      target = counts.songs[comment.setlist_song_id];
+    }
+
+    target.total += 1;
+    if (!comment.parent_id && !comment.resolved_at) {
+      target.open_threads += 1;
+    }
+  }
+
+  return counts;
+};
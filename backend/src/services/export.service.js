@@ -0,0 +1,309 @@
+const TimingService = require('./timing.service');
+const PerformanceService = require('./performance.service');
+
+/**
+ * Text-based exports of setlists
+ *
+ * Every format is rendered from the same structure built by buildExport, so
+ * they all carry the blocks, keys, tempos, durations and per-song notes. Keys
+ * and tempos are as performed in the setlist, with per-slot overrides applied.
+ */
+
+// Content type and file extension for each format (PDF is rendered by PDFService)
+exports.FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  chordpro: { contentType: 'text/plain; charset=utf-8', extension: 'cho' }
+};
+
+/**
+ * Format a duration in seconds as m:ss, or h:mm:ss for an hour or more
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} - Formatted duration, or an empty string if unknown
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '';
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Build the structure every export format is rendered from
+ * @param {Object} setlist - Setlist with its band included
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @returns {Object} - Setlist details, timing and songs grouped into sections in play order
+ */
+exports.buildExport = (setlist, blocks, setlistSongs) => {
+  const timing = TimingService.calculateSetlistTiming(setlist, blocks, setlistSongs);
+  const offsets = TimingService.calculateSongOffsets(setlist, blocks, setlistSongs);
+  const blockTimings = timing.blocks.reduce((result, blockTiming) => {
+    result[blockTiming.block_id] = blockTiming;
+    return result;
+  }, {});
+
+  const sections = [];
+  let number = 0;
+  for (const { setlistSong } of TimingService.getPlayOrder(blocks, setlistSongs)) {
+    const blockTiming = blockTimings[setlistSong.block_id];
+    const blockId = blockTiming ? setlistSong.block_id : null;
+    let section = sections[sections.length - 1];
+
+    if (!section || section.block_id !== blockId) {
+      section = {
+        block_id: blockId,
+        name: blockTiming ? blockTiming.name : null,
+        duration: blockTiming ? blockTiming.total_duration : timing.unassigned.total_duration,
+        target_duration: blockTiming ? blockTiming.target_duration : null,
+        songs: []
+      };
+      sections.push(section);
+    }
+
+    const performance = PerformanceService.resolvePerformance(setlistSong);
+
+    number += 1;
+    section.songs.push({
+      number,
+      title: setlistSong.song.title,
+      artist: setlistSong.song.artist || null,
+      key: performance.key,
+      original_key: performance.original_key,
+      transpose: performance.transpose,
+      tempo: performance.tempo,
+      duration: setlistSong.song.duration || null,
+      start_offset: offsets[setlistSong.id].start_offset,
+      capo: performance.capo,
+      tuning: performance.tuning,
+      lead_singer: performance.lead_singer,
+      instrument_changes: performance.instrument_changes,
+      segue_notes: performance.segue_notes,
+      notes: setlistSong.notes || null
+    });
+  }
+
+  return {
+    name: setlist.name,
+    description: setlist.description || null,
+    band: setlist.band ? setlist.band.name : null,
+    total_duration: timing.total_duration,
+    target_duration: timing.target_duration,
+    song_count: timing.song_count,
+    sections
+  };
+};
+
+/**
+ * Describe the key of a song, noting any transposition
+ * @param {Object} song - Song from buildExport
+ * @returns {string|null} - e.g. "A (+2 from G)"
+ */
+const describeKey = (song) => {
+  if (!song.key) return null;
+  if (!song.transpose) return song.key;
+
+  return `${song.key} (${song.transpose > 0 ? '+' : ''}${song.transpose} from ${song.original_key})`;
+};
+
+/**
+ * Describe the performance overrides of a song other than key and tempo
+ * @param {Object} song - Song from buildExport
+ * @returns {Array<string>} - e.g. ["Capo 2", "Drop D", "Lead: Sam"]
+ */
+const describePerformance = (song) => [
+  song.capo ? `Capo ${song.capo}` : null,
+  song.tuning,
+  song.lead_singer ? `Lead: ${song.lead_singer}` : null,
+  song.instrument_changes
+].filter(detail => detail);
+
+/**
+ * Render an export as plain text, e.g. for texting to the sound engineer
+ * @param {Object} data - Structure from buildExport
+ * @returns {string} - Plain text setlist
+ */
+exports.toText = (data) => {
+  const lines = [data.name.toUpperCase()];
+  if (data.band) lines.push(data.band);
+  lines.push(`${data.song_count} songs, ${formatDuration(data.total_duration)}`);
+
+  for (const section of data.sections) {
+    lines.push('');
+    if (section.name) {
+      lines.push(`${section.name.toUpperCase()} (${formatDuration(section.duration)})`);
+    }
+
+    for (const song of section.songs) {
+      const details = [
+        song.key && `Key: ${describeKey(song)}`,
+        song.tempo && `${song.tempo} BPM`,
+        song.duration && formatDuration(song.duration)
+      ].filter(detail => detail);
+      const performance = describePerformance(song);
+
+      lines.push(`${String(song.number).padStart(2, ' ')}. ${song.title}${song.artist ? ` - ${song.artist}` : ''}${details.length > 0 ? ` [${details.join(' | ')}]` : ''}`);
+      if (performance.length > 0) {
+        lines.push(`    ${performance.join(' | ')}`);
+      }
+      if (song.notes) {
+        lines.push(`    ${song.notes}`);
+      }
+      if (song.segue_notes) {
+        lines.push(`    -> ${song.segue_notes}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render an export as CSV with one row per song, e.g. for the lighting desk
+ * @param {Object} data - Structure from buildExport
+ * @returns {string} - CSV setlist
+ */
+exports.toCSV = (data) => {
+  const rows = [[
+    'Number', 'Block', 'Title', 'Artist', 'Key', 'Original Key', 'Transpose', 'Tempo', 'Duration', 'Duration (s)',
+    'Start', 'Capo', 'Tuning', 'Lead Singer', 'Instrument Changes', 'Segue', 'Notes'
+  ]];
+
+  for (const section of data.sections) {
+    for (const song of section.songs) {
+      rows.push([
+        song.number,
+        section.name,
+        song.title,
+        song.artist,
+        song.key,
+        song.original_key,
+        song.transpose,
+        song.tempo,
+        formatDuration(song.duration),
+        song.duration,
+        formatDuration(song.start_offset),
+        song.capo,
+        song.tuning,
+        song.lead_singer,
+        song.instrument_changes,
+        song.segue_notes,
+        song.notes
+      ]);
+    }
+  }
+
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Render an export as JSON
+ * @param {Object} data - Structure from buildExport
+ * @returns {string} - JSON setlist
+ */
+exports.toJSON = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} - Markdown cell
+ */
+const markdownCell = (value) => (
+  value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+);
+
+/**
+ * Render an export as Markdown with a table per block
+ * @param {Object} data - Structure from buildExport
+ * @returns {string} - Markdown setlist
+ */
+exports.toMarkdown = (data) => {
+  const lines = [`# ${data.name}`, ''];
+  if (data.band) lines.push(`**${data.band}**`, '');
+  if (data.description) lines.push(data.description, '');
+  lines.push(`${data.song_count} songs, ${formatDuration(data.total_duration)}${data.target_duration ? ` (target ${formatDuration(data.target_duration)})` : ''}`);
+
+  for (const section of data.sections) {
+    lines.push('');
+    if (section.name) {
+      lines.push(`## ${section.name} (${formatDuration(section.duration)})`, '');
+    }
+
+    lines.push('| # | Title | Artist | Key | Tempo | Duration | Performance | Notes |');
+    lines.push('|---|---|---|---|---|---|---|---|');
+    for (const song of section.songs) {
+      lines.push(`| ${[
+        song.number,
+        song.title,
+        song.artist,
+        describeKey(song),
+        song.tempo,
+        formatDuration(song.duration),
+        describePerformance(song).join(', '),
+        [song.notes, song.segue_notes && `→ ${song.segue_notes}`].filter(note => note).join(' ')
+      ].map(markdownCell).join(' | ')} |`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Escape text for a ChordPro directive value
+ * @param {string} value - Directive value
+ * @returns {string} - Escaped value
+ */
+const chordProValue = (value) => String(value).replace(/[{}]/g, '').replace(/\r?\n/g, ' ');
+
+/**
+ * Render an export as a ChordPro bundle: one song per {new_song} section
+ * @param {Object} data - Structure from buildExport
+ * @returns {string} - ChordPro file
+ */
+exports.toChordPro = (data) => {
+  const songs = [];
+
+  for (const section of data.sections) {
+    for (const song of section.songs) {
+      const lines = [`{title: ${chordProValue(song.title)}}`];
+      if (song.artist) lines.push(`{artist: ${chordProValue(song.artist)}}`);
+      if (song.key) lines.push(`{key: ${chordProValue(song.key)}}`);
+      if (song.capo) lines.push(`{capo: ${song.capo}}`);
+      if (song.tempo) lines.push(`{tempo: ${song.tempo}}`);
+      if (song.duration) lines.push(`{duration: ${formatDuration(song.duration)}}`);
+      lines.push(`{meta: setlist ${chordProValue(data.name)}}`);
+      lines.push(`{meta: position ${song.number}}`);
+      if (section.name) lines.push(`{meta: block ${chordProValue(section.name)}}`);
+      if (song.transpose) lines.push(`{meta: original_key ${chordProValue(song.original_key)}}`);
+      if (song.tuning) lines.push(`{meta: tuning ${chordProValue(song.tuning)}}`);
+      if (song.lead_singer) lines.push(`{meta: lead_singer ${chordProValue(song.lead_singer)}}`);
+      if (song.instrument_changes) lines.push(`{comment: ${chordProValue(song.instrument_changes)}}`);
+      if (song.notes) lines.push(`{comment: ${chordProValue(song.notes)}}`);
+      if (song.segue_notes) lines.push(`{comment: Segue: ${chordProValue(song.segue_notes)}}`);
+      songs.push(lines.join('\n'));
+    }
+  }
+
+  return `${songs.join('\n{new_song}\n')}\n`;
+};
@@ -0,0 +1,132 @@
+const ExportService = require('./export.service');
+const ImportService = require('./import.service');
+const PerformanceService = require('./performance.service');
+
+/**
+ * Public setlist gallery
+ *
+ * Bands can browse the setlists others have made public and fork them into
+ * their own library. A fork is an ordinary setlist that remembers where it
+ * came from; its songs are matched against the new owner's song library and
+ * the ones missing from it are created.
+ */
+
+// Confidence needed to use a library song rather than create one; stricter
+// than for imports because there is no preview to correct a wrong match
+const FORK_MATCH_THRESHOLD = 0.9;
+
+// Fields copied from a song missing from the library (not its notes or links)
+const SONG_FIELDS = ['title', 'artist', 'key', 'tempo', 'duration'];
+
+/**
+ * Describe the setlist a fork came from
+ * @param {Object} setlist - Setlist with its forkedFrom included
+ * @returns {Object|null} - Original's ID and name, or null if not a fork
+ */
+const describeOrigin = (setlist) => {
+  if (!setlist.forked_from_id) return null;
+
+  const original = setlist.forkedFrom;
+  return {
+    id: setlist.forked_from_id,
+    // The original may have been made private or deleted since
+    name: original && original.is_public ? original.name : null
+  };
+};
+
+/**
+ * Convert a setlist to a gallery entry
+ * @param {Object} setlist - Setlist with its band, creator and forkedFrom included
+ * @param {Object} timing - Timing from TimingService.calculateSetlistTiming
+ * @returns {Object} - Gallery entry
+ */
+exports.buildEntry = (setlist, timing) => ({
+  id: setlist.id,
+  name: setlist.name,
+  description: setlist.description || null,
+  band: setlist.band ? { id: setlist.band.id, name: setlist.band.name } : null,
+  creator: setlist.creator ? { id: setlist.creator.id, username: setlist.creator.username } : null,
+  song_count: timing.song_count,
+  total_duration: timing.total_duration,
+  fork_count: setlist.fork_count,
+  forked_from: describeOrigin(setlist),
+  created_at: setlist.created_at,
+  updated_at: setlist.updated_at
+});
+
+/**
+ * Build the read-only preview of a public setlist
+ * Like a shared setlist, it leaves out library song notes and streaming links.
+ * @param {Object} setlist - Setlist with its band, creator and forkedFrom included
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @returns {Object} - Gallery entry with the songs grouped into sections in play order
+ */
+exports.buildPreview = (setlist, blocks, setlistSongs) => {
+  const { sections, ...details } = ExportService.buildExport(setlist, blocks, setlistSongs);
+
+  return {
+    ...exports.buildEntry(setlist, details),
+    target_duration: details.target_duration,
+    sections: sections.map(({ block_id, ...section }) => section)
+  };
+};
+
+/**
+ * Match the songs of a setlist against a song library
+ * @param {Array} songs - Songs of the setlist being forked
+ * @param {Array} library - Songs of the band or user forking it
+ * @returns {Map<string, Object|null>} - Library song for each song ID, or null if missing
+ */
+exports.matchSongs = (songs, library) => {
+  const lines = ImportService.matchLines(
+    songs.map(song => ({ song_id: song.id, title: song.title, artist: song.artist })),
+    library
+  );
+
+  return new Map(lines.map(line => {
+    const best = line.candidates[0];
+    const match = best && best.confidence >= FORK_MATCH_THRESHOLD
+      ? library.find(song => song.id === best.song_id)
+      : null;
+    return [line.song_id, match || null];
+  }));
+};
+
+/**
+ * Pick the fields of a song to create in the library when it is missing
+ * @param {Object} song - Song of the setlist being forked
+ * @returns {Object} - Song fields
+ */
+exports.pickSongFields = (song) => SONG_FIELDS.reduce((fields, field) => {
+  fields[field] = song[field] === undefined ? null : song[field];
+  return fields;
+}, {});
+
+/**
+ * Work out the overrides of a forked slot
+ * The fork is played as the original was, so the key and tempo actually
+ * performed become overrides wherever the library song differs.
+ * @param {Object} setlistSong - Setlist song being forked, with its song included
+ * @param {Object} librarySong - Library song the slot now points to
+ * @returns {Object} - Override fields
+ */
+exports.forkOverrides = (setlistSong, librarySong) => {
+  const performance = PerformanceService.resolvePerformance(setlistSong);
+  const fields = PerformanceService.OVERRIDE_FIELDS.reduce((overrides, field) => {
+    overrides[field] = setlistSong[field] === undefined ? null : setlistSong[field];
+    return overrides;
+  }, {});
+
+  const overrides = PerformanceService.pickOverrides({
+    ...fields,
+    performed_key: performance.key,
+    performed_tempo: performance.tempo
+  }, librarySong);
+
+  if (overrides.performed_tempo && overrides.performed_tempo === librarySong.tempo) {
+    overrides.performed_tempo = null;
+  }
+
+  return overrides;
+};
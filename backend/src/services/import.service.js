@@ -0,0 +1,300 @@
+/**
+ * Importing setlists from pasted text or CSV
+ *
+ * Input is parsed into song lines grouped under block headings, then each
+ * line is fuzzy-matched against a song library. Confidence scores run from 0
+ * (nothing alike) to 1 (same title and artist once normalised).
+ */
+
+// Lowest confidence that counts as a match
+const MATCH_THRESHOLD = 0.6;
+
+// Number of alternative songs offered for each line, and the lowest confidence worth offering
+const CANDIDATE_COUNT = 3;
+const CANDIDATE_THRESHOLD = 0.3;
+
+// Share of the confidence that comes from the artist when both sides have one
+const ARTIST_WEIGHT = 0.2;
+
+const KEY_PATTERN = '[A-Ga-g]\\s*[#♯b♭]?\\s*(?:m(?!aj)|min(?:or)?|maj(?:or)?|major)?';
+
+/**
+ * Normalise a title or artist for comparison
+ * Case, accents, punctuation, a leading "the" and anything in brackets
+ * (e.g. "(Live)" or "[Remastered]") are ignored.
+ * @param {string} value - Title or artist
+ * @returns {string} - Normalised text
+ */
+const normalize = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .replace(/\(.*?\)|\[.*?\]/g, ' ')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/^\s*the\s+/, '')
+  .trim();
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of insertions, deletions and substitutions
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two titles or artists
+ * The better of character-level similarity (catches typos) and word overlap
+ * (catches missing or reordered words).
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {number} - Similarity from 0 to 1
+ */
+exports.similarity = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const characters = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+  const words = (2 * shared) / (leftWords.size + rightWords.size);
+
+  return Math.max(characters, words);
+};
+
+/**
+ * Check whether a line of text is a block heading such as "Set 1:", "# Encore" or "[Set 2]"
+ * Without that markup only "Set <number>" and "Encore" count, so songs such as
+ * "Set Fire to the Rain" or "Encore Une Fois" stay songs.
+ * @param {string} text - Trimmed line
+ * @returns {string|null} - Block name, or null if the line is not a heading
+ */
+const parseHeading = (text) => {
+  let match = /^#+\s*(.+)$/.exec(text) || /^\[(.+)\]$/.exec(text) || /^(.+):$/.exec(text);
+  if (match) return match[1].trim();
+
+  match = /^(set\s*\d+|encore)\s*[:-]?$/i.exec(text);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Parse a song line such as "3. Wonderwall - Oasis (F#m)"
+ * @param {string} text - Trimmed line
+ * @returns {{ title: string, artist: string|null, key: string|null }} - Parsed song
+ */
+const parseSongLine = (text) => {
+  let rest = text.replace(/^(\d+\s*[.):]|[-*•])\s*/, '');
+  let key = null;
+
+  const keyMatch = new RegExp(`\\s*[([]\\s*(?:key\\s*:?\\s*)?(${KEY_PATTERN})\\s*[)\\]]\\s*$`, 'i').exec(rest);
+  if (keyMatch) {
+    key = keyMatch[1].replace(/\s+/g, '');
+    rest = rest.slice(0, keyMatch.index);
+  }
+
+  const artistMatch = /\s+(?:[-–—]|by)\s+/i.exec(rest);
+  if (artistMatch) {
+    return {
+      title: rest.slice(0, artistMatch.index).trim(),
+      artist: rest.slice(artistMatch.index + artistMatch[0].length).trim() || null,
+      key
+    };
+  }
+
+  return { title: rest.trim(), artist: null, key };
+};
+
+/**
+ * Parse pasted text, one song per line with optional block headings
+ * @param {string} content - Pasted text
+ * @returns {{ blocks: Array<string>, lines: Array }} - Block names in order and parsed song lines
+ */
+exports.parseText = (content) => {
+  const blocks = [];
+  const lines = [];
+  let block = null;
+
+  String(content).split(/\r?\n/).forEach((raw, index) => {
+    const text = raw.trim();
+    if (!text || /^[-=_*]{3,}$/.test(text)) return;
+
+    const heading = parseHeading(text);
+    if (heading) {
+      block = heading;
+      if (!blocks.includes(block)) blocks.push(block);
+      return;
+    }
+
+    const song = parseSongLine(text);
+    if (song.title) {
+      lines.push({ line: index + 1, raw, ...song, block });
+    }
+  });
+
+  return { blocks, lines };
+};
+
+/**
+ * Split CSV content into rows of cells
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} - Rows with their 1-based line number in `line`
+ */
+const splitCSV = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const text = String(content);
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      row.line = rowLine;
+      rows.push(row);
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    row.line = rowLine;
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Parse CSV with title, artist, key and block columns
+ * A header row is used to find the columns if present; otherwise they are
+ * taken in that order. Rows with a block but no title start a new block.
+ * @param {string} content - CSV content
+ * @returns {{ blocks: Array<string>, lines: Array }} - Block names in order and parsed song lines
+ */
+exports.parseCSV = (content) => {
+  const rows = splitCSV(content);
+  const columns = { title: 0, artist: 1, key: 2, block: 3, notes: 4 };
+
+  const header = rows[0] && rows[0].map(value => value.trim().toLowerCase());
+  if (header && header.some(value => ['title', 'song', 'name'].includes(value))) {
+    const find = names => header.findIndex(value => names.includes(value));
+    columns.title = find(['title', 'song', 'name']);
+    columns.artist = find(['artist', 'by']);
+    columns.key = find(['key']);
+    columns.block = find(['block', 'set', 'section']);
+    columns.notes = find(['notes', 'note', 'comment']);
+    rows.shift();
+  }
+
+  const cell = (row, column) => (column >= 0 && row[column] ? row[column].trim() : '') || null;
+
+  const blocks = [];
+  const lines = [];
+  let block = null;
+  for (const row of rows) {
+    if (cell(row, columns.block)) {
+      block = cell(row, columns.block);
+      if (!blocks.includes(block)) blocks.push(block);
+    }
+
+    const title = cell(row, columns.title);
+    if (!title) continue;
+
+    lines.push({
+      line: row.line,
+      raw: row.join(','),
+      title,
+      artist: cell(row, columns.artist),
+      key: cell(row, columns.key),
+      notes: cell(row, columns.notes),
+      block
+    });
+  }
+
+  return { blocks, lines };
+};
+
+/**
+ * Score how well a song from the library matches an imported line
+ * @param {Object} line - Parsed song line
+ * @param {Object} song - Library song
+ * @returns {number} - Confidence from 0 to 1
+ */
+const scoreMatch = (line, song) => {
+  const title = exports.similarity(line.title, song.title);
+  if (!line.artist || !song.artist) return title;
+
+  return (1 - ARTIST_WEIGHT) * title + ARTIST_WEIGHT * exports.similarity(line.artist, song.artist);
+};
+
+/**
+ * Match parsed lines against a song library
+ * @param {Array} lines - Parsed song lines
+ * @param {Array} songs - Library songs
+ * @returns {Array} - Lines with their best match (or null) and the closest candidates
+ */
+exports.matchLines = (lines, songs) => lines.map(line => {
+  const candidates = songs
+    .map(song => ({
+      song_id: song.id,
+      title: song.title,
+      artist: song.artist || null,
+      key: song.key || null,
+      confidence: Math.round(scoreMatch(line, song) * 100) / 100
+    }))
+    .filter(candidate => candidate.confidence >= CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, CANDIDATE_COUNT);
+
+  return {
+    ...line,
+    match: candidates[0] && candidates[0].confidence >= MATCH_THRESHOLD ? candidates[0] : null,
+    candidates
+  };
+});
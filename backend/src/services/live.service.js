@@ -0,0 +1,317 @@
+const { v4: uuidv4 } = require('uuid');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const Block = require('../models/block.model');
+const LiveSession = require('../models/liveSession.model');
+const TimingService = require('./timing.service');
+const PerformanceService = require('./performance.service');
+const PermissionService = require('./permission.service');
+const RealtimeService = require('./realtime.service');
+
+/**
+ * Live show state for setlists being played
+ *
+ * Times are in seconds. "Planned" times come from the setlist timing (song
+ * durations, changeover gaps and block breaks), "actual" times from when the
+ * show and the current song were started.
+ *
+ * The leader drives the show through the API or over the socket; either way
+ * everyone following the setlist gets a live:updated event.
+ */
+
+/**
+ * Get the setlist songs in the order they are played
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs
+ * @returns {Array} - Setlist songs in play order
+ */
+exports.getPlayOrder = (blocks, setlistSongs) => (
+  TimingService.getPlayOrder(blocks, setlistSongs).map(({ setlistSong }) => setlistSong)
+);
+
+/**
+ * Work out which song a live session moves to
+ * @param {Object} session - Live session
+ * @param {Array} order - Setlist songs in play order
+ * @param {string} action - 'next', 'previous', 'skip' or 'goto'
+ * @param {string} [targetId] - Setlist song ID to go to for 'goto'
+ * @returns {Object|null} - New current_setlist_song_id, played and skipped lists, or null if the move is not possible
+ */
+exports.move = (session, order, action, targetId) => {
+  const index = order.findIndex(setlistSong => setlistSong.id === session.current_setlist_song_id);
+  const currentId = session.current_setlist_song_id;
+  let played = [...session.played];
+  let skipped = [...session.skipped];
+  let nextIndex;
+
+  switch (action) {
+    case 'next':
+      if (index === -1) return null;
+      if (!played.includes(currentId)) played.push(currentId);
+      skipped = skipped.filter(id => id !== currentId);
+      nextIndex = index + 1;
+      break;
+    case 'skip':
+      if (index === -1) return null;
+      if (!skipped.includes(currentId)) skipped.push(currentId);
+      played = played.filter(id => id !== currentId);
+      nextIndex = index + 1;
+      break;
+    case 'previous':
+      // Going back from the end of the show returns to the last song
+      nextIndex = index === -1 ? order.length - 1 : index - 1;
+      if (nextIndex < 0) return null;
+      break;
+    case 'goto':
+      nextIndex = order.findIndex(setlistSong => setlistSong.id === targetId);
+      if (nextIndex === -1) return null;
+      break;
+    default:
+      return null;
+  }
+
+  // Past the last song the show is over, but the session stays open until ended
+  const next = order[nextIndex] || null;
+  if (next) {
+    played = played.filter(id => id !== next.id);
+    skipped = skipped.filter(id => id !== next.id);
+  }
+
+  return {
+    current_setlist_song_id: next ? next.id : null,
+    played,
+    skipped
+  };
+};
+
+/**
+ * Attach how a setlist song is performed, so the stage shows the key and tempo actually played
+ * @param {Object|null} setlistSong - Setlist song with its song included
+ * @returns {Object|null} - Plain setlist song with its performance
+ */
+const withPerformance = (setlistSong) => setlistSong && {
+  ...(setlistSong.toJSON ? setlistSong.toJSON() : setlistSong),
+  performance: PerformanceService.resolvePerformance(setlistSong)
+};
+
+/**
+ * Build the state of a live session as shared with band members
+ * @param {Object} session - Live session
+ * @param {Object} setlist - Setlist with song_gap and block_break
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @param {Date} [now] - Current time
+ * @returns {Object} - Current and next song, progress, and elapsed vs planned time
+ */
+exports.buildState = (session, setlist, blocks, setlistSongs, now = new Date()) => {
+  const order = exports.getPlayOrder(blocks, setlistSongs);
+  const offsets = TimingService.calculateSongOffsets(setlist, blocks, setlistSongs);
+  const index = order.findIndex(setlistSong => setlistSong.id === session.current_setlist_song_id);
+  const current = index === -1 ? null : order[index];
+  const startedAt = new Date(session.started_at);
+  const songStartedAt = session.song_started_at ? new Date(session.song_started_at) : null;
+
+  // Skipped songs come off the planned schedule for everything after them
+  const skippedBefore = order
+    .slice(0, index === -1 ? order.length : index)
+    .filter(setlistSong => session.skipped.includes(setlistSong.id))
+    .reduce((sum, setlistSong) => sum + ((setlistSong.song && setlistSong.song.duration) || 0), 0);
+
+  const plannedStart = current ? offsets[current.id].start_offset - skippedBefore : null;
+  const actualStart = current && songStartedAt ? Math.round((songStartedAt - startedAt) / 1000) : null;
+
+  return {
+    setlist_id: session.setlist_id,
+    led_by: session.led_by,
+    started_at: session.started_at,
+    song_started_at: session.song_started_at,
+    server_time: now.toISOString(),
+    finished: !current,
+    current_index: index,
+    song_count: order.length,
+    current: withPerformance(current),
+    next: current ? withPerformance(order[index + 1] || null) : null,
+    played: session.played,
+    skipped: session.skipped,
+    elapsed: Math.round((now - startedAt) / 1000),
+    song_elapsed: songStartedAt ? Math.round((now - songStartedAt) / 1000) : null,
+    planned_start: plannedStart,
+    actual_start: actualStart,
+    // Positive when the show is running behind schedule
+    drift: plannedStart !== null && actualStart !== null ? actualStart - plannedStart : null
+  };
+};
+
+/**
+ * Get the state of a live session with the setlist's current blocks and songs
+ * @param {Object} setlist - Setlist
+ * @param {Object} session - Live session
+ * @returns {Promise<Object>} - State as built by buildState
+ */
+exports.getState = async (setlist, session) => {
+  const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+  const setlistSongs = await SetlistSong.findAll({
+    where: { setlist_id: setlist.id },
+    include: [
+      {
+        model: Song,
+        as: 'song'
+      }
+    ]
+  });
+
+  return exports.buildState(session, setlist, blocks, setlistSongs);
+};
+
+/**
+ * Start playing a setlist live, or take over leading a show that is already live
+ * @param {string} userId - User starting the show
+ * @param {Object} setlist - Setlist
+ * @param {Object} options - setlist_song_id to start from and take_over
+ * @returns {Promise<Object>} - { state }, or { status, msg } and the running show's state when it is already live
+ */
+exports.start = async (userId, setlist, { setlist_song_id, take_over = false }) => {
+  if (!await PermissionService.can(userId, setlist, 'perform')) {
+    return { status: 403, ...PermissionService.forbidden('perform') };
+  }
+
+  const alreadyLive = async (session) => ({
+    status: 409,
+    msg: 'Setlist is already live',
+    state: await exports.getState(setlist, session)
+  });
+
+  let session = await LiveSession.findOne({ where: { setlist_id: setlist.id } });
+
+  if (session) {
+    if (!take_over) {
+      return alreadyLive(session);
+    }
+
+    session.led_by = userId;
+    await session.save();
+    return { state: await exports.getState(setlist, session) };
+  }
+
+  const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+  const setlistSongs = await SetlistSong.findAll({ where: { setlist_id: setlist.id } });
+  const order = exports.getPlayOrder(blocks, setlistSongs);
+
+  if (order.length === 0) {
+    return { status: 400, msg: 'Setlist has no songs' };
+  }
+
+  const first = setlist_song_id
+    ? order.find(setlistSong => setlistSong.id === setlist_song_id)
+    : order[0];
+
+  if (!first) {
+    return { status: 400, msg: 'Song not found in setlist' };
+  }
+
+  const now = new Date();
+  try {
+    session = await LiveSession.create({
+      id: uuidv4(),
+      setlist_id: setlist.id,
+      led_by: userId,
+      current_setlist_song_id: first.id,
+      started_at: now,
+      song_started_at: now,
+      played: [],
+      skipped: []
+    });
+  } catch (err) {
+    if (err.name !== 'SequelizeUniqueConstraintError') {
+      throw err;
+    }
+
+    // Someone else started the show since we looked; theirs is the show
+    return alreadyLive(await LiveSession.findOne({ where: { setlist_id: setlist.id } }));
+  }
+
+  return { state: await exports.getState(setlist, session) };
+};
+
+/**
+ * Move a live show to the next, previous or a specific song, or skip the current one
+ * @param {string} userId - User moving the show; only its leader can
+ * @param {Object} setlist - Setlist
+ * @param {string} action - 'next', 'previous', 'skip' or 'goto'
+ * @param {string} [targetId] - Setlist song ID to go to for 'goto'
+ * @returns {Promise<Object>} - { state }, or { status, msg } if the show can't be moved
+ */
+exports.advance = async (userId, setlist, action, targetId) => {
+  if (action === 'goto' && !targetId) {
+    return { status: 400, msg: 'Setlist song ID is required' };
+  }
+
+  const session = await LiveSession.findOne({ where: { setlist_id: setlist.id } });
+
+  if (!session) {
+    return { status: 404, msg: 'Setlist is not live' };
+  }
+
+  // Only the member leading the show moves it along; everyone else follows
+  if (session.led_by !== userId) {
+    return { status: 403, msg: 'Only the member leading the show can control it', action: 'perform' };
+  }
+
+  const blocks = await Block.findAll({ where: { setlist_id: setlist.id } });
+  const setlistSongs = await SetlistSong.findAll({ where: { setlist_id: setlist.id } });
+  const move = exports.move(session, exports.getPlayOrder(blocks, setlistSongs), action, targetId);
+
+  if (!move) {
+    return { status: 400, msg: `Cannot ${action === 'goto' ? 'go to that song' : `go to the ${action} song`}` };
+  }
+
+  session.current_setlist_song_id = move.current_setlist_song_id;
+  session.played = move.played;
+  session.skipped = move.skipped;
+  session.song_started_at = move.current_setlist_song_id ? new Date() : null;
+  await session.save();
+
+  return { state: await exports.getState(setlist, session) };
+};
+
+/**
+ * Drive a live show over the socket, for leaders who already have it open
+ * Each event is acknowledged with { ok, state } or { ok: false, msg }, and
+ * everyone following the setlist gets live:updated like after an API call.
+ * @param {Object} socket - Socket, with the user from its handshake
+ */
+exports.handleConnection = (socket) => {
+  const handle = (run) => async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!socket.user) {
+        return reply({ ok: false, msg: 'Not authenticated' });
+      }
+
+      const setlist = await Setlist.findByPk(data && data.setlist_id);
+      if (!setlist) {
+        return reply({ ok: false, msg: 'Setlist not found' });
+      }
+
+      const result = await run(setlist, data);
+      if (result.status) {
+        return reply({ ok: false, msg: result.msg, state: result.state });
+      }
+
+      const changedBy = await RealtimeService.describeChange(socket.user.id, data.client_id);
+      await RealtimeService.emitSetlistEventFor(changedBy, setlist, 'live:updated', result.state);
+      reply({ ok: true, state: result.state });
+    } catch (err) {
+      console.error(err.message);
+      reply({ ok: false, msg: 'Server Error' });
+    }
+  };
+
+  socket.on('live:start', handle((setlist, data) => exports.start(socket.user.id, setlist, data)));
+  socket.on('live:next', handle((setlist) => exports.advance(socket.user.id, setlist, 'next')));
+  socket.on('live:previous', handle((setlist) => exports.advance(socket.user.id, setlist, 'previous')));
+  socket.on('live:skip', handle((setlist) => exports.advance(socket.user.id, setlist, 'skip')));
+  socket.on('live:goto', handle((setlist, data) => exports.advance(socket.user.id, setlist, 'goto', data.setlist_song_id)));
+};
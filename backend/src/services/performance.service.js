@@ -0,0 +1,160 @@
+const ArrangementService = require('./arrangement.service');
+
+/**
+ * Per-slot performance overrides
+ *
+ * A setlist song can be played differently from the library song (another
+ * key or tempo, with a capo, in another tuning...) without changing the song
+ * itself. This works out what is actually played in a slot.
+ */
+
+// Fields of a setlist song that override how the song is performed
+exports.OVERRIDE_FIELDS = [
+  'performed_key',
+  'transpose',
+  'performed_tempo',
+  'capo',
+  'tuning',
+  'lead_singer',
+  'instrument_changes',
+  'segue_notes'
+];
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Pitches of the keys conventionally written with flats
+const FLAT_MAJOR_KEYS = new Set([1, 3, 5, 6, 8, 10]);
+const FLAT_MINOR_KEYS = new Set([0, 2, 3, 5, 7, 10]);
+
+/**
+ * Spell a key, using flats or sharps as the key signature would
+ * @param {number} pitch - Pitch class (0-11)
+ * @param {boolean} minor - Whether the key is minor
+ * @returns {string} - Key such as "Bb" or "F#m"
+ */
+const spellKey = (pitch, minor) => {
+  const flat = minor ? FLAT_MINOR_KEYS.has(pitch) : FLAT_MAJOR_KEYS.has(pitch);
+  return `${(flat ? FLAT_NAMES : SHARP_NAMES)[pitch]}${minor ? 'm' : ''}`;
+};
+
+/**
+ * Transpose a key by a number of semitones
+ * @param {string} key - Key such as "G" or "F#m"
+ * @param {number} semitones - Semitones up (positive) or down (negative)
+ * @returns {string|null} - Transposed key, or null if the key is not recognised
+ */
+exports.transposeKey = (key, semitones) => {
+  const parsed = ArrangementService.parseKey(key);
+  if (!parsed) return null;
+
+  return spellKey((((parsed.pitch + semitones) % 12) + 12) % 12, parsed.minor);
+};
+
+/**
+ * Number of semitones between two keys, taking the shorter way round
+ * @param {string} from - Original key
+ * @param {string} to - Performed key
+ * @returns {number|null} - -5 to +6 semitones, or null if either key is not recognised
+ */
+exports.semitonesBetween = (from, to) => {
+  const fromKey = ArrangementService.parseKey(from);
+  const toKey = ArrangementService.parseKey(to);
+  if (!fromKey || !toKey) return null;
+
+  const semitones = (toKey.pitch - fromKey.pitch + 12) % 12;
+  return semitones > 6 ? semitones - 12 : semitones;
+};
+
+/**
+ * Check whether two keys are the same, however they are spelled
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {boolean} - True if both keys are recognised and equal
+ */
+const isSameKey = (a, b) => {
+  const keyA = ArrangementService.parseKey(a);
+  const keyB = ArrangementService.parseKey(b);
+  return Boolean(keyA && keyB && keyA.pitch === keyB.pitch && keyA.minor === keyB.minor);
+};
+
+/**
+ * Work out how a song is performed in a setlist slot
+ * @param {Object} setlistSong - Setlist song with its song included
+ * @returns {Object} - Key and tempo actually played, the transposition from the
+ *   original key, and the other overrides
+ */
+exports.resolvePerformance = (setlistSong) => {
+  const song = setlistSong.song || {};
+  const key = setlistSong.performed_key || song.key || null;
+
+  let transpose = null;
+  if (setlistSong.performed_key && song.key) {
+    // The offset that was asked for, unless the song's key has changed since
+    const requested = setlistSong.transpose;
+    transpose = typeof requested === 'number' && isSameKey(exports.transposeKey(song.key, requested), setlistSong.performed_key)
+      ? requested
+      : exports.semitonesBetween(song.key, setlistSong.performed_key);
+  }
+
+  return {
+    key,
+    original_key: song.key || null,
+    transpose,
+    tempo: setlistSong.performed_tempo || song.tempo || null,
+    original_tempo: song.tempo || null,
+    capo: setlistSong.capo === undefined ? null : setlistSong.capo,
+    tuning: setlistSong.tuning || null,
+    lead_singer: setlistSong.lead_singer || null,
+    instrument_changes: setlistSong.instrument_changes || null,
+    segue_notes: setlistSong.segue_notes || null
+  };
+};
+
+/**
+ * Pick the override fields out of a request body
+ * A `transpose` (semitones) is converted to a performed key using the song's
+ * original key and kept, so the direction asked for is not lost; an explicit
+ * `performed_key` takes precedence.
+ * @param {Object} body - Request body
+ * @param {Object} song - Library song
+ * @returns {Object} - Override fields that were given
+ */
+exports.pickOverrides = (body, song) => {
+  const overrides = {};
+
+  for (const field of exports.OVERRIDE_FIELDS) {
+    if (field !== 'transpose' && body[field] !== undefined) {
+      overrides[field] = body[field] === '' ? null : body[field];
+    }
+  }
+
+  const semitones = body.transpose === undefined || body.transpose === null || body.transpose === ''
+    ? null
+    : parseInt(body.transpose, 10);
+
+  if (overrides.performed_key === undefined) {
+    if (body.transpose === null || body.transpose === '') {
+      // Clearing the transposition goes back to the original key
+      overrides.performed_key = null;
+      overrides.transpose = null;
+    } else if (semitones !== null && song && song.key) {
+      overrides.performed_key = semitones === 0 ? null : exports.transposeKey(song.key, semitones);
+      overrides.transpose = semitones || null;
+    }
+  } else {
+    // A key given with the transposition that leads to it keeps the transposition
+    overrides.transpose = semitones && song && song.key && overrides.performed_key &&
+      isSameKey(exports.transposeKey(song.key, semitones), overrides.performed_key)
+      ? semitones
+      : null;
+  }
+
+  // Performing in the original key is no override at all
+  if (overrides.performed_key && song && isSameKey(song.key, overrides.performed_key)) {
+    overrides.performed_key = null;
+    overrides.transpose = null;
+  }
+
+  return overrides;
+};
@@ -0,0 +1,266 @@
+const { Op } = require('sequelize');
+const BandMember = require('../models/bandMember.model');
+const SetlistCollaborator = require('../models/setlistCollaborator.model');
+
+/**
+ * Authorization for setlists
+ *
+ * A user's role on a setlist is the highest of their role in the setlist's
+ * band and a collaborator grant on the setlist itself. Personal setlists
+ * belong to their creator; band setlists belong to the band, so a creator who
+ * leaves the band or is demoted keeps no more than their band role allows.
+ * Every action needs a minimum role, so handlers ask whether a user may
+ * perform an action instead of checking memberships themselves.
+ */
+
+// Roles from least to most privileged
+exports.ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+// Roles a band member can have
+exports.BAND_ROLES = exports.ROLES;
+
+// Roles that can be granted on a single setlist
+exports.COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+// Band roles from before roles were introduced
+const LEGACY_BAND_ROLES = {
+  member: 'editor'
+};
+
+// Minimum role for each action on a setlist
+const ACTION_ROLES = {
+  // See the setlist, its songs, timing, history and exports
+  view: 'viewer',
+  // Comment on the setlist and its songs; public access is not enough
+  comment: 'viewer',
+  // Change details, songs, blocks and arrangement, or restore a revision
+  edit: 'editor',
+  // Start and run a live show
+  perform: 'editor',
+  // Create, list and revoke share links
+  share: 'editor',
+  // Move to the trash and restore from it
+  delete: 'admin',
+  // Delete from the trash for good
+  purge: 'admin',
+  // Grant and revoke collaborator access
+  manage: 'admin'
+};
+
+exports.ACTIONS = Object.keys(ACTION_ROLES);
+
+// Minimum band role to create setlists for the band
+const CREATE_ROLE = 'editor';
+
+const FORBIDDEN_MESSAGES = {
+  view: 'Access denied',
+  comment: 'You do not have permission to comment on this setlist',
+  edit: 'You do not have permission to update this setlist',
+  perform: 'You do not have permission to play this setlist live',
+  share: 'You do not have permission to share this setlist',
+  delete: 'You do not have permission to delete this setlist',
+  purge: 'You do not have permission to permanently delete this setlist',
+  manage: 'You do not have permission to manage collaborators on this setlist',
+  create: 'You do not have permission to create setlists for this band',
+  gigs: 'You do not have permission to manage gigs for this band',
+  templates: 'You do not have permission to manage this template'
+};
+
+const rank = (role) => exports.ROLES.indexOf(role);
+
+/**
+ * Pick the more privileged of two roles
+ * @param {string|null} a - First role
+ * @param {string|null} b - Second role
+ * @returns {string|null} - The higher role, or null if neither is set
+ */
+const highestRole = (a, b) => {
+  if (!a) return b || null;
+  if (!b) return a;
+  return rank(a) >= rank(b) ? a : b;
+};
+
+/**
+ * Map a stored band role to one of the current roles
+ * @param {string} role - Role as stored on the band membership
+ * @returns {string|null} - Current role, or null if it is not recognised
+ */
+exports.normalizeBandRole = (role) => {
+  const normalized = LEGACY_BAND_ROLES[role] || role;
+  return rank(normalized) === -1 ? null : normalized;
+};
+
+/**
+ * Check whether a role allows an action
+ * @param {string|null} role - Role on the setlist
+ * @param {string} action - Action from ACTIONS
+ * @returns {boolean} - True if the role is at least the one the action needs
+ */
+exports.roleAllows = (role, action) => {
+  if (!role || !ACTION_ROLES[action]) return false;
+  return rank(role) >= rank(ACTION_ROLES[action]);
+};
+
+/**
+ * Get a user's role in a band
+ * @param {string} userId - User ID
+ * @param {string} bandId - Band ID
+ * @returns {Promise<string|null>} - Band role, or null if not a member
+ */
+exports.getBandRole = async (userId, bandId) => {
+  if (!bandId) return null;
+
+  const member = await BandMember.findOne({
+    where: {
+      band_id: bandId,
+      user_id: userId
+    }
+  });
+
+  return member ? exports.normalizeBandRole(member.role) : null;
+};
+
+/**
+ * Get the bands a user is a member of
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Band IDs
+ */
+exports.getBandIds = async (userId) => {
+  const memberships = await BandMember.findAll({ where: { user_id: userId }, attributes: ['band_id'] });
+  return memberships.map(member => member.band_id);
+};
+
+/**
+ * Get a user's role on a setlist
+ * @param {string} userId - User ID
+ * @param {Object} setlist - Setlist
+ * @returns {Promise<string|null>} - Role, or null if the user has no access
+ */
+exports.getSetlistRole = async (userId, setlist) => {
+  const roles = await exports.getSetlistRoles(userId, [setlist]);
+  return roles.get(setlist.id) || null;
+};
+
+/**
+ * Get a user's role on several setlists with two queries
+ * @param {string} userId - User ID
+ * @param {Array} setlists - Setlists
+ * @returns {Promise<Map>} - Role by setlist ID; setlists without access are left out
+ */
+exports.getSetlistRoles = async (userId, setlists) => {
+  const bandIds = [...new Set(setlists.map(setlist => setlist.band_id).filter(Boolean))];
+
+  const [memberships, grants] = await Promise.all([
+    bandIds.length > 0
+      ? BandMember.findAll({ where: { user_id: userId, band_id: bandIds } })
+      : [],
+    setlists.length > 0
+      ? SetlistCollaborator.findAll({
+        where: { user_id: userId, setlist_id: setlists.map(setlist => setlist.id) }
+      })
+      : []
+  ]);
+
+  const bandRoles = new Map(memberships.map(member => [member.band_id, exports.normalizeBandRole(member.role)]));
+  const grantRoles = new Map(grants.map(grant => [grant.setlist_id, grant.role]));
+
+  const roles = new Map();
+  for (const setlist of setlists) {
+    let role = highestRole(bandRoles.get(setlist.band_id), grantRoles.get(setlist.id));
+
+    if (!setlist.band_id && setlist.created_by === userId) {
+      role = 'owner';
+    }
+
+    if (role) {
+      roles.set(setlist.id, role);
+    }
+  }
+
+  return roles;
+};
+
+/**
+ * Build a where clause matching every setlist a user can view as the creator
+ * of a personal setlist, a band member or a collaborator (public setlists are
+ * not included)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Sequelize where clause
+ */
+exports.getAccessibleSetlistsWhere = async (userId) => {
+  const [bandIds, grants] = await Promise.all([
+    exports.getBandIds(userId),
+    SetlistCollaborator.findAll({ where: { user_id: userId }, attributes: ['setlist_id'] })
+  ]);
+
+  const conditions = [{ created_by: userId, band_id: null }];
+  if (bandIds.length > 0) {
+    conditions.push({ band_id: { [Op.in]: bandIds } });
+  }
+  if (grants.length > 0) {
+    conditions.push({ id: { [Op.in]: grants.map(grant => grant.setlist_id) } });
+  }
+
+  return { [Op.or]: conditions };
+};
+
+/**
+ * List what a role allows on a setlist
+ * @param {string|null} role - Role on the setlist
+ * @param {Object} [setlist] - Setlist, so public setlists can be viewed by anyone
+ * @returns {Object} - True or false for each action
+ */
+exports.getPermissions = (role, setlist) => {
+  const permissions = {};
+  for (const action of exports.ACTIONS) {
+    permissions[action] = exports.roleAllows(role, action);
+  }
+
+  if (setlist && setlist.is_public) {
+    permissions.view = true;
+  }
+
+  return permissions;
+};
+
+/**
+ * Check whether a user may perform an action on a setlist
+ * @param {string} userId - User ID
+ * @param {Object} setlist - Setlist
+ * @param {string} action - Action from ACTIONS
+ * @returns {Promise<boolean>} - True if the action is allowed
+ */
+exports.can = async (userId, setlist, action) => {
+  const role = await exports.getSetlistRole(userId, setlist);
+  return exports.getPermissions(role, setlist)[action] === true;
+};
+
+/**
+ * Check whether a user may create setlists for a band
+ * @param {string} userId - User ID
+ * @param {string} bandId - Band ID
+ * @returns {Promise<boolean>} - True if the user's band role allows it
+ */
+exports.canCreateInBand = (userId, bandId) => exports.hasBandRole(userId, bandId, CREATE_ROLE);
+
+/**
+ * Check whether a user has at least a given role in a band
+ * @param {string} userId - User ID
+ * @param {string} bandId - Band ID
+ * @param {string} minRole - Least privileged role that is enough
+ * @returns {Promise<boolean>} - True if the user's band role is at least minRole
+ */
+exports.hasBandRole = async (userId, bandId, minRole) => {
+  const role = await exports.getBandRole(userId, bandId);
+  return Boolean(role) && rank(role) >= rank(minRole);
+};
+
+/**
+ * Build the body of a 403 response
+ * @param {string} action - Action that was refused, or 'create'
+ * @returns {Object} - Response body with a message and the action
+ */
+exports.forbidden = (action) => ({
+  msg: FORBIDDEN_MESSAGES[action] || 'Access denied',
+  action
+});
@@ -0,0 +1,280 @@
+const Setlist = require('../models/setlist.model');
+const User = require('../models/user.model');
+const PermissionService = require('./permission.service');
+
+/**
+ * Presence and soft locks in the setlist editor
+ *
+ * Everyone who has a setlist open joins its socket room. The room is told who
+ * is there, what each of them is doing (dragging or editing a song) and which
+ * slots are locked. A soft lock only tells the others that someone is editing
+ * a slot; the API still accepts changes to it. Locks expire unless they are
+ * renewed, and go away with the socket that holds them.
+ *
+ * Presence is kept in memory, so it is per server process.
+ */
+
+// How long a lock lasts unless the editor renews it
+const LOCK_TTL = 30 * 1000;
+
+// How often expired locks are cleared
+const LOCK_SWEEP_INTERVAL = 5 * 1000;
+
+const ACTIVITIES = ['dragging', 'editing'];
+
+// Members of each setlist room, by socket ID
+const rooms = new Map();
+
+// Locks of each setlist, by setlist song ID
+const locks = new Map();
+
+exports.LOCK_TTL = LOCK_TTL;
+
+/**
+ * Get the socket room of a setlist
+ * @param {string} setlistId - Setlist ID
+ * @returns {string} - Room name
+ */
+exports.roomName = (setlistId) => `setlist:${setlistId}`;
+
+/**
+ * Get who has a setlist open and which of its slots are locked
+ * @param {string} setlistId - Setlist ID
+ * @returns {Object} - Members and locks
+ */
+exports.getPresence = (setlistId) => ({
+  setlist_id: setlistId,
+  members: Array.from((rooms.get(setlistId) || new Map()).values()),
+  locks: Array.from((locks.get(setlistId) || new Map()).values())
+});
+
+/**
+ * Send the presence of a setlist to everyone in its room
+ * @param {Object} io - Socket.io server
+ * @param {string} setlistId - Setlist ID
+ */
+exports.broadcastPresence = (io, setlistId) => {
+  io.to(exports.roomName(setlistId)).emit('presence:updated', exports.getPresence(setlistId));
+};
+
+/**
+ * Open a setlist: join its room and tell the others
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Socket of the member, with the user from its handshake
+ * @param {Object} data - Setlist ID and whether the member is viewing or editing
+ * @returns {Promise<Object>} - Acknowledgement with the presence of the setlist
+ */
+exports.join = async (io, socket, { setlist_id, mode }) => {
+  if (!socket.user) {
+    return { ok: false, msg: 'Not authenticated' };
+  }
+
+  const user_id = socket.user.id;
+  const setlist = await Setlist.findByPk(setlist_id);
+  if (!setlist || !(await PermissionService.can(user_id, setlist, 'view'))) {
+    return { ok: false, msg: PermissionService.forbidden('view').msg };
+  }
+
+  const user = await User.findByPk(user_id, { attributes: ['id', 'username'] });
+  const canEdit = await PermissionService.can(user_id, setlist, 'edit');
+
+  if (!rooms.has(setlist_id)) {
+    rooms.set(setlist_id, new Map());
+  }
+  rooms.get(setlist_id).set(socket.id, {
+    socket_id: socket.id,
+    user: { id: user_id, username: user ? user.username : null },
+    mode: canEdit && mode === 'editing' ? 'editing' : 'viewing',
+    can_edit: canEdit,
+    activity: null,
+    joined_at: new Date()
+  });
+  socket.join(exports.roomName(setlist_id));
+
+  exports.broadcastPresence(io, setlist_id);
+  return { ok: true, presence: exports.getPresence(setlist_id) };
+};
+
+/**
+ * Close a setlist: leave its room and drop the member's locks
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Socket of the member
+ * @param {Object} data - Setlist ID
+ */
+exports.leave = (io, socket, { setlist_id: setlistId }) => {
+  const members = rooms.get(setlistId);
+  if (!members || !members.delete(socket.id)) {
+    return;
+  }
+  if (members.size === 0) {
+    rooms.delete(setlistId);
+  }
+
+  const setlistLocks = locks.get(setlistId);
+  if (setlistLocks) {
+    for (const [setlistSongId, lock] of setlistLocks) {
+      if (lock.socket_id === socket.id) {
+        setlistLocks.delete(setlistSongId);
+      }
+    }
+  }
+
+  socket.leave(exports.roomName(setlistId));
+  exports.broadcastPresence(io, setlistId);
+};
+
+/**
+ * Show what a member is doing, e.g. dragging a song; no song clears it
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Socket of the member
+ * @param {Object} data - Setlist ID, setlist song ID and activity
+ */
+exports.setActivity = (io, socket, { setlist_id, setlist_song_id, activity }) => {
+  const member = rooms.get(setlist_id)?.get(socket.id);
+  if (!member) {
+    return;
+  }
+
+  const next = setlist_song_id && ACTIVITIES.includes(activity)
+    ? { setlist_song_id, activity }
+    : null;
+  const current = member.activity;
+  if (current?.setlist_song_id === next?.setlist_song_id && current?.activity === next?.activity) {
+    return;
+  }
+
+  member.activity = next;
+  exports.broadcastPresence(io, setlist_id);
+};
+
+/**
+ * Lock a slot while a member edits it, or renew their lock
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Socket of the member
+ * @param {Object} data - Setlist ID and setlist song ID
+ * @returns {Object} - Acknowledgement with the lock, or who holds it
+ */
+exports.acquireLock = (io, socket, { setlist_id, setlist_song_id }) => {
+  const member = rooms.get(setlist_id)?.get(socket.id);
+  if (!member || !member.can_edit) {
+    return { ok: false, msg: PermissionService.forbidden('edit').msg };
+  }
+
+  if (!locks.has(setlist_id)) {
+    locks.set(setlist_id, new Map());
+  }
+  const setlistLocks = locks.get(setlist_id);
+  const existing = setlistLocks.get(setlist_song_id);
+  if (existing && existing.socket_id !== socket.id && existing.expires_at > new Date()) {
+    return {
+      ok: false,
+      msg: `${existing.user.username || 'Someone else'} is editing this song`,
+      lock: existing
+    };
+  }
+
+  const lock = {
+    setlist_song_id,
+    socket_id: socket.id,
+    user: member.user,
+    expires_at: new Date(Date.now() + LOCK_TTL)
+  };
+  setlistLocks.set(setlist_song_id, lock);
+
+  // Renewals don't change what the others see
+  if (!existing || existing.socket_id !== socket.id) {
+    exports.broadcastPresence(io, setlist_id);
+  }
+  return { ok: true, lock };
+};
+
+/**
+ * Release a member's lock on a slot
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Socket of the member
+ * @param {Object} data - Setlist ID and setlist song ID
+ */
+exports.releaseLock = (io, socket, { setlist_id, setlist_song_id }) => {
+  const setlistLocks = locks.get(setlist_id);
+  if (setlistLocks?.get(setlist_song_id)?.socket_id !== socket.id) {
+    return;
+  }
+
+  setlistLocks.delete(setlist_song_id);
+  exports.broadcastPresence(io, setlist_id);
+};
+
+/**
+ * Clear locks that were not renewed in time
+ * @param {Date} [now] - Current time
+ * @returns {string[]} - IDs of the setlists that had locks cleared
+ */
+exports.clearExpiredLocks = (now = new Date()) => {
+  const changed = [];
+  for (const [setlistId, setlistLocks] of locks) {
+    for (const [setlistSongId, lock] of setlistLocks) {
+      if (lock.expires_at <= now) {
+        setlistLocks.delete(setlistSongId);
+        if (!changed.includes(setlistId)) {
+          changed.push(setlistId);
+        }
+      }
+    }
+    if (setlistLocks.size === 0) {
+      locks.delete(setlistId);
+    }
+  }
+  return changed;
+};
+
+/**
+ * Periodically clear expired locks and tell the rooms concerned
+ * @param {Object} io - Socket.io server
+ * @returns {Object} - Interval timer
+ */
+exports.startLockSweep = (io) => {
+  const timer = setInterval(() => {
+    exports.clearExpiredLocks().forEach((setlistId) => exports.broadcastPresence(io, setlistId));
+  }, LOCK_SWEEP_INTERVAL);
+  // The sweep alone should not keep the process running
+  timer.unref();
+
+  return timer;
+};
+
+/**
+ * Listen for presence events on a new socket
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Connected socket
+ */
+exports.handleConnection = (io, socket) => {
+  // Acknowledge with an error rather than leave the client waiting
+  const handle = (handler) => async (data, ack) => {
+    try {
+      const result = await handler(io, socket, data || {});
+      if (typeof ack === 'function') {
+        ack(result || { ok: true });
+      }
+    } catch (err) {
+      console.error(err.message);
+      if (typeof ack === 'function') {
+        ack({ ok: false, msg: 'Server Error' });
+      }
+    }
+  };
+
+  socket.on('setlist:join', handle(exports.join));
+  socket.on('setlist:leave', handle(exports.leave));
+  socket.on('presence:activity', handle(exports.setActivity));
+  socket.on('lock:acquire', handle(exports.acquireLock));
+  socket.on('lock:release', handle(exports.releaseLock));
+
+  // Disconnecting drops the member from every setlist they had open, with their locks
+  socket.on('disconnect', () => {
+    for (const [setlistId, members] of rooms) {
+      if (members.has(socket.id)) {
+        exports.leave(io, socket, { setlist_id: setlistId });
+      }
+    }
+  });
+};
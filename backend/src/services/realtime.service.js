@@ -0,0 +1,83 @@
+const User = require('../models/user.model');
+const SetlistCollaborator = require('../models/setlistCollaborator.model');
+const io = require('../socket');
+
+/**
+ * Real-time setlist events
+ *
+ * Changes to setlists are sent over socket.io to the band's room, to the rooms
+ * of the setlist's collaborators and to the room of the user who made them,
+ * for their other tabs and devices. Every
+ * event says who made the change and from which client (the X-Client-Id
+ * header), so the client that made it can skip its own echo and the others
+ * can show who changed what.
+ */
+
+/**
+ * Describe who made a change
+ * @param {string} userId - User who made the change
+ * @param {string|null} clientId - Client the change came from
+ * @returns {Promise<Object>} - The user and the client the change came from
+ */
+exports.describeChange = async (userId, clientId) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'username'] });
+
+  return {
+    user: { id: userId, username: user ? user.username : null },
+    client_id: clientId || null
+  };
+};
+
+/**
+ * Describe who made a change through the API
+ * @param {Object} req - Express request that made the change
+ * @returns {Promise<Object>} - The user and the client the change came from
+ */
+exports.getChangedBy = (req) => exports.describeChange(req.user.id, req.get('X-Client-Id'));
+
+/**
+ * Get the socket rooms of everyone who follows a setlist: its band and its collaborators
+ * @param {Object} setlist - Setlist, with its ID and band ID
+ * @returns {Promise<string[]>} - Room names
+ */
+exports.getSetlistRooms = async (setlist) => {
+  const collaborators = await SetlistCollaborator.findAll({
+    where: { setlist_id: setlist.id },
+    attributes: ['user_id']
+  });
+
+  const rooms = collaborators.map(collaborator => `user:${collaborator.user_id}`);
+  if (setlist.band_id) {
+    rooms.push(`band:${setlist.band_id}`);
+  }
+  return rooms;
+};
+
+/**
+ * Send a setlist event to the setlist's band and collaborators, and to the user who made the change
+ * @param {Object} req - Express request that made the change
+ * @param {Object} setlist - Setlist the event is about, with its ID and band ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data, or a model instance
+ */
+exports.emitSetlistEvent = async (req, setlist, event, payload) => {
+  await exports.emitSetlistEventFor(await exports.getChangedBy(req), setlist, event, payload);
+};
+
+/**
+ * Send a setlist event for a change described by describeChange, e.g. one made over a socket
+ * @param {Object} changedBy - Who made the change and from which client
+ * @param {Object} setlist - Setlist the event is about, with its ID and band ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data, or a model instance
+ */
+exports.emitSetlistEventFor = async (changedBy, setlist, event, payload) => {
+  const data = {
+    ...(typeof payload.toJSON === 'function' ? payload.toJSON() : payload),
+    changed_by: changedBy
+  };
+
+  // A user in several of the rooms gets the event once
+  const rooms = await exports.getSetlistRooms(setlist);
+  io.to([...rooms, `user:${changedBy.user.id}`]).emit(event, data);
+};
@@ -0,0 +1,197 @@
+const { v4: uuidv4 } = require('uuid');
+const Setlist = require('../models/setlist.model');
+const SetlistRevision = require('../models/setlistRevision.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const Block = require('../models/block.model');
+const PerformanceService = require('./performance.service');
+
+// Setlist fields captured in a snapshot and restored from it
+const SETLIST_FIELDS = ['name', 'description', 'is_public', 'song_gap', 'block_break', 'target_duration'];
+const BLOCK_FIELDS = ['name', 'position', 'target_duration'];
+const SONG_FIELDS = ['song_id', 'position', 'block_id', 'notes', ...PerformanceService.OVERRIDE_FIELDS];
+
+exports.SETLIST_FIELDS = SETLIST_FIELDS;
+exports.BLOCK_FIELDS = BLOCK_FIELDS;
+exports.SONG_FIELDS = SONG_FIELDS;
+
+/**
+ * Pick a set of fields from a model instance or plain object
+ * @param {Object} source - Object to pick from
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} - Plain object with only the given fields
+ */
+const pick = (source, fields) => fields.reduce((result, field) => {
+  result[field] = source[field] === undefined ? null : source[field];
+  return result;
+}, {});
+
+/**
+ * Compare two lists of records by ID
+ * @param {Array} before - Records in the older snapshot
+ * @param {Array} after - Records in the newer snapshot
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} - Added and removed records, and changed records with { from, to } per field
+ */
+const diffRecords = (before, after, fields) => {
+  const beforeById = new Map(before.map(record => [record.id, record]));
+  const afterById = new Map(after.map(record => [record.id, record]));
+
+  const changed = [];
+  for (const record of after) {
+    const previous = beforeById.get(record.id);
+    if (!previous) continue;
+
+    const changes = diffFields(previous, record, fields);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ ...record, changes });
+    }
+  }
+
+  return {
+    added: after.filter(record => !beforeById.has(record.id)),
+    removed: before.filter(record => !afterById.has(record.id)),
+    changed
+  };
+};
+
+/**
+ * Compare fields of two objects
+ * @param {Object} before - Older values
+ * @param {Object} after - Newer values
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} - Map of changed field to { from, to }
+ */
+const diffFields = (before, after, fields) => fields.reduce((changes, field) => {
+  // Snapshots taken before a field existed don't have it at all
+  const from = before[field] === undefined ? null : before[field];
+  const to = after[field] === undefined ? null : after[field];
+  if (from !== to) {
+    changes[field] = { from, to };
+  }
+  return changes;
+}, {});
+
+/**
+ * Capture the current state of a setlist with its blocks and songs
+ * @param {string} setlistId - Setlist ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - Snapshot of the setlist
+ */
+exports.buildSnapshot = async (setlistId, transaction) => {
+  const setlist = await Setlist.findByPk(setlistId, { transaction });
+  const blocks = await Block.findAll({
+    where: { setlist_id: setlistId },
+    order: [['position', 'ASC']],
+    transaction
+  });
+  const setlistSongs = await SetlistSong.findAll({
+    where: { setlist_id: setlistId },
+    include: [
+      {
+        model: Song,
+        as: 'song',
+        attributes: ['id', 'title', 'artist']
+      }
+    ],
+    order: [['position', 'ASC']],
+    transaction
+  });
+
+  return {
+    setlist: pick(setlist, SETLIST_FIELDS),
+    blocks: blocks.map(block => ({ id: block.id, ...pick(block, BLOCK_FIELDS) })),
+    // Titles are kept so diffs stay readable even if the song is later deleted
+    songs: setlistSongs.map(setlistSong => ({
+      id: setlistSong.id,
+      ...pick(setlistSong, SONG_FIELDS),
+      title: setlistSong.song ? setlistSong.song.title : null,
+      artist: setlistSong.song ? setlistSong.song.artist : null
+    }))
+  };
+};
+
+/**
+ * Record a new revision with the current state of a setlist
+ * @param {string} setlistId - Setlist ID
+ * @param {string} userId - ID of the user who made the change
+ * @param {string} action - Kind of change, e.g. 'setlist:updated'
+ * @param {string} summary - Human readable description of the change
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - The created revision
+ */
+exports.recordRevision = async (setlistId, userId, action, summary, transaction) => {
+  const snapshot = await exports.buildSnapshot(setlistId, transaction);
+  const lastRevision = await SetlistRevision.max('revision', {
+    where: { setlist_id: setlistId },
+    transaction
+  });
+
+  return SetlistRevision.create({
+    id: uuidv4(),
+    setlist_id: setlistId,
+    revision: (lastRevision || 0) + 1,
+    created_by: userId,
+    action,
+    summary,
+    snapshot
+  }, { transaction });
+};
+
+/**
+ * Compare two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Object} - Changed setlist fields, and added/removed/changed blocks and songs
+ */
+exports.diffSnapshots = (before, after) => ({
+  setlist: diffFields(before.setlist, after.setlist, SETLIST_FIELDS),
+  blocks: diffRecords(before.blocks, after.blocks, BLOCK_FIELDS),
+  songs: diffRecords(before.songs, after.songs, SONG_FIELDS)
+});
+
+/**
+ * Replace the state of a setlist with a snapshot
+ * @param {Object} setlist - Setlist model instance
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} - Songs from the snapshot that no longer exist in the library and were skipped
+ */
+exports.restoreSnapshot = async (setlist, snapshot, transaction) => {
+  await SetlistSong.destroy({ where: { setlist_id: setlist.id }, transaction });
+  await Block.destroy({ where: { setlist_id: setlist.id }, transaction });
+
+  await Block.bulkCreate(
+    snapshot.blocks.map(block => ({
+      id: block.id,
+      setlist_id: setlist.id,
+      ...pick(block, BLOCK_FIELDS)
+    })),
+    { transaction }
+  );
+
+  // Songs deleted from the library since the snapshot can't be restored
+  const existingSongs = await Song.findAll({
+    where: { id: [...new Set(snapshot.songs.map(setlistSong => setlistSong.song_id))] },
+    attributes: ['id'],
+    transaction
+  });
+  const existingSongIds = new Set(existingSongs.map(song => song.id));
+
+  await SetlistSong.bulkCreate(
+    snapshot.songs
+      .filter(setlistSong => existingSongIds.has(setlistSong.song_id))
+      .map(setlistSong => ({
+        id: setlistSong.id,
+        setlist_id: setlist.id,
+        ...pick(setlistSong, SONG_FIELDS)
+      })),
+    { transaction }
+  );
+
+  Object.assign(setlist, pick(snapshot.setlist, SETLIST_FIELDS));
+  setlist.changed('updated_at', true);
+  await setlist.save({ transaction });
+
+  return snapshot.songs.filter(setlistSong => !existingSongIds.has(setlistSong.song_id));
+};
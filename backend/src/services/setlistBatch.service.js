@@ -0,0 +1,133 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Batch edits of the songs in a setlist
+ *
+ * A batch is a list of operations applied in order to the running order as it
+ * stands after the operations before it. The whole batch is worked out before
+ * anything is written, so one bad operation rejects the batch and the setlist
+ * is never left half-edited.
+ */
+
+// Operations a batch can contain
+exports.OPERATIONS = ['add', 'remove', 'move', 'update_notes'];
+
+// Most operations in one batch
+exports.MAX_OPERATIONS = 200;
+
+/**
+ * Work out the running order after a batch of operations
+ * Positions in operations are indexes into the running order at that point,
+ * and are clamped to it; without one, a song goes to the end.
+ * @param {Array} setlistSongs - Current setlist songs, in running order
+ * @param {Set<string>} blockIds - IDs of the setlist's blocks
+ * @param {Map<string, Object>} songsById - Library songs added by the batch
+ * @param {Array} operations - Operations as { op, song_id, setlist_song_id, position, block_id, notes }
+ * @returns {Object} - { error } naming the first bad operation, or the new order
+ *   as { order, added, removed, changed, counts } where added and changed are
+ *   setlist songs to create and update, and removed the IDs to delete
+ */
+exports.plan = (setlistSongs, blockIds, songsById, operations) => {
+  const order = setlistSongs.map(setlistSong => ({
+    id: setlistSong.id,
+    song_id: setlistSong.song_id,
+    block_id: setlistSong.block_id || null,
+    notes: setlistSong.notes || null,
+    isNew: false
+  }));
+  const removed = [];
+  const counts = { add: 0, remove: 0, move: 0, update_notes: 0 };
+
+  const insertAt = (entry, position) => {
+    const index = position === undefined || position === null
+      ? order.length
+      : Math.max(0, Math.min(position, order.length));
+    order.splice(index, 0, entry);
+  };
+
+  for (const [index, operation] of operations.entries()) {
+    const fail = (msg) => ({ error: `Operation ${index + 1} (${operation.op}): ${msg}` });
+
+    if (operation.block_id && !blockIds.has(operation.block_id)) {
+      return fail('block is not in this setlist');
+    }
+
+    if (operation.op === 'add') {
+      if (!operation.song_id) {
+        return fail('song_id is required');
+      }
+      if (!songsById.has(operation.song_id)) {
+        return fail('song not found');
+      }
+      insertAt({
+        id: uuidv4(),
+        song_id: operation.song_id,
+        block_id: operation.block_id || null,
+        notes: operation.notes || null,
+        isNew: true
+      }, operation.position);
+      counts.add++;
+      continue;
+    }
+
+    if (!operation.setlist_song_id) {
+      return fail('setlist_song_id is required');
+    }
+    const current = order.findIndex(entry => entry.id === operation.setlist_song_id);
+    if (current === -1) {
+      return fail('song is not in this setlist');
+    }
+
+    if (operation.op === 'remove') {
+      const [entry] = order.splice(current, 1);
+      if (!entry.isNew) {
+        removed.push(entry.id);
+      }
+    } else if (operation.op === 'move') {
+      const [entry] = order.splice(current, 1);
+      if (operation.block_id !== undefined) {
+        entry.block_id = operation.block_id || null;
+      }
+      insertAt(entry, operation.position);
+    } else {
+      order[current].notes = operation.notes || null;
+    }
+    counts[operation.op]++;
+  }
+
+  const previous = new Map(setlistSongs.map(setlistSong => [setlistSong.id, setlistSong]));
+  const added = [];
+  const changed = [];
+  order.forEach((entry, position) => {
+    entry.position = position;
+    if (entry.isNew) {
+      added.push(entry);
+      return;
+    }
+
+    const before = previous.get(entry.id);
+    if (before.position !== position || (before.block_id || null) !== entry.block_id || (before.notes || null) !== entry.notes) {
+      changed.push(entry);
+    }
+  });
+
+  return { order, added, removed, changed, counts };
+};
+
+/**
+ * Describe a batch for the revision history and activity log
+ * @param {Object} counts - Number of operations of each kind
+ * @returns {string} - Summary such as "Added 3 songs, removed 1 song"
+ */
+exports.describe = (counts) => {
+  const songs = (count) => `${count} song${count === 1 ? '' : 's'}`;
+  const parts = [];
+
+  if (counts.add) parts.push(`added ${songs(counts.add)}`);
+  if (counts.remove) parts.push(`removed ${songs(counts.remove)}`);
+  if (counts.move) parts.push(`moved ${songs(counts.move)}`);
+  if (counts.update_notes) parts.push(`updated notes on ${songs(counts.update_notes)}`);
+
+  const summary = parts.join(', ') || 'changed nothing';
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+};
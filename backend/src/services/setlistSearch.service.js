@@ -0,0 +1,200 @@
+const { Op } = require('sequelize');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+
+/**
+ * Search, filtering, sorting and cursor pagination of setlist lists
+ *
+ * Pages are cut with a cursor on the sort field and the setlist ID rather
+ * than an offset, so setlists added or changed while paging through the list
+ * don't shift later pages.
+ */
+
+// Fields setlists can be sorted by
+exports.SORT_FIELDS = ['updated_at', 'created_at', 'name'];
+
+// Fields the public gallery can also be sorted by
+exports.GALLERY_SORT_FIELDS = [...exports.SORT_FIELDS, 'fork_count'];
+
+exports.DEFAULT_LIMIT = 20;
+exports.MAX_LIMIT = 100;
+
+/**
+ * Escape the wildcards of a LIKE pattern
+ * @param {string} text - Text to search for literally
+ * @returns {string} - Text with %, _ and \ escaped
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Encode the position of a setlist in a sorted list as a cursor
+ * @param {Object} setlist - Last setlist of a page
+ * @param {string} sort - Sort field
+ * @returns {string} - Opaque cursor
+ */
+exports.encodeCursor = (setlist, sort) => {
+  const value = setlist[sort] instanceof Date ? setlist[sort].toISOString() : setlist[sort];
+  return Buffer.from(JSON.stringify({ value, id: setlist.id })).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort field
+ * @returns {Object|null} - Sort value and setlist ID, or null if the cursor is invalid
+ */
+exports.decodeCursor = (cursor, sort) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || value === undefined) return null;
+
+    if (sort === 'name') {
+      return typeof value === 'string' ? { value, id } : null;
+    }
+
+    if (sort === 'fork_count') {
+      return Number.isInteger(value) ? { value, id } : null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Find the setlists containing a song that matches a condition
+ * @param {Object} songWhere - Sequelize where clause on the song
+ * @returns {Promise<Array<string>>} - Setlist IDs
+ */
+const findSetlistIdsWithSong = async (songWhere) => {
+  const slots = await SetlistSong.findAll({
+    attributes: ['setlist_id'],
+    include: [
+      {
+        model: Song,
+        as: 'song',
+        attributes: [],
+        where: songWhere
+      }
+    ]
+  });
+  return [...new Set(slots.map(slot => slot.setlist_id))];
+};
+
+/**
+ * Build the where clause for a filtered setlist list
+ * @param {Object} filters - Filters from the query string
+ * @param {string} [filters.q] - Text to find in the name or description
+ * @param {string} [filters.band_id] - Band ID, or 'none' for personal setlists
+ * @param {string} [filters.visibility] - 'public' or 'private'
+ * @param {string} [filters.created_by] - Creator's user ID
+ * @param {string} [filters.created_after] - Earliest creation date
+ * @param {string} [filters.created_before] - Latest creation date
+ * @param {string} [filters.song_id] - Song the setlists must contain
+ * @param {string} [filters.artist] - Text to find in the artist of a song in the setlist
+ * @param {string} [filters.song] - Text to find in the title of a song in the setlist
+ * @returns {Promise<Object>} - Sequelize where clause
+ */
+exports.buildFilters = async (filters) => {
+  const conditions = [];
+
+  if (filters.q) {
+    const pattern = `%${escapeLike(filters.q.trim())}%`;
+    conditions.push({
+      [Op.or]: [
+        { name: { [Op.iLike]: pattern } },
+        { description: { [Op.iLike]: pattern } }
+      ]
+    });
+  }
+
+  if (filters.band_id === 'none') {
+    conditions.push({ band_id: null });
+  } else if (filters.band_id) {
+    conditions.push({ band_id: filters.band_id });
+  }
+
+  if (filters.visibility) {
+    conditions.push({ is_public: filters.visibility === 'public' });
+  }
+
+  if (filters.created_by) {
+    conditions.push({ created_by: filters.created_by });
+  }
+
+  if (filters.created_after) {
+    conditions.push({ created_at: { [Op.gte]: new Date(filters.created_after) } });
+  }
+
+  if (filters.created_before) {
+    conditions.push({ created_at: { [Op.lte]: new Date(filters.created_before) } });
+  }
+
+  if (filters.song_id) {
+    const slots = await SetlistSong.findAll({
+      where: { song_id: filters.song_id },
+      attributes: ['setlist_id']
+    });
+    conditions.push({ id: { [Op.in]: [...new Set(slots.map(slot => slot.setlist_id))] } });
+  }
+
+  if (filters.artist) {
+    const ids = await findSetlistIdsWithSong({ artist: { [Op.iLike]: `%${escapeLike(filters.artist.trim())}%` } });
+    conditions.push({ id: { [Op.in]: ids } });
+  }
+
+  if (filters.song) {
+    const ids = await findSetlistIdsWithSong({ title: { [Op.iLike]: `%${escapeLike(filters.song.trim())}%` } });
+    conditions.push({ id: { [Op.in]: ids } });
+  }
+
+  return conditions.length > 0 ? { [Op.and]: conditions } : {};
+};
+
+/**
+ * Build the where clause that starts a page after a cursor
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Object} - Sequelize where clause
+ */
+exports.buildCursorWhere = (cursor, sort, order) => {
+  const after = order === 'asc' ? Op.gt : Op.lt;
+
+  return {
+    [Op.or]: [
+      { [sort]: { [after]: cursor.value } },
+      { [sort]: cursor.value, id: { [after]: cursor.id } }
+    ]
+  };
+};
+
+/**
+ * Build the order of a sorted setlist list, with the ID as a tie-breaker
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array} - Sequelize order
+ */
+exports.buildOrder = (sort, order) => {
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  return [[sort, direction], ['id', direction]];
+};
+
+/**
+ * Cut a page from setlists fetched with one more than the page size
+ * @param {Array} setlists - Setlists, at most limit + 1
+ * @param {number} limit - Page size
+ * @param {string} sort - Sort field
+ * @returns {{ setlists: Array, next_cursor: string|null }} - Page and the cursor of the next page
+ */
+exports.paginate = (setlists, limit, sort) => {
+  const page = setlists.slice(0, limit);
+  const hasMore = setlists.length > limit;
+
+  return {
+    setlists: page,
+    next_cursor: hasMore ? exports.encodeCursor(page[page.length - 1], sort) : null
+  };
+};
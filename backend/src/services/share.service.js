@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const ShareLink = require('../models/shareLink.model');
+const User = require('../models/user.model');
+const ExportService = require('./export.service');
+
+/**
+ * Share links for viewing resources without an account
+ *
+ * A link is identified by a random token. It stops working once revoked or
+ * past its expiry; revoked links are kept so they can be audited.
+ */
+
+// Bytes of randomness in a share token
+const TOKEN_BYTES = 24;
+
+/**
+ * Build the URL of the public page for a share token
+ * @param {string} token - Share token
+ * @returns {string} - Share URL
+ */
+exports.getShareUrl = (token) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/share/${token}`;
+
+/**
+ * Convert a share link to the shape returned by the API
+ * @param {Object} link - Share link
+ * @returns {Object} - Share link with its URL
+ */
+exports.serializeShareLink = (link) => ({
+  id: link.id,
+  token: link.token,
+  share_url: exports.getShareUrl(link.token),
+  read_only: link.read_only,
+  expires_at: link.expires_at,
+  access_count: link.access_count,
+  last_accessed_at: link.last_accessed_at,
+  created_by: link.creator
+    ? { id: link.creator.id, username: link.creator.username }
+    : link.created_by,
+  created_at: link.created_at
+});
+
+/**
+ * Generate a share link for a resource
+ * @param {string} resourceType - Kind of resource, e.g. 'setlist'
+ * @param {string} resourceId - Resource ID
+ * @param {number|null} expiry - Days until the link expires, or null for never
+ * @param {boolean} readOnly - Whether the link only allows viewing
+ * @param {string} userId - User creating the link
+ * @returns {Promise<Object>} - Share link with its URL
+ */
+exports.generateShareLink = async (resourceType, resourceId, expiry, readOnly, userId) => {
+  const link = await ShareLink.create({
+    id: uuidv4(),
+    token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+    resource_type: resourceType,
+    resource_id: resourceId,
+    read_only: readOnly,
+    expires_at: expiry ? new Date(Date.now() + expiry * 24 * 60 * 60 * 1000) : null,
+    created_by: userId
+  });
+
+  return exports.serializeShareLink(link);
+};
+
+/**
+ * Check whether a share link has expired
+ * @param {Object} link - Share link
+ * @param {Date} [now] - Current time
+ * @returns {boolean} - True if the link is past its expiry
+ */
+exports.isExpired = (link, now = new Date()) => Boolean(link.expires_at && new Date(link.expires_at) <= now);
+
+/**
+ * Find a share link by token, ignoring revoked links
+ * @param {string} token - Share token
+ * @returns {Promise<Object|null>} - Share link, or null if unknown or revoked
+ */
+exports.findByToken = (token) => ShareLink.findOne({
+  where: { token, revoked_at: null }
+});
+
+/**
+ * Record that a share link was opened
+ * @param {Object} link - Share link
+ * @returns {Promise<void>}
+ */
+exports.recordAccess = async (link) => {
+  await link.increment('access_count');
+  await link.update({ last_accessed_at: new Date() });
+};
+
+/**
+ * List the share links of a resource that still work
+ * @param {string} resourceType - Kind of resource
+ * @param {string} resourceId - Resource ID
+ * @returns {Promise<Array>} - Active share links, newest first
+ */
+exports.listActiveLinks = async (resourceType, resourceId) => {
+  const links = await ShareLink.findAll({
+    where: {
+      resource_type: resourceType,
+      resource_id: resourceId,
+      revoked_at: null,
+      [Op.or]: [
+        { expires_at: null },
+        { expires_at: { [Op.gt]: new Date() } }
+      ]
+    },
+    include: [
+      {
+        model: User,
+        as: 'creator',
+        attributes: ['id', 'username']
+      }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+
+  return links.map(exports.serializeShareLink);
+};
+
+/**
+ * Revoke a share link so its token stops working
+ * @param {Object} link - Share link
+ * @returns {Promise<Object>} - Revoked share link
+ */
+exports.revokeShareLink = (link) => link.update({ revoked_at: new Date() });
+
+/**
+ * Build the read-only view of a setlist shown to people with a share link
+ * Only what a venue or guest needs is included: no user details, library
+ * song notes or streaming links, and no IDs unless the link allows editing.
+ * @param {Object} link - Share link
+ * @param {Object} setlist - Setlist with its band included
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @returns {Object} - Shared setlist with its songs grouped into sections in play order
+ */
+exports.buildSharedSetlist = (link, setlist, blocks, setlistSongs) => {
+  const { sections, ...details } = ExportService.buildExport(setlist, blocks, setlistSongs);
+
+  return {
+    ...details,
+    // Editable links let signed-in band members open the setlist itself
+    setlist_id: link.read_only ? null : setlist.id,
+    read_only: link.read_only,
+    expires_at: link.expires_at,
+    updated_at: setlist.updated_at,
+    sections: sections.map(({ block_id, ...section }) => section)
+  };
+};
@@ -0,0 +1,114 @@
+const TimingService = require('./timing.service');
+
+/**
+ * Song usage statistics
+ *
+ * Shows how a band's repertoire is used across its setlists: which songs are
+ * played everywhere, which open or close the show, and which are never
+ * scheduled at all. A setlist counts as played on its latest gig, or on the
+ * day it was created if it isn't linked to a gig.
+ */
+
+// How many of the latest setlists count as recent
+exports.DEFAULT_RECENT_SETLISTS = 5;
+
+// Share of the recent setlists a song must be in to count as over-used
+exports.DEFAULT_OVERUSE_SHARE = 0.8;
+
+/**
+ * Work out the day a setlist was played or is scheduled for
+ * @param {Object} setlist - Setlist with its gigs included
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+const getSetlistDate = (setlist) => {
+  const gigDates = (setlist.gigs || []).map(gig => gig.date).sort();
+  return gigDates.length > 0
+    ? gigDates[gigDates.length - 1]
+    : new Date(setlist.created_at).toISOString().slice(0, 10);
+};
+
+/**
+ * Round a number to two decimal places
+ * @param {number} value - Number
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build the usage statistics of a song library
+ * @param {Array} songs - Songs of the library
+ * @param {Array} setlists - Setlists with their blocks, setlist songs and gigs included
+ * @param {Object} [options]
+ * @param {number} [options.recent] - How many of the latest setlists count as recent
+ * @param {number} [options.overuseShare] - Share of the recent setlists that makes a song over-used
+ * @returns {Object} - Per-song usage, songs never used and songs over-used recently
+ */
+exports.buildSongStats = (songs, setlists, options = {}) => {
+  const recent = options.recent || exports.DEFAULT_RECENT_SETLISTS;
+  const overuseShare = options.overuseShare || exports.DEFAULT_OVERUSE_SHARE;
+
+  const dated = setlists
+    .map(setlist => ({ setlist, date: getSetlistDate(setlist) }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const recentIds = new Set(dated.slice(0, recent).map(({ setlist }) => setlist.id));
+
+  const usage = new Map(songs.map(song => [song.id, {
+    song_id: song.id,
+    title: song.title,
+    artist: song.artist || null,
+    setlist_count: 0,
+    recent_count: 0,
+    last_scheduled_on: null,
+    positions: [],
+    opener_count: 0,
+    closer_count: 0
+  }]));
+
+  for (const { setlist, date } of dated) {
+    const order = TimingService.getPlayOrder(setlist.blocks, setlist.setlist_songs);
+    const counted = new Set();
+
+    order.forEach(({ setlistSong }, index) => {
+      const entry = usage.get(setlistSong.song_id);
+      if (!entry) return;
+
+      // 0 for the opener, 1 for the closer
+      entry.positions.push(order.length > 1 ? index / (order.length - 1) : 0);
+      if (index === 0) entry.opener_count += 1;
+      if (index === order.length - 1 && order.length > 1) entry.closer_count += 1;
+
+      // A song played twice in one setlist is still one setlist
+      if (counted.has(setlistSong.song_id)) return;
+      counted.add(setlistSong.song_id);
+
+      entry.setlist_count += 1;
+      if (recentIds.has(setlist.id)) entry.recent_count += 1;
+      if (!entry.last_scheduled_on || date > entry.last_scheduled_on) {
+        entry.last_scheduled_on = date;
+      }
+    });
+  }
+
+  const stats = [...usage.values()]
+    .map(({ positions, ...entry }) => ({
+      ...entry,
+      average_position: positions.length > 0
+        ? round(positions.reduce((sum, position) => sum + position, 0) / positions.length)
+        : null
+    }))
+    .sort((a, b) => b.setlist_count - a.setlist_count || a.title.localeCompare(b.title));
+
+  // With only a couple of setlists every song would look over-used
+  const overuseMinimum = Math.ceil(recentIds.size * overuseShare);
+  const overused = recentIds.size >= recent
+    ? stats.filter(entry => entry.recent_count >= overuseMinimum)
+    : [];
+
+  return {
+    setlist_count: setlists.length,
+    recent_setlist_count: recentIds.size,
+    songs: stats,
+    never_used: stats.filter(entry => entry.setlist_count === 0),
+    overused
+  };
+};
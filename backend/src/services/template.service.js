@@ -0,0 +1,195 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const Block = require('../models/block.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Song = require('../models/song.model');
+const TimingService = require('./timing.service');
+const PermissionService = require('./permission.service');
+
+/**
+ * Setlist templates
+ *
+ * A template is the shape of a show that is played again and again, like a
+ * wedding or a festival slot: its blocks with their target durations, its
+ * timing settings, and fixed slots for songs that always open or close the
+ * show or one of its blocks. New setlists can start from a template, and any
+ * setlist can be saved as one.
+ */
+
+// Fields of a template that can be set through the API
+exports.TEMPLATE_FIELDS = ['name', 'description', 'song_gap', 'block_break', 'target_duration', 'blocks', 'fixed_slots'];
+
+/**
+ * Check if a user can see a template and make setlists from it
+ * Band templates are for every member; personal templates only for their creator.
+ * @param {string} userId - User ID
+ * @param {Object} template - Template
+ * @returns {Promise<boolean>} - True if the user can use the template
+ */
+exports.canUse = async (userId, template) => {
+  if (!template.band_id) {
+    return template.created_by === userId;
+  }
+  return PermissionService.hasBandRole(userId, template.band_id, 'viewer');
+};
+
+/**
+ * Check if a user can change or delete a template
+ * Band members who can create setlists for the band can.
+ * @param {string} userId - User ID
+ * @param {Object} template - Template
+ * @returns {Promise<boolean>} - True if the user can manage the template
+ */
+exports.canManage = async (userId, template) => {
+  if (!template.band_id) {
+    return template.created_by === userId;
+  }
+  return PermissionService.canCreateInBand(userId, template.band_id);
+};
+
+/**
+ * Check that the fixed slots of a template fit its blocks
+ * The shape of each block and slot is checked by the route.
+ * @param {Array} blocks - Blocks as { name, target_duration }
+ * @param {Array} fixedSlots - Slots as { song_id, block, position }
+ * @returns {string|null} - What is wrong, or null if the structure is valid
+ */
+exports.checkStructure = (blocks, fixedSlots) => {
+  const songIds = new Set();
+
+  for (const slot of fixedSlots) {
+    if (slot.block !== null && slot.block !== undefined && slot.block >= blocks.length) {
+      return `Fixed slot block ${slot.block} does not exist; the template has ${blocks.length} block(s)`;
+    }
+    if (songIds.has(slot.song_id)) {
+      return 'A song can only be in one fixed slot';
+    }
+    songIds.add(slot.song_id);
+  }
+
+  return null;
+};
+
+/**
+ * Check if a song is in the library a template's fixed songs come from
+ * Band templates use the band's songs, personal ones their creator's.
+ * @param {Object} song - Song, with its band ID and creator
+ * @param {Object} template - Template, or the band ID and creator it will have
+ * @returns {boolean} - True if the song can be a fixed slot of the template
+ */
+exports.inLibrary = (song, template) => (template.band_id
+  ? song.band_id === template.band_id
+  : song.created_by === template.created_by);
+
+/**
+ * Find the fixed slot songs that are not in a template's library
+ * @param {Object} template - Template, or the band ID and creator it will have
+ * @param {Array} fixedSlots - Slots as { song_id, block, position }
+ * @returns {Promise<string[]>} - IDs of songs that don't exist or belong to another library
+ */
+exports.findSongsOutsideLibrary = async (template, fixedSlots) => {
+  const songIds = fixedSlots.map(slot => slot.song_id);
+  if (songIds.length === 0) {
+    return [];
+  }
+
+  const songs = await Song.findAll({
+    where: { id: { [Op.in]: songIds } },
+    attributes: ['id', 'band_id', 'created_by']
+  });
+  const inside = new Set(songs.filter(song => exports.inLibrary(song, template)).map(song => song.id));
+
+  return songIds.filter(songId => !inside.has(songId));
+};
+
+/**
+ * Work out the template of an existing setlist
+ * @param {Object} setlist - Setlist
+ * @param {Array} blocks - Its blocks
+ * @param {Array} setlistSongs - Its songs
+ * @param {boolean} fixOpenerAndCloser - Whether its first and last songs become fixed slots
+ * @returns {Object} - Timing settings, blocks and fixed slots of the template
+ */
+exports.fromSetlist = (setlist, blocks, setlistSongs, fixOpenerAndCloser) => {
+  const fixedSlots = [];
+
+  if (fixOpenerAndCloser) {
+    const playOrder = TimingService.getPlayOrder(blocks, setlistSongs);
+    if (playOrder.length > 0) {
+      fixedSlots.push({ song_id: playOrder[0].setlistSong.song_id, block: null, position: 'first' });
+    }
+    if (playOrder.length > 1) {
+      fixedSlots.push({ song_id: playOrder[playOrder.length - 1].setlistSong.song_id, block: null, position: 'last' });
+    }
+  }
+
+  return {
+    song_gap: setlist.song_gap || 0,
+    block_break: setlist.block_break || 0,
+    target_duration: setlist.target_duration || null,
+    blocks: [...blocks]
+      .sort((a, b) => a.position - b.position)
+      .map(block => ({ name: block.name, target_duration: block.target_duration || null })),
+    fixed_slots: fixedSlots
+  };
+};
+
+/**
+ * Give a new setlist the blocks and fixed songs of a template
+ * A slot without a block opens the first block or closes the last one.
+ * @param {Object} template - Template
+ * @param {string} setlistId - ID of the new, empty setlist
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<{ blocks: Array, skipped_slots: Array }>} - Created blocks, and fixed slots whose song is gone from the library
+ */
+exports.applyTemplate = async (template, setlistId, transaction) => {
+  const blocks = [];
+  for (const [index, block] of template.blocks.entries()) {
+    blocks.push(await Block.create({
+      id: uuidv4(),
+      setlist_id: setlistId,
+      name: block.name,
+      position: index,
+      target_duration: block.target_duration || null
+    }, { transaction }));
+  }
+
+  const songIds = template.fixed_slots.map(slot => slot.song_id);
+  const songs = songIds.length > 0
+    ? await Song.findAll({ where: { id: { [Op.in]: songIds } }, attributes: ['id'], transaction })
+    : [];
+  const existing = new Set(songs.map(song => song.id));
+
+  // Group the slots by block, with songs outside any block last like in play order
+  const groups = [...blocks.map(() => ({ first: [], last: [] })), { first: [], last: [] }];
+  const skippedSlots = [];
+  for (const slot of template.fixed_slots) {
+    if (!existing.has(slot.song_id)) {
+      skippedSlots.push(slot);
+      continue;
+    }
+
+    let group = slot.block;
+    if (group === null || group === undefined) {
+      group = blocks.length === 0 ? 0 : slot.position === 'first' ? 0 : blocks.length - 1;
+    }
+    groups[group][slot.position].push(slot.song_id);
+  }
+
+  const setlistSongs = [];
+  groups.forEach((group, index) => {
+    for (const songId of [...group.first, ...group.last]) {
+      setlistSongs.push({
+        id: uuidv4(),
+        setlist_id: setlistId,
+        song_id: songId,
+        position: setlistSongs.length,
+        block_id: blocks[index] ? blocks[index].id : null
+      });
+    }
+  });
+
+  await SetlistSong.bulkCreate(setlistSongs, { transaction });
+
+  return { blocks, skipped_slots: skippedSlots };
+};
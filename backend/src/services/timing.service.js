@@ -0,0 +1,165 @@
+/**
+ * Timing calculations for setlists
+ *
+ * All durations are in seconds. Songs are grouped by block (in block order),
+ * with songs outside any block forming a trailing "unassigned" group.
+ * Changeover gaps are added between consecutive songs in a group, and block
+ * breaks between consecutive non-empty groups.
+ */
+
+// How far under the target a setlist or block may run and still count as on target
+const TARGET_TOLERANCE = 60;
+
+/**
+ * Compare a running time to a target
+ * @param {number} total - Running time in seconds
+ * @param {number|null} target - Target running time in seconds
+ * @returns {{ difference: number|null, status: string|null }} - Difference to target and 'over', 'under' or 'on_target'
+ */
+const compareToTarget = (total, target) => {
+  if (target === null || target === undefined) {
+    return { difference: null, status: null };
+  }
+
+  const difference = total - target;
+  let status = 'on_target';
+  if (difference > 0) {
+    status = 'over';
+  } else if (difference < -TARGET_TOLERANCE) {
+    status = 'under';
+  }
+
+  return { difference, status };
+};
+
+/**
+ * Calculate the timing of a group of songs played back to back
+ * @param {Array} setlistSongs - Setlist songs with their song included, in play order
+ * @param {number} songGap - Changeover gap between songs in seconds
+ * @returns {Object} - Song count, song/gap/total durations and number of songs without a duration
+ */
+const calculateGroupTiming = (setlistSongs, songGap) => {
+  const songDuration = setlistSongs.reduce(
+    (sum, setlistSong) => sum + ((setlistSong.song && setlistSong.song.duration) || 0),
+    0
+  );
+  const gapDuration = Math.max(setlistSongs.length - 1, 0) * songGap;
+
+  return {
+    song_count: setlistSongs.length,
+    song_duration: songDuration,
+    gap_duration: gapDuration,
+    total_duration: songDuration + gapDuration,
+    missing_durations: setlistSongs.filter(setlistSong => !setlistSong.song || !setlistSong.song.duration).length
+  };
+};
+
+/**
+ * Calculate per-block and overall timing for a setlist
+ * @param {Object} setlist - Setlist with song_gap, block_break and target_duration
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @returns {Object} - Timing summary for the setlist and each block
+ */
+exports.calculateSetlistTiming = (setlist, blocks, setlistSongs) => {
+  const songGap = setlist.song_gap || 0;
+  const blockBreak = setlist.block_break || 0;
+
+  const sortedBlocks = [...(blocks || [])].sort((a, b) => a.position - b.position);
+  const sortedSongs = [...(setlistSongs || [])].sort((a, b) => a.position - b.position);
+  const blockIds = new Set(sortedBlocks.map(block => block.id));
+
+  const blockTimings = sortedBlocks.map(block => {
+    const timing = calculateGroupTiming(
+      sortedSongs.filter(setlistSong => setlistSong.block_id === block.id),
+      songGap
+    );
+
+    return {
+      block_id: block.id,
+      name: block.name,
+      ...timing,
+      target_duration: block.target_duration || null,
+      ...compareToTarget(timing.total_duration, block.target_duration)
+    };
+  });
+
+  const unassigned = calculateGroupTiming(
+    sortedSongs.filter(setlistSong => !setlistSong.block_id || !blockIds.has(setlistSong.block_id)),
+    songGap
+  );
+
+  const groups = [...blockTimings, unassigned].filter(group => group.song_count > 0);
+  const songDuration = groups.reduce((sum, group) => sum + group.song_duration, 0);
+  const gapDuration = groups.reduce((sum, group) => sum + group.gap_duration, 0);
+  const breakDuration = Math.max(groups.length - 1, 0) * blockBreak;
+  const totalDuration = songDuration + gapDuration + breakDuration;
+
+  return {
+    song_count: sortedSongs.length,
+    song_duration: songDuration,
+    gap_duration: gapDuration,
+    break_duration: breakDuration,
+    total_duration: totalDuration,
+    missing_durations: groups.reduce((sum, group) => sum + group.missing_durations, 0),
+    song_gap: songGap,
+    block_break: blockBreak,
+    target_duration: setlist.target_duration || null,
+    ...compareToTarget(totalDuration, setlist.target_duration),
+    blocks: blockTimings,
+    unassigned
+  };
+};
+
+/**
+ * Sort setlist songs into the order they are played
+ * Songs are played block by block, then by position within the block, with
+ * songs outside any block last.
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs
+ * @returns {Array<{ setlistSong: Object, group: number }>} - Songs in play order with the index of their block
+ */
+exports.getPlayOrder = (blocks, setlistSongs) => {
+  const blockOrder = {};
+  [...(blocks || [])]
+    .sort((a, b) => a.position - b.position)
+    .forEach((block, index) => {
+      blockOrder[block.id] = index;
+    });
+  const unassignedOrder = Object.keys(blockOrder).length;
+
+  return [...(setlistSongs || [])]
+    .map(setlistSong => ({
+      setlistSong,
+      group: setlistSong.block_id in blockOrder ? blockOrder[setlistSong.block_id] : unassignedOrder
+    }))
+    .sort((a, b) => a.group - b.group || a.setlistSong.position - b.setlistSong.position);
+};
+
+/**
+ * Calculate when each song starts and ends relative to the start of the show
+ * @param {Object} setlist - Setlist with song_gap and block_break
+ * @param {Array} blocks - Blocks of the setlist
+ * @param {Array} setlistSongs - Setlist songs with their song included
+ * @returns {Object} - Map of setlist song ID to { start_offset, end_offset } in seconds
+ */
+exports.calculateSongOffsets = (setlist, blocks, setlistSongs) => {
+  const songGap = setlist.song_gap || 0;
+  const blockBreak = setlist.block_break || 0;
+
+  const offsets = {};
+  let elapsed = 0;
+  let previousGroup = null;
+  for (const { setlistSong, group } of exports.getPlayOrder(blocks, setlistSongs)) {
+    if (previousGroup !== null) {
+      elapsed += group === previousGroup ? songGap : blockBreak;
+    }
+
+    const duration = (setlistSong.song && setlistSong.song.duration) || 0;
+    offsets[setlistSong.id] = { start_offset: elapsed, end_offset: elapsed + duration };
+    elapsed += duration;
+    previousGroup = group;
+  }
+
+  return offsets;
+};
@@ -0,0 +1,128 @@
+const { Op } = require('sequelize');
+const sequelize = require('../db/config');
+const Setlist = require('../models/setlist.model');
+const SetlistSong = require('../models/setlistSong.model');
+const Block = require('../models/block.model');
+const SetlistRevision = require('../models/setlistRevision.model');
+const LiveSession = require('../models/liveSession.model');
+const ShareLink = require('../models/shareLink.model');
+const SetlistCollaborator = require('../models/setlistCollaborator.model');
+const SetlistComment = require('../models/setlistComment.model');
+const GigSetlist = require('../models/gigSetlist.model');
+const ActivityService = require('./activity.service');
+
+/**
+ * Trash for deleted setlists
+ *
+ * Deleted setlists stay in the trash, with their blocks, songs, history,
+ * share links, collaborators and comments, for a retention window in which
+ * they can be restored. After that they are purged for good by a periodic
+ * sweep. The activity log of a purged setlist is kept.
+ */
+
+// Days a deleted setlist can be restored
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often the sweep looks for setlists past the retention window
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+exports.RETENTION_DAYS = RETENTION_DAYS;
+
+/**
+ * Get when a trashed setlist will be purged
+ * @param {Object} setlist - Trashed setlist
+ * @returns {Date} - Purge date
+ */
+exports.getPurgeDate = (setlist) => (
+  new Date(new Date(setlist.deleted_at).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+);
+
+/**
+ * Check whether a trashed setlist is past the retention window
+ * @param {Object} setlist - Trashed setlist
+ * @param {Date} [now] - Current time
+ * @returns {boolean} - True if the setlist can no longer be restored
+ */
+exports.isExpired = (setlist, now = new Date()) => exports.getPurgeDate(setlist) <= now;
+
+/**
+ * Permanently delete a setlist with everything that belongs to it
+ * @param {Object} setlist - Setlist, trashed or not
+ * @param {string} [userId] - ID of the user purging it; left out when the sweep does
+ * @returns {Promise<void>}
+ */
+exports.purgeSetlist = async (setlist, userId = null) => {
+  await sequelize.transaction(async (t) => {
+    await ActivityService.record(userId, setlist, 'setlist:purged', {
+      summary: userId
+        ? `Permanently deleted "${setlist.name}"`
+        : `Permanently deleted "${setlist.name}" after ${RETENTION_DAYS} days in the trash`
+    }, t);
+
+    const where = { setlist_id: setlist.id };
+
+    await SetlistSong.destroy({ where, transaction: t });
+    await Block.destroy({ where, transaction: t });
+    await SetlistRevision.destroy({ where, transaction: t });
+    await LiveSession.destroy({ where, transaction: t });
+    await SetlistCollaborator.destroy({ where, transaction: t });
+    await SetlistComment.destroy({ where, transaction: t });
+    await GigSetlist.destroy({ where, transaction: t });
+    await ShareLink.destroy({
+      where: { resource_type: 'setlist', resource_id: setlist.id },
+      transaction: t
+    });
+    await setlist.destroy({ force: true, transaction: t });
+  });
+};
+
+/**
+ * Purge every trashed setlist past the retention window
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} - Purged setlists
+ */
+exports.sweepExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const setlists = await Setlist.findAll({
+    where: { deleted_at: { [Op.lte]: cutoff } },
+    paranoid: false
+  });
+
+  const purged = [];
+  for (const setlist of setlists) {
+    try {
+      await exports.purgeSetlist(setlist);
+      purged.push(setlist);
+    } catch (err) {
+      // Leave it for the next sweep rather than stopping this one
+      console.error(`Failed to purge setlist ${setlist.id}:`, err.message);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Start sweeping the trash periodically
+ * @param {Function} [onPurged] - Called with the setlists purged by each sweep
+ * @returns {Object} - Interval timer
+ */
+exports.startSweep = (onPurged) => {
+  const sweep = async () => {
+    try {
+      const purged = await exports.sweepExpired();
+      if (purged.length > 0 && onPurged) {
+        onPurged(purged);
+      }
+    } catch (err) {
+      console.error('Trash sweep failed:', err.message);
+    }
+  };
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL);
+  // The sweep alone should not keep the process running
+  timer.unref();
+  sweep();
+
+  return timer;
+};
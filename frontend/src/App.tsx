@@ -10,6 +10,10 @@ import DashboardPage from './pages/dashboard/DashboardPage';
 import SetlistsPage from './pages/setlists/SetlistsPage';
 import SetlistDetailPage from './pages/setlists/SetlistDetailPage';
 import SetlistEditorPage from './pages/setlists/SetlistEditorPage';
+import LiveShowPage from './pages/setlists/LiveShowPage';
+import TrashPage from './pages/setlists/TrashPage';
+import SharedSetlistPage from './pages/share/SharedSetlistPage';
+import GalleryPage from './pages/gallery/GalleryPage';
 import SongsPage from './pages/songs/SongsPage';
 import BandsPage from './pages/bands/BandsPage';
 import BandDetailPage from './pages/bands/BandDetailPage';
@@ -45,6 +49,16 @@ const App: React.FC = () => {
       <Route path="/login" element={isAuthenticated ? <Navigate to="/dashboard" /> : <LoginPage />} />
       <Route path="/register" element={isAuthenticated ? <Navigate to="/dashboard" /> : <RegisterPage />} />
       
+      {/* Full-screen stage view, outside the app layout */}
+      <Route path="/setlists/:id/live" element={
+        <ProtectedRoute>
+          <LiveShowPage />
+        </ProtectedRoute>
+      } />
+      
+      {/* Public view of a share link; no account needed */}
+      <Route path="/share/:token" element={<SharedSetlistPage />} />
+      
       <Route path="/" element={<Layout />}>
         <Route index element={isAuthenticated ? <Navigate to="/dashboard" /> : <Navigate to="/login" />} />
         
@@ -60,6 +74,18 @@ const App: React.FC = () => {
           </ProtectedRoute>
         } />
         
+        <Route path="setlists/trash" element={
+          <ProtectedRoute>
+            <TrashPage />
+          </ProtectedRoute>
+        } />
+        
+        <Route path="gallery" element={
+          <ProtectedRoute>
+            <GalleryPage />
+          </ProtectedRoute>
+        } />
+        
         <Route path="setlists/:id" element={
           <ProtectedRoute>
             <SetlistDetailPage />
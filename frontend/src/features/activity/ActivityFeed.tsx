@@ -0,0 +1,271 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  CircularProgress,
+  Collapse,
+  Link,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { MemberAvatar } from '../presence/PresenceAvatars';
+import {
+  ActivityAction,
+  ActivityEntry,
+  ActivityFilters,
+  clearActivity,
+  fetchActivity,
+  fetchMoreActivity,
+} from './activitySlice';
+
+// Labels of the kinds of change, in the order they are offered as a filter
+const ACTION_LABELS: Record<ActivityAction, string> = {
+  'setlist:created': 'Setlist created',
+  'setlist:updated': 'Setlist details changed',
+  'setlist:deleted': 'Setlist moved to the trash',
+  'setlist:restored': 'Setlist restored from the trash',
+  'setlist:purged': 'Setlist permanently deleted',
+  'setlist:revision:restored': 'Earlier version restored',
+  'setlist:song:added': 'Song added',
+  'setlist:song:updated': 'Song notes or performance changed',
+  'setlist:song:removed': 'Song removed',
+  'setlist:songs:reordered': 'Running order changed',
+  'setlist:songs:edited': 'Several songs changed at once',
+  'setlist:block:created': 'Block added',
+  'setlist:block:updated': 'Block changed',
+  'setlist:block:deleted': 'Block deleted',
+  'setlist:blocks:reordered': 'Blocks reordered',
+};
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '–';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+};
+
+// A list of song titles or block names, before or after a reorder
+const OrderList: React.FC<{ title: string; items: (string | null)[] }> = ({ title, items }) => (
+  <Box sx={{ flex: 1, minWidth: 0 }}>
+    <Typography variant="caption" color="text.secondary">
+      {title}
+    </Typography>
+    <Box component="ol" sx={{ m: 0, pl: 3 }}>
+      {items.map((item, index) => (
+        <Typography component="li" variant="body2" key={index} noWrap>
+          {item ?? 'Unknown song'}
+        </Typography>
+      ))}
+    </Box>
+  </Box>
+);
+
+// What an entry changed: the running order side by side, or each changed field
+const ChangeDetails: React.FC<{ entry: ActivityEntry }> = ({ entry }) => {
+  const before = entry.before ?? {};
+  const after = entry.after ?? {};
+
+  if (Array.isArray(before.songs) && Array.isArray(after.songs)) {
+    const titles = (songs: { title: string | null; block: string | null }[]) =>
+      songs.map((song) => (song.block ? `${song.title ?? 'Unknown song'} (${song.block})` : song.title));
+    return (
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <OrderList title="Before" items={titles(before.songs)} />
+        <OrderList title="After" items={titles(after.songs)} />
+      </Box>
+    );
+  }
+
+  if (Array.isArray(before.blocks) && Array.isArray(after.blocks)) {
+    return (
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <OrderList title="Before" items={before.blocks} />
+        <OrderList title="After" items={after.blocks} />
+      </Box>
+    );
+  }
+
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  return (
+    <Box>
+      {fields.map((field) => (
+        <Typography variant="body2" key={field}>
+          <strong>{field.replace(/_/g, ' ')}</strong>:{' '}
+          {field in before && field in after
+            ? `${formatValue(before[field])} → ${formatValue(after[field])}`
+            : formatValue(field in after ? after[field] : before[field])}
+        </Typography>
+      ))}
+    </Box>
+  );
+};
+
+const ActivityItem: React.FC<{ entry: ActivityEntry; showSetlist: boolean }> = ({ entry, showSetlist }) => {
+  const [expanded, setExpanded] = useState(false);
+  const hasDetails = Boolean(
+    (entry.before && Object.keys(entry.before).length > 0) || (entry.after && Object.keys(entry.after).length > 0)
+  );
+
+  return (
+    <ListItem alignItems="flex-start" divider sx={{ flexWrap: 'wrap' }}>
+      <ListItemAvatar>
+        {entry.actor ? <MemberAvatar user={entry.actor} /> : <Avatar sx={{ width: 32, height: 32 }} />}
+      </ListItemAvatar>
+      <ListItemText
+        primary={
+          <>
+            <strong>{entry.actor?.username ?? (entry.actor_id ? 'Former member' : 'Automatic cleanup')}</strong>{' '}
+            {entry.summary}
+            {showSetlist && (
+              <>
+                {' in '}
+                {entry.action === 'setlist:purged' ? (
+                  entry.setlist_name
+                ) : (
+                  <Link component={RouterLink} to={`/setlists/${entry.setlist_id}`}>
+                    {entry.setlist_name}
+                  </Link>
+                )}
+              </>
+            )}
+          </>
+        }
+        secondary={
+          <>
+            {formatDistanceToNow(new Date(entry.created_at))} ago · {ACTION_LABELS[entry.action] ?? entry.action}
+            {hasDetails && (
+              <Link component="button" variant="caption" onClick={() => setExpanded(!expanded)} sx={{ ml: 1 }}>
+                {expanded ? 'Hide changes' : 'Show changes'}
+              </Link>
+            )}
+          </>
+        }
+        secondaryTypographyProps={{ component: 'div' }}
+      />
+      {hasDetails && (
+        <Collapse in={expanded} unmountOnExit sx={{ width: '100%' }}>
+          <Box sx={{ mt: 1 }}>
+            <ChangeDetails entry={entry} />
+          </Box>
+        </Collapse>
+      )}
+    </ListItem>
+  );
+};
+
+interface ActivityFeedProps {
+  // The log of a band (e.g. on BandDetailPage), or of one setlist
+  bandId?: string;
+  setlistId?: string;
+  // Members to filter by; by default, whoever appears in the log so far
+  members?: { id: string; username: string }[];
+}
+
+// Who changed what in a band's setlists or in one setlist, newest first
+const ActivityFeed: React.FC<ActivityFeedProps> = ({ bandId, setlistId, members }) => {
+  const dispatch = useAppDispatch();
+  const { entries, nextCursor, isLoading, isLoadingMore, error } = useAppSelector((state) => state.activity);
+  const [filters, setFilters] = useState<ActivityFilters>({});
+
+  useEffect(() => {
+    const scope = bandId ? { band_id: bandId } : setlistId ? { setlist_id: setlistId } : null;
+    if (scope) {
+      dispatch(fetchActivity({ scope, filters }));
+    }
+  }, [dispatch, bandId, setlistId, filters]);
+
+  useEffect(() => () => {
+    dispatch(clearActivity());
+  }, [dispatch]);
+
+  const memberOptions = useMemo(() => {
+    if (members) return members;
+    const seen = new Map<string, { id: string; username: string }>();
+    entries.forEach((entry) => {
+      if (entry.actor) seen.set(entry.actor.id, entry.actor);
+    });
+    return Array.from(seen.values());
+  }, [members, entries]);
+
+  const handleFilterChange = (field: keyof ActivityFilters) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFilters({ ...filters, [field]: e.target.value || undefined });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          size="small"
+          label="Member"
+          value={filters.actor_id ?? ''}
+          onChange={handleFilterChange('actor_id')}
+          sx={{ minWidth: 180 }}
+        >
+          <MenuItem value="">Everyone</MenuItem>
+          {memberOptions.map((member) => (
+            <MenuItem key={member.id} value={member.id}>
+              {member.username}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Change"
+          value={filters.action ?? ''}
+          onChange={handleFilterChange('action')}
+          sx={{ minWidth: 240 }}
+        >
+          <MenuItem value="">All changes</MenuItem>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <MenuItem key={action} value={action}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : entries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No changes yet.
+        </Typography>
+      ) : (
+        <List disablePadding>
+          {entries.map((entry) => (
+            <ActivityItem key={entry.id} entry={entry} showSetlist={!setlistId} />
+          ))}
+        </List>
+      )}
+
+      {nextCursor && !isLoading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <Button onClick={() => dispatch(fetchMoreActivity())} disabled={isLoadingMore}>
+            {isLoadingMore ? <CircularProgress size={20} /> : 'Show older changes'}
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,183 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export type ActivityAction =
+  | 'setlist:created'
+  | 'setlist:updated'
+  | 'setlist:deleted'
+  | 'setlist:restored'
+  | 'setlist:purged'
+  | 'setlist:revision:restored'
+  | 'setlist:song:added'
+  | 'setlist:song:updated'
+  | 'setlist:song:removed'
+  | 'setlist:songs:reordered'
+  | 'setlist:songs:edited'
+  | 'setlist:block:created'
+  | 'setlist:block:updated'
+  | 'setlist:block:deleted'
+  | 'setlist:blocks:reordered';
+
+export type ActivityTargetType = 'setlist' | 'block' | 'song';
+
+export interface ActivityEntry {
+  id: string;
+  band_id: string | null;
+  setlist_id: string;
+  // Name of the setlist at the time of the change
+  setlist_name: string;
+  // Null when the trash was emptied automatically
+  actor_id: string | null;
+  actor: { id: string; username: string } | null;
+  action: ActivityAction;
+  target_type: ActivityTargetType;
+  target_id: string;
+  summary: string;
+  // Changed fields before and after the change
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  created_at: string;
+}
+
+// The log of a whole band, or of one setlist
+export type ActivityScope = { band_id: string } | { setlist_id: string };
+
+export interface ActivityFilters {
+  actor_id?: string;
+  action?: ActivityAction;
+  target_type?: ActivityTargetType;
+}
+
+export interface ActivityPage {
+  activity: ActivityEntry[];
+  next_cursor: string | null;
+}
+
+// State type
+interface ActivityState {
+  entries: ActivityEntry[];
+  scope: ActivityScope | null;
+  filters: ActivityFilters;
+  nextCursor: string | null;
+  // Latest first page asked for; pages of filters since changed are dropped
+  requestId: string | null;
+  isLoading: boolean;
+  isLoadingMore: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: ActivityState = {
+  entries: [],
+  scope: null,
+  filters: {},
+  nextCursor: null,
+  requestId: null,
+  isLoading: false,
+  isLoadingMore: false,
+  error: null,
+};
+
+// Async thunks
+// Where the log of a scope is, and its query string
+const activityRequest = (scope: ActivityScope, filters: ActivityFilters) => {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''));
+  return 'band_id' in scope
+    ? { url: '/api/activity', params: { ...params, band_id: scope.band_id } }
+    : { url: `/api/setlists/${scope.setlist_id}/activity`, params };
+};
+
+// Fetch the first page of a band's or setlist's log matching the filters
+export const fetchActivity = createAsyncThunk<
+  ActivityPage,
+  { scope: ActivityScope; filters?: ActivityFilters },
+  { state: RootState }
+>(
+  'activity/fetchActivity',
+  async ({ scope, filters = {} }, { rejectWithValue }) => {
+    try {
+      const { url, params } = activityRequest(scope, filters);
+      const response = await axios.get(url, { params });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch activity');
+    }
+  }
+);
+
+// Fetch the page after the last one loaded
+export const fetchMoreActivity = createAsyncThunk<ActivityPage, void, { state: RootState }>(
+  'activity/fetchMoreActivity',
+  async (_, { getState, rejectWithValue }) => {
+    const { scope, filters, nextCursor } = getState().activity;
+    try {
+      const { url, params } = activityRequest(scope as ActivityScope, filters);
+      const response = await axios.get(url, { params: { ...params, cursor: nextCursor } });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch activity');
+    }
+  },
+  {
+    // Nothing to do on the last page or while a page is already on its way
+    condition: (_, { getState }) => {
+      const { scope, nextCursor, isLoading, isLoadingMore } = getState().activity;
+      return Boolean(scope && nextCursor) && !isLoading && !isLoadingMore;
+    },
+  }
+);
+
+// Slice
+const activitySlice = createSlice({
+  name: 'activity',
+  initialState,
+  reducers: {
+    clearActivity() {
+      return initialState;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch activity
+      .addCase(fetchActivity.pending, (state, action) => {
+        state.isLoading = true;
+        state.error = null;
+        state.scope = action.meta.arg.scope;
+        state.filters = action.meta.arg.filters ?? {};
+        state.requestId = action.meta.requestId;
+      })
+      .addCase(fetchActivity.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.isLoading = false;
+        state.entries = action.payload.activity;
+        state.nextCursor = action.payload.next_cursor;
+      })
+      .addCase(fetchActivity.rejected, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Fetch more activity
+      .addCase(fetchMoreActivity.pending, (state) => {
+        state.isLoadingMore = true;
+        state.error = null;
+      })
+      .addCase(fetchMoreActivity.fulfilled, (state, action: PayloadAction<ActivityPage>) => {
+        state.isLoadingMore = false;
+        // The filters changed while it was loading
+        if (state.isLoading) return;
+        state.entries.push(...action.payload.activity);
+        state.nextCursor = action.payload.next_cursor;
+      })
+      .addCase(fetchMoreActivity.rejected, (state, action) => {
+        state.isLoadingMore = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearActivity } = activitySlice.actions;
+export default activitySlice.reducer;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Badge, IconButton, Tooltip } from '@mui/material';
+import { ChatBubbleOutline as CommentIcon } from '@mui/icons-material';
+import { useAppSelector } from '../../hooks/reduxHooks';
+import { selectCommentCounts } from './commentsSlice';
+
+interface CommentCountBadgeProps {
+  setlistId: string;
+  // A slot, or leave out for comments on the whole setlist
+  setlistSongId?: string;
+  onClick: () => void;
+}
+
+// Comment button for a setlist or a slot in the editor, with its number of open threads
+const CommentCountBadge: React.FC<CommentCountBadgeProps> = ({ setlistId, setlistSongId, onClick }) => {
+  const count = useAppSelector((state) => {
+    const counts = selectCommentCounts(state, setlistId);
+    return setlistSongId ? counts?.songs[setlistSongId] : counts?.setlist;
+  });
+  const total = count?.total ?? 0;
+  const openThreads = count?.open_threads ?? 0;
+
+  return (
+    <Tooltip title={total ? `${total} comment${total === 1 ? '' : 's'}, ${openThreads} open` : 'Comment'}>
+      <IconButton size="small" onClick={onClick}>
+        <Badge badgeContent={openThreads} color="primary" max={99}>
+          <CommentIcon fontSize="small" />
+        </Badge>
+      </IconButton>
+    </Tooltip>
+  );
+};
+
+export default CommentCountBadge;
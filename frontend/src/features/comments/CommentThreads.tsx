@@ -0,0 +1,299 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  Paper,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  CheckCircleOutline as ResolveIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Replay as ReopenIcon,
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { hasPermission, Setlist } from '../setlists/setlistsSlice';
+import {
+  addComment,
+  deleteComment,
+  editComment,
+  fetchComments,
+  SetlistComment,
+  setThreadResolved,
+} from './commentsSlice';
+
+interface CommentThreadsProps {
+  setlist: Setlist;
+  // A slot to show the threads of, null for the whole setlist, or leave out for all threads
+  setlistSongId?: string | null;
+}
+
+// Comment text, with @mentions picked out
+const CommentBody: React.FC<{ body: string }> = ({ body }) => (
+  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+    {body.split(/(@[\w.-]*\w)/g).map((part, index) =>
+      part.startsWith('@') ? (
+        <Box component="span" key={index} sx={{ color: 'primary.main', fontWeight: 500 }}>
+          {part}
+        </Box>
+      ) : (
+        part
+      )
+    )}
+  </Typography>
+);
+
+// Text box to write a comment or a reply in
+const CommentComposer: React.FC<{
+  placeholder: string;
+  initialBody?: string;
+  submitLabel: string;
+  onSubmit: (body: string) => Promise<boolean>;
+  onCancel?: () => void;
+}> = ({ placeholder, initialBody = '', submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setIsSaving(true);
+    const saved = await onSubmit(body.trim());
+    setIsSaving(false);
+    if (saved) {
+      setBody('');
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1 }}>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        placeholder={placeholder}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        inputProps={{ maxLength: 5000 }}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+        {onCancel && (
+          <Button size="small" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" size="small" variant="contained" disabled={isSaving || !body.trim()}>
+          {submitLabel}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+// One comment, which its author can edit and its author or a setlist admin can delete
+const CommentItem: React.FC<{ setlist: Setlist; comment: SetlistComment }> = ({ setlist, comment }) => {
+  const dispatch = useAppDispatch();
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const [isEditing, setIsEditing] = useState(false);
+  const isAuthor = comment.author_id === userId;
+
+  const handleEdit = async (body: string) => {
+    const result = await dispatch(editComment({ setlist_id: setlist.id, id: comment.id, body }));
+    if (editComment.fulfilled.match(result)) {
+      setIsEditing(false);
+      return true;
+    }
+    return false;
+  };
+
+  const handleDelete = () => {
+    const message = comment.parent_id ? 'Delete this reply?' : 'Delete this comment and its replies?';
+    if (window.confirm(message)) {
+      dispatch(deleteComment({ setlist_id: setlist.id, id: comment.id, parent_id: comment.parent_id }));
+    }
+  };
+
+  return (
+    <Box sx={{ py: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2">{comment.author?.username ?? 'Former member'}</Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+          {formatDistanceToNow(new Date(comment.created_at))} ago
+          {comment.edited_at && ' (edited)'}
+        </Typography>
+        {isAuthor && !isEditing && (
+          <Tooltip title="Edit">
+            <IconButton size="small" onClick={() => setIsEditing(true)}>
+              <EditIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        {(isAuthor || hasPermission(setlist, 'manage')) && (
+          <Tooltip title="Delete">
+            <IconButton size="small" onClick={handleDelete}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+      {isEditing ? (
+        <CommentComposer
+          placeholder="Edit comment"
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={handleEdit}
+          onCancel={() => setIsEditing(false)}
+        />
+      ) : (
+        <CommentBody body={comment.body} />
+      )}
+    </Box>
+  );
+};
+
+// A comment with its replies, which can be resolved as a whole
+const CommentThread: React.FC<{ setlist: Setlist; thread: SetlistComment }> = ({ setlist, thread }) => {
+  const dispatch = useAppDispatch();
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const [isReplying, setIsReplying] = useState(false);
+  const canResolve = hasPermission(setlist, 'comment') && (thread.author_id === userId || hasPermission(setlist, 'edit'));
+
+  const handleReply = async (body: string) => {
+    const result = await dispatch(addComment({ setlist_id: setlist.id, parent_id: thread.id, body }));
+    if (addComment.fulfilled.match(result)) {
+      setIsReplying(false);
+      return true;
+    }
+    return false;
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ px: 2, py: 1, mb: 2, opacity: thread.resolved_at ? 0.7 : 1 }}>
+      <CommentItem setlist={setlist} comment={thread} />
+      {thread.replies && thread.replies.length > 0 && (
+        <Box sx={{ pl: 2, borderLeft: 2, borderColor: 'divider' }}>
+          {thread.replies.map((reply) => (
+            <CommentItem key={reply.id} setlist={setlist} comment={reply} />
+          ))}
+        </Box>
+      )}
+      <Divider sx={{ my: 1 }} />
+      {thread.resolved_at && (
+        <Typography variant="caption" color="text.secondary" component="p">
+          Resolved by {thread.resolver?.username ?? 'a former member'}{' '}
+          {formatDistanceToNow(new Date(thread.resolved_at))} ago
+        </Typography>
+      )}
+      {isReplying ? (
+        <CommentComposer
+          placeholder="Reply, @mention someone to let them know"
+          submitLabel="Reply"
+          onSubmit={handleReply}
+          onCancel={() => setIsReplying(false)}
+        />
+      ) : (
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          {hasPermission(setlist, 'comment') && (
+            <Button size="small" onClick={() => setIsReplying(true)}>
+              Reply
+            </Button>
+          )}
+          {canResolve && (
+            <Button
+              size="small"
+              startIcon={thread.resolved_at ? <ReopenIcon /> : <ResolveIcon />}
+              onClick={() => dispatch(setThreadResolved({
+                setlist_id: setlist.id,
+                id: thread.id,
+                resolved: !thread.resolved_at,
+              }))}
+            >
+              {thread.resolved_at ? 'Reopen' : 'Resolve'}
+            </Button>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+// Discussion of a setlist or one of its slots, newest threads last
+const CommentThreads: React.FC<CommentThreadsProps> = ({ setlist, setlistSongId }) => {
+  const dispatch = useAppDispatch();
+  const allThreads = useAppSelector((state) => state.comments.threads[setlist.id]);
+  const { isLoading, error } = useAppSelector((state) => state.comments);
+  const [showResolved, setShowResolved] = useState(false);
+
+  // Everyone's new comments arrive over the socket once the threads are loaded
+  useEffect(() => {
+    if (!allThreads) {
+      dispatch(fetchComments(setlist.id));
+    }
+  }, [dispatch, setlist.id, allThreads]);
+
+  const threads = (allThreads ?? []).filter(
+    (thread) => setlistSongId === undefined || thread.setlist_song_id === setlistSongId
+  );
+  const openThreads = threads.filter((thread) => !thread.resolved_at);
+  const resolvedThreads = threads.filter((thread) => thread.resolved_at);
+
+  const handleComment = async (body: string) => {
+    const result = await dispatch(addComment({ setlist_id: setlist.id, setlist_song_id: setlistSongId ?? null, body }));
+    return addComment.fulfilled.match(result);
+  };
+
+  if (!allThreads && isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {openThreads.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No open discussions.
+        </Typography>
+      )}
+      {openThreads.map((thread) => (
+        <CommentThread key={thread.id} setlist={setlist} thread={thread} />
+      ))}
+
+      {resolvedThreads.length > 0 && (
+        <Button size="small" onClick={() => setShowResolved(!showResolved)} sx={{ mb: 1 }}>
+          {showResolved ? 'Hide' : 'Show'} resolved ({resolvedThreads.length})
+        </Button>
+      )}
+      {showResolved && resolvedThreads.map((thread) => (
+        <CommentThread key={thread.id} setlist={setlist} thread={thread} />
+      ))}
+
+      {hasPermission(setlist, 'comment') && (
+        <CommentComposer
+          placeholder={setlistSongId ? 'Comment on this song, @mention someone to let them know' : 'Comment on the setlist, @mention someone to let them know'}
+          submitLabel="Comment"
+          onSubmit={handleComment}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default CommentThreads;
@@ -0,0 +1,84 @@
+import React, { useEffect } from 'react';
+import { Button, Snackbar } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { getSocket } from '../../services/socketService';
+import { CLIENT_ID } from '../../services/clientId';
+import { ChangedBy } from '../setlists/setlistsSlice';
+import {
+  clearMention,
+  commentReceived,
+  commentRemoved,
+  CommentMention,
+  mentionReceived,
+  SetlistComment,
+} from './commentsSlice';
+
+// How long the "mentioned you" notice stays up
+const NOTICE_DURATION = 8000;
+
+type CommentEvent = SetlistComment & { changed_by?: ChangedBy };
+type CommentDeletedEvent = { id: string; setlist_id: string; parent_id: string | null; changed_by?: ChangedBy };
+
+// Keeps comment threads in sync with the band, and says when someone mentions the user
+const CommentUpdates: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const navigate = useNavigate();
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const mention = useAppSelector((state) => state.comments.mention);
+
+  useEffect(() => {
+    // The socket is connected once the user is signed in (see App)
+    const socket = userId ? getSocket() : null;
+    if (!socket) return;
+
+    // This tab already shows its own comments
+    const handleChanged = (payload: CommentEvent) => {
+      if (payload.changed_by?.client_id === CLIENT_ID) return;
+      dispatch(commentReceived(payload));
+    };
+    const handleDeleted = (payload: CommentDeletedEvent) => {
+      if (payload.changed_by?.client_id === CLIENT_ID) return;
+      dispatch(commentRemoved(payload));
+    };
+    const handleMentioned = (payload: CommentMention) => {
+      dispatch(mentionReceived(payload));
+    };
+
+    socket.on('comment:created', handleChanged);
+    socket.on('comment:updated', handleChanged);
+    socket.on('comment:deleted', handleDeleted);
+    socket.on('comment:mentioned', handleMentioned);
+
+    return () => {
+      socket.off('comment:created', handleChanged);
+      socket.off('comment:updated', handleChanged);
+      socket.off('comment:deleted', handleDeleted);
+      socket.off('comment:mentioned', handleMentioned);
+    };
+  }, [dispatch, userId]);
+
+  const handleView = () => {
+    if (!mention) return;
+    navigate(`/setlists/${mention.setlist_id}/edit`);
+    dispatch(clearMention());
+  };
+
+  return (
+    <Snackbar
+      key={mention?.comment.id}
+      open={Boolean(mention)}
+      autoHideDuration={NOTICE_DURATION}
+      onClose={() => dispatch(clearMention())}
+      anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      message={mention && `${mention.comment.author?.username ?? 'Someone'} mentioned you in ${mention.setlist_name}`}
+      action={
+        <Button color="secondary" size="small" onClick={handleView}>
+          View
+        </Button>
+      }
+    />
+  );
+};
+
+export default CommentUpdates;
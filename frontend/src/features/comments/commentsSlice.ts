@@ -0,0 +1,315 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export interface CommentAuthor {
+  id: string;
+  username: string;
+}
+
+export interface SetlistComment {
+  id: string;
+  setlist_id: string;
+  // Slot the comment is about; null for the whole setlist
+  setlist_song_id: string | null;
+  // First comment of the thread this one replies to
+  parent_id: string | null;
+  author_id: string;
+  body: string;
+  mentions: string[];
+  resolved_at: string | null;
+  resolved_by: string | null;
+  edited_at: string | null;
+  author?: CommentAuthor;
+  resolver?: CommentAuthor | null;
+  // Only on the first comment of a thread
+  replies?: SetlistComment[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CommentCount {
+  total: number;
+  open_threads: number;
+}
+
+export interface CommentCounts {
+  setlist_id: string;
+  setlist: CommentCount;
+  // By setlist song ID
+  songs: Record<string, CommentCount>;
+}
+
+// Someone mentioned the current user in a comment
+export interface CommentMention {
+  setlist_id: string;
+  setlist_name: string;
+  comment: SetlistComment;
+}
+
+// State type
+interface CommentsState {
+  // Threads by setlist ID, oldest first
+  threads: Record<string, SetlistComment[]>;
+  // Counts by setlist ID, for setlists whose threads aren't loaded
+  counts: Record<string, CommentCounts>;
+  mention: CommentMention | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: CommentsState = {
+  threads: {},
+  counts: {},
+  mention: null,
+  isLoading: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchComments = createAsyncThunk<
+  { setlist_id: string; threads: SetlistComment[] },
+  string,
+  { state: RootState }
+>(
+  'comments/fetchComments',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlistId}/comments`);
+      return { setlist_id: setlistId, threads: response.data };
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch comments');
+    }
+  }
+);
+
+export const fetchCommentCounts = createAsyncThunk<CommentCounts, string, { state: RootState }>(
+  'comments/fetchCommentCounts',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlistId}/comments/counts`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch comment counts');
+    }
+  }
+);
+
+export const addComment = createAsyncThunk<
+  SetlistComment,
+  { setlist_id: string; body: string; setlist_song_id?: string | null; parent_id?: string },
+  { state: RootState }
+>(
+  'comments/addComment',
+  async ({ setlist_id, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${setlist_id}/comments`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to add comment');
+    }
+  }
+);
+
+export const editComment = createAsyncThunk<
+  SetlistComment,
+  { setlist_id: string; id: string; body: string },
+  { state: RootState }
+>(
+  'comments/editComment',
+  async ({ setlist_id, id, body }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`/api/setlists/${setlist_id}/comments/${id}`, { body });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to edit comment');
+    }
+  }
+);
+
+export const setThreadResolved = createAsyncThunk<
+  SetlistComment,
+  { setlist_id: string; id: string; resolved: boolean },
+  { state: RootState }
+>(
+  'comments/setThreadResolved',
+  async ({ setlist_id, id, resolved }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `/api/setlists/${setlist_id}/comments/${id}/${resolved ? 'resolve' : 'unresolve'}`
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to update thread');
+    }
+  }
+);
+
+export const deleteComment = createAsyncThunk<
+  { id: string; setlist_id: string; parent_id: string | null },
+  { setlist_id: string; id: string; parent_id: string | null },
+  { state: RootState }
+>(
+  'comments/deleteComment',
+  async ({ setlist_id, id, parent_id }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/setlists/${setlist_id}/comments/${id}`);
+      return { id, setlist_id, parent_id };
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to delete comment');
+    }
+  }
+);
+
+/**
+ * Count comments and open threads, for the whole setlist and for each slot
+ * (the same as the server's counts)
+ */
+export const countThreads = (setlistId: string, threads: SetlistComment[]): CommentCounts => {
+  const counts: CommentCounts = { setlist_id: setlistId, setlist: { total: 0, open_threads: 0 }, songs: {} };
+  threads.forEach((thread) => {
+    let target = counts.setlist;
+    if (thread.setlist_song_id) {
+      counts.songs[thread.setlist_song_id] = counts.songs[thread.setlist_song_id] ?? { total: 0, open_threads: 0 };
+      target = counts.songs[thread.setlist_song_id];
+    }
+    target.total += 1 + (thread.replies?.length ?? 0);
+    if (!thread.resolved_at) {
+      target.open_threads += 1;
+    }
+  });
+  return counts;
+};
+
+// Put a new or changed comment where it belongs: a thread, or the replies of one
+const upsertComment = (state: CommentsState, comment: SetlistComment) => {
+  const threads = state.threads[comment.setlist_id];
+  if (!threads) {
+    return;
+  }
+
+  if (!comment.parent_id) {
+    const index = threads.findIndex((thread) => thread.id === comment.id);
+    if (index !== -1) {
+      threads[index] = { ...comment, replies: comment.replies ?? threads[index].replies };
+    } else {
+      threads.push({ ...comment, replies: comment.replies ?? [] });
+    }
+    return;
+  }
+
+  const thread = threads.find((item) => item.id === comment.parent_id);
+  if (thread) {
+    const replies = thread.replies ?? [];
+    const index = replies.findIndex((reply) => reply.id === comment.id);
+    if (index !== -1) {
+      replies[index] = comment;
+    } else {
+      replies.push(comment);
+    }
+    thread.replies = replies;
+  }
+};
+
+const removeComment = (state: CommentsState, { id, setlist_id, parent_id }: { id: string; setlist_id: string; parent_id: string | null }) => {
+  const threads = state.threads[setlist_id];
+  if (!threads) {
+    return;
+  }
+
+  if (!parent_id) {
+    state.threads[setlist_id] = threads.filter((thread) => thread.id !== id);
+    return;
+  }
+
+  const thread = threads.find((item) => item.id === parent_id);
+  if (thread?.replies) {
+    thread.replies = thread.replies.filter((reply) => reply.id !== id);
+  }
+};
+
+// Slice
+const commentsSlice = createSlice({
+  name: 'comments',
+  initialState,
+  reducers: {
+    commentReceived(state, action: PayloadAction<SetlistComment>) {
+      upsertComment(state, action.payload);
+    },
+    commentRemoved(state, action: PayloadAction<{ id: string; setlist_id: string; parent_id: string | null }>) {
+      removeComment(state, action.payload);
+    },
+    mentionReceived(state, action: PayloadAction<CommentMention>) {
+      state.mention = action.payload;
+    },
+    clearMention(state) {
+      state.mention = null;
+    },
+    clearComments(state, action: PayloadAction<string>) {
+      delete state.threads[action.payload];
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch comments
+      .addCase(fetchComments.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchComments.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.threads[action.payload.setlist_id] = action.payload.threads;
+      })
+      .addCase(fetchComments.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Fetch comment counts
+      .addCase(fetchCommentCounts.fulfilled, (state, action: PayloadAction<CommentCounts>) => {
+        state.counts[action.payload.setlist_id] = action.payload;
+      })
+
+      // Add, edit and resolve comments
+      .addCase(addComment.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(addComment.fulfilled, (state, action: PayloadAction<SetlistComment>) => {
+        upsertComment(state, action.payload);
+      })
+      .addCase(addComment.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+      .addCase(editComment.fulfilled, (state, action: PayloadAction<SetlistComment>) => {
+        upsertComment(state, action.payload);
+      })
+      .addCase(editComment.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+      .addCase(setThreadResolved.fulfilled, (state, action: PayloadAction<SetlistComment>) => {
+        upsertComment(state, action.payload);
+      })
+      .addCase(setThreadResolved.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+
+      // Delete comment
+      .addCase(deleteComment.fulfilled, (state, action) => {
+        removeComment(state, action.payload);
+      })
+      .addCase(deleteComment.rejected, (state, action) => {
+        state.error = action.payload as string;
+      });
+  },
+});
+
+// Comment counts of a setlist: worked out from its threads once they are loaded
+export const selectCommentCounts = (state: RootState, setlistId: string): CommentCounts | undefined => {
+  const threads = state.comments.threads[setlistId];
+  return threads ? countThreads(setlistId, threads) : state.comments.counts[setlistId];
+};
+
+export const { commentReceived, commentRemoved, mentionReceived, clearMention, clearComments } = commentsSlice.actions;
+export default commentsSlice.reducer;
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { CallSplit as ForkIcon } from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { formatDuration } from '../../utils/formatDuration';
+import { clearPreview, fetchGalleryPreview, forkSetlist } from './gallerySlice';
+
+interface GalleryPreviewDialogProps {
+  setlistId: string | null;
+  onClose: () => void;
+  // Bands the setlist can be forked into
+  bands: { id: string; name: string }[];
+}
+
+// Read-only preview of a public setlist with a form to fork it
+const GalleryPreviewDialog: React.FC<GalleryPreviewDialogProps> = ({ setlistId, onClose, bands }) => {
+  const dispatch = useAppDispatch();
+  const { preview, lastFork, isForking, error } = useAppSelector((state) => state.gallery);
+  const [bandId, setBandId] = useState('');
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (setlistId) {
+      dispatch(fetchGalleryPreview(setlistId));
+    }
+  }, [dispatch, setlistId]);
+
+  useEffect(() => {
+    setName(preview?.name ?? '');
+  }, [preview?.name]);
+
+  const handleClose = () => {
+    dispatch(clearPreview());
+    onClose();
+  };
+
+  const handleFork = () => {
+    if (!setlistId) return;
+    dispatch(forkSetlist({ id: setlistId, band_id: bandId || null, name: name.trim() || undefined }));
+  };
+
+  return (
+    <Dialog open={Boolean(setlistId)} onClose={handleClose} fullWidth maxWidth="md">
+      <DialogTitle>{preview?.name ?? 'Setlist'}</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!preview ? (
+          !error && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+              <CircularProgress />
+            </Box>
+          )
+        ) : (
+          <>
+            <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap' }}>
+              {preview.band && <Chip label={preview.band.name} />}
+              <Chip label={`${preview.song_count} songs · ${formatDuration(preview.total_duration)}`} />
+              <Chip label={`Forked ${preview.fork_count} ${preview.fork_count === 1 ? 'time' : 'times'}`} variant="outlined" />
+            </Stack>
+            {preview.description && (
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                {preview.description}
+              </Typography>
+            )}
+            {preview.forked_from && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Forked from {preview.forked_from.name ? `"${preview.forked_from.name}"` : 'a setlist that is no longer public'}
+              </Typography>
+            )}
+
+            {preview.sections.map((section, index) => (
+              <Box key={section.name || `section-${index}`} sx={{ mb: 2 }}>
+                {section.name && (
+                  <>
+                    <Stack direction="row" alignItems="center">
+                      <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                        {section.name}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {formatDuration(section.duration)}
+                      </Typography>
+                    </Stack>
+                    <Divider />
+                  </>
+                )}
+                <List dense>
+                  {section.songs.map((song) => (
+                    <ListItem
+                      key={song.number}
+                      secondaryAction={
+                        <Typography variant="body2" color="text.secondary">
+                          {[
+                            song.key,
+                            song.tempo ? `${song.tempo} BPM` : null,
+                            song.duration ? formatDuration(song.duration) : null,
+                          ].filter(Boolean).join(' · ')}
+                        </Typography>
+                      }
+                    >
+                      <ListItemText primary={`${song.number}. ${song.title}${song.artist ? ` – ${song.artist}` : ''}`} />
+                    </ListItem>
+                  ))}
+                </List>
+              </Box>
+            ))}
+
+            <Divider sx={{ my: 2 }} />
+
+            {lastFork ? (
+              <Alert
+                severity="success"
+                action={
+                  <Button component={RouterLink} to={`/setlists/${lastFork.setlist.id}/edit`} color="inherit" size="small">
+                    Open
+                  </Button>
+                }
+              >
+                Forked as "{lastFork.setlist.name}".{' '}
+                {lastFork.created_songs.length > 0
+                  ? `${lastFork.created_songs.length} new ${lastFork.created_songs.length === 1 ? 'song was' : 'songs were'} added to your library.`
+                  : 'All songs were already in your library.'}
+              </Alert>
+            ) : (
+              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                <TextField
+                  select
+                  label="Fork into"
+                  size="small"
+                  value={bandId}
+                  onChange={(e) => setBandId(e.target.value)}
+                  sx={{ minWidth: 200 }}
+                >
+                  <MenuItem value="">My setlists</MenuItem>
+                  {bands.map((band) => (
+                    <MenuItem key={band.id} value={band.id}>{band.name}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  label="Name"
+                  size="small"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  sx={{ flexGrow: 1 }}
+                />
+              </Stack>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        {preview && !lastFork && (
+          <Button variant="contained" startIcon={<ForkIcon />} onClick={handleFork} disabled={isForking}>
+            Fork
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default GalleryPreviewDialog;
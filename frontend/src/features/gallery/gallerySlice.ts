@@ -0,0 +1,232 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+import { Setlist } from '../setlists/setlistsSlice';
+import { SharedSection } from '../share/shareSlice';
+
+// Types
+export type GallerySort = 'updated_at' | 'created_at' | 'name' | 'fork_count';
+
+export interface GallerySetlist {
+  id: string;
+  name: string;
+  description: string | null;
+  band: { id: string; name: string } | null;
+  creator: { id: string; username: string } | null;
+  song_count: number;
+  total_duration: number;
+  fork_count: number;
+  // The original's name is null once it is no longer public
+  forked_from: { id: string; name: string | null } | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface GalleryPreview extends GallerySetlist {
+  target_duration: number | null;
+  sections: SharedSection[];
+}
+
+export interface GalleryFilters {
+  q?: string;
+  artist?: string;
+  song?: string;
+  sort?: GallerySort;
+  order?: 'asc' | 'desc';
+}
+
+export interface GalleryPage {
+  setlists: GallerySetlist[];
+  next_cursor: string | null;
+}
+
+export interface ForkResult {
+  setlist: Setlist;
+  created_songs: { id: string; title: string; artist: string | null }[];
+  matched_count: number;
+}
+
+// State type
+interface GalleryState {
+  setlists: GallerySetlist[];
+  filters: GalleryFilters;
+  nextCursor: string | null;
+  preview: GalleryPreview | null;
+  lastFork: ForkResult | null;
+  isLoading: boolean;
+  isLoadingMore: boolean;
+  isForking: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: GalleryState = {
+  setlists: [],
+  filters: {},
+  nextCursor: null,
+  preview: null,
+  lastFork: null,
+  isLoading: false,
+  isLoadingMore: false,
+  isForking: false,
+  error: null,
+};
+
+// Async thunks
+// Drop empty filters so they don't end up in the query string
+const filterParams = (filters: GalleryFilters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''));
+
+// Fetch the first page of public setlists matching the filters (by default, the current ones)
+export const fetchGallery = createAsyncThunk<
+  GalleryPage & { filters: GalleryFilters },
+  GalleryFilters | undefined,
+  { state: RootState }
+>(
+  'gallery/fetchGallery',
+  async (filters, { getState, rejectWithValue }) => {
+    const nextFilters = filters ?? getState().gallery.filters;
+    try {
+      const response = await axios.get('/api/gallery', { params: filterParams(nextFilters) });
+      return { ...response.data, filters: nextFilters };
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch the gallery');
+    }
+  }
+);
+
+// Fetch the page after the last one loaded, for infinite scroll
+export const fetchMoreGallery = createAsyncThunk<GalleryPage, void, { state: RootState }>(
+  'gallery/fetchMoreGallery',
+  async (_, { getState, rejectWithValue }) => {
+    const { filters, nextCursor } = getState().gallery;
+    try {
+      const response = await axios.get('/api/gallery', {
+        params: { ...filterParams(filters), cursor: nextCursor },
+      });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch the gallery');
+    }
+  },
+  {
+    // Nothing to do on the last page or while a page is already on its way
+    condition: (_, { getState }) => {
+      const { nextCursor, isLoadingMore } = getState().gallery;
+      return Boolean(nextCursor) && !isLoadingMore;
+    },
+  }
+);
+
+export const fetchGalleryPreview = createAsyncThunk<GalleryPreview, string, { state: RootState }>(
+  'gallery/fetchGalleryPreview',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/gallery/${id}`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch setlist');
+    }
+  }
+);
+
+export const forkSetlist = createAsyncThunk<
+  ForkResult,
+  { id: string; band_id?: string | null; name?: string },
+  { state: RootState }
+>(
+  'gallery/forkSetlist',
+  async ({ id, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/gallery/${id}/fork`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fork setlist');
+    }
+  }
+);
+
+// Slice
+const gallerySlice = createSlice({
+  name: 'gallery',
+  initialState,
+  reducers: {
+    clearPreview(state) {
+      state.preview = null;
+      state.lastFork = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch gallery
+      .addCase(fetchGallery.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchGallery.fulfilled, (state, action: PayloadAction<GalleryPage & { filters: GalleryFilters }>) => {
+        state.isLoading = false;
+        state.setlists = action.payload.setlists;
+        state.nextCursor = action.payload.next_cursor;
+        state.filters = action.payload.filters;
+      })
+      .addCase(fetchGallery.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Fetch more of the gallery
+      .addCase(fetchMoreGallery.pending, (state) => {
+        state.isLoadingMore = true;
+        state.error = null;
+      })
+      .addCase(fetchMoreGallery.fulfilled, (state, action: PayloadAction<GalleryPage>) => {
+        state.isLoadingMore = false;
+        // Setlists changed while paging may already be in the list
+        const ids = new Set(state.setlists.map((setlist) => setlist.id));
+        state.setlists.push(...action.payload.setlists.filter((setlist) => !ids.has(setlist.id)));
+        state.nextCursor = action.payload.next_cursor;
+      })
+      .addCase(fetchMoreGallery.rejected, (state, action) => {
+        state.isLoadingMore = false;
+        state.error = action.payload as string;
+      })
+
+      // Fetch preview
+      .addCase(fetchGalleryPreview.pending, (state) => {
+        state.preview = null;
+        state.lastFork = null;
+        state.error = null;
+      })
+      .addCase(fetchGalleryPreview.fulfilled, (state, action: PayloadAction<GalleryPreview>) => {
+        state.preview = action.payload;
+      })
+      .addCase(fetchGalleryPreview.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+
+      // Fork setlist
+      .addCase(forkSetlist.pending, (state) => {
+        state.isForking = true;
+        state.error = null;
+      })
+      .addCase(forkSetlist.fulfilled, (state, action) => {
+        state.isForking = false;
+        state.lastFork = action.payload;
+
+        const setlist = state.setlists.find((item) => item.id === action.meta.arg.id);
+        if (setlist) {
+          setlist.fork_count += 1;
+        }
+        if (state.preview?.id === action.meta.arg.id) {
+          state.preview.fork_count += 1;
+        }
+      })
+      .addCase(forkSetlist.rejected, (state, action) => {
+        state.isForking = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearPreview } = gallerySlice.actions;
+export default gallerySlice.reducer;
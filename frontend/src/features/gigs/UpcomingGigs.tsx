@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Alert,
+  Button,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Link,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { CalendarMonth as CalendarIcon } from '@mui/icons-material';
+import { format, parseISO } from 'date-fns';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { getSocket } from '../../services/socketService';
+import { fetchCalendarFeed, fetchUpcomingGigs, Gig, gigReceived, gigRemoved } from './gigsSlice';
+
+interface UpcomingGigsProps {
+  // Bands that can be subscribed to; defaults to the bands of the upcoming gigs
+  bands?: { id: string; name: string }[];
+}
+
+/**
+ * Format a time of a gig in the venue's time zone
+ * @param time - Timestamp
+ * @param timeZone - IANA time zone of the venue
+ */
+const formatGigTime = (time: string, timeZone: string) => {
+  try {
+    return new Intl.DateTimeFormat(undefined, { hour: '2-digit', minute: '2-digit', timeZone }).format(new Date(time));
+  } catch {
+    return format(new Date(time), 'HH:mm');
+  }
+};
+
+const describeTimes = (gig: Gig) => [
+  gig.load_in_at && `Load-in ${formatGigTime(gig.load_in_at, gig.timezone)}`,
+  gig.soundcheck_at && `Soundcheck ${formatGigTime(gig.soundcheck_at, gig.timezone)}`,
+  gig.set_time_at && `Set ${formatGigTime(gig.set_time_at, gig.timezone)}`,
+].filter(Boolean).join(' · ');
+
+// Dashboard card with the next gigs of the user's bands
+const UpcomingGigs: React.FC<UpcomingGigsProps> = ({ bands }) => {
+  const dispatch = useAppDispatch();
+  const { upcoming, calendarFeeds, error } = useAppSelector((state) => state.gigs);
+  const [feedBandId, setFeedBandId] = useState<string | null>(null);
+
+  useEffect(() => {
+    dispatch(fetchUpcomingGigs());
+
+    const socket = getSocket();
+    const handleSaved = (gig: Gig) => {
+      dispatch(gigReceived(gig));
+    };
+    const handleDeleted = (payload: { id: string }) => {
+      dispatch(gigRemoved(payload));
+    };
+
+    socket?.on('gig:created', handleSaved);
+    socket?.on('gig:updated', handleSaved);
+    socket?.on('gig:deleted', handleDeleted);
+
+    return () => {
+      socket?.off('gig:created', handleSaved);
+      socket?.off('gig:updated', handleSaved);
+      socket?.off('gig:deleted', handleDeleted);
+    };
+  }, [dispatch]);
+
+  const subscribable = bands ?? Array.from(
+    new Map(upcoming.filter((gig) => gig.band).map((gig) => [gig.band_id, gig.band!])).values()
+  );
+
+  const handleSubscribe = (bandId: string) => {
+    setFeedBandId(bandId);
+    if (!calendarFeeds[bandId]) {
+      dispatch(fetchCalendarFeed({ band_id: bandId }));
+    }
+  };
+
+  const feedUrl = feedBandId ? calendarFeeds[feedBandId] : undefined;
+
+  return (
+    <Card>
+      <CardHeader title="Upcoming gigs" />
+      <CardContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {upcoming.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No gigs coming up.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {upcoming.map((gig) => (
+              <ListItem key={gig.id} disableGutters divider>
+                <ListItemText
+                  primary={
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <span>
+                        {format(parseISO(gig.date), 'EEE d MMM')} – {gig.title || gig.venue}
+                      </span>
+                      {gig.status !== 'confirmed' && (
+                        <Chip
+                          label={gig.status}
+                          size="small"
+                          color={gig.status === 'cancelled' ? 'error' : 'warning'}
+                          variant="outlined"
+                        />
+                      )}
+                    </Stack>
+                  }
+                  secondary={
+                    <>
+                      {[gig.band?.name, gig.title ? gig.venue : null, describeTimes(gig)].filter(Boolean).join(' · ')}
+                      {gig.setlists.length > 0 && (
+                        <>
+                          <br />
+                          {gig.setlists.map((setlist, index) => (
+                            <React.Fragment key={setlist.id}>
+                              {index > 0 && ', '}
+                              <Link component={RouterLink} to={`/setlists/${setlist.id}`}>
+                                {setlist.name}
+                              </Link>
+                            </React.Fragment>
+                          ))}
+                        </>
+                      )}
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {subscribable.length > 0 && (
+          <Stack direction="row" spacing={1} sx={{ mt: 2, flexWrap: 'wrap' }}>
+            {subscribable.map((band) => (
+              <Button
+                key={band.id}
+                size="small"
+                startIcon={<CalendarIcon />}
+                onClick={() => handleSubscribe(band.id)}
+              >
+                {subscribable.length > 1 ? `Subscribe to ${band.name}` : 'Subscribe in your calendar'}
+              </Button>
+            ))}
+          </Stack>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(feedBandId)} onClose={() => setFeedBandId(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Subscribe to gigs</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Add this URL to your calendar app as a subscription (e.g. "From URL" in Google Calendar).
+            Anyone with the URL can see the band's gigs.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            value={feedUrl ?? 'Loading...'}
+            InputProps={{ readOnly: true }}
+            onFocus={(e) => e.target.select()}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => feedUrl && navigator.clipboard?.writeText(feedUrl)}
+            disabled={!feedUrl}
+          >
+            Copy
+          </Button>
+          <Button onClick={() => setFeedBandId(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default UpcomingGigs;
@@ -0,0 +1,280 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export type GigStatus = 'tentative' | 'confirmed' | 'cancelled';
+
+export interface GigSetlist {
+  id: string;
+  name: string;
+  target_duration: number | null;
+  gig_setlist: {
+    position: number;
+    set_time_at: string | null;
+  };
+}
+
+export interface Gig {
+  id: string;
+  band_id: string;
+  band?: { id: string; name: string };
+  title: string | null;
+  date: string;
+  venue: string;
+  address: string | null;
+  load_in_at: string | null;
+  soundcheck_at: string | null;
+  set_time_at: string | null;
+  ends_at: string | null;
+  timezone: string;
+  status: GigStatus;
+  contact_name: string | null;
+  contact_phone: string | null;
+  contact_email: string | null;
+  notes: string | null;
+  setlists: GigSetlist[];
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface GigInput {
+  band_id?: string;
+  title?: string | null;
+  date?: string;
+  venue?: string;
+  address?: string | null;
+  load_in_at?: string | null;
+  soundcheck_at?: string | null;
+  set_time_at?: string | null;
+  ends_at?: string | null;
+  timezone?: string;
+  status?: GigStatus;
+  contact_name?: string | null;
+  contact_phone?: string | null;
+  contact_email?: string | null;
+  notes?: string | null;
+  // Replaces the setlists played at the gig, in running order
+  setlists?: { setlist_id: string; set_time_at?: string | null }[];
+}
+
+export interface GigFilters {
+  band_id?: string;
+  upcoming?: boolean;
+  from?: string;
+  to?: string;
+  limit?: number;
+}
+
+// State type
+interface GigsState {
+  gigs: Gig[];
+  upcoming: Gig[];
+  // Calendar feed URL by band ID
+  calendarFeeds: Record<string, string>;
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: GigsState = {
+  gigs: [],
+  upcoming: [],
+  calendarFeeds: {},
+  isLoading: false,
+  error: null,
+};
+
+// How many upcoming gigs the dashboard shows
+const UPCOMING_LIMIT = 5;
+
+// Async thunks
+export const fetchGigs = createAsyncThunk<Gig[], GigFilters | undefined, { state: RootState }>(
+  'gigs/fetchGigs',
+  async (filters, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/gigs', { params: filters });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch gigs');
+    }
+  }
+);
+
+export const fetchUpcomingGigs = createAsyncThunk<Gig[], void, { state: RootState }>(
+  'gigs/fetchUpcomingGigs',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/gigs', { params: { upcoming: true, limit: UPCOMING_LIMIT } });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch upcoming gigs');
+    }
+  }
+);
+
+export const createGig = createAsyncThunk<Gig, GigInput, { state: RootState }>(
+  'gigs/createGig',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/gigs', data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to create gig');
+    }
+  }
+);
+
+export const updateGig = createAsyncThunk<Gig, { id: string; data: GigInput }, { state: RootState }>(
+  'gigs/updateGig',
+  async ({ id, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`/api/gigs/${id}`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to update gig');
+    }
+  }
+);
+
+export const deleteGig = createAsyncThunk<string, string, { state: RootState }>(
+  'gigs/deleteGig',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/gigs/${id}`);
+      return id;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to delete gig');
+    }
+  }
+);
+
+export const fetchCalendarFeed = createAsyncThunk<
+  { band_id: string; url: string },
+  { band_id: string; reset?: boolean },
+  { state: RootState }
+>(
+  'gigs/fetchCalendarFeed',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/gigs/calendar-feed', data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to get calendar feed');
+    }
+  }
+);
+
+// Keep gigs in date order, soonest first
+const byDate = (a: Gig, b: Gig) =>
+  a.date.localeCompare(b.date) || (a.set_time_at ?? '').localeCompare(b.set_time_at ?? '');
+
+// Slice
+const gigsSlice = createSlice({
+  name: 'gigs',
+  initialState,
+  reducers: {
+    gigReceived(state, action: PayloadAction<Gig>) {
+      const gig = action.payload;
+      state.gigs = [...state.gigs.filter((item) => item.id !== gig.id), gig].sort(byDate);
+
+      const today = new Date().toISOString().slice(0, 10);
+      state.upcoming = state.upcoming.filter((item) => item.id !== gig.id);
+      if (gig.date >= today) {
+        state.upcoming = [...state.upcoming, gig].sort(byDate).slice(0, UPCOMING_LIMIT);
+      }
+    },
+    gigRemoved(state, action: PayloadAction<{ id: string }>) {
+      state.gigs = state.gigs.filter((gig) => gig.id !== action.payload.id);
+      state.upcoming = state.upcoming.filter((gig) => gig.id !== action.payload.id);
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch gigs
+      .addCase(fetchGigs.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchGigs.fulfilled, (state, action: PayloadAction<Gig[]>) => {
+        state.isLoading = false;
+        state.gigs = action.payload;
+      })
+      .addCase(fetchGigs.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Fetch upcoming gigs
+      .addCase(fetchUpcomingGigs.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchUpcomingGigs.fulfilled, (state, action: PayloadAction<Gig[]>) => {
+        state.isLoading = false;
+        state.upcoming = action.payload;
+      })
+      .addCase(fetchUpcomingGigs.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Create gig
+      .addCase(createGig.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createGig.fulfilled, (state, action: PayloadAction<Gig>) => {
+        state.isLoading = false;
+        gigsSlice.caseReducers.gigReceived(state, action);
+      })
+      .addCase(createGig.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Update gig
+      .addCase(updateGig.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(updateGig.fulfilled, (state, action: PayloadAction<Gig>) => {
+        state.isLoading = false;
+        gigsSlice.caseReducers.gigReceived(state, action);
+      })
+      .addCase(updateGig.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Delete gig
+      .addCase(deleteGig.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(deleteGig.fulfilled, (state, action: PayloadAction<string>) => {
+        state.isLoading = false;
+        state.gigs = state.gigs.filter((gig) => gig.id !== action.payload);
+        state.upcoming = state.upcoming.filter((gig) => gig.id !== action.payload);
+      })
+      .addCase(deleteGig.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Calendar feed
+      .addCase(fetchCalendarFeed.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(fetchCalendarFeed.fulfilled, (state, action: PayloadAction<{ band_id: string; url: string }>) => {
+        state.calendarFeeds[action.payload.band_id] = action.payload.url;
+      })
+      .addCase(fetchCalendarFeed.rejected, (state, action) => {
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { gigReceived, gigRemoved } = gigsSlice.actions;
+export default gigsSlice.reducer;
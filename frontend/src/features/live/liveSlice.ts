@@ -0,0 +1,194 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+import { CLIENT_ID } from '../../services/clientId';
+import { emitWithAck } from '../../services/socketAck';
+import { getSocket } from '../../services/socketService';
+import { SetlistSong } from '../setlists/setlistsSlice';
+
+// Types
+export type LiveAction = 'next' | 'previous' | 'skip' | 'goto';
+
+export interface LiveSession {
+  setlist_id: string;
+  led_by: string;
+  started_at: string;
+  song_started_at: string | null;
+  server_time: string;
+  finished: boolean;
+  current_index: number;
+  song_count: number;
+  current: SetlistSong | null;
+  next: SetlistSong | null;
+  played: string[];
+  skipped: string[];
+  elapsed: number;
+  song_elapsed: number | null;
+  planned_start: number | null;
+  actual_start: number | null;
+  drift: number | null;
+}
+
+// State type
+interface LiveState {
+  session: LiveSession | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: LiveState = {
+  session: null,
+  isLoading: false,
+  error: null,
+};
+
+// The leader drives the show over the socket while it is connected, and through the API otherwise
+const isSocketConnected = () => Boolean(getSocket()?.connected);
+
+// Async thunks
+export const fetchLiveSession = createAsyncThunk<LiveSession | null, string, { state: RootState }>(
+  'live/fetchLiveSession',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlistId}/live`);
+      return response.data;
+    } catch (err: any) {
+      // A setlist that isn't being played live simply has no session
+      if (err.response?.status === 404 && err.response?.data?.msg === 'Setlist is not live') {
+        return null;
+      }
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch live show');
+    }
+  }
+);
+
+export const startLiveSession = createAsyncThunk<
+  LiveSession,
+  { setlist_id: string; setlist_song_id?: string; take_over?: boolean },
+  { state: RootState }
+>(
+  'live/startLiveSession',
+  async ({ setlist_id, ...data }, { rejectWithValue }) => {
+    try {
+      if (isSocketConnected()) {
+        const response = await emitWithAck<{ state: LiveSession }>('live:start', { setlist_id, ...data, client_id: CLIENT_ID });
+        return response.state;
+      }
+      const response = await axios.post(`/api/setlists/${setlist_id}/live`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || err.message || 'Failed to start live show');
+    }
+  }
+);
+
+export const moveLiveSession = createAsyncThunk<
+  LiveSession,
+  { setlist_id: string; action: LiveAction; setlist_song_id?: string },
+  { state: RootState }
+>(
+  'live/moveLiveSession',
+  async ({ setlist_id, action, setlist_song_id }, { rejectWithValue }) => {
+    try {
+      if (isSocketConnected()) {
+        const response = await emitWithAck<{ state: LiveSession }>(`live:${action}`, { setlist_id, setlist_song_id, client_id: CLIENT_ID });
+        return response.state;
+      }
+      const response = await axios.post(`/api/setlists/${setlist_id}/live/${action}`, { setlist_song_id });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || err.message || 'Failed to update live show');
+    }
+  }
+);
+
+export const endLiveSession = createAsyncThunk<string, string, { state: RootState }>(
+  'live/endLiveSession',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/setlists/${setlistId}/live`);
+      return setlistId;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to end live show');
+    }
+  }
+);
+
+// Slice
+const liveSlice = createSlice({
+  name: 'live',
+  initialState,
+  reducers: {
+    liveSessionUpdated(state, action: PayloadAction<LiveSession>) {
+      state.session = action.payload;
+    },
+    liveSessionEnded(state, action: PayloadAction<{ setlist_id: string }>) {
+      if (state.session?.setlist_id === action.payload.setlist_id) {
+        state.session = null;
+      }
+    },
+    clearLiveSession(state) {
+      state.session = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch live session
+      .addCase(fetchLiveSession.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchLiveSession.fulfilled, (state, action: PayloadAction<LiveSession | null>) => {
+        state.isLoading = false;
+        state.session = action.payload;
+      })
+      .addCase(fetchLiveSession.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Start live session
+      .addCase(startLiveSession.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(startLiveSession.fulfilled, (state, action: PayloadAction<LiveSession>) => {
+        state.isLoading = false;
+        state.session = action.payload;
+      })
+      .addCase(startLiveSession.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Move live session (no loading flag: the stage view must not flicker)
+      .addCase(moveLiveSession.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(moveLiveSession.fulfilled, (state, action: PayloadAction<LiveSession>) => {
+        state.session = action.payload;
+      })
+      .addCase(moveLiveSession.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+      
+      // End live session
+      .addCase(endLiveSession.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(endLiveSession.fulfilled, (state) => {
+        state.isLoading = false;
+        state.session = null;
+      })
+      .addCase(endLiveSession.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { liveSessionUpdated, liveSessionEnded, clearLiveSession } = liveSlice.actions;
+export default liveSlice.reducer;
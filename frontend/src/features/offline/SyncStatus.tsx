@@ -0,0 +1,109 @@
+import React, { useEffect } from 'react';
+import {
+  Alert,
+  AlertTitle,
+  Box,
+  Chip,
+  CircularProgress,
+  Snackbar,
+} from '@mui/material';
+import {
+  CloudOff as CloudOffIcon,
+  CloudUpload as CloudUploadIcon,
+} from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { syncOfflineChanges } from '../setlists/setlistsSlice';
+import { clearFailedMutations, connectivityChanged, loadPendingMutations, storageRecovered } from './offlineSlice';
+
+// How long to wait before trying again when a sync left changes behind
+const SYNC_RETRY_DELAY = 15000;
+
+const describeChanges = (count: number) => `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+// Shows when the app is offline or has changes waiting to sync, and syncs them once back online
+const SyncStatus: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isOnline, pending, failed, isSyncing, lastSyncedAt, storageError } = useAppSelector((state) => state.offline);
+  const conflict = useAppSelector((state) => state.setlists.conflict);
+
+  useEffect(() => {
+    dispatch(loadPendingMutations());
+
+    const handleOnline = () => dispatch(connectivityChanged(true));
+    const handleOffline = () => dispatch(connectivityChanged(false));
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [dispatch]);
+
+  useEffect(() => {
+    // A conflict waits for the user before the rest is synced on top of it
+    if (!isOnline || conflict || isSyncing || pending.length === 0) return;
+
+    const sinceLastSync = lastSyncedAt ? Date.now() - new Date(lastSyncedAt).getTime() : SYNC_RETRY_DELAY;
+    const timer = setTimeout(() => {
+      dispatch(syncOfflineChanges());
+    }, Math.max(0, SYNC_RETRY_DELAY - sinceLastSync));
+
+    return () => clearTimeout(timer);
+  }, [dispatch, isOnline, conflict, isSyncing, pending.length, lastSyncedAt]);
+
+  let status: React.ReactElement | null = null;
+  if (!isOnline) {
+    status = (
+      <Chip
+        icon={<CloudOffIcon />}
+        label={pending.length > 0 ? `Offline · ${describeChanges(pending.length)} saved on this device` : 'Offline'}
+        color="warning"
+      />
+    );
+  } else if (isSyncing) {
+    status = (
+      <Chip
+        icon={<CircularProgress size={16} color="inherit" />}
+        label={`Syncing ${describeChanges(pending.length)}…`}
+        color="info"
+      />
+    );
+  } else if (pending.length > 0) {
+    status = (
+      <Chip
+        icon={<CloudUploadIcon />}
+        label={`${describeChanges(pending.length)} waiting to sync`}
+        color="info"
+        onClick={conflict ? undefined : () => dispatch(syncOfflineChanges())}
+      />
+    );
+  }
+
+  return (
+    <>
+      {status && (
+        <Box sx={{ position: 'fixed', bottom: 16, left: 16, zIndex: (theme) => theme.zIndex.snackbar }}>
+          {status}
+        </Box>
+      )}
+
+      <Snackbar open={failed.length > 0} anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}>
+        <Alert severity="error" onClose={() => dispatch(clearFailedMutations())}>
+          <AlertTitle>{describeChanges(failed.length)} made offline could not be saved</AlertTitle>
+          {failed.map(({ mutation, message }) => (
+            <div key={mutation.id}>{message}</div>
+          ))}
+        </Alert>
+      </Snackbar>
+
+      <Snackbar open={Boolean(storageError) && failed.length === 0} anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}>
+        <Alert severity="warning" onClose={() => dispatch(storageRecovered())}>
+          {storageError}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default SyncStatus;
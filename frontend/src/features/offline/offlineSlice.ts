@@ -0,0 +1,117 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import { RootState } from '../../store';
+import { getQueuedMutations, QueuedMutation } from '../../services/offlineStore';
+
+// Types
+export interface FailedMutation {
+  mutation: QueuedMutation;
+  message: string;
+}
+
+// State type
+interface OfflineState {
+  isOnline: boolean;
+  // Changes made offline that haven't reached the server yet, oldest first
+  pending: QueuedMutation[];
+  // Changes the server refused when they were synced
+  failed: FailedMutation[];
+  isSyncing: boolean;
+  lastSyncedAt: string | null;
+  // Why setlists could not be saved on the device, until saving works again
+  storageError: string | null;
+}
+
+// Initial state
+const initialState: OfflineState = {
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+  pending: [],
+  failed: [],
+  isSyncing: false,
+  lastSyncedAt: null,
+  storageError: null,
+};
+
+// Async thunks
+// Pick up changes queued in an earlier session, e.g. before the app was closed backstage
+export const loadPendingMutations = createAsyncThunk<QueuedMutation[], void, { state: RootState }>(
+  'offline/loadPendingMutations',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await getQueuedMutations();
+    } catch (err: any) {
+      return rejectWithValue('Failed to read changes saved on this device');
+    }
+  }
+);
+
+// Slice
+const offlineSlice = createSlice({
+  name: 'offline',
+  initialState,
+  reducers: {
+    connectivityChanged(state, action: PayloadAction<boolean>) {
+      state.isOnline = action.payload;
+    },
+    mutationQueued(state, action: PayloadAction<QueuedMutation>) {
+      state.pending.push(action.payload);
+    },
+    mutationUpdated(state, action: PayloadAction<QueuedMutation>) {
+      const index = state.pending.findIndex((mutation) => mutation.id === action.payload.id);
+      if (index !== -1) {
+        state.pending[index] = action.payload;
+      }
+    },
+    mutationSynced(state, action: PayloadAction<number>) {
+      state.pending = state.pending.filter((mutation) => mutation.id !== action.payload);
+    },
+    mutationFailed(state, action: PayloadAction<{ id: number; message: string }>) {
+      const mutation = state.pending.find((item) => item.id === action.payload.id);
+      state.pending = state.pending.filter((item) => item.id !== action.payload.id);
+      if (mutation) {
+        state.failed.push({ mutation, message: action.payload.message });
+      }
+    },
+    syncStarted(state) {
+      state.isSyncing = true;
+    },
+    syncFinished(state) {
+      state.isSyncing = false;
+      state.lastSyncedAt = new Date().toISOString();
+    },
+    clearFailedMutations(state) {
+      state.failed = [];
+    },
+    storageFailed(state, action: PayloadAction<string>) {
+      state.storageError = action.payload;
+    },
+    storageRecovered(state) {
+      state.storageError = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadPendingMutations.fulfilled, (state, action: PayloadAction<QueuedMutation[]>) => {
+        // Changes queued since the app started are already in the list
+        const ids = new Set(state.pending.map((mutation) => mutation.id));
+        state.pending = [...action.payload.filter((mutation) => !ids.has(mutation.id)), ...state.pending]
+          .sort((a, b) => a.id - b.id);
+      })
+      .addCase(loadPendingMutations.rejected, (state, action) => {
+        state.storageError = action.payload as string;
+      });
+  },
+});
+
+export const {
+  connectivityChanged,
+  mutationQueued,
+  mutationUpdated,
+  mutationSynced,
+  mutationFailed,
+  syncStarted,
+  syncFinished,
+  clearFailedMutations,
+  storageFailed,
+  storageRecovered,
+} = offlineSlice.actions;
+export default offlineSlice.reducer;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Avatar, AvatarGroup, Tooltip } from '@mui/material';
+import { shallowEqual } from 'react-redux';
+import { useAppSelector } from '../../hooks/reduxHooks';
+import { PresenceUser, selectOtherMembers } from './presenceSlice';
+
+// Colours members are told apart by, in avatars and in slot highlights
+const MEMBER_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fb8c00', '#6d4c41'];
+
+// The same user gets the same colour in every tab
+export const memberColor = (userId: string) => {
+  const hash = Array.from(userId).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return MEMBER_COLORS[hash % MEMBER_COLORS.length];
+};
+
+const initials = (user: PresenceUser) =>
+  (user.username || '?')
+    .split(/[\s._-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+
+interface MemberAvatarProps {
+  user: PresenceUser;
+  size?: number;
+}
+
+export const MemberAvatar: React.FC<MemberAvatarProps> = ({ user, size = 32 }) => (
+  <Avatar sx={{ width: size, height: size, fontSize: size * 0.4, bgcolor: memberColor(user.id) }}>
+    {initials(user)}
+  </Avatar>
+);
+
+// Who else has the setlist open, for the editor's toolbar
+const PresenceAvatars: React.FC<{ max?: number }> = ({ max = 5 }) => {
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const members = useAppSelector((state) => selectOtherMembers(state, userId), shallowEqual);
+
+  if (members.length === 0) {
+    return null;
+  }
+
+  return (
+    <AvatarGroup max={max}>
+      {members.map((member) => (
+        <Tooltip
+          key={member.user.id}
+          title={`${member.user.username ?? 'Someone'} is ${member.mode === 'editing' ? 'editing' : 'viewing'}`}
+        >
+          <span>
+            <MemberAvatar user={member.user} />
+          </span>
+        </Tooltip>
+      ))}
+    </AvatarGroup>
+  );
+};
+
+export default PresenceAvatars;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import { useAppSelector } from '../../hooks/reduxHooks';
+import { MemberAvatar, memberColor } from './PresenceAvatars';
+import { selectSlotPresence } from './presenceSlice';
+
+/**
+ * Outline for a setlist song row that someone else is dragging or editing,
+ * in that member's colour; empty when nobody is
+ */
+export const useSlotHighlight = (setlistSongId: string) => {
+  const lock = useAppSelector((state) => selectSlotPresence(state, setlistSongId).lock);
+  const member = useAppSelector((state) => selectSlotPresence(state, setlistSongId).members[0]);
+  const user = lock?.user ?? member?.user;
+  return user ? { outline: `2px solid ${memberColor(user.id)}`, outlineOffset: -2 } : {};
+};
+
+// Says who else is dragging or editing a setlist song, shown in its row
+const SlotPresence: React.FC<{ setlistSongId: string }> = ({ setlistSongId }) => {
+  const lock = useAppSelector((state) => selectSlotPresence(state, setlistSongId).lock);
+  const member = useAppSelector((state) => selectSlotPresence(state, setlistSongId).members[0]);
+
+  // A lock means they are in the middle of changing it
+  if (lock) {
+    return (
+      <Chip
+        size="small"
+        color="warning"
+        avatar={<MemberAvatar user={lock.user} size={20} />}
+        label={`${lock.user.username ?? 'Someone'} is editing`}
+        variant="outlined"
+      />
+    );
+  }
+
+  if (!member?.activity) {
+    return null;
+  }
+
+  return (
+    <Chip
+      size="small"
+      avatar={<MemberAvatar user={member.user} size={20} />}
+      label={`${member.user.username ?? 'Someone'} is ${member.activity.activity}`}
+      variant="outlined"
+    />
+  );
+};
+
+export default SlotPresence;
@@ -0,0 +1,189 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import { RootState } from '../../store';
+import { getSocket } from '../../services/socketService';
+import { emitWithAck } from '../../services/socketAck';
+
+// Types
+export type PresenceMode = 'viewing' | 'editing';
+
+export type PresenceActivity = 'dragging' | 'editing';
+
+export interface PresenceUser {
+  id: string;
+  username: string | null;
+}
+
+export interface PresenceMember {
+  // One member per open tab, so a user can be here more than once
+  socket_id: string;
+  user: PresenceUser;
+  mode: PresenceMode;
+  can_edit: boolean;
+  activity: { setlist_song_id: string; activity: PresenceActivity } | null;
+  joined_at: string;
+}
+
+// Someone is editing a slot; expires unless renewed
+export interface SoftLock {
+  setlist_song_id: string;
+  socket_id: string;
+  user: PresenceUser;
+  expires_at: string;
+}
+
+export interface SetlistPresence {
+  setlist_id: string;
+  members: PresenceMember[];
+  locks: SoftLock[];
+}
+
+// State type
+interface PresenceState {
+  presence: SetlistPresence | null;
+  // The lock this tab holds on the slot it is editing
+  ownLock: SoftLock | null;
+  error: string | null;
+}
+
+// Initial state
+const initialState: PresenceState = {
+  presence: null,
+  ownLock: null,
+  error: null,
+};
+
+// Async thunks
+export const joinSetlistPresence = createAsyncThunk<
+  SetlistPresence,
+  { setlist_id: string; mode: PresenceMode },
+  { state: RootState }
+>(
+  'presence/joinSetlistPresence',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await emitWithAck<{ presence: SetlistPresence }>('setlist:join', data);
+      return response.presence;
+    } catch (err: any) {
+      return rejectWithValue(err.message || 'Failed to join setlist');
+    }
+  }
+);
+
+// Lock a slot while editing it; calling it again renews the lock
+export const acquireSoftLock = createAsyncThunk<
+  SoftLock,
+  { setlist_id: string; setlist_song_id: string },
+  { state: RootState }
+>(
+  'presence/acquireSoftLock',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await emitWithAck<{ lock: SoftLock }>('lock:acquire', data);
+      return response.lock;
+    } catch (err: any) {
+      return rejectWithValue(err.message || 'Failed to lock song');
+    }
+  }
+);
+
+export const releaseSoftLock = createAsyncThunk<
+  void,
+  { setlist_id: string; setlist_song_id: string },
+  { state: RootState }
+>(
+  'presence/releaseSoftLock',
+  async (data) => {
+    getSocket()?.emit('lock:release', data);
+  }
+);
+
+// Selectors
+// Everyone else who has the setlist open, once per user; editors first
+export const selectOtherMembers = (state: RootState, userId?: string): PresenceMember[] => {
+  const members = (state.presence.presence?.members ?? []).filter((member) => member.user.id !== userId);
+  const byUser = new Map<string, PresenceMember>();
+  members.forEach((member) => {
+    const seen = byUser.get(member.user.id);
+    if (!seen || (seen.mode === 'viewing' && member.mode === 'editing')) {
+      byUser.set(member.user.id, member);
+    }
+  });
+  return Array.from(byUser.values()).sort((a, b) => (a.mode === b.mode ? 0 : a.mode === 'editing' ? -1 : 1));
+};
+
+// Who else is working on a slot: the holder of its lock and anyone dragging or editing it
+export const selectSlotPresence = (
+  state: RootState,
+  setlistSongId: string
+): { lock: SoftLock | null; members: PresenceMember[] } => {
+  const socketId = getSocket()?.id;
+  const presence = state.presence.presence;
+  return {
+    lock: presence?.locks.find(
+      (lock) => lock.setlist_song_id === setlistSongId && lock.socket_id !== socketId
+    ) ?? null,
+    members: (presence?.members ?? []).filter(
+      (member) => member.activity?.setlist_song_id === setlistSongId && member.socket_id !== socketId
+    ),
+  };
+};
+
+// Slice
+const presenceSlice = createSlice({
+  name: 'presence',
+  initialState,
+  reducers: {
+    presenceUpdated(state, action: PayloadAction<SetlistPresence>) {
+      if (state.presence?.setlist_id === action.payload.setlist_id) {
+        state.presence = action.payload;
+      }
+    },
+    presenceCleared(state) {
+      state.presence = null;
+      state.ownLock = null;
+      state.error = null;
+    },
+    clearPresenceError(state) {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Join setlist presence
+      .addCase(joinSetlistPresence.pending, (state, action) => {
+        // Updates for this setlist are taken from now on
+        state.presence = { setlist_id: action.meta.arg.setlist_id, members: [], locks: [] };
+        state.error = null;
+      })
+      .addCase(joinSetlistPresence.fulfilled, (state, action: PayloadAction<SetlistPresence>) => {
+        if (state.presence?.setlist_id === action.payload.setlist_id) {
+          state.presence = action.payload;
+        }
+      })
+      .addCase(joinSetlistPresence.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
+
+      // Acquire soft lock
+      .addCase(acquireSoftLock.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(acquireSoftLock.fulfilled, (state, action: PayloadAction<SoftLock>) => {
+        state.ownLock = action.payload;
+      })
+      .addCase(acquireSoftLock.rejected, (state, action) => {
+        state.ownLock = null;
+        state.error = action.payload as string;
+      })
+
+      // Release soft lock
+      .addCase(releaseSoftLock.pending, (state, action) => {
+        if (state.ownLock?.setlist_song_id === action.meta.arg.setlist_song_id) {
+          state.ownLock = null;
+        }
+      });
+  },
+});
+
+export const { presenceUpdated, presenceCleared, clearPresenceError } = presenceSlice.actions;
+export default presenceSlice.reducer;
@@ -0,0 +1,87 @@
+import { useCallback, useEffect } from 'react';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { getSocket } from '../../services/socketService';
+import {
+  acquireSoftLock,
+  joinSetlistPresence,
+  PresenceActivity,
+  PresenceMode,
+  presenceCleared,
+  presenceUpdated,
+  releaseSoftLock,
+  SetlistPresence,
+} from './presenceSlice';
+
+// Renew the lock well before the server lets it expire (after 30 seconds)
+const LOCK_RENEW_INTERVAL = 10000;
+
+/**
+ * Be present in a setlist while the component using it is mounted: join its
+ * room, keep the members and locks in the store, and rejoin after reconnecting.
+ * Returns functions to report what this tab is doing with the songs.
+ */
+export const useSetlistPresence = (setlistId: string | undefined, mode: PresenceMode) => {
+  const dispatch = useAppDispatch();
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const lockedSongId = useAppSelector((state) => state.presence.ownLock?.setlist_song_id);
+
+  useEffect(() => {
+    const socket = getSocket();
+    if (!setlistId || !userId || !socket) return;
+
+    const join = () => {
+      dispatch(joinSetlistPresence({ setlist_id: setlistId, mode }));
+    };
+    const handleUpdated = (presence: SetlistPresence) => {
+      dispatch(presenceUpdated(presence));
+    };
+
+    socket.on('presence:updated', handleUpdated);
+    // A new connection is a new member to the server
+    socket.on('connect', join);
+    join();
+
+    return () => {
+      socket.emit('setlist:leave', { setlist_id: setlistId });
+      socket.off('presence:updated', handleUpdated);
+      socket.off('connect', join);
+      dispatch(presenceCleared());
+    };
+  }, [dispatch, setlistId, userId, mode]);
+
+  // Keep the lock while the slot is being edited
+  useEffect(() => {
+    if (!lockedSongId || !setlistId) return;
+
+    const timer = setInterval(() => {
+      dispatch(acquireSoftLock({ setlist_id: setlistId, setlist_song_id: lockedSongId }));
+    }, LOCK_RENEW_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [dispatch, setlistId, lockedSongId]);
+
+  // Show the others which song this tab is dragging or editing; null clears it
+  const reportActivity = useCallback((setlistSongId: string | null, activity?: PresenceActivity) => {
+    if (!setlistId) return;
+    getSocket()?.emit('presence:activity', { setlist_id: setlistId, setlist_song_id: setlistSongId, activity });
+  }, [setlistId]);
+
+  // Lock a slot before editing it; resolves to false when someone else holds it
+  const startEditing = useCallback(async (setlistSongId: string) => {
+    if (!setlistId) return false;
+    const result = await dispatch(acquireSoftLock({ setlist_id: setlistId, setlist_song_id: setlistSongId }));
+    if (acquireSoftLock.fulfilled.match(result)) {
+      reportActivity(setlistSongId, 'editing');
+      return true;
+    }
+    return false;
+  }, [dispatch, setlistId, reportActivity]);
+
+  const stopEditing = useCallback((setlistSongId: string) => {
+    if (!setlistId) return;
+    dispatch(releaseSoftLock({ setlist_id: setlistId, setlist_song_id: setlistSongId }));
+    reportActivity(null);
+  }, [dispatch, setlistId, reportActivity]);
+
+  return { reportActivity, startEditing, stopEditing };
+};
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import { PersonRemove as PersonRemoveIcon } from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import {
+  addCollaborator,
+  clearCollaborators,
+  fetchCollaborators,
+  hasPermission,
+  removeCollaborator,
+  Setlist,
+  SetlistCollaborator,
+} from './setlistsSlice';
+
+interface CollaboratorsDialogProps {
+  setlist: Setlist | null;
+  open: boolean;
+  onClose: () => void;
+}
+
+// People outside the band who have access to one setlist, e.g. a dep player
+const CollaboratorsDialog: React.FC<CollaboratorsDialogProps> = ({ setlist, open, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { collaborators, isLoading, error } = useAppSelector((state) => state.setlists);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<SetlistCollaborator['role']>('viewer');
+  const canManage = hasPermission(setlist, 'manage');
+
+  useEffect(() => {
+    if (open && setlist) {
+      dispatch(fetchCollaborators(setlist.id));
+    }
+    return () => {
+      dispatch(clearCollaborators());
+    };
+  }, [dispatch, open, setlist]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!setlist || !email.trim()) return;
+
+    const result = await dispatch(addCollaborator({ setlistId: setlist.id, email: email.trim(), role }));
+    if (addCollaborator.fulfilled.match(result)) {
+      setEmail('');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Collaborators</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Give people outside the band access to "{setlist?.name}". Editors can change the setlist
+          and play it live; viewers can only see it.
+        </DialogContentText>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {collaborators.length === 0 ? (
+          <DialogContentText>No collaborators yet.</DialogContentText>
+        ) : (
+          <List dense>
+            {collaborators.map((collaborator) => (
+              <ListItem
+                key={collaborator.id}
+                secondaryAction={canManage && (
+                  <IconButton
+                    edge="end"
+                    aria-label="remove"
+                    onClick={() => setlist && dispatch(removeCollaborator({
+                      setlistId: setlist.id,
+                      userId: collaborator.user_id,
+                    }))}
+                    disabled={isLoading}
+                  >
+                    <PersonRemoveIcon />
+                  </IconButton>
+                )}
+              >
+                <ListItemText
+                  primary={collaborator.user.username}
+                  secondary={collaborator.user.email ? `${collaborator.user.email} · ${collaborator.role}` : collaborator.role}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {canManage && (
+          <Box component="form" onSubmit={handleAdd} sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <TextField
+              label="Email"
+              type="email"
+              size="small"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              sx={{ flexGrow: 1 }}
+            />
+            <TextField
+              select
+              label="Role"
+              size="small"
+              value={role}
+              onChange={(e) => setRole(e.target.value as SetlistCollaborator['role'])}
+              sx={{ width: 120 }}
+            >
+              <MenuItem value="viewer">Viewer</MenuItem>
+              <MenuItem value="editor">Editor</MenuItem>
+            </TextField>
+            <Button type="submit" variant="contained" disabled={isLoading || !email.trim()}>
+              Add
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CollaboratorsDialog;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Alert, Snackbar } from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { clearOperationError } from './setlistsSlice';
+
+// How long the toast stays up
+const AUTO_HIDE_DURATION = 6000;
+
+// Tells the user when a change shown right away was refused by the server and undone
+const OperationErrorToast: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const operationError = useAppSelector((state) => state.setlists.operationError);
+
+  const handleClose = (_event?: React.SyntheticEvent | Event, reason?: string) => {
+    if (reason === 'clickaway') return;
+    dispatch(clearOperationError());
+  };
+
+  return (
+    <Snackbar
+      open={Boolean(operationError)}
+      autoHideDuration={AUTO_HIDE_DURATION}
+      onClose={handleClose}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+    >
+      <Alert severity="error" onClose={handleClose}>
+        {operationError} – the change was undone.
+      </Alert>
+    </Snackbar>
+  );
+};
+
+export default OperationErrorToast;
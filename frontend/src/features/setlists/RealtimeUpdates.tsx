@@ -0,0 +1,72 @@
+import React, { useEffect } from 'react';
+import { Snackbar } from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { getSocket } from '../../services/socketService';
+import { CLIENT_ID } from '../../services/clientId';
+import {
+  ChangedBy,
+  clearRemoteChange,
+  remoteSetlistCreated,
+  remoteSetlistDeleted,
+  remoteSetlistSongAdded,
+  remoteSetlistSongRemoved,
+  remoteSetlistSongsEdited,
+  remoteSetlistSongsReordered,
+  remoteSetlistSongUpdated,
+  remoteSetlistUpdated,
+} from './setlistsSlice';
+
+// How long the "updated by" notice stays up
+const NOTICE_DURATION = 4000;
+
+// Setlist events and the reducer that merges each one into the store
+const EVENTS: [string, (payload: any) => { type: string }][] = [
+  ['setlist:created', remoteSetlistCreated],
+  ['setlist:updated', remoteSetlistUpdated],
+  ['setlist:deleted', remoteSetlistDeleted],
+  ['setlist:song:added', remoteSetlistSongAdded],
+  ['setlist:song:updated', remoteSetlistSongUpdated],
+  ['setlist:song:removed', remoteSetlistSongRemoved],
+  ['setlist:songs:reordered', remoteSetlistSongsReordered],
+  ['setlist:songs:edited', remoteSetlistSongsEdited],
+];
+
+// Keeps setlists in sync with changes bandmates make, and says who made them
+const RealtimeUpdates: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const userId = useAppSelector((state) => state.auth.user?.id);
+  const remoteChange = useAppSelector((state) => state.setlists.remoteChange);
+
+  useEffect(() => {
+    // The socket is connected once the user is signed in (see App)
+    const socket = userId ? getSocket() : null;
+    if (!socket) return;
+
+    const handlers = EVENTS.map(([event, received]) => {
+      const handler = (payload: { changed_by?: ChangedBy }) => {
+        // This tab already shows its own changes
+        if (payload.changed_by?.client_id === CLIENT_ID) return;
+        dispatch(received(payload));
+      };
+      socket.on(event, handler);
+      return [event, handler] as const;
+    });
+
+    return () => {
+      handlers.forEach(([event, handler]) => socket.off(event, handler));
+    };
+  }, [dispatch, userId]);
+
+  return (
+    <Snackbar
+      key={remoteChange?.received_at}
+      open={Boolean(remoteChange)}
+      autoHideDuration={NOTICE_DURATION}
+      onClose={() => dispatch(clearRemoteChange())}
+      anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      message={remoteChange?.message}
+    />
+  );
+};
+
+export default RealtimeUpdates;
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { Autocomplete, Box, MenuItem, TextField } from '@mui/material';
+import { SetlistFilters as Filters, SetlistSort } from './setlistsSlice';
+
+interface Option {
+  id: string;
+  label: string;
+}
+
+interface SetlistFiltersProps {
+  filters: Filters;
+  onChange: (filters: Filters) => void;
+  bands?: { id: string; name: string }[];
+  members?: { id: string; username: string }[];
+  songs?: { id: string; title: string; artist?: string }[];
+}
+
+// Sort options as "field:order"
+const SORT_OPTIONS: { value: string; label: string }[] = [
+  { value: 'updated_at:desc', label: 'Recently updated' },
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name (A–Z)' },
+  { value: 'name:desc', label: 'Name (Z–A)' },
+];
+
+// How long to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+
+const SetlistFilters: React.FC<SetlistFiltersProps> = ({
+  filters,
+  onChange,
+  bands = [],
+  members = [],
+  songs = [],
+}) => {
+  const [search, setSearch] = useState(filters.q ?? '');
+
+  useEffect(() => {
+    setSearch(filters.q ?? '');
+  }, [filters.q]);
+
+  useEffect(() => {
+    if (search === (filters.q ?? '')) return;
+
+    const timer = setTimeout(() => onChange({ ...filters, q: search || undefined }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, filters, onChange]);
+
+  const update = (changes: Partial<Filters>) => onChange({ ...filters, ...changes });
+
+  const songOptions: Option[] = songs.map((song) => ({
+    id: song.id,
+    label: song.artist ? `${song.title} – ${song.artist}` : song.title,
+  }));
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+      <TextField
+        label="Search"
+        size="small"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        sx={{ minWidth: 220, flexGrow: 1 }}
+      />
+
+      <TextField
+        select
+        label="Band"
+        size="small"
+        value={filters.band_id ?? ''}
+        onChange={(e) => update({ band_id: e.target.value || undefined })}
+        sx={{ minWidth: 160 }}
+      >
+        <MenuItem value="">All</MenuItem>
+        <MenuItem value="none">Personal</MenuItem>
+        {bands.map((band) => (
+          <MenuItem key={band.id} value={band.id}>{band.name}</MenuItem>
+        ))}
+      </TextField>
+
+      <TextField
+        select
+        label="Visibility"
+        size="small"
+        value={filters.visibility ?? ''}
+        onChange={(e) => update({ visibility: (e.target.value || undefined) as Filters['visibility'] })}
+        sx={{ minWidth: 140 }}
+      >
+        <MenuItem value="">All</MenuItem>
+        <MenuItem value="public">Public</MenuItem>
+        <MenuItem value="private">Private</MenuItem>
+      </TextField>
+
+      {members.length > 0 && (
+        <TextField
+          select
+          label="Created by"
+          size="small"
+          value={filters.created_by ?? ''}
+          onChange={(e) => update({ created_by: e.target.value || undefined })}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">Anyone</MenuItem>
+          {members.map((member) => (
+            <MenuItem key={member.id} value={member.id}>{member.username}</MenuItem>
+          ))}
+        </TextField>
+      )}
+
+      <TextField
+        label="Created from"
+        type="date"
+        size="small"
+        value={filters.created_after?.slice(0, 10) ?? ''}
+        onChange={(e) => update({ created_after: e.target.value || undefined })}
+        InputLabelProps={{ shrink: true }}
+      />
+      <TextField
+        label="Created until"
+        type="date"
+        size="small"
+        value={filters.created_before?.slice(0, 10) ?? ''}
+        // Include the whole of the last day
+        onChange={(e) => update({ created_before: e.target.value ? `${e.target.value}T23:59:59.999Z` : undefined })}
+        InputLabelProps={{ shrink: true }}
+      />
+
+      {songOptions.length > 0 && (
+        <Autocomplete
+          size="small"
+          options={songOptions}
+          value={songOptions.find((option) => option.id === filters.song_id) ?? null}
+          onChange={(_, option) => update({ song_id: option?.id })}
+          isOptionEqualToValue={(option, value) => option.id === value.id}
+          renderInput={(params) => <TextField {...params} label="Contains song" />}
+          sx={{ minWidth: 220 }}
+        />
+      )}
+
+      <TextField
+        select
+        label="Sort"
+        size="small"
+        value={`${filters.sort ?? 'updated_at'}:${filters.order ?? (filters.sort === 'name' ? 'asc' : 'desc')}`}
+        onChange={(e) => {
+          const [sort, order] = e.target.value.split(':');
+          update({ sort: sort as SetlistSort, order: order as Filters['order'] });
+        }}
+        sx={{ minWidth: 180 }}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+        ))}
+      </TextField>
+    </Box>
+  );
+};
+
+export default SetlistFilters;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Link as RouterLink } from 'react-router-dom';
 import {
   Grid,
@@ -17,6 +17,8 @@ import {
   DialogContentText,
   DialogActions,
   Tooltip,
+  Box,
+  CircularProgress,
 } from '@mui/material';
 import { 
   MoreVert as MoreVertIcon,
@@ -28,28 +30,45 @@ import {
   Lock as LockIcon,
   MusicNote as MusicNoteIcon,
   People as PeopleIcon,
+  AccessTime as AccessTimeIcon,
+  GroupAdd as GroupAddIcon,
+  ViewQuilt as TemplateIcon,
 } from '@mui/icons-material';
-import { useAppDispatch } from '../../hooks/reduxHooks';
-import { deleteSetlist, Setlist } from './setlistsSlice';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { deleteSetlist, duplicateSetlist, hasPermission, Setlist } from './setlistsSlice';
+import CollaboratorsDialog from './CollaboratorsDialog';
+import SaveAsTemplateDialog from '../templates/SaveAsTemplateDialog';
 import { formatDistanceToNow } from 'date-fns';
+import { formatDuration } from '../../utils/formatDuration';
 
 interface SetlistListProps {
   setlists: Setlist[];
   onEdit?: (setlist: Setlist) => void;
   onCopy?: (setlist: Setlist) => void;
   onShare?: (setlist: Setlist) => void;
+  // Infinite scroll: called when the end of the list comes into view
+  hasMore?: boolean;
+  isLoadingMore?: boolean;
+  onLoadMore?: () => void;
 }
 
 const SetlistList: React.FC<SetlistListProps> = ({ 
   setlists, 
   onEdit,
   onCopy,
-  onShare
+  onShare,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore
 }) => {
   const dispatch = useAppDispatch();
+  const { bands } = useAppSelector((state) => state.bands);
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
   const [anchorEl, setAnchorEl] = useState<null | HTMLElement>(null);
   const [selectedSetlist, setSelectedSetlist] = useState<Setlist | null>(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [collaboratorsDialogOpen, setCollaboratorsDialogOpen] = useState(false);
+  const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
   
   const handleMenuOpen = (event: React.MouseEvent<HTMLElement>, setlist: Setlist) => {
     setAnchorEl(event.currentTarget);
@@ -68,8 +87,12 @@ const SetlistList: React.FC<SetlistListProps> = ({
   };
   
   const handleCopyClick = () => {
-    if (selectedSetlist && onCopy) {
-      onCopy(selectedSetlist);
+    if (selectedSetlist) {
+      if (onCopy) {
+        onCopy(selectedSetlist);
+      } else {
+        dispatch(duplicateSetlist({ id: selectedSetlist.id }));
+      }
     }
     handleMenuClose();
   };
@@ -81,6 +104,16 @@ const SetlistList: React.FC<SetlistListProps> = ({
     handleMenuClose();
   };
   
+  const handleCollaboratorsClick = () => {
+    handleMenuClose();
+    setCollaboratorsDialogOpen(true);
+  };
+  
+  const handleSaveAsTemplateClick = () => {
+    handleMenuClose();
+    setTemplateDialogOpen(true);
+  };
+  
   const handleDeleteClick = () => {
     handleMenuClose();
     setDeleteDialogOpen(true);
@@ -97,6 +130,20 @@ const SetlistList: React.FC<SetlistListProps> = ({
     setDeleteDialogOpen(false);
   };
   
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || !onLoadMore) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+    
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore, setlists.length]);
+  
   if (setlists.length === 0) {
     return (
       <Typography variant="body1" sx={{ mt: 2, textAlign: 'center' }}>
@@ -139,6 +186,24 @@ const SetlistList: React.FC<SetlistListProps> = ({
                     </Tooltip>
                   )}
                   
+                  {setlist.total_duration !== undefined && (
+                    <Tooltip
+                      title={setlist.target_duration
+                        ? `Target ${formatDuration(setlist.target_duration)}`
+                        : 'Total running time'}
+                    >
+                      <Chip 
+                        icon={<AccessTimeIcon />} 
+                        label={formatDuration(setlist.total_duration)} 
+                        size="small" 
+                        color={setlist.timing_status === 'over'
+                          ? 'error'
+                          : setlist.timing_status === 'under' ? 'warning' : 'default'} 
+                        variant="outlined" 
+                      />
+                    </Tooltip>
+                  )}
+                  
                   {setlist.band_id && (
                     <Tooltip title="Band setlist">
                       <Chip 
@@ -188,29 +253,62 @@ const SetlistList: React.FC<SetlistListProps> = ({
         ))}
       </Grid>
       
+      {hasMore && (
+        <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          {isLoadingMore && <CircularProgress size={32} />}
+        </Box>
+      )}
+      
       <Menu
         anchorEl={anchorEl}
         open={Boolean(anchorEl)}
         onClose={handleMenuClose}
       >
-        <MenuItem onClick={handleEditClick}>
-          <EditIcon fontSize="small" sx={{ mr: 1 }} />
-          Edit
-        </MenuItem>
+        {hasPermission(selectedSetlist, 'edit') && (
+          <MenuItem onClick={handleEditClick}>
+            <EditIcon fontSize="small" sx={{ mr: 1 }} />
+            Edit
+          </MenuItem>
+        )}
         <MenuItem onClick={handleCopyClick}>
           <CopyIcon fontSize="small" sx={{ mr: 1 }} />
           Duplicate
         </MenuItem>
-        <MenuItem onClick={handleShareClick}>
-          <ShareIcon fontSize="small" sx={{ mr: 1 }} />
-          Share
+        <MenuItem onClick={handleSaveAsTemplateClick}>
+          <TemplateIcon fontSize="small" sx={{ mr: 1 }} />
+          Save as template
         </MenuItem>
-        <MenuItem onClick={handleDeleteClick} sx={{ color: 'error.main' }}>
-          <DeleteIcon fontSize="small" sx={{ mr: 1 }} />
-          Delete
+        {hasPermission(selectedSetlist, 'share') && (
+          <MenuItem onClick={handleShareClick}>
+            <ShareIcon fontSize="small" sx={{ mr: 1 }} />
+            Share
+          </MenuItem>
+        )}
+        <MenuItem onClick={handleCollaboratorsClick}>
+          <GroupAddIcon fontSize="small" sx={{ mr: 1 }} />
+          Collaborators
         </MenuItem>
+        {hasPermission(selectedSetlist, 'delete') && (
+          <MenuItem onClick={handleDeleteClick} sx={{ color: 'error.main' }}>
+            <DeleteIcon fontSize="small" sx={{ mr: 1 }} />
+            Delete
+          </MenuItem>
+        )}
       </Menu>
       
+      <CollaboratorsDialog
+        setlist={selectedSetlist}
+        open={collaboratorsDialogOpen}
+        onClose={() => setCollaboratorsDialogOpen(false)}
+      />
+      
+      <SaveAsTemplateDialog
+        setlist={selectedSetlist}
+        open={templateDialogOpen}
+        onClose={() => setTemplateDialogOpen(false)}
+        bands={bands}
+      />
+      
       <Dialog
         open={deleteDialogOpen}
         onClose={handleDeleteCancel}
@@ -218,7 +316,7 @@ const SetlistList: React.FC<SetlistListProps> = ({
         <DialogTitle>Delete Setlist</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete the setlist "{selectedSetlist?.name}"? This action cannot be undone.
+            Move the setlist "{selectedSetlist?.name}" to the trash? It can be restored from the trash until it is permanently deleted.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import {
+  batchEditSetlistSongs,
+  clearSetlistConflict,
+  deleteBlock,
+  deleteSetlist,
+  moveSongsToBlock,
+  reorderBlocks,
+  reorderSetlistSongs,
+  restoreSetlistRevision,
+  updateBlock,
+  updateSetlist,
+  updateSetlistSong,
+} from './setlistsSlice';
+
+// Thunks that can end up in a conflict, by action type prefix
+const retryableThunks: Record<string, (arg: any) => any> = {
+  'setlists/updateSetlist': updateSetlist,
+  'setlists/deleteSetlist': deleteSetlist,
+  'setlists/updateSetlistSong': updateSetlistSong,
+  'setlists/reorderSetlistSongs': reorderSetlistSongs,
+  'setlists/batchEditSetlistSongs': batchEditSetlistSongs,
+  'setlists/updateBlock': updateBlock,
+  'setlists/reorderBlocks': reorderBlocks,
+  'setlists/deleteBlock': deleteBlock,
+  'setlists/moveSongsToBlock': moveSongsToBlock,
+  'setlists/restoreSetlistRevision': restoreSetlistRevision,
+};
+
+const VersionConflictDialog: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const conflict = useAppSelector((state) => state.setlists.conflict);
+
+  const handleDiscard = () => {
+    dispatch(clearSetlistConflict());
+  };
+
+  const handleApplyAgain = () => {
+    if (conflict) {
+      const thunk = retryableThunks[conflict.operation.type];
+      if (thunk) {
+        // The setlist now holds the server's version, so this applies on top of it
+        dispatch(thunk(conflict.operation.arg));
+      }
+    }
+    dispatch(clearSetlistConflict());
+  };
+
+  return (
+    <Dialog open={Boolean(conflict)} onClose={handleDiscard}>
+      <DialogTitle>Setlist changed</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {conflict?.message}. The latest version is now shown. Do you want to apply your change on
+          top of it, or discard it?
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleDiscard}>Discard my change</Button>
+        <Button onClick={handleApplyAgain} variant="contained" autoFocus>
+          Apply my change
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VersionConflictDialog;
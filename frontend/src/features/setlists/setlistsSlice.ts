@@ -1,6 +1,22 @@
-import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
-import axios from 'axios';
+import { createSlice, createAsyncThunk, current, PayloadAction, Dispatch } from '@reduxjs/toolkit';
+import axios, { AxiosResponse } from 'axios';
 import { RootState } from '../../store';
+import {
+  enqueueMutation,
+  loadSnapshot,
+  QueuedMutation,
+  removeQueuedMutation,
+  saveSnapshot,
+  updateQueuedMutation,
+} from '../../services/offlineStore';
+import {
+  mutationFailed,
+  mutationQueued,
+  mutationSynced,
+  mutationUpdated,
+  syncFinished,
+  syncStarted,
+} from '../offline/offlineSlice';
 
 // Types
 export interface Song {
@@ -17,7 +33,32 @@ export interface Song {
   updated_at: string;
 }
 
-export interface SetlistSong {
+// How a song is performed in one setlist slot; null means as in the song library
+export interface PerformanceOverrides {
+  performed_key?: string | null;
+  performed_tempo?: number | null;
+  capo?: number | null;
+  tuning?: string | null;
+  lead_singer?: string | null;
+  instrument_changes?: string | null;
+  segue_notes?: string | null;
+}
+
+// What is actually played in a slot, with the overrides applied
+export interface SongPerformance {
+  key: string | null;
+  original_key: string | null;
+  transpose: number | null;
+  tempo: number | null;
+  original_tempo: number | null;
+  capo: number | null;
+  tuning: string | null;
+  lead_singer: string | null;
+  instrument_changes: string | null;
+  segue_notes: string | null;
+}
+
+export interface SetlistSong extends PerformanceOverrides {
   id: string;
   setlist_id: string;
   song_id: string;
@@ -25,15 +66,74 @@ export interface SetlistSong {
   block_id?: string;
   notes?: string;
   song: Song;
+  start_offset?: number;
+  end_offset?: number;
+  performance?: SongPerformance;
   created_at: string;
   updated_at: string;
 }
 
+// One change in a batch edit of a setlist's songs; positions are indexes in the running order
+export type SetlistSongOperation =
+  // `song` is only used to show the song before the server has added it
+  | { op: 'add'; song_id: string; position?: number; block_id?: string | null; notes?: string | null; song?: Song }
+  | { op: 'remove'; setlist_song_id: string }
+  | { op: 'move'; setlist_song_id: string; position?: number; block_id?: string | null }
+  | { op: 'update_notes'; setlist_song_id: string; notes: string | null };
+
 export interface Block {
   id: string;
   setlist_id: string;
   name: string;
   position: number;
+  target_duration?: number | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export type TimingStatus = 'over' | 'under' | 'on_target' | null;
+
+export interface GroupTiming {
+  song_count: number;
+  song_duration: number;
+  gap_duration: number;
+  total_duration: number;
+  missing_durations: number;
+}
+
+export interface BlockTiming extends GroupTiming {
+  block_id: string;
+  name: string;
+  target_duration: number | null;
+  difference: number | null;
+  status: TimingStatus;
+}
+
+export interface SetlistTiming extends GroupTiming {
+  break_duration: number;
+  song_gap: number;
+  block_break: number;
+  target_duration: number | null;
+  difference: number | null;
+  status: TimingStatus;
+  blocks: BlockTiming[];
+  unassigned: GroupTiming;
+}
+
+export type SetlistRole = 'owner' | 'admin' | 'editor' | 'viewer';
+
+export type SetlistAction = 'view' | 'comment' | 'edit' | 'perform' | 'share' | 'delete' | 'purge' | 'manage';
+
+export type SetlistPermissions = Record<SetlistAction, boolean>;
+
+export interface SetlistCollaborator {
+  id: string;
+  setlist_id: string;
+  user_id: string;
+  role: Extract<SetlistRole, 'editor' | 'viewer'>;
+  granted_by: string;
+  // The email address is only sent to those who can manage collaborators
+  user: { id: string; username: string; email?: string };
   created_at: string;
   updated_at: string;
 }
@@ -45,16 +145,240 @@ export interface Setlist {
   band_id?: string;
   created_by: string;
   is_public: boolean;
+  version: number;
+  song_gap: number;
+  block_break: number;
+  target_duration?: number | null;
+  // Public setlist this one was forked from, and how often this one was forked
+  forked_from_id?: string | null;
+  fork_count?: number;
   blocks?: Block[];
+  timing?: SetlistTiming;
+  song_count?: number;
+  total_duration?: number;
+  timing_status?: TimingStatus;
+  // Only set for setlists in the trash
+  deleted_at?: string | null;
+  deleted_by?: string | null;
+  deleter?: { id: string; username: string; email: string };
+  purge_at?: string;
+  // The current user's role and what it allows
+  role?: SetlistRole | null;
+  permissions?: SetlistPermissions;
+  // Only set when fetching a single setlist
+  gigs?: { id: string; title: string | null; date: string; venue: string; set_time_at: string | null; status: string }[];
+  // Only set when just created from a template: fixed songs left out as they were deleted from the library
+  skipped_slots?: { song_id: string; block: number | null; position: 'first' | 'last' }[];
   created_at: string;
   updated_at: string;
 }
 
+// Whether the current user may perform an action on a setlist; the server has
+// the final say, so setlists loaded without permissions allow everything
+export const hasPermission = (setlist: Setlist | null | undefined, action: SetlistAction): boolean =>
+  !setlist?.permissions || setlist.permissions[action];
+
+export type SetlistSort = 'updated_at' | 'created_at' | 'name';
+
+export interface SetlistFilters {
+  q?: string;
+  // A band ID, or 'none' for personal setlists
+  band_id?: string;
+  visibility?: 'public' | 'private';
+  created_by?: string;
+  created_after?: string;
+  created_before?: string;
+  song_id?: string;
+  sort?: SetlistSort;
+  order?: 'asc' | 'desc';
+}
+
+export interface SetlistPage {
+  setlists: Setlist[];
+  next_cursor: string | null;
+}
+
+export interface SetlistRevision {
+  id: string;
+  setlist_id: string;
+  revision: number;
+  created_by: string;
+  action: string;
+  summary?: string;
+  author?: { id: string; username: string; email: string };
+  snapshot?: RevisionSnapshot;
+  created_at: string;
+}
+
+export interface RevisionSnapshot {
+  setlist: Pick<Setlist, 'name' | 'description' | 'is_public' | 'song_gap' | 'block_break' | 'target_duration'>;
+  blocks: Pick<Block, 'id' | 'name' | 'position' | 'target_duration'>[];
+  songs: {
+    id: string;
+    song_id: string;
+    position: number;
+    block_id: string | null;
+    notes: string | null;
+    title: string | null;
+    artist: string | null;
+  }[];
+}
+
+type FieldChanges = Record<string, { from: unknown; to: unknown }>;
+
+interface RecordChanges<T> {
+  added: T[];
+  removed: T[];
+  changed: (T & { changes: FieldChanges })[];
+}
+
+export interface RevisionDiff {
+  from: number;
+  to: number;
+  changes: {
+    setlist: FieldChanges;
+    blocks: RecordChanges<RevisionSnapshot['blocks'][number]>;
+    songs: RecordChanges<RevisionSnapshot['songs'][number]>;
+  };
+}
+
+export interface RestoredRevision {
+  setlist_id: string;
+  restored_revision: number;
+  revision: number;
+  setlist: Setlist;
+  blocks: Block[];
+  songs: SetlistSong[];
+  skipped_songs: RevisionSnapshot['songs'];
+}
+
+export interface ArrangementTransition {
+  from: string;
+  to: string;
+  key_distance: number | null;
+  tempo_jump: number | null;
+  cost: number;
+  explanation: string | null;
+}
+
+export interface Arrangement {
+  setlist_id: string;
+  version: number;
+  score: number;
+  current_score: number;
+  summary: string;
+  songs: { id: string; position: number; block_id?: string }[];
+  blocks: {
+    block_id: string | null;
+    name: string;
+    song_count: number;
+    score: number;
+    current_score: number;
+    transitions: ArrangementTransition[];
+    explanation: string[];
+  }[];
+}
+
+export interface ImportMatch {
+  song_id: string;
+  title: string;
+  artist: string | null;
+  key: string | null;
+  confidence: number;
+}
+
+export interface ImportLine {
+  line: number;
+  raw: string;
+  title: string;
+  artist: string | null;
+  key: string | null;
+  notes?: string | null;
+  block: string | null;
+  match: ImportMatch | null;
+  candidates: ImportMatch[];
+}
+
+export interface ImportPreview {
+  blocks: string[];
+  lines: ImportLine[];
+  matched_count: number;
+  unmatched: ImportLine[];
+}
+
+export interface ImportRequest {
+  content: string;
+  format?: 'text' | 'csv';
+  name?: string;
+  description?: string;
+  band_id?: string | null;
+  is_public?: boolean;
+  create_missing?: boolean;
+  // Corrections from the preview: line number to song ID, or null for no match
+  matches?: Record<number, string | null>;
+}
+
+export interface ImportResult {
+  setlist: Setlist;
+  created_songs: Song[];
+  skipped: ImportLine[];
+}
+
+// A change that was rejected because the setlist changed in the meantime
+export interface SetlistOperation {
+  type: string;
+  arg: any;
+}
+
+export interface VersionConflict {
+  message: string;
+  operation: SetlistOperation;
+}
+
+// Who made a change that arrived over the socket
+export interface ChangedBy {
+  user: { id: string; username: string | null };
+  // The browser tab the change was made in
+  client_id: string | null;
+}
+
+// A change someone else made to the open setlist, for the "updated by" notice
+export interface RemoteChange {
+  setlist_id: string;
+  message: string;
+  changed_by: ChangedBy;
+  received_at: string;
+}
+
+// A change already shown in the setlist while the server hasn't confirmed it yet
+export interface PendingOperation {
+  type: 'updateSetlist' | 'addSong' | 'updateSong' | 'removeSong' | 'reorderSongs' | 'batchEditSongs';
+  setlist_id: string;
+  // What the change replaced, to put back if the server refuses it
+  previous: { setlist?: Partial<Setlist>; songs?: SetlistSong[] };
+}
+
 // State type
 interface SetlistsState {
   setlists: Setlist[];
+  // Filters of the setlist list and the cursor of its next page
+  filters: SetlistFilters;
+  nextCursor: string | null;
+  isLoadingMore: boolean;
   currentSetlist: Setlist | null;
   setlistSongs: SetlistSong[];
+  revisions: SetlistRevision[];
+  revisionDiff: RevisionDiff | null;
+  conflict: VersionConflict | null;
+  arrangement: Arrangement | null;
+  importPreview: ImportPreview | null;
+  trash: Setlist[];
+  collaborators: SetlistCollaborator[];
+  // Changes shown before the server confirmed them, by thunk request ID
+  pendingOperations: Record<string, PendingOperation>;
+  // Why the last change was refused and rolled back
+  operationError: string | null;
+  remoteChange: RemoteChange | null;
   isLoading: boolean;
   error: string | null;
 }
@@ -62,22 +386,241 @@ interface SetlistsState {
 // Initial state
 const initialState: SetlistsState = {
   setlists: [],
+  filters: {},
+  nextCursor: null,
+  isLoadingMore: false,
   currentSetlist: null,
   setlistSongs: [],
+  revisions: [],
+  revisionDiff: null,
+  conflict: null,
+  arrangement: null,
+  importPreview: null,
+  trash: [],
+  collaborators: [],
+  pendingOperations: {},
+  operationError: null,
+  remoteChange: null,
   isLoading: false,
   error: null,
 };
 
+const selectSetlistVersion = (state: RootState, setlistId: string): number | undefined =>
+  state.setlists.currentSetlist?.id === setlistId
+    ? state.setlists.currentSetlist.version
+    : state.setlists.setlists.find((setlist) => setlist.id === setlistId)?.version;
+
+/**
+ * Send a change to a setlist along with the version this client last saw.
+ * If someone else changed the setlist in the meantime the server answers 409
+ * with its current state, which replaces ours. Changes that don't depend on
+ * what moved (`rebase`) are then retried once on top of it; anything else is
+ * kept as a conflict for the user to retry or discard.
+ */
+const sendVersioned = async <T>(
+  setlistId: string,
+  send: (version?: number) => Promise<AxiosResponse<T>>,
+  { getState, dispatch }: { getState: () => RootState; dispatch: Dispatch },
+  operation: SetlistOperation,
+  rebase = false
+): Promise<AxiosResponse<T>> => {
+  const receive = (response: AxiosResponse<T>) => {
+    const version = response.headers['x-setlist-version'];
+    if (version !== undefined) {
+      dispatch(setlistVersionReceived({ setlist_id: setlistId, version: Number(version) }));
+    }
+    return response;
+  };
+
+  try {
+    return receive(await send(selectSetlistVersion(getState(), setlistId)));
+  } catch (err: any) {
+    if (err.response?.status !== 409) {
+      throw err;
+    }
+
+    const { msg, setlist, songs } = err.response.data;
+    dispatch(setlistConflictReceived({
+      setlist,
+      songs,
+      conflict: rebase ? null : { message: msg, operation },
+    }));
+
+    if (!rebase) {
+      throw err;
+    }
+    return receive(await send(setlist.version));
+  }
+};
+
+type ThunkApi = { getState: () => RootState; dispatch: Dispatch };
+
+// A request that never reached the server, as opposed to one the server refused
+const isNetworkError = (err: any): boolean => axios.isAxiosError(err) && !err.response;
+
+/**
+ * Changes that can be made offline: which setlist each one changes, how it is
+ * sent and whether it can be rebased onto a newer version (see sendVersioned)
+ */
+const offlineMutations: Record<string, {
+  setlistId: (arg: any) => string;
+  send: (arg: any, version?: number) => Promise<AxiosResponse>;
+  rebase: boolean;
+}> = {
+  'setlists/updateSetlist': {
+    setlistId: (arg) => arg.id,
+    send: ({ id, ...data }, version) => axios.put(`/api/setlists/${id}`, { ...data, version }),
+    rebase: false,
+  },
+  'setlists/addSongToSetlist': {
+    setlistId: (arg) => arg.setlist_id,
+    // The song itself is only there to show it while offline
+    send: ({ setlist_id, song, ...data }, version) =>
+      axios.post(`/api/setlists/${setlist_id}/songs`, { ...data, version }),
+    rebase: true,
+  },
+  'setlists/updateSetlistSong': {
+    setlistId: (arg) => arg.setlist_id,
+    send: ({ setlist_id, song_id, ...data }, version) =>
+      axios.put(`/api/setlists/${setlist_id}/songs/${song_id}`, { ...data, version }),
+    rebase: false,
+  },
+  'setlists/removeSongFromSetlist': {
+    setlistId: (arg) => arg.setlist_id,
+    send: ({ setlist_id, song_id }, version) =>
+      axios.delete(`/api/setlists/${setlist_id}/songs/${song_id}`, { params: { version } }),
+    rebase: true,
+  },
+  'setlists/reorderSetlistSongs': {
+    setlistId: (arg) => arg.setlist_id,
+    send: ({ setlist_id, songs }, version) => axios.put(`/api/setlists/${setlist_id}/reorder`, { songs, version }),
+    rebase: false,
+  },
+};
+
+const sendMutation = (type: string, arg: any, api: ThunkApi) => {
+  const mutation = offlineMutations[type];
+  return sendVersioned(
+    mutation.setlistId(arg),
+    (version) => mutation.send(arg, version),
+    api,
+    { type, arg },
+    mutation.rebase
+  );
+};
+
+/**
+ * Send a change that can be made offline. Without a connection, or while
+ * earlier offline changes are still waiting to be synced, the change is
+ * queued on the device for syncOfflineChanges instead, and `applyLocally`
+ * works out the result the reducers get in the meantime.
+ */
+const sendOrQueue = async <T>(
+  type: string,
+  arg: any,
+  api: ThunkApi,
+  applyLocally: (localId: string) => T
+): Promise<T> => {
+  if (navigator.onLine && api.getState().offline.pending.length === 0) {
+    try {
+      return (await sendMutation(type, arg, api)).data;
+    } catch (err) {
+      if (!isNetworkError(err)) {
+        throw err;
+      }
+    }
+  }
+
+  const localId = `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const result = applyLocally(localId);
+  const mutation = await enqueueMutation({
+    type,
+    arg,
+    setlist_id: offlineMutations[type].setlistId(arg),
+    local_id: localId,
+    queued_at: new Date().toISOString(),
+  });
+  api.dispatch(mutationQueued(mutation));
+  return result;
+};
+
+// Snapshot keys of the setlists kept on the device
+const SETLIST_LIST_SNAPSHOT = 'setlists';
+const setlistSnapshotKey = (id: string) => `setlist:${id}`;
+
+interface SetlistSnapshot {
+  setlist: Setlist;
+  songs: SetlistSong[];
+}
+
+/**
+ * Keep a copy of the setlist list and of the open setlist on the device, so
+ * they open without a connection. Offline changes are part of the copy.
+ */
+export const persistSetlists = async (state: RootState['setlists']): Promise<void> => {
+  if (state.setlists.length > 0) {
+    await saveSnapshot(SETLIST_LIST_SNAPSHOT, state.setlists);
+  }
+  if (state.currentSetlist) {
+    const snapshot: SetlistSnapshot = { setlist: state.currentSetlist, songs: state.setlistSongs };
+    await saveSnapshot(setlistSnapshotKey(state.currentSetlist.id), snapshot);
+  }
+};
+
+// Find a setlist in the list or the open one
+const findSetlist = (state: RootState, setlistId: string): Setlist | undefined =>
+  state.setlists.currentSetlist?.id === setlistId
+    ? state.setlists.currentSetlist
+    : state.setlists.setlists.find((setlist) => setlist.id === setlistId);
+
 // Async thunks
-export const fetchSetlists = createAsyncThunk<Setlist[], void, { state: RootState }>(
+// Drop empty filters so they don't end up in the query string
+const filterParams = (filters: SetlistFilters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''));
+
+// Fetch the first page of setlists matching the filters (by default, the current ones)
+export const fetchSetlists = createAsyncThunk<
+  SetlistPage & { filters: SetlistFilters },
+  SetlistFilters | undefined,
+  { state: RootState }
+>(
   'setlists/fetchSetlists',
-  async (_, { rejectWithValue }) => {
+  async (filters, { getState, rejectWithValue }) => {
+    const nextFilters = filters ?? getState().setlists.filters;
+    try {
+      const response = await axios.get('/api/setlists', { params: filterParams(nextFilters) });
+      return { ...response.data, filters: nextFilters };
+    } catch (err: any) {
+      // Offline, show the last list seen on this device (unfiltered)
+      const snapshot = isNetworkError(err) ? await loadSnapshot<Setlist[]>(SETLIST_LIST_SNAPSHOT) : undefined;
+      if (snapshot) {
+        return { setlists: snapshot, next_cursor: null, filters: nextFilters };
+      }
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch setlists');
+    }
+  }
+);
+
+// Fetch the page after the last one loaded, for infinite scroll
+export const fetchMoreSetlists = createAsyncThunk<SetlistPage, void, { state: RootState }>(
+  'setlists/fetchMoreSetlists',
+  async (_, { getState, rejectWithValue }) => {
+    const { filters, nextCursor } = getState().setlists;
     try {
-      const response = await axios.get('/api/setlists');
+      const response = await axios.get('/api/setlists', {
+        params: { ...filterParams(filters), cursor: nextCursor },
+      });
       return response.data;
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to fetch setlists');
     }
+  },
+  {
+    // Nothing to do on the last page or while a page is already on its way
+    condition: (_, { getState }) => {
+      const { nextCursor, isLoadingMore } = getState().setlists;
+      return Boolean(nextCursor) && !isLoadingMore;
+    },
   }
 );
 
@@ -88,6 +631,10 @@ export const fetchSetlistById = createAsyncThunk<Setlist, string, { state: RootS
       const response = await axios.get(`/api/setlists/${id}`);
       return response.data;
     } catch (err: any) {
+      const snapshot = isNetworkError(err) ? await loadSnapshot<SetlistSnapshot>(setlistSnapshotKey(id)) : undefined;
+      if (snapshot) {
+        return snapshot.setlist;
+      }
       return rejectWithValue(err.response?.data?.msg || 'Failed to fetch setlist');
     }
   }
@@ -100,6 +647,10 @@ export const fetchSetlistSongs = createAsyncThunk<SetlistSong[], string, { state
       const response = await axios.get(`/api/setlists/${id}/songs`);
       return response.data;
     } catch (err: any) {
+      const snapshot = isNetworkError(err) ? await loadSnapshot<SetlistSnapshot>(setlistSnapshotKey(id)) : undefined;
+      if (snapshot) {
+        return snapshot.songs;
+      }
       return rejectWithValue(err.response?.data?.msg || 'Failed to fetch setlist songs');
     }
   }
@@ -107,7 +658,17 @@ export const fetchSetlistSongs = createAsyncThunk<SetlistSong[], string, { state
 
 export const createSetlist = createAsyncThunk<
   Setlist,
-  { name: string; description?: string; band_id?: string; is_public?: boolean },
+  {
+    name: string;
+    description?: string;
+    band_id?: string;
+    is_public?: boolean;
+    song_gap?: number;
+    block_break?: number;
+    target_duration?: number | null;
+    // Start from a template's blocks and fixed songs
+    template_id?: string;
+  },
   { state: RootState }
 >(
   'setlists/createSetlist',
@@ -123,14 +684,28 @@ export const createSetlist = createAsyncThunk<
 
 export const updateSetlist = createAsyncThunk<
   Setlist,
-  { id: string; name?: string; description?: string; is_public?: boolean },
+  {
+    id: string;
+    name?: string;
+    description?: string;
+    is_public?: boolean;
+    song_gap?: number;
+    block_break?: number;
+    target_duration?: number | null;
+  },
   { state: RootState }
 >(
   'setlists/updateSetlist',
-  async ({ id, ...data }, { rejectWithValue }) => {
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { id, ...data } = arg;
     try {
-      const response = await axios.put(`/api/setlists/${id}`, data);
-      return response.data;
+      return await sendOrQueue('setlists/updateSetlist', arg, { getState, dispatch }, () => {
+        const setlist = findSetlist(getState(), id);
+        if (!setlist) {
+          throw new Error('Setlist is not available offline');
+        }
+        return { ...setlist, ...data, updated_at: new Date().toISOString() };
+      });
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to update setlist');
     }
@@ -139,9 +714,14 @@ export const updateSetlist = createAsyncThunk<
 
 export const deleteSetlist = createAsyncThunk<string, string, { state: RootState }>(
   'setlists/deleteSetlist',
-  async (id, { rejectWithValue }) => {
+  async (id, { getState, dispatch, rejectWithValue }) => {
     try {
-      await axios.delete(`/api/setlists/${id}`);
+      await sendVersioned(
+        id,
+        (version) => axios.delete(`/api/setlists/${id}`, { params: { version } }),
+        { getState, dispatch },
+        { type: 'setlists/deleteSetlist', arg: id }
+      );
       return id;
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to delete setlist');
@@ -149,31 +729,185 @@ export const deleteSetlist = createAsyncThunk<string, string, { state: RootState
   }
 );
 
+export const fetchTrash = createAsyncThunk<Setlist[], void, { state: RootState }>(
+  'setlists/fetchTrash',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/setlists/trash');
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch trash');
+    }
+  }
+);
+
+export const restoreSetlist = createAsyncThunk<Setlist, string, { state: RootState }>(
+  'setlists/restoreSetlist',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/trash/${id}/restore`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to restore setlist');
+    }
+  }
+);
+
+export const purgeSetlist = createAsyncThunk<string, string, { state: RootState }>(
+  'setlists/purgeSetlist',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/setlists/trash/${id}`);
+      return id;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to permanently delete setlist');
+    }
+  }
+);
+
+export const fetchCollaborators = createAsyncThunk<SetlistCollaborator[], string, { state: RootState }>(
+  'setlists/fetchCollaborators',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlistId}/collaborators`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch collaborators');
+    }
+  }
+);
+
+export const addCollaborator = createAsyncThunk<
+  SetlistCollaborator,
+  { setlistId: string; email: string; role: SetlistCollaborator['role'] },
+  { state: RootState }
+>(
+  'setlists/addCollaborator',
+  async ({ setlistId, email, role }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${setlistId}/collaborators`, { email, role });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to add collaborator');
+    }
+  }
+);
+
+export const removeCollaborator = createAsyncThunk<
+  { setlist_id: string; user_id: string },
+  { setlistId: string; userId: string },
+  { state: RootState }
+>(
+  'setlists/removeCollaborator',
+  async ({ setlistId, userId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.delete(`/api/setlists/${setlistId}/collaborators/${userId}`);
+      return { setlist_id: response.data.setlist_id, user_id: response.data.user_id };
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to remove collaborator');
+    }
+  }
+);
+
+export const duplicateSetlist = createAsyncThunk<
+  Setlist,
+  { id: string; name?: string; description?: string; band_id?: string | null; is_public?: boolean },
+  { state: RootState }
+>(
+  'setlists/duplicateSetlist',
+  async ({ id, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${id}/duplicate`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to duplicate setlist');
+    }
+  }
+);
+
+export const previewSetlistImport = createAsyncThunk<ImportPreview, ImportRequest, { state: RootState }>(
+  'setlists/previewSetlistImport',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/setlists/import', data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to read setlist');
+    }
+  }
+);
+
+export const importSetlist = createAsyncThunk<ImportResult, ImportRequest, { state: RootState }>(
+  'setlists/importSetlist',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/setlists/import', { ...data, confirm: true });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to import setlist');
+    }
+  }
+);
+
 export const addSongToSetlist = createAsyncThunk<
   SetlistSong,
-  { setlist_id: string; song_id: string; position: number; block_id?: string; notes?: string },
+  // `song` is only used to show the song when it is added offline
+  { setlist_id: string; song_id: string; position: number; block_id?: string; notes?: string; song?: Song } & PerformanceOverrides,
   { state: RootState }
 >(
   'setlists/addSongToSetlist',
-  async ({ setlist_id, ...data }, { rejectWithValue }) => {
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { song, ...data } = arg;
     try {
-      const response = await axios.post(`/api/setlists/${setlist_id}/songs`, data);
-      return response.data;
+      return await sendOrQueue('setlists/addSongToSetlist', arg, { getState, dispatch }, (localId) => {
+        const librarySong = song
+          ?? getState().setlists.setlistSongs.find((setlistSong) => setlistSong.song_id === arg.song_id)?.song;
+        if (!librarySong) {
+          throw new Error('Song is not available offline');
+        }
+        const now = new Date().toISOString();
+        return { ...data, id: localId, song: librarySong, created_at: now, updated_at: now } as SetlistSong;
+      });
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to add song to setlist');
     }
   }
 );
 
+export const updateSetlistSong = createAsyncThunk<
+  SetlistSong,
+  // `transpose` (semitones from the original key) is an alternative to `performed_key`; null goes back to the original key
+  { setlist_id: string; song_id: string; notes?: string | null; transpose?: number | null } & PerformanceOverrides,
+  { state: RootState }
+>(
+  'setlists/updateSetlistSong',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    // A transposition is worked out by the server once the change is synced
+    const { setlist_id, song_id, transpose, ...data } = arg;
+    try {
+      return await sendOrQueue('setlists/updateSetlistSong', arg, { getState, dispatch }, () => {
+        const setlistSong = getState().setlists.setlistSongs.find((item) => item.song_id === song_id);
+        if (!setlistSong) {
+          throw new Error('Song is not available offline');
+        }
+        return { ...setlistSong, ...data, updated_at: new Date().toISOString() } as SetlistSong;
+      });
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to update song in setlist');
+    }
+  }
+);
+
 export const removeSongFromSetlist = createAsyncThunk<
   { setlist_id: string; song_id: string },
   { setlist_id: string; song_id: string },
   { state: RootState }
 >(
   'setlists/removeSongFromSetlist',
-  async ({ setlist_id, song_id }, { rejectWithValue }) => {
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, song_id } = arg;
     try {
-      await axios.delete(`/api/setlists/${setlist_id}/songs/${song_id}`);
+      await sendOrQueue('setlists/removeSongFromSetlist', arg, { getState, dispatch }, () => null);
       return { setlist_id, song_id };
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to remove song from setlist');
@@ -187,51 +921,698 @@ export const reorderSetlistSongs = createAsyncThunk<
   { state: RootState }
 >(
   'setlists/reorderSetlistSongs',
-  async ({ setlist_id, songs }, { rejectWithValue }) => {
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { songs } = arg;
     try {
-      const response = await axios.put(`/api/setlists/${setlist_id}/reorder`, { songs });
-      return response.data;
+      return await sendOrQueue('setlists/reorderSetlistSongs', arg, { getState, dispatch }, () => {
+        const moves = new Map(songs.map((song) => [song.id, song]));
+        return getState().setlists.setlistSongs
+          .map((setlistSong) => {
+            const move = moves.get(setlistSong.id);
+            return move
+              ? { ...setlistSong, position: move.position, block_id: move.block_id ?? setlistSong.block_id }
+              : setlistSong;
+          })
+          .sort((a, b) => a.position - b.position);
+      });
     } catch (err: any) {
       return rejectWithValue(err.response?.data?.msg || 'Failed to reorder setlist songs');
     }
   }
 );
 
-// Slice
-const setlistsSlice = createSlice({
-  name: 'setlists',
-  initialState,
-  reducers: {
-    clearCurrentSetlist(state) {
-      state.currentSetlist = null;
-      state.setlistSongs = [];
-    },
-    resetSetlistsState(state) {
-      state.setlists = [];
-      state.currentSetlist = null;
-      state.setlistSongs = [];
-      state.isLoading = false;
-      state.error = null;
-    },
-  },
-  extraReducers: (builder) => {
-    builder
-      // Fetch setlists
-      .addCase(fetchSetlists.pending, (state) => {
-        state.isLoading = true;
-        state.error = null;
-      })
-      .addCase(fetchSetlists.fulfilled, (state, action: PayloadAction<Setlist[]>) => {
-        state.isLoading = false;
-        state.setlists = action.payload;
-      })
-      .addCase(fetchSetlists.rejected, (state, action) => {
-        state.isLoading = false;
-        state.error = action.payload as string;
-      })
-      
-      // Fetch setlist by ID
-      .addCase(fetchSetlistById.pending, (state) => {
+// Apply several song changes at once; the server saves all of them or none
+export const batchEditSetlistSongs = createAsyncThunk<
+  SetlistSong[],
+  { setlist_id: string; operations: SetlistSongOperation[] },
+  { state: RootState }
+>(
+  'setlists/batchEditSetlistSongs',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, operations } = arg;
+    // The songs are only there to show additions right away
+    const sent = operations.map((operation) => {
+      if (operation.op !== 'add') return operation;
+      const { song, ...data } = operation;
+      return data;
+    });
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.post(`/api/setlists/${setlist_id}/songs/batch`, { operations: sent, version }),
+        { getState, dispatch },
+        { type: 'setlists/batchEditSetlistSongs', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to edit setlist songs');
+    }
+  }
+);
+
+export const createBlock = createAsyncThunk<
+  Block,
+  { setlist_id: string; name: string; position?: number; target_duration?: number | null },
+  { state: RootState }
+>(
+  'setlists/createBlock',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, ...data } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.post(`/api/setlists/${setlist_id}/blocks`, { ...data, version }),
+        { getState, dispatch },
+        { type: 'setlists/createBlock', arg },
+        true
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to create block');
+    }
+  }
+);
+
+export const updateBlock = createAsyncThunk<
+  Block,
+  { setlist_id: string; id: string; name?: string; position?: number; target_duration?: number | null },
+  { state: RootState }
+>(
+  'setlists/updateBlock',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, id, ...data } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.put(`/api/setlists/${setlist_id}/blocks/${id}`, { ...data, version }),
+        { getState, dispatch },
+        { type: 'setlists/updateBlock', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to update block');
+    }
+  }
+);
+
+export const reorderBlocks = createAsyncThunk<
+  Block[],
+  { setlist_id: string; blocks: { id: string; position: number }[] },
+  { state: RootState }
+>(
+  'setlists/reorderBlocks',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, blocks } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.put(`/api/setlists/${setlist_id}/blocks/reorder`, { blocks, version }),
+        { getState, dispatch },
+        { type: 'setlists/reorderBlocks', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to reorder blocks');
+    }
+  }
+);
+
+export const deleteBlock = createAsyncThunk<
+  { setlist_id: string; block_id: string; songs: SetlistSong[] },
+  { setlist_id: string; id: string; songs?: 'move' | 'remove'; target_block_id?: string },
+  { state: RootState }
+>(
+  'setlists/deleteBlock',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, id, songs = 'move', target_block_id } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.delete(`/api/setlists/${setlist_id}/blocks/${id}`, {
+          params: { songs, target_block_id, version },
+        }),
+        { getState, dispatch },
+        { type: 'setlists/deleteBlock', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to delete block');
+    }
+  }
+);
+
+export const moveSongsToBlock = createAsyncThunk<
+  SetlistSong[],
+  { setlist_id: string; block_id: string; setlist_song_ids: string[] },
+  { state: RootState }
+>(
+  'setlists/moveSongsToBlock',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, block_id, setlist_song_ids } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.put(`/api/setlists/${setlist_id}/blocks/${block_id}/songs`, {
+          setlist_song_ids,
+          version,
+        }),
+        { getState, dispatch },
+        { type: 'setlists/moveSongsToBlock', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to move songs to block');
+    }
+  }
+);
+
+export const previewArrangement = createAsyncThunk<
+  Arrangement,
+  {
+    setlist_id: string;
+    block_id?: string;
+    pinned?: { setlist_song_id: string; position: 'first' | 'last' }[];
+    weights?: { key?: number; tempo?: number; energy?: number };
+  },
+  { state: RootState }
+>(
+  'setlists/previewArrangement',
+  async ({ setlist_id, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${setlist_id}/arrange`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to arrange setlist');
+    }
+  }
+);
+
+export const fetchSetlistRevisions = createAsyncThunk<SetlistRevision[], string, { state: RootState }>(
+  'setlists/fetchSetlistRevisions',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${id}/revisions`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch revisions');
+    }
+  }
+);
+
+export const fetchRevisionDiff = createAsyncThunk<
+  RevisionDiff,
+  { setlist_id: string; from: number; to?: number },
+  { state: RootState }
+>(
+  'setlists/fetchRevisionDiff',
+  async ({ setlist_id, from, to }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlist_id}/revisions/diff`, {
+        params: { from, to },
+      });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to compare revisions');
+    }
+  }
+);
+
+export const restoreSetlistRevision = createAsyncThunk<
+  RestoredRevision,
+  { setlist_id: string; revision: number },
+  { state: RootState }
+>(
+  'setlists/restoreSetlistRevision',
+  async (arg, { getState, dispatch, rejectWithValue }) => {
+    const { setlist_id, revision } = arg;
+    try {
+      const response = await sendVersioned(
+        setlist_id,
+        (version) => axios.post(`/api/setlists/${setlist_id}/revisions/${revision}/restore`, { version }),
+        { getState, dispatch },
+        { type: 'setlists/restoreSetlistRevision', arg }
+      );
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to restore revision');
+    }
+  }
+);
+
+/**
+ * Point queued changes and the open setlist at the ID the server gave a song
+ * that was added offline
+ */
+const resolveLocalId = async (localId: string, id: string, { getState, dispatch }: ThunkApi) => {
+  for (const mutation of getState().offline.pending) {
+    if (mutation.type !== 'setlists/reorderSetlistSongs') continue;
+    if (!mutation.arg.songs.some((song: { id: string }) => song.id === localId)) continue;
+
+    const updated: QueuedMutation = {
+      ...mutation,
+      arg: {
+        ...mutation.arg,
+        songs: mutation.arg.songs.map((song: { id: string }) => (song.id === localId ? { ...song, id } : song)),
+      },
+    };
+    await updateQueuedMutation(updated);
+    dispatch(mutationUpdated(updated));
+  }
+  dispatch(setlistSongIdResolved({ localId, id }));
+};
+
+/**
+ * Send the changes made offline to the server, oldest first.
+ * Stops when the connection drops again, or when a change conflicts with
+ * what others saved in the meantime; the conflict is then shown like any
+ * other (see sendVersioned) and syncing carries on once it is resolved.
+ * Changes the server refuses for other reasons are reported as failed.
+ */
+export const syncOfflineChanges = createAsyncThunk<void, void, { state: RootState }>(
+  'setlists/syncOfflineChanges',
+  async (_, { getState, dispatch }) => {
+    const synced = new Set<string>();
+    dispatch(syncStarted());
+
+    try {
+      let mutation: QueuedMutation | undefined;
+      while ((mutation = getState().offline.pending[0])) {
+        try {
+          const response = await sendMutation(mutation.type, mutation.arg, { getState, dispatch });
+          await removeQueuedMutation(mutation.id);
+          dispatch(mutationSynced(mutation.id));
+          synced.add(mutation.setlist_id);
+
+          if (mutation.type === 'setlists/addSongToSetlist' && mutation.local_id) {
+            await resolveLocalId(mutation.local_id, response.data.id, { getState, dispatch });
+          }
+        } catch (err: any) {
+          if (isNetworkError(err)) {
+            break;
+          }
+
+          await removeQueuedMutation(mutation.id);
+          if (err.response?.status === 409) {
+            // The conflict dialog has the change now
+            dispatch(mutationSynced(mutation.id));
+            break;
+          }
+          dispatch(mutationFailed({
+            id: mutation.id,
+            message: err.response?.data?.msg || 'The change could not be saved',
+          }));
+        }
+      }
+    } finally {
+      dispatch(syncFinished());
+    }
+
+    // Replace the local copy of the open setlist with the server's, which
+    // has everyone's changes and the real timing
+    const current = getState().setlists.currentSetlist;
+    const stillPending = getState().offline.pending.some((mutation) => mutation.setlist_id === current?.id);
+    if (current && synced.has(current.id) && !stillPending) {
+      await Promise.all([dispatch(fetchSetlistById(current.id)), dispatch(fetchSetlistSongs(current.id))]);
+    }
+  },
+  {
+    condition: (_, { getState }) => {
+      const { isSyncing, pending } = getState().offline;
+      return !isSyncing && pending.length > 0;
+    },
+  }
+);
+
+// Temporary ID of a song shown in the setlist before the server has added it
+const pendingSongId = (requestId: string) => `pending-${requestId}`;
+
+const sortByPosition = (songs: SetlistSong[]) => songs.sort((a, b) => a.position - b.position);
+
+// Apply changed fields to the setlist in the list and to the open one
+const patchSetlist = (state: SetlistsState, setlistId: string, changes: Partial<Setlist>) => {
+  const setlist = state.setlists.find((item) => item.id === setlistId);
+  if (setlist) {
+    Object.assign(setlist, changes);
+  }
+  if (state.currentSetlist?.id === setlistId) {
+    Object.assign(state.currentSetlist, changes);
+  }
+};
+
+// Whether a setlist song exists only here so far, added optimistically or offline
+const isLocalOnly = (setlistSong: SetlistSong) =>
+  setlistSong.id.startsWith('pending-') || setlistSong.id.startsWith('offline-');
+
+/**
+ * Work out locally what a batch edit does to the running order, like the
+ * server does. Added songs get temporary IDs based on the request ID; songs
+ * that aren't in the list are skipped, as the server will refuse the batch.
+ */
+const applySongOperations = (
+  songs: SetlistSong[],
+  operations: SetlistSongOperation[],
+  requestId: string
+): SetlistSong[] => {
+  const order = [...songs];
+  const insertAt = (setlistSong: SetlistSong, position?: number) => {
+    const index = position === undefined ? order.length : Math.max(0, Math.min(position, order.length));
+    order.splice(index, 0, setlistSong);
+  };
+
+  operations.forEach((operation, index) => {
+    if (operation.op === 'add') {
+      const librarySong = operation.song ?? songs.find((setlistSong) => setlistSong.song_id === operation.song_id)?.song;
+      if (!librarySong) return;
+      const now = new Date().toISOString();
+      insertAt({
+        id: `${pendingSongId(requestId)}-${index}`,
+        setlist_id: songs[0]?.setlist_id ?? '',
+        song_id: operation.song_id,
+        position: 0,
+        block_id: operation.block_id ?? undefined,
+        notes: operation.notes ?? undefined,
+        song: librarySong,
+        created_at: now,
+        updated_at: now,
+      }, operation.position);
+      return;
+    }
+
+    const current = order.findIndex((setlistSong) => setlistSong.id === operation.setlist_song_id);
+    if (current === -1) return;
+    if (operation.op === 'remove') {
+      order.splice(current, 1);
+    } else if (operation.op === 'move') {
+      const [setlistSong] = order.splice(current, 1);
+      insertAt(
+        operation.block_id === undefined ? setlistSong : { ...setlistSong, block_id: operation.block_id ?? undefined },
+        operation.position
+      );
+    } else {
+      order[current] = { ...order[current], notes: operation.notes ?? undefined };
+    }
+  });
+
+  return order.map((setlistSong, position) =>
+    setlistSong.position === position ? setlistSong : { ...setlistSong, position }
+  );
+};
+
+// Take the version from an event, unless a response already brought a newer one
+const raiseVersion = (state: SetlistsState, setlistId: string, version: number) => {
+  [state.currentSetlist, state.setlists.find((setlist) => setlist.id === setlistId)].forEach((setlist) => {
+    if (setlist?.id === setlistId && version > setlist.version) {
+      setlist.version = version;
+    }
+  });
+};
+
+// Tell the user someone else changed the setlist they have open
+const noteRemoteChange = (state: SetlistsState, setlistId: string, changedBy: ChangedBy, what: string) => {
+  if (state.currentSetlist?.id !== setlistId) {
+    return;
+  }
+  state.remoteChange = {
+    setlist_id: setlistId,
+    message: `${changedBy.user.username ?? 'Someone'} ${what}`,
+    changed_by: changedBy,
+    received_at: new Date().toISOString(),
+  };
+};
+
+// Whether changes to a setlist other than the given one are still waiting for the server
+const hasOtherPendingOperations = (state: SetlistsState, setlistId: string, requestId: string): boolean =>
+  Object.entries(state.pendingOperations).some(
+    ([id, operation]) => id !== requestId && operation.setlist_id === setlistId
+  );
+
+/**
+ * Settle a change shown before the server answered. A refused change is
+ * rolled back and its message kept for the error toast. Changes without a
+ * pending entry were already replaced by the server's state after a conflict.
+ */
+const settleOperation = (state: SetlistsState, requestId: string, error?: string) => {
+  const operation = state.pendingOperations[requestId];
+  if (!operation) {
+    return;
+  }
+  delete state.pendingOperations[requestId];
+  if (error === undefined) {
+    return;
+  }
+
+  const { setlist, songs = [] } = operation.previous;
+  if (setlist) {
+    patchSetlist(state, operation.setlist_id, setlist);
+  }
+  state.setlistSongs = state.setlistSongs.filter((setlistSong) => setlistSong.id !== pendingSongId(requestId));
+  songs.forEach((song) => {
+    const index = state.setlistSongs.findIndex((setlistSong) => setlistSong.id === song.id);
+    if (index !== -1) {
+      state.setlistSongs[index] = song;
+    } else {
+      state.setlistSongs.push(song);
+    }
+  });
+  sortByPosition(state.setlistSongs);
+  state.operationError = error;
+};
+
+// Slice
+const setlistsSlice = createSlice({
+  name: 'setlists',
+  initialState,
+  reducers: {
+    clearCurrentSetlist(state) {
+      state.currentSetlist = null;
+      state.setlistSongs = [];
+      state.revisions = [];
+      state.revisionDiff = null;
+      state.conflict = null;
+      state.arrangement = null;
+    },
+    resetSetlistsState(state) {
+      state.setlists = [];
+      state.filters = {};
+      state.nextCursor = null;
+      state.isLoadingMore = false;
+      state.currentSetlist = null;
+      state.setlistSongs = [];
+      state.revisions = [];
+      state.revisionDiff = null;
+      state.conflict = null;
+      state.arrangement = null;
+      state.importPreview = null;
+      state.trash = [];
+      state.collaborators = [];
+      state.pendingOperations = {};
+      state.operationError = null;
+      state.remoteChange = null;
+      state.isLoading = false;
+      state.error = null;
+    },
+    setlistVersionReceived(state, action: PayloadAction<{ setlist_id: string; version: number }>) {
+      const { setlist_id, version } = action.payload;
+      if (state.currentSetlist?.id === setlist_id) {
+        state.currentSetlist.version = version;
+      }
+      const setlist = state.setlists.find((item) => item.id === setlist_id);
+      if (setlist) {
+        setlist.version = version;
+      }
+    },
+    remoteSetlistCreated(state, action: PayloadAction<Setlist & { changed_by: ChangedBy }>) {
+      const { changed_by, ...setlist } = action.payload;
+      if (!state.setlists.some((item) => item.id === setlist.id)) {
+        state.setlists.unshift(setlist);
+      }
+    },
+    remoteSetlistUpdated(state, action: PayloadAction<Setlist & { changed_by: ChangedBy }>) {
+      const { changed_by, ...setlist } = action.payload;
+      const index = state.setlists.findIndex((item) => item.id === setlist.id);
+      if (index !== -1) {
+        // Keep computed fields (timing, totals) the event doesn't carry
+        state.setlists[index] = { ...state.setlists[index], ...setlist };
+      }
+      if (state.currentSetlist?.id === setlist.id) {
+        state.currentSetlist = { ...state.currentSetlist, ...setlist };
+      }
+      noteRemoteChange(state, setlist.id, changed_by, 'updated the setlist details');
+    },
+    remoteSetlistDeleted(
+      state,
+      action: PayloadAction<{ id: string; deleted_by: string; purge_at: string; changed_by: ChangedBy }>
+    ) {
+      const { id, deleted_by, purge_at, changed_by } = action.payload;
+      state.setlists = state.setlists.filter((setlist) => setlist.id !== id);
+      // The open setlist stays on screen, marked as in the trash
+      if (state.currentSetlist?.id === id) {
+        state.currentSetlist.deleted_at = new Date().toISOString();
+        state.currentSetlist.deleted_by = deleted_by;
+        state.currentSetlist.purge_at = purge_at;
+      }
+      noteRemoteChange(state, id, changed_by, 'moved the setlist to the trash');
+    },
+    remoteSetlistSongAdded(
+      state,
+      action: PayloadAction<{ setlist_id: string; version: number; song: SetlistSong; changed_by: ChangedBy }>
+    ) {
+      const { setlist_id, version, song, changed_by } = action.payload;
+      raiseVersion(state, setlist_id, version);
+      if (state.currentSetlist?.id !== setlist_id) {
+        return;
+      }
+      if (!state.setlistSongs.some((setlistSong) => setlistSong.id === song.id)) {
+        state.setlistSongs.push(song);
+        sortByPosition(state.setlistSongs);
+      }
+      noteRemoteChange(state, setlist_id, changed_by, `added "${song.song?.title ?? 'a song'}"`);
+    },
+    remoteSetlistSongUpdated(
+      state,
+      action: PayloadAction<{ setlist_id: string; version: number; song: SetlistSong; changed_by: ChangedBy }>
+    ) {
+      const { setlist_id, version, song, changed_by } = action.payload;
+      raiseVersion(state, setlist_id, version);
+      if (state.currentSetlist?.id !== setlist_id) {
+        return;
+      }
+      const index = state.setlistSongs.findIndex((setlistSong) => setlistSong.id === song.id);
+      if (index !== -1) {
+        // Keep the timing offsets, which the event doesn't include
+        state.setlistSongs[index] = { ...state.setlistSongs[index], ...song };
+      }
+      noteRemoteChange(state, setlist_id, changed_by, `changed "${song.song?.title ?? 'a song'}"`);
+    },
+    remoteSetlistSongRemoved(
+      state,
+      action: PayloadAction<{ setlist_id: string; version: number; song_id: string; changed_by: ChangedBy }>
+    ) {
+      const { setlist_id, version, song_id, changed_by } = action.payload;
+      raiseVersion(state, setlist_id, version);
+      if (state.currentSetlist?.id !== setlist_id) {
+        return;
+      }
+      const removed = state.setlistSongs.find((setlistSong) => setlistSong.song_id === song_id);
+      state.setlistSongs = state.setlistSongs.filter((setlistSong) => setlistSong.song_id !== song_id);
+      noteRemoteChange(state, setlist_id, changed_by, `removed "${removed?.song?.title ?? 'a song'}"`);
+    },
+    remoteSetlistSongsReordered(
+      state,
+      action: PayloadAction<{ setlist_id: string; version: number; songs: SetlistSong[]; changed_by: ChangedBy }>
+    ) {
+      const { setlist_id, version, songs, changed_by } = action.payload;
+      raiseVersion(state, setlist_id, version);
+      if (state.currentSetlist?.id !== setlist_id) {
+        return;
+      }
+      // Songs added here that the server doesn't have yet stay in the list
+      state.setlistSongs = sortByPosition([...songs, ...state.setlistSongs.filter(isLocalOnly)]);
+      state.arrangement = null;
+      noteRemoteChange(state, setlist_id, changed_by, 'reordered the songs');
+    },
+    remoteSetlistSongsEdited(
+      state,
+      action: PayloadAction<{
+        setlist_id: string;
+        version: number;
+        summary: string;
+        songs: SetlistSong[];
+        changed_by: ChangedBy;
+      }>
+    ) {
+      const { setlist_id, version, summary, songs, changed_by } = action.payload;
+      raiseVersion(state, setlist_id, version);
+      if (state.currentSetlist?.id !== setlist_id) {
+        return;
+      }
+      state.setlistSongs = sortByPosition([...songs, ...state.setlistSongs.filter(isLocalOnly)]);
+      state.arrangement = null;
+      noteRemoteChange(state, setlist_id, changed_by, summary.charAt(0).toLowerCase() + summary.slice(1));
+    },
+    clearRemoteChange(state) {
+      state.remoteChange = null;
+    },
+    setlistConflictReceived(
+      state,
+      action: PayloadAction<{ setlist: Setlist; songs: SetlistSong[]; conflict: VersionConflict | null }>
+    ) {
+      const { setlist, songs, conflict } = action.payload;
+      if (state.currentSetlist?.id === setlist.id) {
+        state.currentSetlist = { ...state.currentSetlist, ...setlist };
+        state.setlistSongs = songs;
+      }
+      const index = state.setlists.findIndex((item) => item.id === setlist.id);
+      if (index !== -1) {
+        state.setlists[index] = { ...state.setlists[index], ...setlist };
+      }
+      // The server's state replaced ours, so there is nothing left to roll back
+      Object.entries(state.pendingOperations).forEach(([requestId, operation]) => {
+        if (operation.setlist_id === setlist.id) {
+          delete state.pendingOperations[requestId];
+        }
+      });
+      state.conflict = conflict;
+    },
+    clearSetlistConflict(state) {
+      state.conflict = null;
+    },
+    clearArrangement(state) {
+      state.arrangement = null;
+    },
+    clearImportPreview(state) {
+      state.importPreview = null;
+    },
+    clearCollaborators(state) {
+      state.collaborators = [];
+    },
+    clearOperationError(state) {
+      state.operationError = null;
+    },
+    setlistSongIdResolved(state, action: PayloadAction<{ localId: string; id: string }>) {
+      const setlistSong = state.setlistSongs.find((item) => item.id === action.payload.localId);
+      if (setlistSong) {
+        setlistSong.id = action.payload.id;
+      }
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch setlists
+      .addCase(fetchSetlists.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSetlists.fulfilled, (state, action: PayloadAction<SetlistPage & { filters: SetlistFilters }>) => {
+        state.isLoading = false;
+        state.setlists = action.payload.setlists;
+        state.nextCursor = action.payload.next_cursor;
+        state.filters = action.payload.filters;
+      })
+      .addCase(fetchSetlists.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Fetch next page of setlists
+      .addCase(fetchMoreSetlists.pending, (state) => {
+        state.isLoadingMore = true;
+        state.error = null;
+      })
+      .addCase(fetchMoreSetlists.fulfilled, (state, action: PayloadAction<SetlistPage>) => {
+        state.isLoadingMore = false;
+        // Setlists changed while paging may already be in the list
+        const ids = new Set(state.setlists.map((setlist) => setlist.id));
+        state.setlists.push(...action.payload.setlists.filter((setlist) => !ids.has(setlist.id)));
+        state.nextCursor = action.payload.next_cursor;
+      })
+      .addCase(fetchMoreSetlists.rejected, (state, action) => {
+        state.isLoadingMore = false;
+        state.error = action.payload as string;
+      })
+      
+      // Fetch setlist by ID
+      .addCase(fetchSetlistById.pending, (state) => {
         state.isLoading = true;
         state.error = null;
       })
@@ -272,24 +1653,35 @@ const setlistsSlice = createSlice({
         state.error = action.payload as string;
       })
       
-      // Update setlist
-      .addCase(updateSetlist.pending, (state) => {
-        state.isLoading = true;
-        state.error = null;
+      // Update setlist, shown right away and rolled back if refused
+      .addCase(updateSetlist.pending, (state, action) => {
+        const { requestId, arg: { id, ...changes } } = action.meta;
+        const setlist = state.currentSetlist?.id === id
+          ? state.currentSetlist
+          : state.setlists.find((item) => item.id === id);
+        const previous = setlist
+          ? Object.fromEntries(Object.keys(changes).map((field) => [field, setlist[field as keyof Setlist]]))
+          : {};
+        state.pendingOperations[requestId] = {
+          type: 'updateSetlist',
+          setlist_id: id,
+          previous: { setlist: previous },
+        };
+        patchSetlist(state, id, changes);
       })
-      .addCase(updateSetlist.fulfilled, (state, action: PayloadAction<Setlist>) => {
-        state.isLoading = false;
+      .addCase(updateSetlist.fulfilled, (state, action) => {
+        settleOperation(state, action.meta.requestId);
         const index = state.setlists.findIndex((setlist) => setlist.id === action.payload.id);
         if (index !== -1) {
-          state.setlists[index] = action.payload;
+          // Keep computed fields (timing, totals) the update response doesn't carry
+          state.setlists[index] = { ...state.setlists[index], ...action.payload };
         }
         if (state.currentSetlist?.id === action.payload.id) {
-          state.currentSetlist = action.payload;
+          state.currentSetlist = { ...state.currentSetlist, ...action.payload };
         }
       })
       .addCase(updateSetlist.rejected, (state, action) => {
-        state.isLoading = false;
-        state.error = action.payload as string;
+        settleOperation(state, action.meta.requestId, action.payload as string);
       })
       
       // Delete setlist
@@ -310,53 +1702,452 @@ const setlistsSlice = createSlice({
         state.error = action.payload as string;
       })
       
-      // Add song to setlist
-      .addCase(addSongToSetlist.pending, (state) => {
+      // Fetch trash
+      .addCase(fetchTrash.pending, (state) => {
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(addSongToSetlist.fulfilled, (state, action: PayloadAction<SetlistSong>) => {
+      .addCase(fetchTrash.fulfilled, (state, action: PayloadAction<Setlist[]>) => {
         state.isLoading = false;
-        state.setlistSongs.push(action.payload);
-        // Sort by position
-        state.setlistSongs.sort((a, b) => a.position - b.position);
+        state.trash = action.payload;
       })
-      .addCase(addSongToSetlist.rejected, (state, action) => {
+      .addCase(fetchTrash.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Restore setlist from trash
+      .addCase(restoreSetlist.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(restoreSetlist.fulfilled, (state, action: PayloadAction<Setlist>) => {
+        state.isLoading = false;
+        state.trash = state.trash.filter((setlist) => setlist.id !== action.payload.id);
+        state.setlists.unshift(action.payload);
+      })
+      .addCase(restoreSetlist.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Permanently delete setlist
+      .addCase(purgeSetlist.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(purgeSetlist.fulfilled, (state, action: PayloadAction<string>) => {
+        state.isLoading = false;
+        state.trash = state.trash.filter((setlist) => setlist.id !== action.payload);
+      })
+      .addCase(purgeSetlist.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload as string;
       })
       
-      // Remove song from setlist
-      .addCase(removeSongFromSetlist.pending, (state) => {
+      // Collaborators
+      .addCase(fetchCollaborators.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchCollaborators.fulfilled, (state, action: PayloadAction<SetlistCollaborator[]>) => {
+        state.isLoading = false;
+        state.collaborators = action.payload;
+      })
+      .addCase(fetchCollaborators.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      .addCase(addCollaborator.pending, (state) => {
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(removeSongFromSetlist.fulfilled, (state, action: PayloadAction<{ setlist_id: string; song_id: string }>) => {
+      .addCase(addCollaborator.fulfilled, (state, action: PayloadAction<SetlistCollaborator>) => {
+        state.isLoading = false;
+        const index = state.collaborators.findIndex((collaborator) => collaborator.id === action.payload.id);
+        if (index !== -1) {
+          state.collaborators[index] = action.payload;
+        } else {
+          state.collaborators.push(action.payload);
+        }
+      })
+      .addCase(addCollaborator.rejected, (state, action) => {
         state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      .addCase(removeCollaborator.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(removeCollaborator.fulfilled, (state, action: PayloadAction<{ setlist_id: string; user_id: string }>) => {
+        state.isLoading = false;
+        state.collaborators = state.collaborators.filter(
+          (collaborator) => collaborator.user_id !== action.payload.user_id
+        );
+      })
+      .addCase(removeCollaborator.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Duplicate setlist
+      .addCase(duplicateSetlist.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(duplicateSetlist.fulfilled, (state, action: PayloadAction<Setlist>) => {
+        state.isLoading = false;
+        state.setlists.unshift(action.payload);
+      })
+      .addCase(duplicateSetlist.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Preview setlist import
+      .addCase(previewSetlistImport.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(previewSetlistImport.fulfilled, (state, action: PayloadAction<ImportPreview>) => {
+        state.isLoading = false;
+        state.importPreview = action.payload;
+      })
+      .addCase(previewSetlistImport.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Import setlist
+      .addCase(importSetlist.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(importSetlist.fulfilled, (state, action: PayloadAction<ImportResult>) => {
+        state.isLoading = false;
+        state.importPreview = null;
+        state.setlists.unshift(action.payload.setlist);
+      })
+      .addCase(importSetlist.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Add song to setlist, shown right away under a temporary ID
+      .addCase(addSongToSetlist.pending, (state, action) => {
+        const { requestId, arg: { song, ...data } } = action.meta;
+        const librarySong = song
+          ?? state.setlistSongs.find((setlistSong) => setlistSong.song_id === data.song_id)?.song;
+        state.pendingOperations[requestId] = {
+          type: 'addSong',
+          setlist_id: data.setlist_id,
+          previous: {},
+        };
+        // Without the song there is nothing to show until the server answers
+        if (librarySong) {
+          const now = new Date().toISOString();
+          state.setlistSongs.push({
+            ...data,
+            id: pendingSongId(requestId),
+            song: librarySong,
+            created_at: now,
+            updated_at: now,
+          });
+          sortByPosition(state.setlistSongs);
+        }
+      })
+      .addCase(addSongToSetlist.fulfilled, (state, action) => {
+        settleOperation(state, action.meta.requestId);
+        const index = state.setlistSongs.findIndex(
+          (setlistSong) => setlistSong.id === pendingSongId(action.meta.requestId)
+        );
+        if (index !== -1) {
+          state.setlistSongs[index] = action.payload;
+        } else if (!state.setlistSongs.some((setlistSong) => setlistSong.id === action.payload.id)) {
+          state.setlistSongs.push(action.payload);
+        }
+        sortByPosition(state.setlistSongs);
+      })
+      .addCase(addSongToSetlist.rejected, (state, action) => {
+        settleOperation(state, action.meta.requestId, action.payload as string);
+      })
+      
+      // Update setlist song, shown right away and rolled back if refused
+      .addCase(updateSetlistSong.pending, (state, action) => {
+        // A transposition is worked out by the server, so it shows once the response is in
+        const { requestId, arg: { setlist_id, song_id, transpose, ...changes } } = action.meta;
+        const setlistSong = state.setlistSongs.find((item) => item.song_id === song_id);
+        state.pendingOperations[requestId] = {
+          type: 'updateSong',
+          setlist_id,
+          previous: { songs: setlistSong ? [current(setlistSong)] : [] },
+        };
+        if (setlistSong) {
+          Object.assign(setlistSong, changes);
+        }
+      })
+      .addCase(updateSetlistSong.fulfilled, (state, action) => {
+        settleOperation(state, action.meta.requestId);
+        const index = state.setlistSongs.findIndex((setlistSong) => setlistSong.id === action.payload.id);
+        if (index !== -1) {
+          // Keep the timing offsets, which the update response doesn't include
+          state.setlistSongs[index] = { ...state.setlistSongs[index], ...action.payload };
+        }
+      })
+      .addCase(updateSetlistSong.rejected, (state, action) => {
+        settleOperation(state, action.meta.requestId, action.payload as string);
+      })
+      
+      // Remove song from setlist, hidden right away and put back if refused
+      .addCase(removeSongFromSetlist.pending, (state, action) => {
+        const { requestId, arg: { setlist_id, song_id } } = action.meta;
+        const removed = state.setlistSongs.filter((setlistSong) => setlistSong.song_id === song_id);
+        state.pendingOperations[requestId] = {
+          type: 'removeSong',
+          setlist_id,
+          previous: { songs: removed.map((setlistSong) => current(setlistSong)) },
+        };
+        state.setlistSongs = state.setlistSongs.filter((setlistSong) => setlistSong.song_id !== song_id);
+      })
+      .addCase(removeSongFromSetlist.fulfilled, (state, action) => {
+        settleOperation(state, action.meta.requestId);
         state.setlistSongs = state.setlistSongs.filter(
           (setlistSong) => setlistSong.song_id !== action.payload.song_id
         );
       })
       .addCase(removeSongFromSetlist.rejected, (state, action) => {
+        settleOperation(state, action.meta.requestId, action.payload as string);
+      })
+      
+      // Reorder setlist songs, moved right away so drag and drop doesn't snap back
+      .addCase(reorderSetlistSongs.pending, (state, action) => {
+        const { requestId, arg: { setlist_id, songs } } = action.meta;
+        const moves = new Map(songs.map((song) => [song.id, song]));
+        const moved = state.setlistSongs.filter((setlistSong) => moves.has(setlistSong.id));
+        state.pendingOperations[requestId] = {
+          type: 'reorderSongs',
+          setlist_id,
+          previous: { songs: moved.map((setlistSong) => current(setlistSong)) },
+        };
+        moved.forEach((setlistSong) => {
+          const move = moves.get(setlistSong.id)!;
+          setlistSong.position = move.position;
+          setlistSong.block_id = move.block_id ?? setlistSong.block_id;
+        });
+        sortByPosition(state.setlistSongs);
+        state.arrangement = null;
+      })
+      .addCase(reorderSetlistSongs.fulfilled, (state, action) => {
+        // The server's order has the real timing offsets, but would undo
+        // changes made since that are still on their way
+        if (!hasOtherPendingOperations(state, action.meta.arg.setlist_id, action.meta.requestId)) {
+          state.setlistSongs = action.payload;
+        }
+        settleOperation(state, action.meta.requestId);
+      })
+      .addCase(reorderSetlistSongs.rejected, (state, action) => {
+        settleOperation(state, action.meta.requestId, action.payload as string);
+      })
+      
+      // Batch edit setlist songs, shown right away and rolled back as a whole if refused
+      .addCase(batchEditSetlistSongs.pending, (state, action) => {
+        const { requestId, arg: { setlist_id, operations } } = action.meta;
+        if (state.currentSetlist?.id !== setlist_id) {
+          return;
+        }
+        const songs = applySongOperations(state.setlistSongs, operations, requestId);
+        state.pendingOperations[requestId] = {
+          type: 'batchEditSongs',
+          setlist_id,
+          previous: { songs: state.setlistSongs.map((setlistSong) => current(setlistSong)) },
+        };
+        state.setlistSongs = songs;
+        state.arrangement = null;
+      })
+      .addCase(batchEditSetlistSongs.fulfilled, (state, action) => {
+        // As with a reorder, the server's list would undo changes still on their way
+        if (!hasOtherPendingOperations(state, action.meta.arg.setlist_id, action.meta.requestId)) {
+          state.setlistSongs = action.payload;
+        }
+        settleOperation(state, action.meta.requestId);
+      })
+      .addCase(batchEditSetlistSongs.rejected, (state, action) => {
+        if (state.pendingOperations[action.meta.requestId]) {
+          const temporaryId = `${pendingSongId(action.meta.requestId)}-`;
+          state.setlistSongs = state.setlistSongs.filter((setlistSong) => !setlistSong.id.startsWith(temporaryId));
+        }
+        settleOperation(state, action.meta.requestId, action.payload as string);
+      })
+      
+      // Create block
+      .addCase(createBlock.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createBlock.fulfilled, (state, action: PayloadAction<Block>) => {
+        state.isLoading = false;
+        if (state.currentSetlist?.id === action.payload.setlist_id) {
+          state.currentSetlist.blocks = [...(state.currentSetlist.blocks || []), action.payload]
+            .sort((a, b) => a.position - b.position);
+        }
+      })
+      .addCase(createBlock.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Update block
+      .addCase(updateBlock.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(updateBlock.fulfilled, (state, action: PayloadAction<Block>) => {
+        state.isLoading = false;
+        if (state.currentSetlist?.id === action.payload.setlist_id && state.currentSetlist.blocks) {
+          state.currentSetlist.blocks = state.currentSetlist.blocks
+            .map((block) => (block.id === action.payload.id ? { ...block, ...action.payload } : block))
+            .sort((a, b) => a.position - b.position);
+        }
+      })
+      .addCase(updateBlock.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Reorder blocks
+      .addCase(reorderBlocks.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(reorderBlocks.fulfilled, (state, action) => {
+        state.isLoading = false;
+        if (state.currentSetlist?.id === action.meta.arg.setlist_id) {
+          state.currentSetlist.blocks = action.payload;
+        }
+      })
+      .addCase(reorderBlocks.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Delete block
+      .addCase(deleteBlock.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(deleteBlock.fulfilled, (state, action) => {
+        state.isLoading = false;
+        if (state.currentSetlist?.id === action.payload.setlist_id) {
+          state.currentSetlist.blocks = state.currentSetlist.blocks?.filter(
+            (block) => block.id !== action.payload.block_id
+          );
+          state.setlistSongs = action.payload.songs;
+        }
+      })
+      .addCase(deleteBlock.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload as string;
       })
       
-      // Reorder setlist songs
-      .addCase(reorderSetlistSongs.pending, (state) => {
+      // Move songs to block
+      .addCase(moveSongsToBlock.pending, (state) => {
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(reorderSetlistSongs.fulfilled, (state, action: PayloadAction<SetlistSong[]>) => {
+      .addCase(moveSongsToBlock.fulfilled, (state, action: PayloadAction<SetlistSong[]>) => {
         state.isLoading = false;
         state.setlistSongs = action.payload;
       })
-      .addCase(reorderSetlistSongs.rejected, (state, action) => {
+      .addCase(moveSongsToBlock.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Preview arrangement
+      .addCase(previewArrangement.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(previewArrangement.fulfilled, (state, action: PayloadAction<Arrangement>) => {
+        state.isLoading = false;
+        state.arrangement = action.payload;
+      })
+      .addCase(previewArrangement.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Fetch setlist revisions
+      .addCase(fetchSetlistRevisions.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSetlistRevisions.fulfilled, (state, action: PayloadAction<SetlistRevision[]>) => {
+        state.isLoading = false;
+        state.revisions = action.payload;
+      })
+      .addCase(fetchSetlistRevisions.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Fetch revision diff
+      .addCase(fetchRevisionDiff.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchRevisionDiff.fulfilled, (state, action: PayloadAction<RevisionDiff>) => {
+        state.isLoading = false;
+        state.revisionDiff = action.payload;
+      })
+      .addCase(fetchRevisionDiff.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      
+      // Restore setlist revision
+      .addCase(restoreSetlistRevision.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(restoreSetlistRevision.fulfilled, (state, action: PayloadAction<RestoredRevision>) => {
+        state.isLoading = false;
+        if (state.currentSetlist?.id === action.payload.setlist_id) {
+          state.currentSetlist = {
+            ...state.currentSetlist,
+            ...action.payload.setlist,
+            blocks: action.payload.blocks,
+          };
+          state.setlistSongs = action.payload.songs;
+        }
+        state.revisionDiff = null;
+      })
+      .addCase(restoreSetlistRevision.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload as string;
       });
   },
 });
 
-export const { clearCurrentSetlist, resetSetlistsState } = setlistsSlice.actions;
+export const {
+  clearCurrentSetlist,
+  resetSetlistsState,
+  setlistVersionReceived,
+  remoteSetlistCreated,
+  remoteSetlistUpdated,
+  remoteSetlistDeleted,
+  remoteSetlistSongAdded,
+  remoteSetlistSongUpdated,
+  remoteSetlistSongRemoved,
+  remoteSetlistSongsReordered,
+  remoteSetlistSongsEdited,
+  clearRemoteChange,
+  setlistConflictReceived,
+  clearSetlistConflict,
+  clearArrangement,
+  clearImportPreview,
+  clearCollaborators,
+  clearOperationError,
+  setlistSongIdResolved,
+} = setlistsSlice.actions;
 export default setlistsSlice.reducer;
\ No newline at end of file
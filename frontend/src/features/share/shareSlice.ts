@@ -0,0 +1,206 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export interface ShareLink {
+  id: string;
+  token: string;
+  share_url: string;
+  read_only: boolean;
+  expires_at: string | null;
+  access_count: number;
+  last_accessed_at: string | null;
+  created_by: string | { id: string; username: string };
+  created_at: string;
+}
+
+export interface SharedSong {
+  number: number;
+  title: string;
+  artist: string | null;
+  key: string | null;
+  original_key: string | null;
+  transpose: number | null;
+  tempo: number | null;
+  duration: number | null;
+  start_offset: number;
+  capo: number | null;
+  tuning: string | null;
+  lead_singer: string | null;
+  instrument_changes: string | null;
+  segue_notes: string | null;
+  notes: string | null;
+}
+
+export interface SharedSection {
+  name: string | null;
+  duration: number;
+  target_duration: number | null;
+  songs: SharedSong[];
+}
+
+export interface SharedSetlist {
+  setlist_id: string | null;
+  read_only: boolean;
+  expires_at: string | null;
+  name: string;
+  description: string | null;
+  band: string | null;
+  total_duration: number;
+  target_duration: number | null;
+  song_count: number;
+  updated_at: string;
+  sections: SharedSection[];
+}
+
+// State type
+interface ShareState {
+  sharedSetlist: SharedSetlist | null;
+  links: ShareLink[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: ShareState = {
+  sharedSetlist: null,
+  links: [],
+  isLoading: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchSharedSetlist = createAsyncThunk<SharedSetlist, string, { state: RootState }>(
+  'share/fetchSharedSetlist',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/share/${token}`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to open shared setlist');
+    }
+  }
+);
+
+export const fetchShareLinks = createAsyncThunk<ShareLink[], string, { state: RootState }>(
+  'share/fetchShareLinks',
+  async (setlistId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`/api/setlists/${setlistId}/share`);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch share links');
+    }
+  }
+);
+
+export const createShareLink = createAsyncThunk<
+  ShareLink,
+  { setlist_id: string; expiry?: number | null; read_only?: boolean },
+  { state: RootState }
+>(
+  'share/createShareLink',
+  async ({ setlist_id, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${setlist_id}/share`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to create share link');
+    }
+  }
+);
+
+export const revokeShareLink = createAsyncThunk<
+  string,
+  { setlist_id: string; link_id: string },
+  { state: RootState }
+>(
+  'share/revokeShareLink',
+  async ({ setlist_id, link_id }, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/setlists/${setlist_id}/share/${link_id}`);
+      return link_id;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to revoke share link');
+    }
+  }
+);
+
+// Slice
+const shareSlice = createSlice({
+  name: 'share',
+  initialState,
+  reducers: {
+    clearSharedSetlist(state) {
+      state.sharedSetlist = null;
+      state.error = null;
+    },
+    clearShareLinks(state) {
+      state.links = [];
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch shared setlist
+      .addCase(fetchSharedSetlist.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSharedSetlist.fulfilled, (state, action: PayloadAction<SharedSetlist>) => {
+        state.isLoading = false;
+        state.sharedSetlist = action.payload;
+      })
+      .addCase(fetchSharedSetlist.rejected, (state, action) => {
+        state.isLoading = false;
+        state.sharedSetlist = null;
+        state.error = action.payload as string;
+      })
+
+      // Fetch share links
+      .addCase(fetchShareLinks.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchShareLinks.fulfilled, (state, action: PayloadAction<ShareLink[]>) => {
+        state.isLoading = false;
+        state.links = action.payload;
+      })
+      .addCase(fetchShareLinks.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Create share link
+      .addCase(createShareLink.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createShareLink.fulfilled, (state, action: PayloadAction<ShareLink>) => {
+        state.isLoading = false;
+        state.links.unshift(action.payload);
+      })
+      .addCase(createShareLink.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Revoke share link
+      .addCase(revokeShareLink.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(revokeShareLink.fulfilled, (state, action: PayloadAction<string>) => {
+        state.isLoading = false;
+        state.links = state.links.filter((link) => link.id !== action.payload);
+      })
+      .addCase(revokeShareLink.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearSharedSetlist, clearShareLinks } = shareSlice.actions;
+export default shareSlice.reducer;
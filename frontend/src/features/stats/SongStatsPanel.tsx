@@ -0,0 +1,147 @@
+import React, { useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Chip,
+  CircularProgress,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { format, parseISO } from 'date-fns';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { fetchSongStats, SongUsage } from './statsSlice';
+
+interface SongStatsPanelProps {
+  bandId: string;
+  // The dashboard shows the most used songs only; the songs page shows them all
+  compact?: boolean;
+}
+
+// How many songs the compact panel lists
+const COMPACT_LIMIT = 5;
+
+/**
+ * Describe where a song tends to sit in the running order
+ * @param usage - Usage of the song
+ */
+const describePosition = (usage: SongUsage) => {
+  if (usage.average_position === null) return '–';
+  if (usage.average_position <= 0.2) return 'Early';
+  if (usage.average_position >= 0.8) return 'Late';
+  return 'Middle';
+};
+
+const songLabel = (usage: SongUsage) => (usage.artist ? `${usage.title} – ${usage.artist}` : usage.title);
+
+// How a band's songs are used across its setlists: most used, over-used lately and never used
+const SongStatsPanel: React.FC<SongStatsPanelProps> = ({ bandId, compact = false }) => {
+  const dispatch = useAppDispatch();
+  const stats = useAppSelector((state) => state.stats.songStats[bandId]);
+  const { isLoading, error } = useAppSelector((state) => state.stats);
+
+  useEffect(() => {
+    dispatch(fetchSongStats({ band_id: bandId }));
+  }, [dispatch, bandId]);
+
+  const used = stats ? stats.songs.filter((usage) => usage.setlist_count > 0) : [];
+  const rows = compact ? used.slice(0, COMPACT_LIMIT) : used;
+
+  return (
+    <Card>
+      <CardHeader
+        title="Song usage"
+        subheader={stats ? `Across ${stats.setlist_count} setlists` : undefined}
+      />
+      <CardContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!stats ? (
+          isLoading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+              <CircularProgress size={32} />
+            </Box>
+          )
+        ) : (
+          <>
+            {stats.overused.length > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  In most of the last {stats.recent_setlist_count} setlists
+                </Typography>
+                <Stack direction="row" sx={{ flexWrap: 'wrap', gap: 1 }}>
+                  {stats.overused.map((usage) => (
+                    <Chip key={usage.song_id} label={songLabel(usage)} color="warning" size="small" />
+                  ))}
+                </Stack>
+              </Box>
+            )}
+
+            {stats.never_used.length > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Never used ({stats.never_used.length})
+                </Typography>
+                <Stack direction="row" sx={{ flexWrap: 'wrap', gap: 1 }}>
+                  {(compact ? stats.never_used.slice(0, COMPACT_LIMIT) : stats.never_used).map((usage) => (
+                    <Chip key={usage.song_id} label={songLabel(usage)} variant="outlined" size="small" />
+                  ))}
+                  {compact && stats.never_used.length > COMPACT_LIMIT && (
+                    <Chip label={`+${stats.never_used.length - COMPACT_LIMIT} more`} variant="outlined" size="small" />
+                  )}
+                </Stack>
+              </Box>
+            )}
+
+            {rows.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No songs have been used in a setlist yet.
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Song</TableCell>
+                    <TableCell align="right">Setlists</TableCell>
+                    <TableCell>Last scheduled</TableCell>
+                    <TableCell>Position</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map((usage) => (
+                    <TableRow key={usage.song_id}>
+                      <TableCell>{songLabel(usage)}</TableCell>
+                      <TableCell align="right">{usage.setlist_count}</TableCell>
+                      <TableCell>
+                        {usage.last_scheduled_on ? format(parseISO(usage.last_scheduled_on), 'd MMM yyyy') : '–'}
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={`Opened ${usage.opener_count}, closed ${usage.closer_count}`}>
+                          <span>{describePosition(usage)}</span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SongStatsPanel;
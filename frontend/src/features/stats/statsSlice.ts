@@ -0,0 +1,83 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export interface SongUsage {
+  song_id: string;
+  title: string;
+  artist: string | null;
+  setlist_count: number;
+  recent_count: number;
+  last_scheduled_on: string | null;
+  // From 0 (opener) to 1 (closer)
+  average_position: number | null;
+  opener_count: number;
+  closer_count: number;
+}
+
+export interface SongStats {
+  band_id: string;
+  setlist_count: number;
+  recent_setlist_count: number;
+  songs: SongUsage[];
+  never_used: SongUsage[];
+  overused: SongUsage[];
+}
+
+// State type
+interface StatsState {
+  // Song usage by band ID
+  songStats: Record<string, SongStats>;
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: StatsState = {
+  songStats: {},
+  isLoading: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchSongStats = createAsyncThunk<
+  SongStats,
+  { band_id: string; recent?: number; overuse_share?: number },
+  { state: RootState }
+>(
+  'stats/fetchSongStats',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/stats/songs', { params });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch song statistics');
+    }
+  }
+);
+
+// Slice
+const statsSlice = createSlice({
+  name: 'stats',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // Fetch song stats
+      .addCase(fetchSongStats.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSongStats.fulfilled, (state, action: PayloadAction<SongStats>) => {
+        state.isLoading = false;
+        state.songStats[action.payload.band_id] = action.payload;
+      })
+      .addCase(fetchSongStats.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export default statsSlice.reducer;
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { Setlist } from '../setlists/setlistsSlice';
+import { saveSetlistAsTemplate } from './templatesSlice';
+
+interface SaveAsTemplateDialogProps {
+  setlist: Setlist | null;
+  open: boolean;
+  onClose: () => void;
+  // Bands the template can be shared with
+  bands: { id: string; name: string }[];
+}
+
+// Save the structure of a setlist to start later setlists from
+const SaveAsTemplateDialog: React.FC<SaveAsTemplateDialogProps> = ({ setlist, open, onClose, bands }) => {
+  const dispatch = useAppDispatch();
+  const { isLoading, error } = useAppSelector((state) => state.templates);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [bandId, setBandId] = useState('');
+  const [fixOpenerAndCloser, setFixOpenerAndCloser] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (open && setlist) {
+      setName(setlist.name);
+      setDescription(setlist.description ?? '');
+      setBandId(setlist.band_id ?? '');
+      setFixOpenerAndCloser(false);
+      setSaved(false);
+    }
+  }, [open, setlist]);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!setlist) return;
+
+    const result = await dispatch(saveSetlistAsTemplate({
+      setlistId: setlist.id,
+      name: name.trim() || undefined,
+      description,
+      band_id: bandId || null,
+      fix_opener_and_closer: fixOpenerAndCloser,
+    }));
+    if (saveSetlistAsTemplate.fulfilled.match(result)) {
+      setSaved(true);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSave}>
+        <DialogTitle>Save as template</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The template keeps the blocks, their target durations and the timing settings of this setlist, but not its
+            songs.
+          </DialogContentText>
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {saved && (
+            <Alert severity="success" sx={{ mt: 2 }}>
+              Template saved. Choose it when creating a setlist.
+            </Alert>
+          )}
+          <TextField fullWidth margin="normal" label="Name" value={name} onChange={(e) => setName(e.target.value)} />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            margin="normal"
+            label="Description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+          <TextField
+            select
+            fullWidth
+            margin="normal"
+            label="Shared with"
+            value={bandId}
+            onChange={(e) => setBandId(e.target.value)}
+          >
+            <MenuItem value="">Only me</MenuItem>
+            {bands.map((band) => (
+              <MenuItem key={band.id} value={band.id}>
+                {band.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <FormControlLabel
+            control={<Checkbox checked={fixOpenerAndCloser} onChange={(e) => setFixOpenerAndCloser(e.target.checked)} />}
+            label="Always open and close with this setlist's first and last songs"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>{saved ? 'Close' : 'Cancel'}</Button>
+          <Button type="submit" variant="contained" disabled={isLoading || saved || !setlist}>
+            Save template
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default SaveAsTemplateDialog;
@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import {
+  createTemplate,
+  SetlistTemplate,
+  SlotPosition,
+  TemplateBlock,
+  TemplateInput,
+  TemplateSlot,
+  updateTemplate,
+} from './templatesSlice';
+
+// Target durations are entered in minutes and stored in seconds
+const toMinutes = (seconds: number | null) => (seconds ? String(Math.round(seconds / 60)) : '');
+const toSeconds = (minutes: string) => (minutes ? Math.round(Number(minutes) * 60) : null);
+
+interface BlockRow {
+  name: string;
+  minutes: string;
+}
+
+interface TemplateDialogProps {
+  // The template to edit, or null to create one
+  template: SetlistTemplate | null;
+  open: boolean;
+  onClose: () => void;
+  // Bands a new template can be shared with
+  bands: { id: string; name: string }[];
+  // Songs that can be fixed slots
+  songs: { id: string; title: string }[];
+}
+
+// Create or edit a template: its timing settings, blocks and fixed songs
+const TemplateDialog: React.FC<TemplateDialogProps> = ({ template, open, onClose, bands, songs }) => {
+  const dispatch = useAppDispatch();
+  const { isLoading, error } = useAppSelector((state) => state.templates);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [bandId, setBandId] = useState('');
+  const [songGap, setSongGap] = useState('0');
+  const [blockBreak, setBlockBreak] = useState('0');
+  const [targetMinutes, setTargetMinutes] = useState('');
+  const [blocks, setBlocks] = useState<BlockRow[]>([]);
+  const [slots, setSlots] = useState<Omit<TemplateSlot, 'song'>[]>([]);
+
+  useEffect(() => {
+    if (!open) return;
+    setName(template?.name ?? '');
+    setDescription(template?.description ?? '');
+    setBandId(template?.band_id ?? '');
+    setSongGap(String(template?.song_gap ?? 0));
+    setBlockBreak(String(template?.block_break ?? 0));
+    setTargetMinutes(toMinutes(template?.target_duration ?? null));
+    setBlocks((template?.blocks ?? []).map((block) => ({ name: block.name, minutes: toMinutes(block.target_duration) })));
+    setSlots((template?.fixed_slots ?? []).map(({ song_id, block, position }) => ({ song_id, block, position })));
+  }, [open, template]);
+
+  const updateBlock = (index: number, changes: Partial<BlockRow>) => {
+    setBlocks(blocks.map((block, i) => (i === index ? { ...block, ...changes } : block)));
+  };
+
+  // Slots of a removed block fall back to the whole show; later blocks move up one
+  const removeBlock = (index: number) => {
+    setBlocks(blocks.filter((_, i) => i !== index));
+    setSlots(slots.map((slot) => {
+      if (slot.block === null || slot.block < index) return slot;
+      return { ...slot, block: slot.block === index ? null : slot.block - 1 };
+    }));
+  };
+
+  const updateSlot = (index: number, changes: Partial<TemplateSlot>) => {
+    setSlots(slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)));
+  };
+
+  const unusedSong = songs.find((song) => !slots.some((slot) => slot.song_id === song.id));
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const data: TemplateInput = {
+      name: name.trim(),
+      description: description || null,
+      song_gap: Number(songGap) || 0,
+      block_break: Number(blockBreak) || 0,
+      target_duration: toSeconds(targetMinutes),
+      blocks: blocks.map((block): TemplateBlock => ({ name: block.name.trim(), target_duration: toSeconds(block.minutes) })),
+      fixed_slots: slots,
+    };
+
+    const result = template
+      ? await dispatch(updateTemplate({ id: template.id, data }))
+      : await dispatch(createTemplate({ ...data, band_id: bandId || null }));
+    if (result.meta.requestStatus === 'fulfilled') {
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <form onSubmit={handleSave}>
+        <DialogTitle>{template ? 'Edit template' : 'New template'}</DialogTitle>
+        <DialogContent dividers>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <TextField fullWidth required margin="normal" label="Name" value={name} onChange={(e) => setName(e.target.value)} />
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            margin="normal"
+            label="Description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+          {!template && (
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="Shared with"
+              value={bandId}
+              onChange={(e) => setBandId(e.target.value)}
+            >
+              <MenuItem value="">Only me</MenuItem>
+              {bands.map((band) => (
+                <MenuItem key={band.id} value={band.id}>
+                  {band.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <Stack direction="row" spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              type="number"
+              label="Gap between songs (s)"
+              value={songGap}
+              onChange={(e) => setSongGap(e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+            <TextField
+              type="number"
+              label="Break between blocks (s)"
+              value={blockBreak}
+              onChange={(e) => setBlockBreak(e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+            <TextField
+              type="number"
+              label="Target length (min)"
+              value={targetMinutes}
+              onChange={(e) => setTargetMinutes(e.target.value)}
+              inputProps={{ min: 0 }}
+            />
+          </Stack>
+
+          <Typography variant="subtitle1" sx={{ mt: 3 }}>
+            Blocks
+          </Typography>
+          {blocks.map((block, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 1 }}>
+              <TextField
+                required
+                size="small"
+                label="Name"
+                value={block.name}
+                onChange={(e) => updateBlock(index, { name: e.target.value })}
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                type="number"
+                size="small"
+                label="Target (min)"
+                value={block.minutes}
+                onChange={(e) => updateBlock(index, { minutes: e.target.value })}
+                inputProps={{ min: 0 }}
+                sx={{ width: 140 }}
+              />
+              <IconButton aria-label="Remove block" onClick={() => removeBlock(index)}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            startIcon={<AddIcon />}
+            onClick={() => setBlocks([...blocks, { name: `Set ${blocks.length + 1}`, minutes: '' }])}
+            sx={{ mt: 1 }}
+          >
+            Add block
+          </Button>
+
+          <Typography variant="subtitle1" sx={{ mt: 3 }}>
+            Fixed songs
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Songs that always open or close the show or one of its blocks.
+          </Typography>
+          {slots.map((slot, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 1 }}>
+              <TextField
+                select
+                size="small"
+                label="Song"
+                value={slot.song_id}
+                onChange={(e) => updateSlot(index, { song_id: e.target.value })}
+                sx={{ flex: 1 }}
+              >
+                {songs
+                  .filter((song) => song.id === slot.song_id || !slots.some((other) => other.song_id === song.id))
+                  .map((song) => (
+                    <MenuItem key={song.id} value={song.id}>
+                      {song.title}
+                    </MenuItem>
+                  ))}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Position"
+                value={slot.position}
+                onChange={(e) => updateSlot(index, { position: e.target.value as SlotPosition })}
+                sx={{ width: 120 }}
+              >
+                <MenuItem value="first">Opens</MenuItem>
+                <MenuItem value="last">Closes</MenuItem>
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Of"
+                value={slot.block === null ? '' : String(slot.block)}
+                onChange={(e) => updateSlot(index, { block: e.target.value === '' ? null : Number(e.target.value) })}
+                sx={{ width: 180 }}
+              >
+                <MenuItem value="">The whole show</MenuItem>
+                {blocks.map((block, blockIndex) => (
+                  <MenuItem key={blockIndex} value={String(blockIndex)}>
+                    {block.name || `Block ${blockIndex + 1}`}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <IconButton aria-label="Remove fixed song" onClick={() => setSlots(slots.filter((_, i) => i !== index))}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            startIcon={<AddIcon />}
+            disabled={!unusedSong}
+            onClick={() => unusedSong && setSlots([...slots, { song_id: unusedSong.id, block: null, position: 'first' }])}
+            sx={{ mt: 1 }}
+          >
+            Add fixed song
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isLoading || !name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TemplateDialog;
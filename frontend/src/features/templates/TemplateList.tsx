@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardActions,
+  CardContent,
+  CircularProgress,
+  Typography,
+} from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { getSocket } from '../../services/socketService';
+import TemplateDialog from './TemplateDialog';
+import { TemplateSummary } from './TemplatePicker';
+import { deleteTemplate, fetchTemplates, SetlistTemplate, templateReceived, templateRemoved } from './templatesSlice';
+
+interface TemplateListProps {
+  // Only this band's templates (e.g. on BandDetailPage); all usable ones by default
+  bandId?: string;
+  bands: { id: string; name: string }[];
+  songs: { id: string; title: string }[];
+}
+
+// The templates a user can start setlists from, with ways to create, edit and delete them
+const TemplateList: React.FC<TemplateListProps> = ({ bandId, bands, songs }) => {
+  const dispatch = useAppDispatch();
+  const { templates, isLoading, error } = useAppSelector((state) => state.templates);
+  const [editing, setEditing] = useState<SetlistTemplate | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const shown = bandId ? templates.filter((template) => template.band_id === bandId) : templates;
+
+  useEffect(() => {
+    dispatch(fetchTemplates(bandId ? { band_id: bandId } : undefined));
+
+    const socket = getSocket();
+    const handleSaved = (template: SetlistTemplate) => {
+      dispatch(templateReceived(template));
+    };
+    const handleDeleted = (payload: { id: string }) => {
+      dispatch(templateRemoved(payload));
+    };
+
+    socket?.on('template:created', handleSaved);
+    socket?.on('template:updated', handleSaved);
+    socket?.on('template:deleted', handleDeleted);
+
+    return () => {
+      socket?.off('template:created', handleSaved);
+      socket?.off('template:updated', handleSaved);
+      socket?.off('template:deleted', handleDeleted);
+    };
+  }, [dispatch, bandId]);
+
+  const handleOpen = (template: SetlistTemplate | null) => {
+    setEditing(template);
+    setDialogOpen(true);
+  };
+
+  const handleDelete = (template: SetlistTemplate) => {
+    if (window.confirm(`Delete the template "${template.name}"? Setlists made from it are kept.`)) {
+      dispatch(deleteTemplate(template.id));
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">Templates</Typography>
+        <Button startIcon={<AddIcon />} onClick={() => handleOpen(null)}>
+          New template
+        </Button>
+      </Box>
+
+      {error && !dialogOpen && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && shown.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : shown.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No templates yet. Create one here, or save a setlist as a template from the editor.
+        </Typography>
+      ) : (
+        shown.map((template) => (
+          <Card key={template.id} variant="outlined" sx={{ mb: 2 }}>
+            <CardContent>
+              <Typography variant="subtitle1">{template.name}</Typography>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                {template.band ? template.band.name : 'Personal'}
+                {template.creator ? ` · by ${template.creator.username}` : ''}
+              </Typography>
+              <TemplateSummary template={template} />
+            </CardContent>
+            <CardActions>
+              <Button size="small" onClick={() => handleOpen(template)}>
+                Edit
+              </Button>
+              <Button size="small" color="error" onClick={() => handleDelete(template)}>
+                Delete
+              </Button>
+            </CardActions>
+          </Card>
+        ))
+      )}
+
+      <TemplateDialog
+        template={editing}
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        bands={bands}
+        songs={songs}
+      />
+    </Box>
+  );
+};
+
+export default TemplateList;
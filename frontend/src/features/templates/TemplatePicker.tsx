@@ -0,0 +1,96 @@
+import React, { useEffect } from 'react';
+import { Box, Chip, MenuItem, Stack, TextField, Typography } from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { formatDuration } from '../../utils/formatDuration';
+import { fetchTemplates, SetlistTemplate, TemplateSlot } from './templatesSlice';
+
+// Where a fixed song goes, e.g. "Opens Set 2" or "Closes the show"
+export const describeSlot = (slot: TemplateSlot, blocks: SetlistTemplate['blocks']) => {
+  const verb = slot.position === 'first' ? 'Opens' : 'Closes';
+  const block = slot.block !== null ? blocks[slot.block] : null;
+  return `${verb} ${block ? block.name : 'the show'}`;
+};
+
+// The blocks and fixed songs a new setlist gets from a template
+export const TemplateSummary: React.FC<{ template: SetlistTemplate }> = ({ template }) => (
+  <Box>
+    {template.description && (
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {template.description}
+      </Typography>
+    )}
+    <Stack direction="row" spacing={1} sx={{ flexWrap: 'wrap', rowGap: 1 }}>
+      {template.blocks.map((block, index) => (
+        <Chip
+          key={index}
+          size="small"
+          label={block.target_duration ? `${block.name} · ${formatDuration(block.target_duration)}` : block.name}
+        />
+      ))}
+      {template.target_duration && (
+        <Chip size="small" variant="outlined" label={`Target ${formatDuration(template.target_duration)}`} />
+      )}
+    </Stack>
+    {template.fixed_slots.length > 0 && (
+      <Box component="ul" sx={{ m: 0, mt: 1, pl: 3 }}>
+        {template.fixed_slots.map((slot) => (
+          <Typography component="li" variant="body2" key={slot.song_id}>
+            {slot.song ? slot.song.title : 'Deleted song (will be left out)'} – {describeSlot(slot, template.blocks)}
+          </Typography>
+        ))}
+      </Box>
+    )}
+  </Box>
+);
+
+interface TemplatePickerProps {
+  value: string;
+  onChange: (template: SetlistTemplate | null) => void;
+  // Band the new setlist is for; only its templates fit, or personal ones for a personal setlist
+  bandId?: string;
+}
+
+// Choice of template in the new setlist form, with what it will set up
+const TemplatePicker: React.FC<TemplatePickerProps> = ({ value, onChange, bandId }) => {
+  const dispatch = useAppDispatch();
+  const { templates } = useAppSelector((state) => state.templates);
+  const options = templates.filter((template) => (template.band_id || '') === (bandId || ''));
+  const selected = options.find((template) => template.id === value) ?? null;
+
+  useEffect(() => {
+    dispatch(fetchTemplates());
+  }, [dispatch]);
+
+  // A band template no longer fits once another band is chosen
+  useEffect(() => {
+    if (value && !selected) {
+      onChange(null);
+    }
+  }, [value, selected, onChange]);
+
+  if (options.length === 0) return null;
+
+  return (
+    <Box>
+      <TextField
+        select
+        fullWidth
+        margin="normal"
+        label="Template"
+        value={selected ? value : ''}
+        onChange={(e) => onChange(options.find((template) => template.id === e.target.value) ?? null)}
+      >
+        <MenuItem value="">Blank setlist</MenuItem>
+        {options.map((template) => (
+          <MenuItem key={template.id} value={template.id}>
+            {template.name}
+            {template.band ? ` (${template.band.name})` : ''}
+          </MenuItem>
+        ))}
+      </TextField>
+      {selected && <TemplateSummary template={selected} />}
+    </Box>
+  );
+};
+
+export default TemplatePicker;
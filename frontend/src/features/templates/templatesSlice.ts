@@ -0,0 +1,224 @@
+import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { RootState } from '../../store';
+
+// Types
+export interface TemplateBlock {
+  name: string;
+  target_duration: number | null;
+}
+
+export type SlotPosition = 'first' | 'last';
+
+export interface TemplateSlot {
+  song_id: string;
+  // Index into the template's blocks; null opens or closes the whole show
+  block: number | null;
+  position: SlotPosition;
+  // Null when the song was deleted from the library
+  song?: { id: string; title: string; artist: string | null } | null;
+}
+
+export interface SetlistTemplate {
+  id: string;
+  name: string;
+  description: string | null;
+  // Null for a personal template
+  band_id: string | null;
+  band?: { id: string; name: string } | null;
+  created_by: string;
+  creator?: { id: string; username: string };
+  song_gap: number;
+  block_break: number;
+  target_duration: number | null;
+  blocks: TemplateBlock[];
+  fixed_slots: TemplateSlot[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface TemplateInput {
+  name?: string;
+  description?: string | null;
+  band_id?: string | null;
+  song_gap?: number;
+  block_break?: number;
+  target_duration?: number | null;
+  // Replace the template's blocks and fixed slots
+  blocks?: TemplateBlock[];
+  fixed_slots?: Omit<TemplateSlot, 'song'>[];
+}
+
+// State type
+interface TemplatesState {
+  templates: SetlistTemplate[];
+  isLoading: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: TemplatesState = {
+  templates: [],
+  isLoading: false,
+  error: null,
+};
+
+// Async thunks
+// Fetch the templates the user can use; band_id 'none' for personal ones only
+export const fetchTemplates = createAsyncThunk<SetlistTemplate[], { band_id?: string } | undefined, { state: RootState }>(
+  'templates/fetchTemplates',
+  async (filters, { rejectWithValue }) => {
+    try {
+      const response = await axios.get('/api/templates', { params: filters });
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to fetch templates');
+    }
+  }
+);
+
+export const createTemplate = createAsyncThunk<SetlistTemplate, TemplateInput, { state: RootState }>(
+  'templates/createTemplate',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await axios.post('/api/templates', data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to create template');
+    }
+  }
+);
+
+export const updateTemplate = createAsyncThunk<SetlistTemplate, { id: string; data: TemplateInput }, { state: RootState }>(
+  'templates/updateTemplate',
+  async ({ id, data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`/api/templates/${id}`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to update template');
+    }
+  }
+);
+
+export const deleteTemplate = createAsyncThunk<string, string, { state: RootState }>(
+  'templates/deleteTemplate',
+  async (id, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/templates/${id}`);
+      return id;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to delete template');
+    }
+  }
+);
+
+// Save a setlist's blocks, timing settings and optionally its opener and closer as a template
+export const saveSetlistAsTemplate = createAsyncThunk<
+  SetlistTemplate,
+  { setlistId: string; name?: string; description?: string; band_id?: string | null; fix_opener_and_closer?: boolean },
+  { state: RootState }
+>(
+  'templates/saveSetlistAsTemplate',
+  async ({ setlistId, ...data }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/setlists/${setlistId}/template`, data);
+      return response.data;
+    } catch (err: any) {
+      return rejectWithValue(err.response?.data?.msg || 'Failed to save template');
+    }
+  }
+);
+
+// Keep templates in name order
+const byName = (a: SetlistTemplate, b: SetlistTemplate) => a.name.localeCompare(b.name);
+
+// Slice
+const templatesSlice = createSlice({
+  name: 'templates',
+  initialState,
+  reducers: {
+    templateReceived(state, action: PayloadAction<SetlistTemplate>) {
+      const template = action.payload;
+      state.templates = [...state.templates.filter((item) => item.id !== template.id), template].sort(byName);
+    },
+    templateRemoved(state, action: PayloadAction<{ id: string }>) {
+      state.templates = state.templates.filter((template) => template.id !== action.payload.id);
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch templates
+      .addCase(fetchTemplates.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchTemplates.fulfilled, (state, action: PayloadAction<SetlistTemplate[]>) => {
+        state.isLoading = false;
+        state.templates = action.payload;
+      })
+      .addCase(fetchTemplates.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Create template
+      .addCase(createTemplate.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(createTemplate.fulfilled, (state, action: PayloadAction<SetlistTemplate>) => {
+        state.isLoading = false;
+        templatesSlice.caseReducers.templateReceived(state, action);
+      })
+      .addCase(createTemplate.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Update template
+      .addCase(updateTemplate.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(updateTemplate.fulfilled, (state, action: PayloadAction<SetlistTemplate>) => {
+        state.isLoading = false;
+        templatesSlice.caseReducers.templateReceived(state, action);
+      })
+      .addCase(updateTemplate.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Delete template
+      .addCase(deleteTemplate.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(deleteTemplate.fulfilled, (state, action: PayloadAction<string>) => {
+        state.isLoading = false;
+        state.templates = state.templates.filter((template) => template.id !== action.payload);
+      })
+      .addCase(deleteTemplate.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Save setlist as template
+      .addCase(saveSetlistAsTemplate.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(saveSetlistAsTemplate.fulfilled, (state, action: PayloadAction<SetlistTemplate>) => {
+        state.isLoading = false;
+        templatesSlice.caseReducers.templateReceived(state, action);
+      })
+      .addCase(saveSetlistAsTemplate.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { templateReceived, templateRemoved } = templatesSlice.actions;
+export default templatesSlice.reducer;
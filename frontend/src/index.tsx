@@ -4,10 +4,19 @@ import { BrowserRouter } from 'react-router-dom';
 import { Provider } from 'react-redux';
 import { ThemeProvider, CssBaseline } from '@mui/material';
 import App from './App';
+import VersionConflictDialog from './features/setlists/VersionConflictDialog';
+import OperationErrorToast from './features/setlists/OperationErrorToast';
+import RealtimeUpdates from './features/setlists/RealtimeUpdates';
+import CommentUpdates from './features/comments/CommentUpdates';
+import SyncStatus from './features/offline/SyncStatus';
 import { store } from './store';
+import { sendClientId } from './services/clientId';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import theme from './theme';
 import './index.css';
 
+sendClientId();
+
 const root = ReactDOM.createRoot(
   document.getElementById('root') as HTMLElement
 );
@@ -19,8 +28,16 @@ root.render(
         <ThemeProvider theme={theme}>
           <CssBaseline />
           <App />
+          <VersionConflictDialog />
+          <OperationErrorToast />
+          <RealtimeUpdates />
+          <CommentUpdates />
+          <SyncStatus />
         </ThemeProvider>
       </BrowserRouter>
     </Provider>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Cache the app so it starts without a connection
+serviceWorkerRegistration.register();
\ No newline at end of file
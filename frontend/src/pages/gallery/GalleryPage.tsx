@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardActionArea,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Grid,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { CallSplit as ForkIcon } from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { fetchBands } from '../../features/bands/bandsSlice';
+import { fetchGallery, fetchMoreGallery, GalleryFilters } from '../../features/gallery/gallerySlice';
+import GalleryPreviewDialog from '../../features/gallery/GalleryPreviewDialog';
+import { formatDuration } from '../../utils/formatDuration';
+
+// Sort options as "field:order"
+const SORT_OPTIONS: { value: string; label: string }[] = [
+  { value: 'updated_at:desc', label: 'Recently updated' },
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'fork_count:desc', label: 'Most forked' },
+  { value: 'name:asc', label: 'Name (A–Z)' },
+];
+
+// How long to wait after the last keystroke before searching
+const SEARCH_DELAY = 300;
+
+type SearchField = 'q' | 'artist' | 'song';
+
+// Public setlists from other bands, to preview and fork
+const GalleryPage: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { setlists, filters, nextCursor, isLoading, isLoadingMore, error } = useAppSelector((state) => state.gallery);
+  const { bands } = useAppSelector((state) => state.bands);
+  const [search, setSearch] = useState<Record<SearchField, string>>({ q: '', artist: '', song: '' });
+  const [previewId, setPreviewId] = useState<string | null>(null);
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
+
+  useEffect(() => {
+    dispatch(fetchGallery({}));
+    dispatch(fetchBands());
+  }, [dispatch]);
+
+  const applyFilters = useCallback((changes: Partial<GalleryFilters>) => {
+    dispatch(fetchGallery({ ...filters, ...changes }));
+  }, [dispatch, filters]);
+
+  useEffect(() => {
+    const changed = (Object.keys(search) as SearchField[])
+      .some((field) => search[field] !== (filters[field] ?? ''));
+    if (!changed) return;
+
+    const timer = setTimeout(() => applyFilters({
+      q: search.q || undefined,
+      artist: search.artist || undefined,
+      song: search.song || undefined,
+    }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, filters, applyFilters]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        dispatch(fetchMoreGallery());
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [dispatch, nextCursor, setlists.length]);
+
+  const handleSortChange = (value: string) => {
+    const [sort, order] = value.split(':') as [GalleryFilters['sort'], GalleryFilters['order']];
+    applyFilters({ sort, order });
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Gallery
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Setlists other bands have made public. Fork one to copy it into your band; songs you don't have yet are added to your library.
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <TextField
+          label="Search"
+          size="small"
+          value={search.q}
+          onChange={(e) => setSearch({ ...search, q: e.target.value })}
+          sx={{ minWidth: 200, flexGrow: 1 }}
+        />
+        <TextField
+          label="Artist"
+          size="small"
+          value={search.artist}
+          onChange={(e) => setSearch({ ...search, artist: e.target.value })}
+          sx={{ minWidth: 160 }}
+        />
+        <TextField
+          label="Song"
+          size="small"
+          value={search.song}
+          onChange={(e) => setSearch({ ...search, song: e.target.value })}
+          sx={{ minWidth: 160 }}
+        />
+        <TextField
+          select
+          label="Sort"
+          size="small"
+          value={`${filters.sort ?? 'updated_at'}:${filters.order ?? (filters.sort === 'name' ? 'asc' : 'desc')}`}
+          onChange={(e) => handleSortChange(e.target.value)}
+          sx={{ minWidth: 180 }}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && !previewId && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && setlists.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : setlists.length === 0 ? (
+        <Typography variant="body1" color="text.secondary">
+          No public setlists match your search.
+        </Typography>
+      ) : (
+        <Grid container spacing={2}>
+          {setlists.map((setlist) => (
+            <Grid item xs={12} sm={6} md={4} key={setlist.id}>
+              <Card sx={{ height: '100%' }}>
+                <CardActionArea onClick={() => setPreviewId(setlist.id)} sx={{ height: '100%' }}>
+                  <CardContent>
+                    <Typography variant="h6" noWrap>
+                      {setlist.name}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {setlist.band?.name ?? setlist.creator?.username}
+                    </Typography>
+                    {setlist.description && (
+                      <Typography variant="body2" sx={{ mt: 1 }} noWrap>
+                        {setlist.description}
+                      </Typography>
+                    )}
+                    <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+                      <Chip size="small" label={`${setlist.song_count} songs · ${formatDuration(setlist.total_duration)}`} />
+                      {setlist.fork_count > 0 && (
+                        <Chip size="small" variant="outlined" icon={<ForkIcon />} label={setlist.fork_count} />
+                      )}
+                    </Stack>
+                  </CardContent>
+                </CardActionArea>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {nextCursor && (
+        <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          {isLoadingMore && <CircularProgress size={32} />}
+        </Box>
+      )}
+
+      <GalleryPreviewDialog
+        setlistId={previewId}
+        onClose={() => setPreviewId(null)}
+        bands={bands}
+      />
+    </Box>
+  );
+};
+
+export default GalleryPage;
@@ -0,0 +1,279 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Box, Button, Chip, IconButton, Stack, Typography } from '@mui/material';
+import {
+  Close as CloseIcon,
+  SkipNext as NextIcon,
+  SkipPrevious as PreviousIcon,
+  FastForward as SkipIcon,
+  PlayArrow as PlayIcon,
+  Stop as StopIcon,
+} from '@mui/icons-material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { fetchSetlistById, hasPermission } from '../../features/setlists/setlistsSlice';
+import {
+  clearLiveSession,
+  endLiveSession,
+  fetchLiveSession,
+  liveSessionEnded,
+  liveSessionUpdated,
+  LiveAction,
+  LiveSession,
+  moveLiveSession,
+  startLiveSession,
+} from '../../features/live/liveSlice';
+import { getSocket } from '../../services/socketService';
+import { formatDuration } from '../../utils/formatDuration';
+
+const LiveShowPage: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const dispatch = useAppDispatch();
+  const { session, isLoading, error } = useAppSelector((state) => state.live);
+  const setlist = useAppSelector((state) => state.setlists.currentSetlist);
+  const user = useAppSelector((state) => state.auth.user);
+  const [now, setNow] = useState(Date.now());
+
+  // Catch up with a show that is already running, then follow it live
+  useEffect(() => {
+    if (!id) return;
+
+    dispatch(fetchSetlistById(id));
+    dispatch(fetchLiveSession(id));
+
+    const socket = getSocket();
+    const handleUpdated = (state: LiveSession) => {
+      if (state.setlist_id === id) {
+        dispatch(liveSessionUpdated(state));
+      }
+    };
+    const handleEnded = (payload: { setlist_id: string }) => {
+      dispatch(liveSessionEnded(payload));
+    };
+
+    socket?.on('live:updated', handleUpdated);
+    socket?.on('live:ended', handleEnded);
+
+    return () => {
+      socket?.off('live:updated', handleUpdated);
+      socket?.off('live:ended', handleEnded);
+      dispatch(clearLiveSession());
+    };
+  }, [dispatch, id]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Difference between the server clock and ours, so every device shows the same times
+  const clockOffset = useMemo(
+    () => (session ? Date.parse(session.server_time) - Date.now() : 0),
+    [session]
+  );
+
+  const isLeader = Boolean(session && user && session.led_by === user.id);
+  const canPerform = hasPermission(setlist, 'perform');
+
+  const handleMove = useCallback((action: LiveAction) => {
+    if (id) {
+      dispatch(moveLiveSession({ setlist_id: id, action }));
+    }
+  }, [dispatch, id]);
+
+  // Foot pedals and page turners send arrow keys
+  useEffect(() => {
+    if (!isLeader) return;
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'ArrowRight' || event.key === 'PageDown' || event.key === ' ') {
+        event.preventDefault();
+        handleMove('next');
+      } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+        event.preventDefault();
+        handleMove('previous');
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isLeader, handleMove]);
+
+  const handleStart = (takeOver = false) => {
+    if (id) {
+      dispatch(startLiveSession({ setlist_id: id, take_over: takeOver }));
+    }
+  };
+
+  const handleEnd = () => {
+    if (id) {
+      dispatch(endLiveSession(id));
+    }
+  };
+
+  const serverNow = now + clockOffset;
+  const elapsed = session ? (serverNow - Date.parse(session.started_at)) / 1000 : 0;
+  const songElapsed = session?.song_started_at
+    ? (serverNow - Date.parse(session.song_started_at)) / 1000
+    : null;
+  const current = session?.current;
+  // What is actually played in this slot, falling back to the library song
+  const performedKey = current?.performance?.key ?? current?.song.key;
+  const performedTempo = current?.performance?.tempo ?? current?.song.tempo;
+
+  return (
+    <Box
+      sx={{
+        position: 'fixed',
+        inset: 0,
+        bgcolor: 'common.black',
+        color: 'common.white',
+        display: 'flex',
+        flexDirection: 'column',
+        p: 3,
+      }}
+    >
+      <Stack direction="row" alignItems="center" spacing={2}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          {setlist?.name}
+        </Typography>
+        {session && !session.finished && (
+          <Typography variant="h6">
+            Song {session.current_index + 1} of {session.song_count}
+          </Typography>
+        )}
+        {session && (
+          <Typography variant="h6">{formatDuration(elapsed)}</Typography>
+        )}
+        {session?.drift !== null && session?.drift !== undefined && (
+          <Chip
+            label={session.drift > 0
+              ? `${formatDuration(session.drift)} behind`
+              : `${formatDuration(-session.drift)} ahead`}
+            color={session.drift > 60 ? 'error' : 'success'}
+          />
+        )}
+        <IconButton aria-label="exit" color="inherit" onClick={() => navigate(`/setlists/${id}`)}>
+          <CloseIcon />
+        </IconButton>
+      </Stack>
+
+      <Box sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', textAlign: 'center' }}>
+        {!session && !isLoading && !canPerform && (
+          <Typography variant="h4" sx={{ opacity: 0.6 }}>
+            Waiting for the show to start
+          </Typography>
+        )}
+
+        {!session && !isLoading && canPerform && (
+          <Button
+            variant="contained"
+            size="large"
+            startIcon={<PlayIcon />}
+            onClick={() => handleStart()}
+            sx={{ alignSelf: 'center', fontSize: '1.5rem', px: 6, py: 2 }}
+          >
+            Start show
+          </Button>
+        )}
+
+        {session?.finished && (
+          <Typography variant="h2">End of show</Typography>
+        )}
+
+        {current && (
+          <>
+            <Typography variant="h1" sx={{ fontWeight: 700, fontSize: { xs: '3rem', md: '6rem' } }}>
+              {current.song.title}
+            </Typography>
+            <Typography variant="h4" sx={{ opacity: 0.7, mb: 3 }}>
+              {current.song.artist}
+            </Typography>
+            <Stack direction="row" spacing={2} justifyContent="center" sx={{ mb: 3 }}>
+              {performedKey && (
+                <Chip label={`Key: ${performedKey}`} sx={{ fontSize: '1.5rem', color: 'inherit' }} variant="outlined" />
+              )}
+              {performedTempo && (
+                <Chip label={`${performedTempo} BPM`} sx={{ fontSize: '1.5rem', color: 'inherit' }} variant="outlined" />
+              )}
+              {current.performance?.capo ? (
+                <Chip label={`Capo ${current.performance.capo}`} sx={{ fontSize: '1.5rem', color: 'inherit' }} variant="outlined" />
+              ) : null}
+              {current.performance?.tuning && (
+                <Chip label={current.performance.tuning} sx={{ fontSize: '1.5rem', color: 'inherit' }} variant="outlined" />
+              )}
+              {songElapsed !== null && (
+                <Chip
+                  label={current.song.duration
+                    ? `${formatDuration(songElapsed)} / ${formatDuration(current.song.duration)}`
+                    : formatDuration(songElapsed)}
+                  sx={{ fontSize: '1.5rem', color: 'inherit' }}
+                  variant="outlined"
+                />
+              )}
+            </Stack>
+            {current.performance?.lead_singer && (
+              <Typography variant="h5" sx={{ opacity: 0.8 }}>
+                Lead: {current.performance.lead_singer}
+              </Typography>
+            )}
+            {current.performance?.instrument_changes && (
+              <Typography variant="h5" sx={{ opacity: 0.8 }}>
+                {current.performance.instrument_changes}
+              </Typography>
+            )}
+            {current.notes && (
+              <Typography variant="h5" sx={{ opacity: 0.8 }}>
+                {current.notes}
+              </Typography>
+            )}
+            {current.performance?.segue_notes && (
+              <Typography variant="h5" sx={{ opacity: 0.8, fontStyle: 'italic' }}>
+                Segue: {current.performance.segue_notes}
+              </Typography>
+            )}
+          </>
+        )}
+
+        {session?.next && (
+          <Typography variant="h4" sx={{ mt: 6, opacity: 0.6 }}>
+            Next: {session.next.song.title}
+          </Typography>
+        )}
+
+        {error && (
+          <Typography variant="body1" color="error" sx={{ mt: 2 }}>
+            {error}
+          </Typography>
+        )}
+      </Box>
+
+      {session && (
+        <Stack direction="row" spacing={2} justifyContent="center">
+          {isLeader ? (
+            <>
+              <Button variant="outlined" color="inherit" size="large" startIcon={<PreviousIcon />} onClick={() => handleMove('previous')}>
+                Back
+              </Button>
+              <Button variant="outlined" color="inherit" size="large" startIcon={<SkipIcon />} onClick={() => handleMove('skip')} disabled={session.finished}>
+                Skip
+              </Button>
+              <Button variant="contained" size="large" startIcon={<NextIcon />} onClick={() => handleMove('next')} disabled={session.finished}>
+                Next
+              </Button>
+              <Button variant="outlined" color="error" size="large" startIcon={<StopIcon />} onClick={handleEnd}>
+                End show
+              </Button>
+            </>
+          ) : canPerform && (
+            <Button variant="outlined" color="inherit" onClick={() => handleStart(true)}>
+              Take over the show
+            </Button>
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default LiveShowPage;
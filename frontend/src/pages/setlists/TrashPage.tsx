@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Stack,
+  Typography,
+} from '@mui/material';
+import {
+  DeleteForever as DeleteForeverIcon,
+  RestoreFromTrash as RestoreIcon,
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { fetchTrash, hasPermission, purgeSetlist, restoreSetlist, Setlist } from '../../features/setlists/setlistsSlice';
+
+const TrashPage: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { trash, isLoading, error } = useAppSelector((state) => state.setlists);
+  const [purgeTarget, setPurgeTarget] = useState<Setlist | null>(null);
+
+  useEffect(() => {
+    dispatch(fetchTrash());
+  }, [dispatch]);
+
+  const handlePurgeConfirm = () => {
+    if (purgeTarget) {
+      dispatch(purgeSetlist(purgeTarget.id));
+    }
+    setPurgeTarget(null);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Trash
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Deleted setlists can be restored until they are permanently deleted.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && trash.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : trash.length === 0 ? (
+        <Typography variant="body1" sx={{ mt: 2, textAlign: 'center' }}>
+          The trash is empty.
+        </Typography>
+      ) : (
+        <Paper>
+          <List>
+            {trash.map((setlist) => (
+              <ListItem
+                key={setlist.id}
+                divider
+                secondaryAction={
+                  <Stack direction="row" spacing={1}>
+                    <Button
+                      startIcon={<RestoreIcon />}
+                      onClick={() => dispatch(restoreSetlist(setlist.id))}
+                      disabled={isLoading}
+                    >
+                      Restore
+                    </Button>
+                    {hasPermission(setlist, 'purge') && (
+                      <Button
+                        color="error"
+                        startIcon={<DeleteForeverIcon />}
+                        onClick={() => setPurgeTarget(setlist)}
+                        disabled={isLoading}
+                      >
+                        Delete forever
+                      </Button>
+                    )}
+                  </Stack>
+                }
+              >
+                <ListItemText
+                  primary={setlist.name}
+                  secondary={[
+                    setlist.deleted_at &&
+                      `Deleted ${formatDistanceToNow(new Date(setlist.deleted_at), { addSuffix: true })}${setlist.deleter ? ` by ${setlist.deleter.username}` : ''}`,
+                    setlist.purge_at &&
+                      `permanently deleted ${formatDistanceToNow(new Date(setlist.purge_at), { addSuffix: true })}`,
+                  ].filter(Boolean).join(', ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      <Dialog open={Boolean(purgeTarget)} onClose={() => setPurgeTarget(null)}>
+        <DialogTitle>Delete Setlist Forever</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Are you sure you want to permanently delete the setlist "{purgeTarget?.name}"? This action cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgeTarget(null)}>Cancel</Button>
+          <Button onClick={handlePurgeConfirm} color="error" autoFocus>
+            Delete forever
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TrashPage;
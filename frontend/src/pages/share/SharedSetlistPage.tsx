@@ -0,0 +1,132 @@
+import React, { useEffect } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Stack,
+  Typography,
+} from '@mui/material';
+import { useAppDispatch, useAppSelector } from '../../hooks/reduxHooks';
+import { clearSharedSetlist, fetchSharedSetlist } from '../../features/share/shareSlice';
+import { formatDuration } from '../../utils/formatDuration';
+
+// Read-only setlist for people with a share link, e.g. venues; no account needed
+const SharedSetlistPage: React.FC = () => {
+  const { token } = useParams<{ token: string }>();
+  const dispatch = useAppDispatch();
+  const { sharedSetlist, isLoading, error } = useAppSelector((state) => state.share);
+  const isAuthenticated = useAppSelector((state) => state.auth.isAuthenticated);
+
+  useEffect(() => {
+    if (token) {
+      dispatch(fetchSharedSetlist(token));
+    }
+
+    return () => {
+      dispatch(clearSharedSetlist());
+    };
+  }, [dispatch, token]);
+
+  if (isLoading && !sharedSetlist) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !sharedSetlist) {
+    return (
+      <Container maxWidth="sm" sx={{ mt: 8 }}>
+        <Alert severity="error">{error || 'Shared setlist not found'}</Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Stack direction="row" alignItems="flex-start" spacing={2} sx={{ mb: 3 }}>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="h4" component="h1">
+            {sharedSetlist.name}
+          </Typography>
+          {sharedSetlist.band && (
+            <Typography variant="h6" color="text.secondary">
+              {sharedSetlist.band}
+            </Typography>
+          )}
+          {sharedSetlist.description && (
+            <Typography variant="body1" sx={{ mt: 1 }}>
+              {sharedSetlist.description}
+            </Typography>
+          )}
+        </Box>
+        <Stack alignItems="flex-end" spacing={1}>
+          <Chip label={`${sharedSetlist.song_count} songs · ${formatDuration(sharedSetlist.total_duration)}`} />
+          {!sharedSetlist.read_only && sharedSetlist.setlist_id && isAuthenticated && (
+            <Button component={RouterLink} to={`/setlists/${sharedSetlist.setlist_id}/edit`} variant="outlined" size="small">
+              Open in editor
+            </Button>
+          )}
+        </Stack>
+      </Stack>
+
+      {sharedSetlist.sections.map((section, index) => (
+        <Paper key={section.name || `section-${index}`} sx={{ mb: 3 }}>
+          {section.name && (
+            <>
+              <Stack direction="row" alignItems="center" sx={{ px: 2, py: 1.5 }}>
+                <Typography variant="h6" sx={{ flexGrow: 1 }}>
+                  {section.name}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {formatDuration(section.duration)}
+                </Typography>
+              </Stack>
+              <Divider />
+            </>
+          )}
+          <List dense>
+            {section.songs.map((song) => (
+              <ListItem
+                key={song.number}
+                secondaryAction={
+                  <Typography variant="body2" color="text.secondary">
+                    {[
+                      song.key,
+                      song.capo ? `capo ${song.capo}` : null,
+                      song.tuning,
+                      song.tempo ? `${song.tempo} BPM` : null,
+                      song.duration ? formatDuration(song.duration) : null,
+                    ].filter(Boolean).join(' · ')}
+                  </Typography>
+                }
+              >
+                <ListItemText
+                  primary={`${song.number}. ${song.title}${song.artist ? ` – ${song.artist}` : ''}`}
+                  secondary={song.notes}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      ))}
+
+      <Typography variant="caption" color="text.secondary">
+        Last updated {new Date(sharedSetlist.updated_at).toLocaleString()}
+        {sharedSetlist.expires_at && ` · Link expires ${new Date(sharedSetlist.expires_at).toLocaleDateString()}`}
+      </Typography>
+    </Container>
+  );
+};
+
+export default SharedSetlistPage;
@@ -0,0 +1,52 @@
+/// <reference lib="webworker" />
+/* eslint-disable no-restricted-globals */
+
+// Caches the app shell so the app starts without a connection, e.g. backstage.
+// Setlists and changes made offline are kept in IndexedDB by the app itself
+// (services/offlineStore), so API requests are not cached here.
+//
+// Built by react-scripts with Workbox's InjectManifest, which replaces
+// self.__WB_MANIFEST with the list of build files.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+declare const self: ServiceWorkerGlobalScope;
+
+clientsClaim();
+
+// Precache everything the build produced
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, so every route of the app opens offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    // The API, the socket and the API docs are not part of the app
+    if (url.pathname.startsWith('/api') || url.pathname.startsWith('/socket.io')) return false;
+    // Links to files are requests for those files
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Images and icons from public/ that are not in the build manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|svg|ico|webp)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Lets the page activate a new version straight away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,12 @@
+import axios from 'axios';
+
+/**
+ * Identifies this browser tab to the server. Requests carry it in the
+ * X-Client-Id header and the server sends it back with the socket events
+ * about the change, so the tab can tell its own changes from everyone else's.
+ */
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const sendClientId = () => {
+  axios.defaults.headers.common['X-Client-Id'] = CLIENT_ID;
+};
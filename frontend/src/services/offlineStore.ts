@@ -0,0 +1,90 @@
+/**
+ * Copies of setlists and a queue of changes kept on the device (IndexedDB),
+ * so setlists open and can be edited without a connection.
+ */
+
+const DB_NAME = 'setlist-builder';
+const DB_VERSION = 1;
+
+// Snapshots of the setlist list and of single setlists with their songs
+const SNAPSHOTS = 'snapshots';
+// Changes made offline, in the order they were made
+const MUTATIONS = 'mutations';
+
+export interface QueuedMutation {
+  // Assigned by IndexedDB; increases with every queued change
+  id: number;
+  // Action type prefix of the thunk that made the change
+  type: string;
+  arg: any;
+  setlist_id: string;
+  // Temporary ID of a setlist song added offline
+  local_id?: string;
+  queued_at: string;
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+const openDatabase = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS);
+        }
+        if (!db.objectStoreNames.contains(MUTATIONS)) {
+          db.createObjectStore(MUTATIONS, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a request against an object store and resolve with its result
+ */
+const run = async <T>(
+  storeName: string,
+  mode: IDBTransactionMode,
+  makeRequest: (store: IDBObjectStore) => IDBRequest
+): Promise<T> => {
+  const db = await openDatabase();
+  return new Promise<T>((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result as T);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Snapshots
+export const saveSnapshot = (key: string, value: unknown): Promise<void> =>
+  run<void>(SNAPSHOTS, 'readwrite', (store) => store.put(value, key)).then(() => undefined);
+
+export const loadSnapshot = <T>(key: string): Promise<T | undefined> =>
+  run<T | undefined>(SNAPSHOTS, 'readonly', (store) => store.get(key));
+
+// Queue
+export const enqueueMutation = async (mutation: Omit<QueuedMutation, 'id'>): Promise<QueuedMutation> => {
+  const id = await run<number>(MUTATIONS, 'readwrite', (store) => store.add(mutation));
+  return { ...mutation, id };
+};
+
+export const updateQueuedMutation = (mutation: QueuedMutation): Promise<void> =>
+  run<void>(MUTATIONS, 'readwrite', (store) => store.put(mutation)).then(() => undefined);
+
+export const removeQueuedMutation = (id: number): Promise<void> =>
+  run<void>(MUTATIONS, 'readwrite', (store) => store.delete(id)).then(() => undefined);
+
+// Keys are auto-incremented, so this is the order the changes were made in
+export const getQueuedMutations = (): Promise<QueuedMutation[]> =>
+  run<QueuedMutation[]>(MUTATIONS, 'readonly', (store) => store.getAll());
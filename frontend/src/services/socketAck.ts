@@ -0,0 +1,31 @@
+import { getSocket } from './socketService';
+
+/**
+ * Socket events that are answered, like API requests: the server acknowledges
+ * each one with { ok: true, ... } or { ok: false, msg }.
+ */
+
+// How long to wait for the server to acknowledge an event
+const ACK_TIMEOUT = 5000;
+
+/**
+ * Send a socket event and wait for the server to acknowledge it
+ * Rejects with the server's message when it answers { ok: false }.
+ */
+export const emitWithAck = <T>(event: string, data: object): Promise<T> =>
+  new Promise((resolve, reject) => {
+    const socket = getSocket();
+    if (!socket) {
+      reject(new Error('Not connected'));
+      return;
+    }
+    socket.timeout(ACK_TIMEOUT).emit(event, data, (err: Error | null, response: T & { ok: boolean; msg?: string }) => {
+      if (err) {
+        reject(new Error('The server did not answer'));
+      } else if (!response.ok) {
+        reject(new Error(response.msg));
+      } else {
+        resolve(response);
+      }
+    });
+  });
@@ -1,9 +1,19 @@
 import { configureStore } from '@reduxjs/toolkit';
 import authReducer from '../features/auth/authSlice';
-import setlistReducer from '../features/setlists/setlistsSlice';
+import setlistReducer, { persistSetlists } from '../features/setlists/setlistsSlice';
 import songsReducer from '../features/songs/songsSlice';
 import bandsReducer from '../features/bands/bandsSlice';
 import uiReducer from '../features/ui/uiSlice';
+import liveReducer from '../features/live/liveSlice';
+import shareReducer from '../features/share/shareSlice';
+import gigsReducer from '../features/gigs/gigsSlice';
+import galleryReducer from '../features/gallery/gallerySlice';
+import statsReducer from '../features/stats/statsSlice';
+import offlineReducer, { storageFailed, storageRecovered } from '../features/offline/offlineSlice';
+import presenceReducer from '../features/presence/presenceSlice';
+import commentsReducer from '../features/comments/commentsSlice';
+import activityReducer from '../features/activity/activitySlice';
+import templatesReducer from '../features/templates/templatesSlice';
 
 export const store = configureStore({
   reducer: {
@@ -12,6 +22,16 @@ export const store = configureStore({
     songs: songsReducer,
     bands: bandsReducer,
     ui: uiReducer,
+    live: liveReducer,
+    share: shareReducer,
+    gigs: gigsReducer,
+    gallery: galleryReducer,
+    stats: statsReducer,
+    offline: offlineReducer,
+    presence: presenceReducer,
+    comments: commentsReducer,
+    activity: activityReducer,
+    templates: templatesReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -23,5 +43,30 @@ export const store = configureStore({
     }),
 });
 
+// How long the setlists must be left alone before they are saved on the device
+const PERSIST_DELAY = 1000;
+
+// Keep a copy of the setlists on the device so they open without a connection
+let persistedSetlists = store.getState().setlists;
+let persistTimer: ReturnType<typeof setTimeout> | null = null;
+store.subscribe(() => {
+  const { setlists } = store.getState();
+  if (setlists === persistedSetlists) return;
+  persistedSetlists = setlists;
+
+  if (persistTimer) clearTimeout(persistTimer);
+  persistTimer = setTimeout(() => {
+    persistSetlists(store.getState().setlists)
+      .then(() => {
+        if (store.getState().offline.storageError) {
+          store.dispatch(storageRecovered());
+        }
+      })
+      .catch(() => {
+        store.dispatch(storageFailed('Setlists could not be saved on this device, so they may not open offline'));
+      });
+  }, PERSIST_DELAY);
+});
+
 export type RootState = ReturnType<typeof store.getState>;
 export type AppDispatch = typeof store.dispatch;
\ No newline at end of file
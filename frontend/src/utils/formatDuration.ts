@@ -0,0 +1,15 @@
+/**
+ * Format a duration in seconds as m:ss, or h:mm:ss for an hour or more
+ */
+export const formatDuration = (totalSeconds: number): string => {
+  const sign = totalSeconds < 0 ? '-' : '';
+  const seconds = Math.abs(Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (value: number) => value.toString().padStart(2, '0');
+
+  return hours > 0
+    ? `${sign}${hours}:${pad(minutes)}:${pad(secs)}`
+    : `${sign}${minutes}:${pad(secs)}`;
+};